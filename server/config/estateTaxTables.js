@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+
+// Federal estate tax, keyed by year of death.
+// The rate schedule is the unified transfer tax schedule; the exemption is
+// applied as a credit equal to the tax on the exemption amount.
+const federalRateSchedule = [
+  { upTo: 10000, rate: 0.18 },
+  { upTo: 20000, rate: 0.20 },
+  { upTo: 40000, rate: 0.22 },
+  { upTo: 60000, rate: 0.24 },
+  { upTo: 80000, rate: 0.26 },
+  { upTo: 100000, rate: 0.28 },
+  { upTo: 150000, rate: 0.30 },
+  { upTo: 250000, rate: 0.32 },
+  { upTo: 500000, rate: 0.34 },
+  { upTo: 750000, rate: 0.37 },
+  { upTo: 1000000, rate: 0.39 },
+  { upTo: null, rate: 0.40 }
+];
+
+const federalEstateTax = {
+  2023: { version: '2023.1', exemption: 12920000, brackets: federalRateSchedule },
+  2024: { version: '2024.1', exemption: 13610000, brackets: federalRateSchedule },
+  2025: { version: '2025.1', exemption: 13990000, brackets: federalRateSchedule },
+  2026: { version: '2026.1', exemption: 15000000, brackets: federalRateSchedule }
+};
+
+// Default state death tax table. Estate taxes apply their brackets to the
+// taxable estate above the exemption; inheritance taxes charge each
+// beneficiary by relationship. `cliff` (New York) taxes the whole estate
+// once it exceeds the exemption by that factor.
+// Override with a JSON file of the same shape via ESTATE_STATE_TAX_TABLE.
+const defaultStateTables = {
+  version: '2025.1',
+  states: {
+    CT: {
+      type: 'estate',
+      exemption: 13990000,
+      brackets: [{ upTo: null, rate: 0.12 }]
+    },
+    IL: {
+      type: 'estate',
+      exemption: 4000000,
+      brackets: [
+        { upTo: 1000000, rate: 0.08 },
+        { upTo: 5000000, rate: 0.12 },
+        { upTo: null, rate: 0.16 }
+      ]
+    },
+    MA: {
+      type: 'estate',
+      exemption: 2000000,
+      brackets: [
+        { upTo: 1000000, rate: 0.08 },
+        { upTo: 5000000, rate: 0.12 },
+        { upTo: null, rate: 0.16 }
+      ]
+    },
+    NY: {
+      type: 'estate',
+      exemption: 7160000,
+      cliff: 1.05,
+      brackets: [
+        { upTo: 500000, rate: 0.0306 },
+        { upTo: 1000000, rate: 0.05 },
+        { upTo: 2100000, rate: 0.08 },
+        { upTo: 5100000, rate: 0.112 },
+        { upTo: 10100000, rate: 0.144 },
+        { upTo: null, rate: 0.16 }
+      ]
+    },
+    OR: {
+      type: 'estate',
+      exemption: 1000000,
+      brackets: [
+        { upTo: 500000, rate: 0.10 },
+        { upTo: 1500000, rate: 0.11 },
+        { upTo: 3500000, rate: 0.13 },
+        { upTo: null, rate: 0.16 }
+      ]
+    },
+    WA: {
+      type: 'estate',
+      exemption: 3000000,
+      brackets: [
+        { upTo: 1000000, rate: 0.10 },
+        { upTo: 2000000, rate: 0.15 },
+        { upTo: 3000000, rate: 0.17 },
+        { upTo: 4000000, rate: 0.19 },
+        { upTo: 6000000, rate: 0.23 },
+        { upTo: 7000000, rate: 0.26 },
+        { upTo: 9000000, rate: 0.30 },
+        { upTo: null, rate: 0.35 }
+      ]
+    },
+    NJ: {
+      type: 'inheritance',
+      rates: { spouse: 0, child: 0, parent: 0, sibling: 0.11, friend: 0.15, other: 0.15, charity: 0 }
+    },
+    PA: {
+      type: 'inheritance',
+      rates: { spouse: 0, child: 0.045, parent: 0.045, sibling: 0.12, friend: 0.15, other: 0.15, charity: 0 }
+    },
+    KY: {
+      type: 'inheritance',
+      rates: { spouse: 0, child: 0, parent: 0, sibling: 0.04, friend: 0.06, other: 0.06, charity: 0 }
+    },
+    NE: {
+      type: 'inheritance',
+      rates: { spouse: 0, child: 0.01, parent: 0.01, sibling: 0.01, friend: 0.15, other: 0.15, charity: 0 }
+    }
+  }
+};
+
+let stateTables = null;
+
+// Load the state table once, preferring the configured override file
+const getStateTables = () => {
+  if (!stateTables) {
+    const overridePath = process.env.ESTATE_STATE_TAX_TABLE;
+    stateTables = overridePath
+      ? JSON.parse(fs.readFileSync(path.resolve(overridePath), 'utf8'))
+      : defaultStateTables;
+  }
+  return stateTables;
+};
+
+// Return the federal table for a year, falling back to the closest year we have
+const getFederalEstateTable = (year) => {
+  const years = Object.keys(federalEstateTax).map(Number).sort((a, b) => a - b);
+  let tableYear = years.find(y => y === year);
+
+  if (!tableYear) {
+    tableYear = year < years[0] ? years[0] : years[years.length - 1];
+  }
+
+  return { year: tableYear, ...federalEstateTax[tableYear] };
+};
+
+const getStateTable = (state) => {
+  if (!state) return null;
+  const tables = getStateTables();
+  const table = tables.states[state.toUpperCase()];
+  return table ? { state: state.toUpperCase(), version: tables.version, ...table } : null;
+};
+
+module.exports = {
+  federalEstateTax,
+  defaultStateTables,
+  getFederalEstateTable,
+  getStateTable
+};
@@ -0,0 +1,40 @@
+// IRS Uniform Lifetime Table (Publication 590-B, Appendix B, Table III),
+// in effect for distribution years from 2022. Keyed by the owner's age at
+// the end of the distribution year; the value is the distribution period.
+// Owners whose sole beneficiary is a spouse more than 10 years younger use
+// the Joint Life table instead, which is not included here.
+
+const uniformLifetimeTable = {
+  version: '2022.1',
+  periods: {
+    72: 27.4, 73: 26.5, 74: 25.5, 75: 24.6, 76: 23.7, 77: 22.9, 78: 22.0, 79: 21.1,
+    80: 20.2, 81: 19.4, 82: 18.5, 83: 17.7, 84: 16.8, 85: 16.0, 86: 15.2, 87: 14.4,
+    88: 13.7, 89: 12.9, 90: 12.2, 91: 11.5, 92: 10.8, 93: 10.1, 94: 9.5, 95: 8.9,
+    96: 8.4, 97: 7.8, 98: 7.3, 99: 6.8, 100: 6.4, 101: 6.0, 102: 5.6, 103: 5.2,
+    104: 4.9, 105: 4.6, 106: 4.3, 107: 4.1, 108: 3.9, 109: 3.7, 110: 3.5, 111: 3.4,
+    112: 3.3, 113: 3.1, 114: 3.0, 115: 2.9, 116: 2.8, 117: 2.7, 118: 2.5, 119: 2.3,
+    120: 2.0
+  }
+};
+
+// Age RMDs start at, by birth year (SECURE Act 2019 and SECURE 2.0 Act)
+const rmdStartAge = (birthYear) => {
+  if (birthYear < 1949) return 70;
+  if (birthYear < 1951) return 72;
+  if (birthYear < 1960) return 73;
+  return 75;
+};
+
+// Distribution period for an age; ages past the end of the table use its last row
+const getDistributionPeriod = (age) => {
+  const ages = Object.keys(uniformLifetimeTable.periods).map(Number);
+  const oldest = Math.max(...ages);
+  if (age < Math.min(...ages)) return null;
+  return uniformLifetimeTable.periods[Math.min(age, oldest)];
+};
+
+module.exports = {
+  uniformLifetimeTable,
+  rmdStartAge,
+  getDistributionPeriod
+};
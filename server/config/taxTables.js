@@ -0,0 +1,298 @@
+// Federal income tax tables, keyed by tax year.
+// Each bracket is { upTo, rate } where upTo is the top of the bracket
+// (null for the highest bracket). Capital gains bands use the same shape
+// and are measured against total taxable income. `itemized` holds the
+// Schedule A limits; the medical floor and charitable limits are shares
+// of AGI.
+// Bump `version` whenever a year's figures are corrected so stored
+// records can tell which table they were calculated with.
+
+const taxTables = {
+  2023: {
+    version: '2023.1',
+    socialSecurityWageBase: 160200,
+    standardDeduction: {
+      single: 13850,
+      married_filing_jointly: 27700,
+      married_filing_separately: 13850,
+      head_of_household: 20800
+    },
+    itemized: {
+      medicalFloor: 0.075,
+      saltCap: {
+        default: 10000,
+        married_filing_separately: 5000
+      },
+      charitableLimits: { cash: 0.6, noncash: 0.3 }
+    },
+    brackets: {
+      single: [
+        { upTo: 11000, rate: 0.10 },
+        { upTo: 44725, rate: 0.12 },
+        { upTo: 95375, rate: 0.22 },
+        { upTo: 182100, rate: 0.24 },
+        { upTo: 231250, rate: 0.32 },
+        { upTo: 578125, rate: 0.35 },
+        { upTo: null, rate: 0.37 }
+      ],
+      married_filing_jointly: [
+        { upTo: 22000, rate: 0.10 },
+        { upTo: 89450, rate: 0.12 },
+        { upTo: 190750, rate: 0.22 },
+        { upTo: 364200, rate: 0.24 },
+        { upTo: 462500, rate: 0.32 },
+        { upTo: 693750, rate: 0.35 },
+        { upTo: null, rate: 0.37 }
+      ],
+      married_filing_separately: [
+        { upTo: 11000, rate: 0.10 },
+        { upTo: 44725, rate: 0.12 },
+        { upTo: 95375, rate: 0.22 },
+        { upTo: 182100, rate: 0.24 },
+        { upTo: 231250, rate: 0.32 },
+        { upTo: 346875, rate: 0.35 },
+        { upTo: null, rate: 0.37 }
+      ],
+      head_of_household: [
+        { upTo: 15700, rate: 0.10 },
+        { upTo: 59850, rate: 0.12 },
+        { upTo: 95350, rate: 0.22 },
+        { upTo: 182100, rate: 0.24 },
+        { upTo: 231250, rate: 0.32 },
+        { upTo: 578100, rate: 0.35 },
+        { upTo: null, rate: 0.37 }
+      ]
+    },
+    capitalGains: {
+      single: [
+        { upTo: 44625, rate: 0 },
+        { upTo: 492300, rate: 0.15 },
+        { upTo: null, rate: 0.20 }
+      ],
+      married_filing_jointly: [
+        { upTo: 89250, rate: 0 },
+        { upTo: 553850, rate: 0.15 },
+        { upTo: null, rate: 0.20 }
+      ],
+      married_filing_separately: [
+        { upTo: 44625, rate: 0 },
+        { upTo: 276900, rate: 0.15 },
+        { upTo: null, rate: 0.20 }
+      ],
+      head_of_household: [
+        { upTo: 59750, rate: 0 },
+        { upTo: 523050, rate: 0.15 },
+        { upTo: null, rate: 0.20 }
+      ]
+    }
+  },
+  2024: {
+    version: '2024.1',
+    socialSecurityWageBase: 168600,
+    standardDeduction: {
+      single: 14600,
+      married_filing_jointly: 29200,
+      married_filing_separately: 14600,
+      head_of_household: 21900
+    },
+    itemized: {
+      medicalFloor: 0.075,
+      saltCap: {
+        default: 10000,
+        married_filing_separately: 5000
+      },
+      charitableLimits: { cash: 0.6, noncash: 0.3 }
+    },
+    brackets: {
+      single: [
+        { upTo: 11600, rate: 0.10 },
+        { upTo: 47150, rate: 0.12 },
+        { upTo: 100525, rate: 0.22 },
+        { upTo: 191950, rate: 0.24 },
+        { upTo: 243725, rate: 0.32 },
+        { upTo: 609350, rate: 0.35 },
+        { upTo: null, rate: 0.37 }
+      ],
+      married_filing_jointly: [
+        { upTo: 23200, rate: 0.10 },
+        { upTo: 94300, rate: 0.12 },
+        { upTo: 201050, rate: 0.22 },
+        { upTo: 383900, rate: 0.24 },
+        { upTo: 487450, rate: 0.32 },
+        { upTo: 731200, rate: 0.35 },
+        { upTo: null, rate: 0.37 }
+      ],
+      married_filing_separately: [
+        { upTo: 11600, rate: 0.10 },
+        { upTo: 47150, rate: 0.12 },
+        { upTo: 100525, rate: 0.22 },
+        { upTo: 191950, rate: 0.24 },
+        { upTo: 243725, rate: 0.32 },
+        { upTo: 365600, rate: 0.35 },
+        { upTo: null, rate: 0.37 }
+      ],
+      head_of_household: [
+        { upTo: 16550, rate: 0.10 },
+        { upTo: 63100, rate: 0.12 },
+        { upTo: 100500, rate: 0.22 },
+        { upTo: 191950, rate: 0.24 },
+        { upTo: 243700, rate: 0.32 },
+        { upTo: 609350, rate: 0.35 },
+        { upTo: null, rate: 0.37 }
+      ]
+    },
+    capitalGains: {
+      single: [
+        { upTo: 47025, rate: 0 },
+        { upTo: 518900, rate: 0.15 },
+        { upTo: null, rate: 0.20 }
+      ],
+      married_filing_jointly: [
+        { upTo: 94050, rate: 0 },
+        { upTo: 583750, rate: 0.15 },
+        { upTo: null, rate: 0.20 }
+      ],
+      married_filing_separately: [
+        { upTo: 47025, rate: 0 },
+        { upTo: 291850, rate: 0.15 },
+        { upTo: null, rate: 0.20 }
+      ],
+      head_of_household: [
+        { upTo: 63000, rate: 0 },
+        { upTo: 551350, rate: 0.15 },
+        { upTo: null, rate: 0.20 }
+      ]
+    }
+  },
+  2025: {
+    version: '2025.2',
+    socialSecurityWageBase: 176100,
+    standardDeduction: {
+      single: 15750,
+      married_filing_jointly: 31500,
+      married_filing_separately: 15750,
+      head_of_household: 23625
+    },
+    itemized: {
+      medicalFloor: 0.075,
+      // Cap shrinks by 30% of AGI over the threshold, but not below the minimum
+      saltCap: {
+        default: 40000,
+        married_filing_separately: 20000
+      },
+      saltPhaseDown: {
+        threshold: { default: 500000, married_filing_separately: 250000 },
+        rate: 0.3,
+        minimumCap: { default: 10000, married_filing_separately: 5000 }
+      },
+      charitableLimits: { cash: 0.6, noncash: 0.3 }
+    },
+    brackets: {
+      single: [
+        { upTo: 11925, rate: 0.10 },
+        { upTo: 48475, rate: 0.12 },
+        { upTo: 103350, rate: 0.22 },
+        { upTo: 197300, rate: 0.24 },
+        { upTo: 250525, rate: 0.32 },
+        { upTo: 626350, rate: 0.35 },
+        { upTo: null, rate: 0.37 }
+      ],
+      married_filing_jointly: [
+        { upTo: 23850, rate: 0.10 },
+        { upTo: 96950, rate: 0.12 },
+        { upTo: 206700, rate: 0.22 },
+        { upTo: 394600, rate: 0.24 },
+        { upTo: 501050, rate: 0.32 },
+        { upTo: 751600, rate: 0.35 },
+        { upTo: null, rate: 0.37 }
+      ],
+      married_filing_separately: [
+        { upTo: 11925, rate: 0.10 },
+        { upTo: 48475, rate: 0.12 },
+        { upTo: 103350, rate: 0.22 },
+        { upTo: 197300, rate: 0.24 },
+        { upTo: 250525, rate: 0.32 },
+        { upTo: 375800, rate: 0.35 },
+        { upTo: null, rate: 0.37 }
+      ],
+      head_of_household: [
+        { upTo: 17000, rate: 0.10 },
+        { upTo: 64850, rate: 0.12 },
+        { upTo: 103350, rate: 0.22 },
+        { upTo: 197300, rate: 0.24 },
+        { upTo: 250500, rate: 0.32 },
+        { upTo: 626350, rate: 0.35 },
+        { upTo: null, rate: 0.37 }
+      ]
+    },
+    capitalGains: {
+      single: [
+        { upTo: 48350, rate: 0 },
+        { upTo: 533400, rate: 0.15 },
+        { upTo: null, rate: 0.20 }
+      ],
+      married_filing_jointly: [
+        { upTo: 96700, rate: 0 },
+        { upTo: 600050, rate: 0.15 },
+        { upTo: null, rate: 0.20 }
+      ],
+      married_filing_separately: [
+        { upTo: 48350, rate: 0 },
+        { upTo: 300000, rate: 0.15 },
+        { upTo: null, rate: 0.20 }
+      ],
+      head_of_household: [
+        { upTo: 64750, rate: 0 },
+        { upTo: 566700, rate: 0.15 },
+        { upTo: null, rate: 0.20 }
+      ]
+    }
+  }
+};
+
+// Budget transactions can be tagged with one of these to feed the
+// matching line of the itemized deduction worksheet
+const itemizedDeductionTypes = [
+  'medicalExpenses',
+  'stateLocalIncomeTax',
+  'realEstateTax',
+  'personalPropertyTax',
+  'mortgageInterest',
+  'charitableCash',
+  'charitableNoncash'
+];
+
+// Qualifying widow(er)s file with the married filing jointly figures
+const filingStatusAliases = {
+  qualifying_widow: 'married_filing_jointly'
+};
+
+// Maximum net capital loss that can offset ordinary income
+const capitalLossLimit = {
+  default: 3000,
+  married_filing_separately: 1500
+};
+
+// Return the table for a tax year, falling back to the closest year we have
+const getTaxTable = (taxYear) => {
+  const years = Object.keys(taxTables).map(Number).sort((a, b) => a - b);
+  let year = years.find(y => y === taxYear);
+
+  if (!year) {
+    year = taxYear < years[0] ? years[0] : years[years.length - 1];
+  }
+
+  return { year, ...taxTables[year] };
+};
+
+const resolveFilingStatus = (filingStatus) => {
+  return filingStatusAliases[filingStatus] || filingStatus;
+};
+
+module.exports = {
+  taxTables,
+  capitalLossLimit,
+  itemizedDeductionTypes,
+  getTaxTable,
+  resolveFilingStatus
+};
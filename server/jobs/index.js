@@ -0,0 +1,141 @@
+const { registerJob, startJobs, stopJobs } = require('./scheduler');
+const { runRollover } = require('../services/budgetRollover');
+const { runScheduledAlerts } = require('../services/budgetAlerts');
+const { runReviewTriggerSweep } = require('../services/estateReview');
+const { runGoalProgressSweep } = require('../services/goalProjection');
+const { runValuationSweep } = require('../services/portfolioValuation');
+const { runPayoutSchedule } = require('../services/payoutSchedule');
+const { runNetWorthSnapshots } = require('../services/netWorth');
+const { loadRateFile } = require('../services/exchangeRates');
+const { runKeyRotation } = require('../services/fieldEncryption');
+const EstatePlan = require('../models/EstatePlan');
+const Goal = require('../models/Goal');
+const InvestmentAccount = require('../models/InvestmentAccount');
+const PayoutStream = require('../models/PayoutStream');
+const TaxRecord = require('../models/TaxRecord');
+const User = require('../models/User');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Roll recurring budgets into their next period
+registerJob(
+  'budgetRollover',
+  Number(process.env.BUDGET_ROLLOVER_INTERVAL_MS) || HOUR_MS,
+  async () => {
+    const summary = await runRollover();
+    if (summary.created || summary.ended || summary.failed) {
+      console.log(`🔁 Budget rollover: ${summary.created} created, ${summary.ended} ended, ${summary.failed} failed`);
+    }
+    return summary;
+  }
+);
+
+// Sweep budgets for threshold alerts that were not triggered by a transaction
+registerJob(
+  'budgetAlerts',
+  Number(process.env.BUDGET_ALERT_INTERVAL_MS) || HOUR_MS,
+  async () => {
+    const summary = await runScheduledAlerts();
+    if (summary.alerted || summary.failed) {
+      console.log(`🔔 Budget alerts: ${summary.alerted} sent, ${summary.failed} failed`);
+    }
+    return summary;
+  }
+);
+
+// Flag estate plans for review on birthdays, stale documents and due dates
+registerJob(
+  'estateReviewTriggers',
+  Number(process.env.ESTATE_REVIEW_INTERVAL_MS) || DAY_MS,
+  async () => {
+    const summary = await runReviewTriggerSweep(EstatePlan);
+    if (summary.flagged || summary.failed) {
+      console.log(`📋 Estate review: ${summary.flagged} flagged, ${summary.failed} failed`);
+    }
+    return summary;
+  }
+);
+
+// Recalculate goal projections and alert on goals that fall off track
+registerJob(
+  'goalProgress',
+  Number(process.env.GOAL_PROGRESS_INTERVAL_MS) || DAY_MS,
+  async () => {
+    const summary = await runGoalProgressSweep(Goal);
+    if (summary.alerted || summary.failed) {
+      console.log(`🎯 Goal progress: ${summary.alerted} newly off track, ${summary.failed} failed`);
+    }
+    return summary;
+  }
+);
+
+// Load prices, value investment accounts and sync linked estate plans
+registerJob(
+  'investmentValuation',
+  Number(process.env.INVESTMENT_VALUATION_INTERVAL_MS) || DAY_MS,
+  async () => {
+    const summary = await runValuationSweep(InvestmentAccount);
+    if (summary.synced || summary.failed) {
+      console.log(`📈 Investment valuation: ${summary.valued} valued, ${summary.synced} synced, ${summary.failed} failed`);
+    }
+    return summary;
+  }
+);
+
+// Schedule expected payouts a year ahead and flag the ones that never arrived
+registerJob(
+  'payoutSchedule',
+  Number(process.env.PAYOUT_SCHEDULE_INTERVAL_MS) || DAY_MS,
+  async () => {
+    const summary = await runPayoutSchedule(PayoutStream);
+    if (summary.missed || summary.failed) {
+      console.log(`💵 Payouts: ${summary.created} scheduled, ${summary.missed} missed, ${summary.failed} failed`);
+    }
+    return summary;
+  }
+);
+
+// Record each user's net worth for the history charts
+registerJob(
+  'netWorthSnapshots',
+  Number(process.env.NET_WORTH_SNAPSHOT_INTERVAL_MS) || DAY_MS,
+  async () => {
+    const summary = await runNetWorthSnapshots(User);
+    if (summary.failed) {
+      console.log(`📊 Net worth snapshots: ${summary.users} recorded, ${summary.failed} failed`);
+    }
+    return summary;
+  }
+);
+
+// Pick up new rates from the local exchange-rate file
+registerJob(
+  'exchangeRates',
+  Number(process.env.EXCHANGE_RATE_INTERVAL_MS) || DAY_MS,
+  async () => {
+    const summary = await loadRateFile();
+    if (!summary.skipped) {
+      console.log(`💱 Exchange rates: ${summary.loaded} loaded, ${summary.errors.length} invalid`);
+    }
+    return summary;
+  }
+);
+
+// Re-encrypt sensitive fields still on an older key after a key rotation
+registerJob(
+  'encryptionKeyRotation',
+  Number(process.env.ENCRYPTION_ROTATION_INTERVAL_MS) || DAY_MS,
+  async () => {
+    const summary = await runKeyRotation([EstatePlan, TaxRecord]);
+    if (summary.reencrypted || summary.failed) {
+      console.log(`🔐 Key rotation: ${summary.reencrypted} re-encrypted with ${summary.keyId}, ${summary.failed} failed`);
+    }
+    return summary;
+  }
+);
+
+module.exports = {
+  startJobs,
+  stopJobs
+};
@@ -0,0 +1,95 @@
+// Minimal in-process job scheduler.
+// Jobs run on a fixed interval and never overlap with themselves, so a slow
+// run simply delays the next one instead of stacking up.
+
+const { runWithContext } = require('../utils/requestContext');
+
+const jobs = new Map();
+
+const registerJob = (name, intervalMs, handler, options = {}) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job "${name}" is already registered`);
+  }
+
+  jobs.set(name, {
+    name,
+    intervalMs,
+    handler,
+    runOnStart: options.runOnStart !== false,
+    timer: null,
+    running: false,
+    lastRunAt: null,
+    lastResult: null,
+    lastError: null
+  });
+};
+
+const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Job "${name}" is not registered`);
+  }
+
+  if (job.running) {
+    console.log(`⏭️  Job ${name} still running, skipping this tick`);
+    return null;
+  }
+
+  job.running = true;
+  try {
+    // Changes made by the job are attributed to it in the audit trail
+    job.lastResult = await runWithContext({ source: `job:${name}` }, () => job.handler());
+    job.lastError = null;
+    return job.lastResult;
+  } catch (error) {
+    job.lastError = error.message;
+    console.error(`❌ Job ${name} failed:`, error.message);
+    return null;
+  } finally {
+    job.running = false;
+    job.lastRunAt = new Date();
+  }
+};
+
+const startJobs = () => {
+  for (const job of jobs.values()) {
+    if (job.timer) continue;
+
+    job.timer = setInterval(() => runJob(job.name), job.intervalMs);
+    // Don't keep the process alive just for scheduled jobs
+    job.timer.unref();
+
+    if (job.runOnStart) {
+      runJob(job.name);
+    }
+  }
+  console.log(`⏰ Scheduled ${jobs.size} background job(s)`);
+};
+
+const stopJobs = () => {
+  for (const job of jobs.values()) {
+    if (job.timer) {
+      clearInterval(job.timer);
+      job.timer = null;
+    }
+  }
+};
+
+const getJobStatus = () => {
+  return Array.from(jobs.values()).map(job => ({
+    name: job.name,
+    intervalMs: job.intervalMs,
+    running: job.running,
+    lastRunAt: job.lastRunAt,
+    lastResult: job.lastResult,
+    lastError: job.lastError
+  }));
+};
+
+module.exports = {
+  registerJob,
+  runJob,
+  startJobs,
+  stopJobs,
+  getJobStatus
+};
@@ -0,0 +1,44 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/ErrorResponse');
+
+// Require a valid bearer access token and expose the caller as req.user
+const protect = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return next(new ErrorResponse('Not authorized', 401));
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.id);
+
+    if (!user) {
+      return next(new ErrorResponse('Not authorized', 401));
+    }
+    // Tokens issued before a password change are no longer valid
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return next(new ErrorResponse('Password changed recently. Please log in again', 401));
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(new ErrorResponse('Not authorized', 401));
+  }
+};
+
+// Restrict a route to the given user roles
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return next(new ErrorResponse(`Role ${req.user ? req.user.role : 'guest'} is not allowed to access this route`, 403));
+  }
+  next();
+};
+
+module.exports = {
+  protect,
+  authorize
+};
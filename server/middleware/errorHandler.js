@@ -0,0 +1,59 @@
+// Global error handler. Every error leaves the API in the same envelope:
+// { success: false, error: { message, ... } }
+const errorHandler = (err, req, res, next) => {
+  let statusCode = err.statusCode || 500;
+  const error = { message: err.message || 'Server error' };
+
+  if (err.details) {
+    error.details = err.details;
+  }
+
+  // Mongoose validation errors, listed field by field
+  if (err.name === 'ValidationError' && err.errors) {
+    statusCode = 400;
+    error.message = 'Validation failed';
+    error.fields = Object.values(err.errors).map(fieldError => ({
+      field: fieldError.path,
+      message: fieldError.message
+    }));
+  }
+
+  // Malformed ObjectId in a route parameter or query
+  if (err.name === 'CastError') {
+    statusCode = 400;
+    error.message = `Invalid value for ${err.path}`;
+  }
+
+  // Duplicate key
+  if (err.code === 11000) {
+    statusCode = 409;
+    error.message = 'Duplicate record';
+    error.fields = Object.keys(err.keyValue || {}).map(field => ({
+      field,
+      message: `${field} already exists`
+    }));
+  }
+
+  if (err.name === 'JsonWebTokenError' || err.name === 'TokenExpiredError') {
+    statusCode = 401;
+    error.message = 'Not authorized';
+  }
+
+  if (err.message === 'Not allowed by CORS') {
+    statusCode = 403;
+  }
+
+  if (statusCode >= 500) {
+    console.error(`${req.method} ${req.path} -`, err);
+    if (process.env.NODE_ENV === 'production') {
+      error.message = 'Server error';
+    }
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    error
+  });
+};
+
+module.exports = errorHandler;
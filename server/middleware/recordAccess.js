@@ -0,0 +1,37 @@
+const Household = require('../models/Household');
+const asyncHandler = require('./asyncHandler');
+
+const WRITE_ROLES = ['owner', 'editor'];
+
+// Work out which Budget/EstatePlan/TaxRecord/Liability documents the caller may see
+// and change, and expose query filters for them as req.access. Records are
+// the caller's own, or shared with one of their households; viewers can
+// read shared records and editors and owners can also change them.
+// Must run after protect.
+const loadRecordAccess = asyncHandler(async (req, res, next) => {
+  const userId = req.user._id;
+  const households = await Household.forUser(userId);
+
+  const readable = households.map(h => h._id);
+  const writable = households
+    .filter(h => WRITE_ROLES.includes(h.roleOf(userId)))
+    .map(h => h._id);
+
+  const filterFor = (ids) => (ids.length > 0
+    ? { $or: [{ userId }, { householdId: { $in: ids } }] }
+    : { userId });
+
+  req.access = {
+    households,
+    // Query filter for records the caller may read ('read') or change ('write')
+    filter: (mode = 'read') => filterFor(mode === 'write' ? writable : readable),
+    // Only the record's creator can delete it or change who it is shared with
+    isOwner: (record) => String(record.userId) === String(userId)
+  };
+
+  next();
+});
+
+module.exports = {
+  loadRecordAccess
+};
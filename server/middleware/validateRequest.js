@@ -0,0 +1,36 @@
+const { schemaFor, validate } = require('../utils/openApi');
+
+// Validate req.body against a Mongoose schema before the handler runs.
+//
+//   router.post('/:id/transactions',
+//     validateBody('BudgetTransaction', Budget.schema.path('transactions').schema), ...)
+//
+// `name` is the component the body is listed under in the OpenAPI document.
+// { partial: true } requires nothing, for updates; { field: 'changes' } checks
+// req.body.changes instead of the whole body. Invalid requests get a 400 in
+// the usual error envelope, listing the problems field by field.
+const validateBody = (name, mongooseSchema, { partial = false, field } = {}) => {
+  const fieldSchema = schemaFor(mongooseSchema, { partial });
+  const schema = field
+    ? { type: 'object', properties: { [field]: fieldSchema }, required: [field] }
+    : fieldSchema;
+
+  const middleware = (req, res, next) => {
+    const errors = validate(schema, req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          fields: errors
+        }
+      });
+    }
+    next();
+  };
+  middleware.openApi = { name, schema };
+
+  return middleware;
+};
+
+module.exports = { validateBody };
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Daily value of an investment account, used for performance returns
+const accountValuationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InvestmentAccount',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  marketValue: {
+    type: Number,
+    required: true
+  },
+  cashBalance: {
+    type: Number,
+    default: 0
+  },
+  totalValue: {
+    type: Number,
+    required: true
+  },
+  costBasis: Number,
+  // Symbols valued at cost because no price was available
+  unpricedSymbols: [String]
+}, {
+  timestamps: true
+});
+
+// One valuation per account per day
+accountValuationSchema.index({ accountId: 1, date: 1 }, { unique: true });
+accountValuationSchema.index({ userId: 1, date: 1 });
+
+module.exports = mongoose.model('AccountValuation', accountValuationSchema);
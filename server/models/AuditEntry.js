@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// One change to an audited record, written by the auditTrail plugin. The
+// collection is append-only: entries are never updated or deleted, so a
+// record's entries replayed backwards from its current state give any
+// earlier version of it.
+const auditEntrySchema = new mongoose.Schema({
+  modelName: {
+    type: String,
+    required: true
+  },
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // The record's owner when the change was made, so history stays
+  // reachable after the record is deleted
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'restore'],
+    required: true
+  },
+  // Null for changes made by background jobs
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Route pattern such as 'PUT /api/estate/:id', or 'job:<name>'
+  route: String,
+  changes: [{
+    _id: false,
+    path: {
+      type: String,
+      required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+    // Values of encrypted fields are stored encrypted
+    encrypted: {
+      type: Boolean,
+      default: false
+    }
+  }]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+auditEntrySchema.index({ modelName: 1, documentId: 1, createdAt: 1 });
+auditEntrySchema.index({ ownerId: 1, createdAt: -1 });
+
+// Entries can be added but never changed
+auditEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit entries cannot be modified'));
+  }
+  next();
+});
+
+auditEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: true, query: true },
+  function(next) {
+    next(new Error('Audit entries cannot be modified or deleted'));
+  }
+);
+
+// Static method to list a record's entries, oldest first
+auditEntrySchema.statics.forDocument = function(modelName, documentId) {
+  return this.find({ modelName, documentId }).sort({ createdAt: 1, _id: 1 });
+};
+
+module.exports = mongoose.model('AuditEntry', auditEntrySchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { evaluateBudget } = require('../services/budgetAlerts');
+const { itemizedDeductionTypes } = require('../config/taxTables');
+const auditTrail = require('./plugins/auditTrail');
 
 const budgetSchema = new mongoose.Schema({
   userId: {
@@ -6,6 +9,11 @@ const budgetSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Set when the record is shared with a household
+  householdId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Household'
+  },
   name: {
     type: String,
     required: [true, 'Budget name is required'],
@@ -32,6 +40,14 @@ const budgetSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Actual amount cannot be negative']
   },
+  // Base currency; every transaction amount is stored in it
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a three-letter ISO code'],
+    default: 'USD'
+  },
   period: {
     type: String,
     enum: ['weekly', 'monthly', 'quarterly', 'yearly'],
@@ -95,6 +111,46 @@ const budgetSchema = new mongoose.Schema({
     notes: {
       type: String,
       maxlength: 300
+    },
+    // Itemized deduction line the expense counts toward, if any
+    taxDeduction: {
+      type: String,
+      enum: itemizedDeductionTypes
+    },
+    // Currency the transaction was made in. When it differs from the
+    // budget's, `amount` is the converted value and the original is kept.
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, 'Currency must be a three-letter ISO code']
+    },
+    originalAmount: {
+      type: Number,
+      min: 0
+    },
+    exchangeRate: Number,
+    exchangeRateDate: Date,
+    // Set on the parts of a transaction split across categories or budgets
+    splitId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TransactionSplit'
+    },
+    // Set on the payer's own share of a household shared expense
+    sharedExpenseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SharedExpense'
+    },
+    // Set on income posted from a received payout
+    payoutId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payout'
+    },
+    // Bank-provided id (OFX FITID) or row fingerprint for imported transactions
+    externalId: String,
+    importBatchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ImportBatch'
     }
   }],
   alerts: {
@@ -128,7 +184,24 @@ const budgetSchema = new mongoose.Schema({
       enum: ['weekly', 'monthly', 'quarterly', 'yearly']
     },
     endDate: Date,
-    nextDueDate: Date
+    nextDueDate: Date,
+    carryOverRemaining: {
+      type: Boolean,
+      default: false
+    },
+    rolledOverFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Budget'
+    },
+    rolledOverTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Budget'
+    }
+  },
+  carriedOverAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Carried over amount cannot be negative']
   }
 }, {
   timestamps: true,
@@ -140,7 +213,16 @@ const budgetSchema = new mongoose.Schema({
 budgetSchema.index({ userId: 1, year: -1, month: -1 });
 budgetSchema.index({ userId: 1, category: 1 });
 budgetSchema.index({ userId: 1, status: 1 });
+budgetSchema.index({ householdId: 1 }, { sparse: true });
+budgetSchema.index({ userId: 1, period: 1, year: -1 });
+budgetSchema.index({ userId: 1, 'transactions.date': -1 });
+budgetSchema.index({ userId: 1, tags: 1 });
 budgetSchema.index({ 'recurringSettings.nextDueDate': 1 });
+// A budget can only ever be rolled over once, which keeps rollover runs idempotent
+budgetSchema.index(
+  { 'recurringSettings.rolledOverFrom': 1 },
+  { unique: true, partialFilterExpression: { 'recurringSettings.rolledOverFrom': { $exists: true } } }
+);
 
 // Virtual for remaining amount
 budgetSchema.virtual('remainingAmount').get(function() {
@@ -162,15 +244,24 @@ budgetSchema.virtual('usageStatus').get(function() {
   return 'good';
 });
 
-// Virtual for total transaction amount
+// Virtual for total transaction amount. Posted payouts are reported in
+// payoutIncome instead of offsetting spending.
 budgetSchema.virtual('totalTransactions').get(function() {
   return this.transactions.reduce((total, transaction) => {
+    if (transaction.payoutId) return total;
     return transaction.type === 'expense' 
       ? total + transaction.amount 
       : total - transaction.amount;
   }, 0);
 });
 
+// Virtual for income posted from payout streams
+budgetSchema.virtual('payoutIncome').get(function() {
+  return this.transactions.reduce((total, transaction) => {
+    return transaction.payoutId ? total + transaction.amount : total;
+  }, 0);
+});
+
 // Pre-save middleware to set period-specific fields
 budgetSchema.pre('save', function(next) {
   const now = new Date();
@@ -227,8 +318,21 @@ budgetSchema.pre('save', function(next) {
 
 // Method to add transaction
 budgetSchema.methods.addTransaction = function(transactionData) {
-  this.transactions.push(transactionData);
-  return this.save();
+  return this.addTransactions([transactionData]);
+};
+
+// Method to add several transactions in a single save, then check whether
+// the new total needs an alert
+budgetSchema.methods.addTransactions = async function(transactions) {
+  this.transactions.push(...transactions);
+  const budget = await this.save();
+
+  // Alert delivery must never fail the transaction itself
+  evaluateBudget(budget).catch(error => {
+    console.error(`Budget alert for ${budget._id} failed:`, error.message);
+  });
+
+  return budget;
 };
 
 // Method to check if alert should be sent
@@ -255,12 +359,16 @@ budgetSchema.statics.findNeedingAlerts = function() {
   }).where('actualAmount').gte(0);
 };
 
-// Static method to find overdue recurring budgets
+// Static method to find overdue recurring budgets that have not been rolled over yet
 budgetSchema.statics.findOverdueRecurring = function() {
   return this.find({
     'recurringSettings.isRecurring': true,
-    'recurringSettings.nextDueDate': { $lte: new Date() }
+    'recurringSettings.nextDueDate': { $lte: new Date() },
+    'recurringSettings.rolledOverTo': { $exists: false }
   });
 };
 
+// Record every change in the audit trail
+budgetSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Budget', budgetSchema);
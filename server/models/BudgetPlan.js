@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const { advanceDate, getPeriodFields, getPeriodStart } = require('../utils/budgetPeriods');
+const auditTrail = require('./plugins/auditTrail');
+
+const PERIOD_FIELDS = {
+  weekly: ['year', 'week'],
+  monthly: ['year', 'month'],
+  quarterly: ['year', 'quarter'],
+  yearly: ['year']
+};
+
+// How a user runs their budgets for one period. In 'standard' mode each
+// budget is an independent limit. In 'zero_based' mode every dollar of the
+// period's income is meant to be assigned to a budget. In 'envelope' mode
+// money moves between budgets through recorded transfers and overspending
+// one envelope is carried as a debt against the rest.
+const budgetPlanSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  mode: {
+    type: String,
+    enum: ['standard', 'zero_based', 'envelope'],
+    default: 'standard'
+  },
+  period: {
+    type: String,
+    enum: ['weekly', 'monthly', 'quarterly', 'yearly'],
+    default: 'monthly'
+  },
+  year: {
+    type: Number,
+    min: [2000, 'Year must be 2000 or later']
+  },
+  month: {
+    type: Number,
+    min: [1, 'Month must be between 1 and 12'],
+    max: [12, 'Month must be between 1 and 12']
+  },
+  week: {
+    type: Number,
+    min: [1, 'Week must be between 1 and 53'],
+    max: [53, 'Week must be between 1 and 53']
+  },
+  quarter: {
+    type: Number,
+    min: [1, 'Quarter must be between 1 and 4'],
+    max: [4, 'Quarter must be between 1 and 4']
+  },
+  // Income to assign in zero-based mode. When unset, the income actually
+  // received during the period is used.
+  expectedIncome: {
+    type: Number,
+    min: [0, 'Expected income cannot be negative']
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// One plan per user per period
+budgetPlanSchema.index({ userId: 1, period: 1, year: 1, month: 1, quarter: 1, week: 1 }, { unique: true });
+
+// Virtual for the first day of the period
+budgetPlanSchema.virtual('periodStart').get(function() {
+  return getPeriodStart(this.period, this);
+});
+
+// Virtual for the first day after the period
+budgetPlanSchema.virtual('periodEnd').get(function() {
+  return advanceDate(this.periodStart, this.period);
+});
+
+// Pre-validate middleware to default the period fields to the current
+// period and drop fields that do not belong to the period type
+budgetPlanSchema.pre('validate', function(next) {
+  const current = getPeriodFields(this.period, new Date());
+  const fields = PERIOD_FIELDS[this.period];
+
+  for (const field of ['year', 'month', 'quarter', 'week']) {
+    if (!fields.includes(field)) {
+      this[field] = undefined;
+    } else if (!this[field]) {
+      this[field] = current[field];
+    }
+  }
+  next();
+});
+
+// Method to get the query for the budgets this plan covers
+budgetPlanSchema.methods.budgetFilter = function() {
+  return PERIOD_FIELDS[this.period].reduce((filter, field) => ({
+    ...filter,
+    [field]: this[field]
+  }), { userId: this.userId, period: this.period });
+};
+
+// Record every change in the audit trail
+budgetPlanSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('BudgetPlan', budgetPlanSchema);
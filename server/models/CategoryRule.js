@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const Budget = require('./Budget');
+const auditTrail = require('./plugins/auditTrail');
+
+const BUDGET_CATEGORIES = Budget.schema.path('category').enumValues;
+
+// User-defined rule that assigns imported transactions to a budget category
+const categoryRuleSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  category: {
+    type: String,
+    required: [true, 'Rule category is required'],
+    enum: BUDGET_CATEGORIES
+  },
+  field: {
+    type: String,
+    enum: ['description', 'amount'],
+    default: 'description'
+  },
+  operator: {
+    type: String,
+    enum: ['contains', 'equals', 'starts_with', 'regex', 'gt', 'gte', 'lt', 'lte', 'between'],
+    default: 'contains'
+  },
+  value: {
+    type: String,
+    required: [true, 'Rule value is required'],
+    maxlength: [200, 'Rule value cannot exceed 200 characters']
+  },
+  // Upper bound for the "between" operator
+  valueMax: Number,
+  transactionType: {
+    type: String,
+    enum: ['expense', 'income', 'any'],
+    default: 'any'
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+categoryRuleSchema.index({ userId: 1, enabled: 1, priority: -1 });
+
+categoryRuleSchema.pre('validate', function(next) {
+  if (this.field === 'amount') {
+    if (!['equals', 'gt', 'gte', 'lt', 'lte', 'between'].includes(this.operator)) {
+      this.invalidate('operator', 'Amount rules must use equals, gt, gte, lt, lte or between');
+    } else if (Number.isNaN(Number(this.value))) {
+      this.invalidate('value', 'Amount rules need a numeric value');
+    } else if (this.operator === 'between' && (this.valueMax === undefined || this.valueMax < Number(this.value))) {
+      this.invalidate('valueMax', 'Between rules need a valueMax at least as large as value');
+    }
+  } else if (!['contains', 'equals', 'starts_with', 'regex'].includes(this.operator)) {
+    this.invalidate('operator', 'Description rules must use contains, equals, starts_with or regex');
+  } else if (this.operator === 'regex') {
+    try {
+      new RegExp(this.value, 'i');
+    } catch (error) {
+      this.invalidate('value', 'Rule value is not a valid regular expression');
+    }
+  }
+  next();
+});
+
+// Method to test a normalized transaction against the rule
+categoryRuleSchema.methods.matches = function(transaction) {
+  if (!this.enabled) return false;
+  if (this.transactionType !== 'any' && this.transactionType !== transaction.type) return false;
+
+  if (this.field === 'amount') {
+    const amount = transaction.amount;
+    const value = Number(this.value);
+    switch (this.operator) {
+      case 'equals': return amount === value;
+      case 'gt': return amount > value;
+      case 'gte': return amount >= value;
+      case 'lt': return amount < value;
+      case 'lte': return amount <= value;
+      case 'between': return amount >= value && amount <= this.valueMax;
+      default: return false;
+    }
+  }
+
+  const description = (transaction.description || '').toLowerCase();
+  const value = this.value.toLowerCase();
+  switch (this.operator) {
+    case 'contains': return description.includes(value);
+    case 'equals': return description === value;
+    case 'starts_with': return description.startsWith(value);
+    case 'regex': return new RegExp(this.value, 'i').test(transaction.description || '');
+    default: return false;
+  }
+};
+
+// Record every change in the audit trail
+categoryRuleSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('CategoryRule', categoryRuleSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// An append-only record of money moved between budgets in a plan. Transfers
+// are never edited or deleted; undoing one records a reversal. A missing
+// fromBudgetId means the money came from the plan's unassigned income, and a
+// missing toBudgetId that it went back there.
+const envelopeTransferSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  planId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BudgetPlan',
+    required: true
+  },
+  fromBudgetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Budget'
+  },
+  toBudgetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Budget'
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be greater than zero']
+  },
+  reason: {
+    type: String,
+    enum: ['reallocation', 'cover_overspending', 'assignment', 'reversal'],
+    default: 'reallocation'
+  },
+  note: {
+    type: String,
+    maxlength: [300, 'Note cannot exceed 300 characters']
+  },
+  reversalOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EnvelopeTransfer'
+  },
+  reversedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EnvelopeTransfer'
+  }
+}, {
+  timestamps: true
+});
+
+// Pre-validate middleware to make sure money moves somewhere
+envelopeTransferSchema.pre('validate', function(next) {
+  if (!this.fromBudgetId && !this.toBudgetId) {
+    this.invalidate('toBudgetId', 'A transfer needs a source or destination budget');
+  }
+  next();
+});
+
+// Index for better query performance
+envelopeTransferSchema.index({ planId: 1, createdAt: -1 });
+envelopeTransferSchema.index({ fromBudgetId: 1 });
+envelopeTransferSchema.index({ toBudgetId: 1 });
+
+module.exports = mongoose.model('EnvelopeTransfer', envelopeTransferSchema);
@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const { estimateEstateTax } = require('../services/estateTaxEstimator');
+const { checkAllocations, simulateDistribution } = require('../services/beneficiaryAllocation');
+const { applyReviewTriggers, completeReview } = require('../services/estateReview');
+const encryptedFields = require('./plugins/encryptedFields');
+const auditTrail = require('./plugins/auditTrail');
 
 const estatePlanSchema = new mongoose.Schema({
   userId: {
@@ -6,6 +11,11 @@ const estatePlanSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Set when the record is shared with a household
+  householdId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Household'
+  },
   planName: {
     type: String,
     required: [true, 'Plan name is required'],
@@ -35,6 +45,12 @@ const estatePlanSchema = new mongoose.Schema({
     },
     location: String,
     accountNumber: String,
+    // Kept current from a linked investment account
+    investmentAccountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InvestmentAccount'
+    },
+    lastSyncedAt: Date,
     beneficiaries: [{
       name: { type: String, required: true },
       relationship: String,
@@ -117,7 +133,7 @@ const estatePlanSchema = new mongoose.Schema({
   documents: [{
     type: {
       type: String,
-      enum: ['will', 'trust', 'power_of_attorney', 'healthcare_directive', 'beneficiary_designation', 'other'],
+      enum: ['will', 'trust', 'power_of_attorney', 'healthcare_directive', 'guardianship_nomination', 'beneficiary_designation', 'other'],
       required: true
     },
     name: {
@@ -131,7 +147,11 @@ const estatePlanSchema = new mongoose.Schema({
       type: String,
       enum: ['draft', 'executed', 'needs_update'],
       default: 'draft'
-    }
+    },
+    // Set for documents rendered from a template by the app
+    generated: { type: Boolean, default: false },
+    templateVersion: String,
+    filePath: String
   }],
   totalEstateValue: {
     type: Number,
@@ -141,8 +161,65 @@ const estatePlanSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Two-letter state code used for state estate/inheritance tax
+  domicileState: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{2}$/, 'Domicile state must be a two-letter state code']
+  },
+  taxEstimate: {
+    year: Number,
+    federalTableVersion: String,
+    stateTableVersion: String,
+    grossEstate: Number,
+    excludedValue: Number,
+    maritalDeduction: Number,
+    charitableDeduction: Number,
+    taxableEstate: Number,
+    federalTax: Number,
+    stateTax: Number,
+    calculatedAt: Date
+  },
   lastReviewDate: Date,
   nextReviewDate: Date,
+  reviewSettings: {
+    // Percent change in estate value that calls for a review
+    valueChangeThreshold: {
+      type: Number,
+      min: [0, 'Threshold cannot be negative']
+    },
+    documentMaxAgeYears: {
+      type: Number,
+      min: [1, 'Document age must be at least 1 year']
+    }
+  },
+  review: {
+    baselineEstateValue: Number,
+    previousStatus: String,
+    reasons: [{
+      code: {
+        type: String,
+        enum: ['coming_of_age', 'estate_value_change', 'asset_without_beneficiaries', 'stale_document', 'scheduled_review'],
+        required: true
+      },
+      key: { type: String, required: true },
+      message: String,
+      detectedAt: { type: Date, default: Date.now },
+      resolvedAt: Date
+    }],
+    checklist: [{
+      key: String,
+      item: { type: String, required: true },
+      completed: { type: Boolean, default: false },
+      completedAt: Date
+    }],
+    history: [{
+      completedAt: Date,
+      reasons: [String],
+      checklist: [String]
+    }]
+  },
   status: {
     type: String,
     enum: ['draft', 'in_progress', 'completed', 'needs_update'],
@@ -172,6 +249,7 @@ const estatePlanSchema = new mongoose.Schema({
 
 // Index for better query performance
 estatePlanSchema.index({ userId: 1 });
+estatePlanSchema.index({ householdId: 1 }, { sparse: true });
 estatePlanSchema.index({ status: 1 });
 estatePlanSchema.index({ nextReviewDate: 1 });
 
@@ -180,30 +258,112 @@ estatePlanSchema.virtual('calculatedEstateValue').get(function() {
   return this.assets.reduce((total, asset) => total + (asset.estimatedValue || 0), 0);
 });
 
-// Pre-save middleware to update total estate value
+// Primary and contingent shares must each add up to 100%. Only designations
+// this save adds or edits are held to it, so plans left incomplete can still
+// be reviewed, synced with accounts and otherwise updated.
+estatePlanSchema.pre('validate', function(next) {
+  const changed = this.directModifiedPaths();
+  const edited = (path) => this.isNew || changed.some(p => p === path || p.startsWith(`${path}.`));
+
+  for (const issue of checkAllocations(this)) {
+    const path = issue.scope === 'asset'
+      ? `assets.${issue.index}.beneficiaries`
+      : 'beneficiaries';
+    if (edited(path) || (issue.scope === 'asset' && this.assets[issue.index].isNew)) {
+      this.invalidate(path, issue.message);
+    }
+  }
+  next();
+});
+
+// Pre-save middleware to update total estate value and estimated tax
 estatePlanSchema.pre('save', function(next) {
   this.totalEstateValue = this.calculatedEstateValue;
+
+  const estimate = estimateEstateTax(this);
+  this.estimatedTaxLiability = estimate.totalTax;
+  this.taxEstimate = {
+    year: estimate.year,
+    federalTableVersion: estimate.federalTableVersion,
+    stateTableVersion: estimate.stateTableVersion,
+    grossEstate: estimate.grossEstate,
+    excludedValue: estimate.excludedValue,
+    maritalDeduction: estimate.maritalDeduction,
+    charitableDeduction: estimate.charitableDeduction,
+    taxableEstate: estimate.taxableEstate,
+    federalTax: estimate.federalTax,
+    stateTax: estimate.stateTax,
+    calculatedAt: new Date()
+  };
   
   // Set next review date if not set (1 year from now)
   if (!this.nextReviewDate) {
     this.nextReviewDate = new Date();
     this.nextReviewDate.setFullYear(this.nextReviewDate.getFullYear() + 1);
   }
+
+  // Estate value changes are measured against the value at the last review
+  if (this.review.baselineEstateValue === undefined) {
+    this.review.baselineEstateValue = this.totalEstateValue;
+  }
+  applyReviewTriggers(this);
   
   next();
 });
 
 // Method to check if plan needs review
 estatePlanSchema.methods.needsReview = function() {
-  return this.nextReviewDate && this.nextReviewDate <= new Date();
+  if (this.status === 'needs_update') return true;
+  return Boolean(this.nextReviewDate && this.nextReviewDate <= new Date());
+};
+
+// Method to check for life events that call for a review; returns new reasons
+estatePlanSchema.methods.checkReviewTriggers = function() {
+  return applyReviewTriggers(this);
+};
+
+// Method to close the open review once its checklist is complete
+estatePlanSchema.methods.completeReview = function() {
+  return completeReview(this);
+};
+
+// Method to get the full estate tax breakdown, optionally for another year or state
+estatePlanSchema.methods.estimateTax = function(options) {
+  return estimateEstateTax(this, options);
+};
+
+// Method to report allocation problems without saving
+estatePlanSchema.methods.checkAllocations = function() {
+  return checkAllocations(this);
+};
+
+// Method to simulate the distribution if some beneficiaries have predeceased
+estatePlanSchema.methods.simulateDistribution = function(predeceased) {
+  return simulateDistribution(this, predeceased);
 };
 
 // Static method to find plans needing review
 estatePlanSchema.statics.findNeedingReview = function() {
   return this.find({
-    nextReviewDate: { $lte: new Date() },
-    status: { $ne: 'draft' }
+    status: { $ne: 'draft' },
+    $or: [
+      { nextReviewDate: { $lte: new Date() } },
+      { status: 'needs_update' }
+    ]
   });
 };
 
+// Encrypt account numbers and beneficiaries' personal details at rest
+estatePlanSchema.plugin(encryptedFields, {
+  fields: [
+    { path: 'assets.accountNumber', mask: 'last4' },
+    { path: 'beneficiaries.dateOfBirth' },
+    { path: 'beneficiaries.address' },
+    { path: 'beneficiaries.contactInfo', mask: 'contact' }
+  ]
+});
+
+// Record every change in the audit trail
+estatePlanSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('EstatePlan', estatePlanSchema);
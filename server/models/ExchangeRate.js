@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// How many units of `quote` one unit of `base` bought on a day. Rates from
+// the local rate file are shared; manual entries belong to the user who
+// entered them and take precedence for that user.
+const exchangeRateSchema = new mongoose.Schema({
+  base: {
+    type: String,
+    required: [true, 'Base currency is required'],
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a three-letter ISO code']
+  },
+  quote: {
+    type: String,
+    required: [true, 'Quote currency is required'],
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a three-letter ISO code']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Rate date is required']
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0, 'Rate cannot be negative']
+  },
+  source: {
+    type: String,
+    enum: ['file', 'manual'],
+    default: 'manual'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One shared rate and one rate per user for each pair and day
+exchangeRateSchema.index({ base: 1, quote: 1, date: -1, userId: -1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+// Per-user inputs to the cash-flow forecast that are not in any budget
+const forecastSettingsSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Cash on hand the forecast starts from
+  startingBalance: {
+    type: Number,
+    default: 0
+  },
+  balanceAsOf: Date,
+  // Months whose balance drops below this are flagged
+  cashFloor: {
+    type: Number,
+    default: 0,
+    min: [0, 'Cash floor cannot be negative']
+  },
+  // Months of transactions used to learn spending patterns
+  historyMonths: {
+    type: Number,
+    default: 6,
+    min: [1, 'History must cover at least 1 month'],
+    max: [24, 'History cannot cover more than 24 months']
+  },
+  // Known future items such as a tax bill or a bonus
+  oneOffItems: [{
+    description: {
+      type: String,
+      required: [true, 'Description is required'],
+      maxlength: 200
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+      min: [0, 'Amount cannot be negative']
+    },
+    type: {
+      type: String,
+      enum: ['expense', 'income'],
+      default: 'expense'
+    },
+    date: {
+      type: Date,
+      required: [true, 'Date is required']
+    },
+    category: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Static method to get a user's settings, or unsaved defaults
+forecastSettingsSchema.statics.forUser = async function(userId) {
+  const settings = await this.findOne({ userId });
+  return settings || new this({ userId });
+};
+
+// Record every change in the audit trail
+forecastSettingsSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('ForecastSettings', forecastSettingsSchema);
@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const { FUNDING_CATEGORIES, collectContributions, projectGoal } = require('../services/goalProjection');
+const auditTrail = require('./plugins/auditTrail');
+
+const goalSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Goal name is required'],
+    trim: true,
+    maxlength: [200, 'Goal name cannot exceed 200 characters']
+  },
+  goalType: {
+    type: String,
+    required: [true, 'Goal type is required'],
+    enum: [
+      'retirement', 'college', 'emergency_fund', 'home_purchase',
+      'vehicle', 'vacation', 'debt_payoff', 'major_purchase', 'other'
+    ]
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  targetAmount: {
+    type: Number,
+    required: [true, 'Target amount is required'],
+    min: [1, 'Target amount must be at least 1']
+  },
+  targetDate: {
+    type: Date,
+    required: [true, 'Target date is required']
+  },
+  startDate: {
+    type: Date,
+    default: Date.now
+  },
+  // Amount already saved before contributions were tracked
+  startingAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Starting amount cannot be negative']
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'achieved', 'paused', 'cancelled'],
+    default: 'active'
+  },
+  achievedAt: Date,
+  // Budgets whose transactions fund this goal. A source either names a
+  // single budget or every budget in a category; allocationPercent splits a
+  // budget between several goals.
+  fundingSources: [{
+    _id: false,
+    category: {
+      type: String,
+      required: true,
+      enum: FUNDING_CATEGORIES
+    },
+    budgetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Budget'
+    },
+    allocationPercent: {
+      type: Number,
+      min: [1, 'Allocation must be between 1 and 100 percent'],
+      max: [100, 'Allocation must be between 1 and 100 percent'],
+      default: 100
+    }
+  }],
+  projection: {
+    currentAmount: {
+      type: Number,
+      default: 0
+    },
+    remainingAmount: Number,
+    percentComplete: {
+      type: Number,
+      default: 0
+    },
+    averageMonthlyContribution: Number,
+    requiredMonthlyContribution: Number,
+    monthlyShortfall: Number,
+    projectedCompletionDate: Date,
+    monthsRemaining: Number,
+    onTrack: Boolean,
+    offTrackReasons: [{
+      type: String,
+      enum: ['past_target_date', 'no_recent_contributions', 'projected_after_target_date']
+    }],
+    calculatedAt: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for better query performance
+goalSchema.index({ userId: 1, status: 1 });
+goalSchema.index({ userId: 1, 'projection.onTrack': 1 });
+
+// Virtual for whether the goal is flagged as off track
+goalSchema.virtual('isOffTrack').get(function() {
+  return this.status === 'active' && this.projection.onTrack === false;
+});
+
+// Target date must come after the goal starts; a budget can only fund a goal once
+goalSchema.pre('validate', function(next) {
+  if (this.targetDate && this.startDate && this.targetDate <= this.startDate) {
+    this.invalidate('targetDate', 'Target date must be after the start date');
+  }
+
+  const keys = this.fundingSources.map(s => (s.budgetId ? String(s.budgetId) : s.category));
+  if (new Set(keys).size !== keys.length) {
+    this.invalidate('fundingSources', 'Each budget or category can only be linked to a goal once');
+  }
+  next();
+});
+
+// Pre-save middleware to mark goals achieved once the target is reached
+goalSchema.pre('save', function(next) {
+  if (this.status === 'active' && this.projection.calculatedAt && this.projection.remainingAmount === 0) {
+    this.status = 'achieved';
+    this.achievedAt = new Date();
+  }
+  next();
+});
+
+// Method to recalculate progress from the linked budgets
+goalSchema.methods.refreshProjection = async function(now = new Date()) {
+  const contributions = await collectContributions(this);
+  this.projection = projectGoal(this, contributions, now);
+  return { projection: this.projection, contributions };
+};
+
+// Static method to find a user's off-track goals
+goalSchema.statics.findOffTrack = function(userId) {
+  return this.find({ userId, status: 'active', 'projection.onTrack': false });
+};
+
+// Record every change in the audit trail. Projections are recalculated
+// every day and can always be derived again, so they are left out.
+goalSchema.plugin(auditTrail, { exclude: ['projection'] });
+
+module.exports = mongoose.model('Goal', goalSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+// A group of users (typically spouses) who share budgets, estate plans,
+// tax records and liabilities. Records opt in by setting their householdId.
+const householdSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Household name is required'],
+    trim: true,
+    maxlength: [100, 'Household name cannot exceed 100 characters']
+  },
+  // Shared expenses are converted into this currency for the balances
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a three-letter ISO code'],
+    default: 'USD'
+  },
+  members: [{
+    _id: false,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['owner', 'editor', 'viewer'],
+      default: 'viewer'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+householdSchema.index({ 'members.userId': 1 });
+
+// Every household keeps at least one owner
+householdSchema.pre('validate', function(next) {
+  if (!this.members.some(member => member.role === 'owner')) {
+    this.invalidate('members', 'A household needs at least one owner');
+  }
+  const ids = this.members.map(member => String(member.userId));
+  if (new Set(ids).size !== ids.length) {
+    this.invalidate('members', 'A user can only be added to a household once');
+  }
+  next();
+});
+
+// Method to get a member's role, or null if they are not a member
+householdSchema.methods.roleOf = function(userId) {
+  const member = this.members.find(m => String(m.userId) === String(userId));
+  return member ? member.role : null;
+};
+
+// Static method to list households a user belongs to
+householdSchema.statics.forUser = function(userId) {
+  return this.find({ 'members.userId': userId });
+};
+
+// Record every change in the audit trail
+householdSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('Household', householdSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// A parsed statement file waiting for review, kept until it is committed
+// or discarded so the preview and the commit work on the same rows
+const importBatchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  filename: String,
+  format: {
+    type: String,
+    enum: ['ofx', 'qfx', 'csv'],
+    required: true
+  },
+  profileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportProfile'
+  },
+  defaultBudgetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Budget'
+  },
+  status: {
+    type: String,
+    // committing while a commit is posting the rows
+    enum: ['preview', 'committing', 'committed', 'discarded'],
+    default: 'preview'
+  },
+  rows: [{
+    // Line number in the source file, for pointing users at bad rows
+    line: Number,
+    description: { type: String, maxlength: 200 },
+    amount: Number,
+    date: Date,
+    type: {
+      type: String,
+      enum: ['expense', 'income']
+    },
+    externalId: String,
+    category: String,
+    ruleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CategoryRule'
+    },
+    budgetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Budget'
+    },
+    duplicate: { type: Boolean, default: false },
+    skip: { type: Boolean, default: false },
+    error: String
+  }],
+  summary: {
+    total: { type: Number, default: 0 },
+    imported: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0 },
+    unassigned: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 }
+  },
+  committedAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+importBatchSchema.index({ userId: 1, createdAt: -1 });
+// Previews that are never committed are cleaned up after a week
+importBatchSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 7 * 24 * 60 * 60, partialFilterExpression: { status: 'preview' } }
+);
+
+module.exports = mongoose.model('ImportBatch', importBatchSchema);
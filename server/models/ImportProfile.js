@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+// Column mapping for one bank's CSV export
+const importProfileSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Profile name is required'],
+    trim: true,
+    maxlength: [100, 'Profile name cannot exceed 100 characters']
+  },
+  bankName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Bank name cannot exceed 100 characters']
+  },
+  delimiter: {
+    type: String,
+    default: ',',
+    maxlength: 1
+  },
+  hasHeader: {
+    type: Boolean,
+    default: true
+  },
+  skipRows: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  dateFormat: {
+    type: String,
+    enum: ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY', 'M/D/YY'],
+    default: 'MM/DD/YYYY'
+  },
+  // Column names (with a header row) or zero-based indexes (without one)
+  columns: {
+    date: { type: String, required: [true, 'Date column is required'] },
+    description: { type: String, required: [true, 'Description column is required'] },
+    amount: String,
+    debit: String,
+    credit: String,
+    reference: String
+  },
+  // How to read a single signed amount column
+  amountSign: {
+    type: String,
+    enum: ['negative_is_expense', 'positive_is_expense'],
+    default: 'negative_is_expense'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+importProfileSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+// Either a signed amount column or a debit/credit pair is needed
+importProfileSchema.pre('validate', function(next) {
+  const { amount, debit, credit } = this.columns || {};
+  if (!amount && !(debit && credit)) {
+    this.invalidate('columns.amount', 'Map either an amount column or both debit and credit columns');
+  }
+  next();
+});
+
+// Record every change in the audit trail
+importProfileSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('ImportProfile', importProfileSchema);
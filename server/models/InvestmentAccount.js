@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+const RETIREMENT_ACCOUNT_TYPES = ['ira', 'roth_ira', 'sep_ira', '401k', '403b', '457b'];
+
+const lotSchema = new mongoose.Schema({
+  quantity: {
+    type: Number,
+    required: [true, 'Lot quantity is required'],
+    min: [0, 'Lot quantity cannot be negative']
+  },
+  // Total cost of the lot, including fees
+  costBasis: {
+    type: Number,
+    required: [true, 'Lot cost basis is required'],
+    min: [0, 'Cost basis cannot be negative']
+  },
+  acquiredAt: {
+    type: Date,
+    required: [true, 'Acquisition date is required']
+  },
+  notes: {
+    type: String,
+    maxlength: 300
+  }
+});
+
+const holdingSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: [true, 'Symbol is required'],
+    uppercase: true,
+    trim: true,
+    maxlength: [20, 'Symbol cannot exceed 20 characters']
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  assetClass: {
+    type: String,
+    enum: ['us_equity', 'intl_equity', 'bond', 'cash_equivalent', 'real_estate', 'commodity', 'crypto', 'other'],
+    default: 'us_equity'
+  },
+  lots: [lotSchema]
+});
+
+const investmentAccountSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Account name is required'],
+    trim: true,
+    maxlength: [200, 'Account name cannot exceed 200 characters']
+  },
+  institution: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Institution cannot exceed 200 characters']
+  },
+  accountType: {
+    type: String,
+    required: [true, 'Account type is required'],
+    enum: ['brokerage', 'ira', 'roth_ira', 'sep_ira', '401k', '403b', '457b', 'hsa', '529', 'other']
+  },
+  accountNumber: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  cashBalance: {
+    type: Number,
+    default: 0
+  },
+  holdings: [holdingSchema],
+  // Deposits (positive) and withdrawals (negative) from outside the account
+  cashFlows: [{
+    date: {
+      type: Date,
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true
+    },
+    notes: {
+      type: String,
+      maxlength: 300
+    }
+  }],
+  // Estate plan this account is kept in sync with
+  estateSync: {
+    estatePlanId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EstatePlan'
+    },
+    lastSyncedAt: Date,
+    lastSyncedValue: Number
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for better query performance
+investmentAccountSchema.index({ userId: 1, isActive: 1 });
+investmentAccountSchema.index({ 'estateSync.estatePlanId': 1 }, { sparse: true });
+investmentAccountSchema.index({ 'holdings.symbol': 1 });
+
+// Virtual for the estate asset type this account maps to
+investmentAccountSchema.virtual('estateAssetType').get(function() {
+  return RETIREMENT_ACCOUNT_TYPES.includes(this.accountType) ? 'retirement_account' : 'investment';
+});
+
+// Virtual for total cost basis of open lots
+investmentAccountSchema.virtual('totalCostBasis').get(function() {
+  return this.holdings.reduce((total, holding) => {
+    return total + holding.lots.reduce((sum, lot) => sum + lot.costBasis, 0);
+  }, 0);
+});
+
+// Method to get a holding by symbol
+investmentAccountSchema.methods.findHolding = function(symbol) {
+  return this.holdings.find(h => h.symbol === String(symbol || '').toUpperCase());
+};
+
+// Method to add a tax lot, creating the holding if needed
+investmentAccountSchema.methods.addLot = function({ symbol, name, assetClass, quantity, costBasis, acquiredAt, notes }) {
+  let holding = this.findHolding(symbol);
+  if (!holding) {
+    this.holdings.push({ symbol, name, assetClass });
+    holding = this.holdings[this.holdings.length - 1];
+  }
+
+  holding.lots.push({ quantity, costBasis, acquiredAt, notes });
+  return holding.lots[holding.lots.length - 1];
+};
+
+// Method to record an outside deposit or withdrawal
+investmentAccountSchema.methods.recordCashFlow = function({ date, amount, notes }) {
+  this.cashFlows.push({ date: date || new Date(), amount, notes });
+  this.cashBalance += amount;
+  return this.cashFlows[this.cashFlows.length - 1];
+};
+
+// Pre-save middleware to drop holdings with no lots left
+investmentAccountSchema.pre('save', function(next) {
+  this.holdings = this.holdings.filter(holding => holding.lots.length > 0);
+  next();
+});
+
+// Record every change in the audit trail
+investmentAccountSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('InvestmentAccount', investmentAccountSchema);
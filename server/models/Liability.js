@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+// A debt the user owes, tracked for net worth
+const liabilitySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set when the record is shared with a household
+  householdId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Household'
+  },
+  name: {
+    type: String,
+    required: [true, 'Liability name is required'],
+    trim: true,
+    maxlength: [200, 'Liability name cannot exceed 200 characters']
+  },
+  liabilityType: {
+    type: String,
+    required: [true, 'Liability type is required'],
+    enum: ['mortgage', 'heloc', 'auto_loan', 'student_loan', 'personal_loan', 'credit_card', 'medical', 'tax', 'other']
+  },
+  lender: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Lender cannot exceed 200 characters']
+  },
+  originalAmount: {
+    type: Number,
+    min: [0, 'Original amount cannot be negative']
+  },
+  currentBalance: {
+    type: Number,
+    required: [true, 'Current balance is required'],
+    min: [0, 'Balance cannot be negative']
+  },
+  // Annual interest rate in percent
+  interestRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Interest rate cannot be negative'],
+    max: [100, 'Interest rate cannot exceed 100%']
+  },
+  monthlyPayment: {
+    type: Number,
+    default: 0,
+    min: [0, 'Monthly payment cannot be negative']
+  },
+  startDate: Date,
+  maturityDate: Date,
+  // Asset securing the debt, e.g. the house for a mortgage
+  securedBy: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  balanceHistory: [{
+    _id: false,
+    date: {
+      type: Date,
+      required: true
+    },
+    balance: {
+      type: Number,
+      required: true
+    },
+    note: String
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  paidOffAt: Date,
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for better query performance
+liabilitySchema.index({ userId: 1, isActive: 1 });
+liabilitySchema.index({ householdId: 1 }, { sparse: true });
+
+// Virtual for months left at the current payment, or null if it never pays off
+liabilitySchema.virtual('monthsToPayoff').get(function() {
+  if (this.currentBalance <= 0) return 0;
+  const monthlyRate = this.interestRate / 100 / 12;
+  const interest = this.currentBalance * monthlyRate;
+  if (this.monthlyPayment <= interest) return null;
+  if (monthlyRate === 0) return Math.ceil(this.currentBalance / this.monthlyPayment);
+
+  return Math.ceil(-Math.log(1 - (this.currentBalance * monthlyRate) / this.monthlyPayment) / Math.log(1 + monthlyRate));
+});
+
+// Pre-save middleware to keep a history of balance changes
+liabilitySchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('currentBalance')) {
+    this.balanceHistory.push({ date: new Date(), balance: this.currentBalance });
+  }
+  if (this.currentBalance === 0 && this.isActive) {
+    this.isActive = false;
+    this.paidOffAt = new Date();
+  }
+  next();
+});
+
+// Method to record a payment against the balance
+liabilitySchema.methods.recordPayment = function(amount) {
+  this.currentBalance = Math.max(0, Math.round((this.currentBalance - amount) * 100) / 100);
+  return this.currentBalance;
+};
+
+// Record every change in the audit trail
+liabilitySchema.plugin(auditTrail);
+
+module.exports = mongoose.model('Liability', liabilitySchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const breakdownSchema = new mongoose.Schema({
+  _id: false,
+  type: String,
+  value: Number
+});
+
+// A user's assets, liabilities and net worth on one day
+const netWorthSnapshotSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  totalAssets: {
+    type: Number,
+    default: 0
+  },
+  totalLiabilities: {
+    type: Number,
+    default: 0
+  },
+  netWorth: {
+    type: Number,
+    default: 0
+  },
+  assetsByType: [breakdownSchema],
+  liabilitiesByType: [breakdownSchema]
+}, {
+  timestamps: true
+});
+
+// One snapshot per user per day
+netWorthSnapshotSchema.index({ userId: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('NetWorthSnapshot', netWorthSnapshotSchema);
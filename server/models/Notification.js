@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['budget_alert', 'goal_alert', 'system'],
+    default: 'system'
+  },
+  level: {
+    type: String,
+    enum: ['info', 'warning', 'critical', 'exceeded'],
+    default: 'info'
+  },
+  title: {
+    type: String,
+    required: [true, 'Notification title is required'],
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    required: [true, 'Notification message is required'],
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+  budgetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Budget'
+  },
+  data: mongoose.Schema.Types.Mixed,
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+notificationSchema.index({ userId: 1, read: 1, createdAt: -1 });
+
+// Method to mark a notification as read
+notificationSchema.methods.markRead = function() {
+  if (!this.read) {
+    this.read = true;
+    this.readAt = new Date();
+  }
+  return this.save();
+};
+
+// Static method to mark all of a user's notifications as read
+notificationSchema.statics.markAllRead = function(userId) {
+  return this.updateMany(
+    { userId, read: false },
+    { $set: { read: true, readAt: new Date() } }
+  );
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
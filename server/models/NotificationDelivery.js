@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const notificationDeliverySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  notificationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification'
+  },
+  budgetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Budget'
+  },
+  channel: {
+    type: String,
+    required: true
+  },
+  level: String,
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: true
+  },
+  destination: String,
+  response: String,
+  error: String
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+notificationDeliverySchema.index({ userId: 1, createdAt: -1 });
+notificationDeliverySchema.index({ budgetId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('NotificationDelivery', notificationDeliverySchema);
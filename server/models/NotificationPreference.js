@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+const notificationPreferenceSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  channels: {
+    inApp: {
+      enabled: { type: Boolean, default: true }
+    },
+    email: {
+      enabled: { type: Boolean, default: false },
+      address: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
+      }
+    },
+    webhook: {
+      enabled: { type: Boolean, default: false },
+      url: {
+        type: String,
+        trim: true,
+        match: [/^https?:\/\/\S+$/, 'Webhook URL must start with http:// or https://']
+      },
+      secret: {
+        type: String,
+        select: false
+      }
+    }
+  },
+  // Lowest alert level that gets delivered at all
+  minimumLevel: {
+    type: String,
+    enum: ['warning', 'critical', 'exceeded'],
+    default: 'warning'
+  }
+}, {
+  timestamps: true
+});
+
+// Method to list the channels that are switched on and fully configured
+notificationPreferenceSchema.methods.enabledChannels = function() {
+  const channels = [];
+  if (this.channels.inApp.enabled) channels.push('inApp');
+  if (this.channels.email.enabled && this.channels.email.address) channels.push('email');
+  if (this.channels.webhook.enabled && this.channels.webhook.url) channels.push('webhook');
+  return channels;
+};
+
+// Static method to get a user's preferences, falling back to the defaults
+notificationPreferenceSchema.statics.forUser = async function(userId) {
+  const preference = await this.findOne({ userId }).select('+channels.webhook.secret');
+  return preference || new this({ userId });
+};
+
+// Record every change in the audit trail
+notificationPreferenceSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('NotificationPreference', notificationPreferenceSchema);
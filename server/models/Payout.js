@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+// One expected payment from a payout stream, and what actually arrived
+const payoutSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  streamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutStream',
+    required: true
+  },
+  expectedDate: {
+    type: Date,
+    required: true
+  },
+  expectedAmount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['expected', 'received', 'partial', 'missed', 'skipped'],
+    default: 'expected'
+  },
+  receivedDate: Date,
+  receivedAmount: Number,
+  // Budget income transaction created for the received payout
+  budgetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Budget'
+  },
+  transactionId: mongoose.Schema.Types.ObjectId,
+  notes: {
+    type: String,
+    maxlength: [300, 'Notes cannot exceed 300 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// One expected payout per stream per date
+payoutSchema.index({ streamId: 1, expectedDate: 1 }, { unique: true });
+payoutSchema.index({ userId: 1, expectedDate: 1 });
+payoutSchema.index({ status: 1, expectedDate: 1 });
+
+// Virtual for the difference between what arrived and what was expected
+payoutSchema.virtual('variance').get(function() {
+  if (this.receivedAmount === undefined || this.receivedAmount === null) return null;
+  return Math.round((this.receivedAmount - this.expectedAmount) * 100) / 100;
+});
+
+// Record every change in the audit trail. Expected payouts generated in bulk
+// from a stream's schedule are not recorded until they change.
+payoutSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('Payout', payoutSchema);
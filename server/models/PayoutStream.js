@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const Budget = require('./Budget');
+const auditTrail = require('./plugins/auditTrail');
+
+const BUDGET_CATEGORIES = Budget.schema.path('category').enumValues;
+
+// A recurring source of income the user expects to receive
+const payoutStreamSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Payout name is required'],
+    trim: true,
+    maxlength: [200, 'Payout name cannot exceed 200 characters']
+  },
+  streamType: {
+    type: String,
+    required: [true, 'Payout type is required'],
+    enum: ['dividend', 'interest', 'pension', 'social_security', 'annuity', 'rental', 'rmd', 'other']
+  },
+  // Expected amount of each payment. RMD streams work this out themselves.
+  amount: {
+    type: Number,
+    min: [0, 'Amount cannot be negative'],
+    default: 0
+  },
+  frequency: {
+    type: String,
+    enum: ['monthly', 'quarterly', 'semiannual', 'annual', 'one_time'],
+    default: 'monthly'
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: Date,
+  // Yearly cost-of-living increase in percent, applied on each anniversary
+  annualIncreasePercent: {
+    type: Number,
+    default: 0,
+    min: [-100, 'Annual increase cannot be below -100%'],
+    max: [100, 'Annual increase cannot exceed 100%']
+  },
+  payer: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InvestmentAccount'
+  },
+  // Received payouts are posted as income into the user's budget in this
+  // category that covers the payment date
+  budgetCategory: {
+    type: String,
+    enum: BUDGET_CATEGORIES
+  },
+  rmd: {
+    ownerBirthDate: Date,
+    // Balance on December 31st of the prior year, if not taken from the
+    // account's valuation history
+    priorYearEndBalance: Number
+  },
+  taxable: {
+    type: Boolean,
+    default: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+payoutStreamSchema.index({ userId: 1, isActive: 1 });
+
+// RMD streams need an account and the owner's birth date
+payoutStreamSchema.pre('validate', function(next) {
+  if (this.streamType === 'rmd') {
+    if (!this.accountId) {
+      this.invalidate('accountId', 'An RMD payout needs a retirement account');
+    }
+    if (!this.rmd || !this.rmd.ownerBirthDate) {
+      this.invalidate('rmd.ownerBirthDate', 'An RMD payout needs the account owner\'s birth date');
+    }
+  }
+  if (this.endDate && this.startDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date cannot be before the start date');
+  }
+  next();
+});
+
+// Record every change in the audit trail
+payoutStreamSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('PayoutStream', payoutStreamSchema);
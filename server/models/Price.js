@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Closing price of a security on a day, loaded from the local price file or
+// entered by hand. Prices from the file are shared; manual entries belong to
+// the user who entered them and take precedence for that user.
+const priceSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: [true, 'Symbol is required'],
+    uppercase: true,
+    trim: true,
+    maxlength: [20, 'Symbol cannot exceed 20 characters']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Price date is required']
+  },
+  close: {
+    type: Number,
+    required: [true, 'Closing price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  source: {
+    type: String,
+    enum: ['file', 'manual'],
+    default: 'manual'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One shared price and one price per user for each symbol and day
+priceSchema.index({ symbol: 1, date: -1, userId: -1 }, { unique: true });
+
+module.exports = mongoose.model('Price', priceSchema);
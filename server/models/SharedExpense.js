@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+// An expense one household member paid on behalf of several, or a
+// settlement paid from one member to another. Either way `paidBy` is owed
+// each share by the member it belongs to; a settlement is just a payment
+// whose only share is the member who received it.
+const sharedExpenseSchema = new mongoose.Schema({
+  householdId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Household',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['expense', 'settlement'],
+    default: 'expense'
+  },
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Payer is required']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a three-letter ISO code']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be greater than zero']
+  },
+  // The amount in the household's currency, at the rate on the expense date
+  householdAmount: {
+    type: Number,
+    required: true
+  },
+  exchangeRate: {
+    type: Number,
+    default: 1
+  },
+  splitMethod: {
+    type: String,
+    enum: ['equal', 'exact', 'percent', 'shares'],
+    default: 'equal'
+  },
+  shares: [{
+    _id: false,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    householdAmount: {
+      type: Number,
+      required: true
+    }
+  }],
+  // The payer's own share, posted to one of their budgets
+  budgetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Budget'
+  },
+  transactionId: mongoose.Schema.Types.ObjectId,
+  notes: {
+    type: String,
+    maxlength: [300, 'Notes cannot exceed 300 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+sharedExpenseSchema.index({ householdId: 1, date: -1 });
+
+// Record every change in the audit trail
+sharedExpenseSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('SharedExpense', sharedExpenseSchema);
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const encryptedFields = require('./plugins/encryptedFields');
+const auditTrail = require('./plugins/auditTrail');
+
+// Fields on a TaxRecord that tax forms feed
+const TARGET_FIELDS = [
+  'income.wages', 'income.dividends', 'income.capitalGains', 'income.otherIncome', 'taxPaid',
+  'investmentIncome.shortTermGain', 'investmentIncome.longTermGain', 'investmentIncome.qualifiedDividends'
+];
+
+// One uploaded tax form (W-2, 1099-INT, 1099-DIV or 1099-B), parsed into
+// line items. Line items with a target field were added to the return, so
+// every figure on it can be traced back to the form and box it came from.
+const taxDocumentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The original revision of the return; amendments share it
+  taxRecordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxRecord',
+    required: true
+  },
+  // The revision the figures were added to (or taken off again)
+  appliedToRecordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxRecord'
+  },
+  taxYear: {
+    type: Number,
+    required: true
+  },
+  formType: {
+    type: String,
+    enum: ['W-2', '1099-INT', '1099-DIV', '1099-B'],
+    required: [true, 'Form type is required']
+  },
+  sourceFormat: {
+    type: String,
+    enum: ['csv', 'txf', 'json', 'pdf'],
+    required: true
+  },
+  filename: String,
+  // Hash of the uploaded file, and of the form's own contents, for spotting
+  // the same file or the same form uploaded twice
+  fileHash: String,
+  formHash: String,
+  payer: {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 200
+    },
+    tin: String
+  },
+  accountNumber: String,
+  // Whether a 1099-B's sales are short- or long-term
+  term: {
+    type: String,
+    enum: ['short', 'long']
+  },
+  corrected: {
+    type: Boolean,
+    default: false
+  },
+  lineItems: [{
+    box: {
+      type: String,
+      required: true
+    },
+    label: String,
+    amount: Number,
+    // Where the amount went on the return; informational boxes have none,
+    // and a box feeding more than one field has an item for each
+    field: {
+      type: String,
+      enum: TARGET_FIELDS
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['applied', 'duplicate', 'conflict', 'superseded'],
+    default: 'applied'
+  },
+  // Why a form was not applied, and which form it clashes with
+  flags: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: ['duplicate', 'conflict']
+    },
+    documentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TaxDocument'
+    },
+    message: String
+  }],
+  supersededBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxDocument'
+  },
+  appliedAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+taxDocumentSchema.index({ taxRecordId: 1, status: 1 });
+taxDocumentSchema.index({ userId: 1, taxYear: -1 });
+
+// Method to total the line items going to each field of the return
+taxDocumentSchema.methods.fieldTotals = function() {
+  return this.lineItems.reduce((totals, item) => {
+    if (item.field) {
+      totals[item.field] = Math.round(((totals[item.field] || 0) + (item.amount || 0)) * 100) / 100;
+    }
+    return totals;
+  }, {});
+};
+
+// Static method to list the forms filed against a return, across revisions
+taxDocumentSchema.statics.forReturn = function(record) {
+  return this.find({ taxRecordId: record.originalRecordId || record._id }).sort({ createdAt: 1 });
+};
+
+// Payer ids, account numbers and amounts are encrypted at rest
+taxDocumentSchema.plugin(encryptedFields, {
+  fields: [
+    { path: 'payer.tin', mask: 'last4' },
+    { path: 'accountNumber', mask: 'last4' },
+    { path: 'lineItems.amount' }
+  ]
+});
+
+// Record every change in the audit trail
+taxDocumentSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('TaxDocument', taxDocumentSchema);
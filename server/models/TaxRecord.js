@@ -1,4 +1,16 @@
 const mongoose = require('mongoose');
+const { calculateTax } = require('../services/taxCalculator');
+const { itemizedDeductionTypes } = require('../config/taxTables');
+const encryptedFields = require('./plugins/encryptedFields');
+const auditTrail = require('./plugins/auditTrail');
+
+const INCOME_FIELDS = ['wages', 'dividends', 'capitalGains', 'businessIncome', 'otherIncome'].map(field => `income.${field}`);
+const INVESTMENT_INCOME_FIELDS = [
+  'shortTermGain', 'longTermGain', 'washSaleAdjustments', 'totalDividends', 'qualifiedDividends',
+  'tradeLedger.capitalGains', 'tradeLedger.dividends', 'tradeLedger.shortTermGain',
+  'tradeLedger.longTermGain', 'tradeLedger.qualifiedDividends'
+].map(field => `investmentIncome.${field}`);
+const WORKSHEET_FIELDS = itemizedDeductionTypes.map(type => `itemizedWorksheet.${type}`);
 
 const taxRecordSchema = new mongoose.Schema({
   userId: {
@@ -6,6 +18,11 @@ const taxRecordSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Set when the record is shared with a household
+  householdId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Household'
+  },
   taxYear: {
     type: Number,
     required: [true, 'Tax year is required'],
@@ -27,7 +44,25 @@ const taxRecordSchema = new mongoose.Schema({
   deductions: {
     standardDeduction: { type: Number, default: 0 },
     itemizedDeductions: { type: Number, default: 0 },
-    totalDeductions: { type: Number, default: 0 }
+    totalDeductions: { type: Number, default: 0 },
+    method: {
+      type: String,
+      enum: ['standard', 'itemized'],
+      default: 'standard'
+    }
+  },
+  // Schedule A lines behind deductions.itemizedDeductions. Amounts are
+  // what was paid; the calculation applies the floor, cap and limits.
+  itemizedWorksheet: {
+    medicalExpenses: { type: Number, min: 0 },
+    stateLocalIncomeTax: { type: Number, min: 0 },
+    realEstateTax: { type: Number, min: 0 },
+    personalPropertyTax: { type: Number, min: 0 },
+    mortgageInterest: { type: Number, min: 0 },
+    charitableCash: { type: Number, min: 0 },
+    charitableNoncash: { type: Number, min: 0 },
+    // When the lines were last filled in from budget transactions
+    prefilledAt: Date
   },
   taxableIncome: {
     type: Number,
@@ -37,6 +72,15 @@ const taxRecordSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  marginalRate: {
+    type: Number,
+    default: 0
+  },
+  effectiveRate: {
+    type: Number,
+    default: 0
+  },
+  taxTableVersion: String,
   taxPaid: {
     type: Number,
     default: 0
@@ -62,14 +106,133 @@ const taxRecordSchema = new mongoose.Schema({
   notes: {
     type: String,
     maxlength: 1000
-  }
+  },
+  estimatedPayments: [{
+    quarter: {
+      type: Number,
+      required: [true, 'Payment quarter is required'],
+      min: [1, 'Quarter must be between 1 and 4'],
+      max: [4, 'Quarter must be between 1 and 4']
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Payment amount is required'],
+      min: [0.01, 'Payment amount must be positive']
+    },
+    paidDate: {
+      type: Date,
+      default: Date.now
+    },
+    confirmationNumber: {
+      type: String,
+      maxlength: 100
+    },
+    notes: {
+      type: String,
+      maxlength: 300
+    }
+  }],
+  // Breakdown behind income.capitalGains and income.dividends, added up
+  // from the trade ledger and uploaded tax forms. Only long-term gains and
+  // qualified dividends are taxed at the capital gains rates.
+  investmentIncome: {
+    source: {
+      type: String,
+      enum: ['trade_ledger']
+    },
+    importedAt: Date,
+    shortTermGain: Number,
+    longTermGain: Number,
+    washSaleAdjustments: Number,
+    totalDividends: Number,
+    qualifiedDividends: Number,
+    // What the last trade ledger report added, so applying a newer report
+    // replaces it without touching figures from other sources
+    tradeLedger: {
+      capitalGains: Number,
+      dividends: Number,
+      shortTermGain: Number,
+      longTermGain: Number,
+      qualifiedDividends: Number
+    }
+  },
+  // Quarterly estimated tax plan projected from year-to-date figures
+  estimatedTaxPlan: {
+    asOf: Date,
+    ytd: {
+      wages: Number,
+      dividends: Number,
+      capitalGains: Number,
+      businessIncome: Number,
+      otherIncome: Number,
+      withholding: Number
+    },
+    annualizationFactor: Number,
+    projectedIncome: {
+      wages: Number,
+      dividends: Number,
+      capitalGains: Number,
+      businessIncome: Number,
+      otherIncome: Number
+    },
+    projectedWithholding: Number,
+    projectedIncomeTax: Number,
+    projectedSelfEmploymentTax: Number,
+    projectedTotalTax: Number,
+    priorYearTax: Number,
+    priorYearSafeHarbor: Number,
+    currentYearSafeHarbor: Number,
+    safeHarborMethod: {
+      type: String,
+      enum: ['prior_year', 'current_year']
+    },
+    requiredAnnualPayment: Number,
+    requiredEstimatedPayments: Number,
+    calculatedAt: Date
+  },
+  // Amendments are stored as new revisions linked to the original return
+  originalRecordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxRecord'
+  },
+  previousRevisionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxRecord'
+  },
+  supersededBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxRecord'
+  },
+  revision: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isCurrent: {
+    type: Boolean,
+    default: true
+  },
+  amendmentReason: {
+    type: String,
+    maxlength: 500
+  },
+  // Field-level changes compared with the original return
+  diff: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }]
 }, {
   timestamps: true
 });
 
 // Index for better query performance
 taxRecordSchema.index({ userId: 1, taxYear: -1 });
+taxRecordSchema.index({ householdId: 1 }, { sparse: true });
 taxRecordSchema.index({ status: 1 });
+taxRecordSchema.index({ originalRecordId: 1, revision: 1 });
+taxRecordSchema.index({ userId: 1, taxYear: -1, isCurrent: 1 });
 
 // Calculate total income
 taxRecordSchema.virtual('totalIncome').get(function() {
@@ -77,11 +240,67 @@ taxRecordSchema.virtual('totalIncome').get(function() {
   return income.wages + income.dividends + income.capitalGains + income.businessIncome + income.otherIncome;
 });
 
-// Pre-save middleware to calculate taxable income
+// Pre-save middleware to calculate deductions, taxable income and tax owed
 taxRecordSchema.pre('save', function(next) {
-  this.taxableIncome = this.totalIncome - this.deductions.totalDeductions;
-  this.refundOrOwed = this.taxPaid - this.taxOwed;
+  try {
+    this.applyCalculations();
+  } catch (error) {
+    return next(error);
+  }
   next();
 });
 
+// Method to write the calculated tax figures onto the record
+taxRecordSchema.methods.applyCalculations = function() {
+  const result = calculateTax(this);
+
+  this.deductions.standardDeduction = result.standardDeduction;
+  this.deductions.itemizedDeductions = result.itemizedDeductions;
+  this.deductions.totalDeductions = result.totalDeductions;
+  this.deductions.method = result.deductionMethod;
+  this.taxableIncome = result.taxableIncome;
+  this.taxOwed = result.taxOwed;
+  this.marginalRate = result.marginalRate;
+  this.effectiveRate = result.effectiveRate;
+  this.taxTableVersion = result.tableVersion;
+  this.refundOrOwed = this.taxPaid - this.taxOwed;
+};
+
+// Method to record a quarterly estimated payment; it counts toward taxPaid
+taxRecordSchema.methods.recordEstimatedPayment = function(payment) {
+  this.estimatedPayments.push(payment);
+  this.taxPaid += payment.amount;
+  return this.estimatedPayments[this.estimatedPayments.length - 1];
+};
+
+// Method to remove a recorded estimated payment
+taxRecordSchema.methods.removeEstimatedPayment = function(paymentId) {
+  const payment = this.estimatedPayments.id(paymentId);
+  if (!payment) return null;
+  this.taxPaid = Math.max(0, this.taxPaid - payment.amount);
+  payment.deleteOne();
+  return payment;
+};
+
+// Method to get the full tax calculation breakdown without saving
+taxRecordSchema.methods.calculateTax = function() {
+  return calculateTax(this);
+};
+
+// Encrypt income figures and deduction worksheet lines at rest, including
+// amendment diffs that record them
+const isSensitiveChange = (entry) => [...INCOME_FIELDS, ...INVESTMENT_INCOME_FIELDS, ...WORKSHEET_FIELDS].includes(entry.field);
+taxRecordSchema.plugin(encryptedFields, {
+  fields: [
+    ...INCOME_FIELDS.map(path => ({ path })),
+    ...INVESTMENT_INCOME_FIELDS.map(path => ({ path })),
+    ...WORKSHEET_FIELDS.map(path => ({ path })),
+    { path: 'diff.before', when: isSensitiveChange },
+    { path: 'diff.after', when: isSensitiveChange }
+  ]
+});
+
+// Record every change in the audit trail
+taxRecordSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('TaxRecord', taxRecordSchema);
@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+// One realized slice of a sale: the part of a lot that was sold
+const realizedLotSchema = new mongoose.Schema({
+  _id: false,
+  lotId: mongoose.Schema.Types.ObjectId,
+  acquiredAt: Date,
+  quantity: Number,
+  proceeds: Number,
+  costBasis: Number,
+  gain: Number,
+  term: {
+    type: String,
+    enum: ['short', 'long']
+  },
+  washSale: {
+    disallowedLoss: {
+      type: Number,
+      default: 0
+    },
+    quantity: {
+      type: Number,
+      default: 0
+    },
+    // Part of disallowedLoss whose replacement shares are in a tax-advantaged
+    // account: it is not added to any basis and never comes back
+    permanentlyDisallowed: {
+      type: Number,
+      default: 0
+    },
+    replacementTradeIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Trade'
+    }]
+  }
+});
+
+// The trade ledger is append-only: trades change lots in the investment
+// account when they are recorded, and mistakes are fixed with a new trade.
+const tradeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InvestmentAccount',
+    required: [true, 'Investment account is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Trade type is required'],
+    enum: ['buy', 'sell', 'split', 'dividend', 'reinvestment']
+  },
+  symbol: {
+    type: String,
+    required: [true, 'Symbol is required'],
+    uppercase: true,
+    trim: true,
+    maxlength: [20, 'Symbol cannot exceed 20 characters']
+  },
+  tradeDate: {
+    type: Date,
+    required: [true, 'Trade date is required']
+  },
+  quantity: {
+    type: Number,
+    min: [0, 'Quantity cannot be negative']
+  },
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+  fees: {
+    type: Number,
+    default: 0,
+    min: [0, 'Fees cannot be negative']
+  },
+  // Cash amount of a dividend or reinvestment
+  amount: {
+    type: Number,
+    min: [0, 'Amount cannot be negative']
+  },
+  qualifiedDividend: {
+    type: Boolean,
+    default: false
+  },
+  // New shares per old share, e.g. 2 for a 2-for-1 split or 0.1 for 1-for-10
+  splitRatio: {
+    type: Number,
+    min: [0, 'Split ratio must be positive']
+  },
+  costBasisMethod: {
+    type: String,
+    enum: ['fifo', 'lifo', 'specific_id', 'average_cost']
+  },
+  // Lots picked for a specific-ID sale
+  lotSelections: [{
+    _id: false,
+    lotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [0, 'Quantity cannot be negative']
+    }
+  }],
+  // Whether the broker reported cost basis to the IRS (Form 8949 box A/D vs B/E)
+  basisReported: {
+    type: Boolean,
+    default: true
+  },
+  // Lot opened by a buy or reinvestment
+  lotId: mongoose.Schema.Types.ObjectId,
+  // Shares of this purchase already used as wash sale replacements
+  washSaleQuantityUsed: {
+    type: Number,
+    default: 0
+  },
+  realized: [realizedLotSchema],
+  notes: {
+    type: String,
+    maxlength: [300, 'Notes cannot exceed 300 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for better query performance
+tradeSchema.index({ userId: 1, tradeDate: -1 });
+tradeSchema.index({ userId: 1, symbol: 1, type: 1, tradeDate: 1 });
+tradeSchema.index({ accountId: 1, tradeDate: -1 });
+
+// Virtual for total proceeds of a sale
+tradeSchema.virtual('proceeds').get(function() {
+  return this.realized.reduce((total, lot) => total + lot.proceeds, 0);
+});
+
+// Virtual for realized gain after wash sale adjustments
+tradeSchema.virtual('realizedGain').get(function() {
+  return this.realized.reduce((total, lot) => total + lot.gain + lot.washSale.disallowedLoss, 0);
+});
+
+// Each trade type needs its own fields
+tradeSchema.pre('validate', function(next) {
+  const positive = (path) => {
+    if (!(this.get(path) > 0)) {
+      this.invalidate(path, `${path} must be greater than zero for a ${this.type}`);
+    }
+  };
+
+  if (['buy', 'sell'].includes(this.type)) {
+    positive('quantity');
+    if (this.price === undefined || this.price === null) {
+      this.invalidate('price', `price is required for a ${this.type}`);
+    }
+  }
+  if (this.type === 'sell' && !this.costBasisMethod) {
+    this.costBasisMethod = 'fifo';
+  }
+  if (this.type === 'sell' && this.costBasisMethod === 'specific_id' && this.lotSelections.length === 0) {
+    this.invalidate('lotSelections', 'Choose the lots to sell for a specific-ID sale');
+  }
+  if (['dividend', 'reinvestment'].includes(this.type)) {
+    positive('amount');
+  }
+  if (this.type === 'reinvestment') {
+    positive('quantity');
+  }
+  if (this.type === 'split') {
+    positive('splitRatio');
+  }
+  next();
+});
+
+// Record every change in the audit trail
+tradeSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('Trade', tradeSchema);
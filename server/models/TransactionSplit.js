@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+// One real-world transaction divided across categories or budgets. Each
+// part is posted as an ordinary transaction in its budget carrying this
+// split's id, so budget totals and reports see the parts as usual.
+const transactionSplitSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  type: {
+    type: String,
+    enum: ['expense', 'income'],
+    default: 'expense'
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a three-letter ISO code']
+  },
+  totalAmount: {
+    type: Number,
+    required: [true, 'Total amount is required'],
+    min: [0.01, 'Total amount must be greater than zero']
+  },
+  parts: [{
+    _id: false,
+    budgetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Budget',
+      required: true
+    },
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    category: String,
+    // In the split's currency
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    // Converted into the budget's currency
+    budgetAmount: {
+      type: Number,
+      required: true
+    },
+    budgetCurrency: String,
+    exchangeRate: Number
+  }],
+  notes: {
+    type: String,
+    maxlength: [300, 'Notes cannot exceed 300 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+transactionSplitSchema.index({ userId: 1, date: -1 });
+transactionSplitSchema.index({ 'parts.budgetId': 1 });
+
+// Record every change in the audit trail
+transactionSplitSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('TransactionSplit', transactionSplitSchema);
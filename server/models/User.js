@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+const MAX_LOGIN_ATTEMPTS = Number(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+const LOCK_TIME_MS = (Number(process.env.LOCK_TIME_MINUTES) || 15) * 60 * 1000;
+
+const userSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
+  },
+  password: {
+    type: String,
+    required: [true, 'Password is required'],
+    minlength: [8, 'Password must be at least 8 characters'],
+    select: false
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lockUntil: {
+    type: Date,
+    select: false
+  },
+  lastLoginAt: Date,
+  passwordChangedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the account is currently locked
+userSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+});
+
+// Pre-save middleware to hash the password whenever it changes
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+
+  try {
+    this.password = await bcrypt.hash(this.password, 12);
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Method to compare a candidate password with the stored hash
+userSchema.methods.matchPassword = function(candidate) {
+  return bcrypt.compare(candidate, this.password);
+};
+
+// Method to record a failed login, locking the account after too many
+userSchema.methods.registerFailedLogin = function() {
+  // An expired lock starts the count again
+  if (this.lockUntil && this.lockUntil <= Date.now()) {
+    return this.updateOne({
+      $set: { failedLoginAttempts: 1 },
+      $unset: { lockUntil: 1 }
+    });
+  }
+
+  const update = { $inc: { failedLoginAttempts: 1 } };
+  if ((this.failedLoginAttempts || 0) + 1 >= MAX_LOGIN_ATTEMPTS && !this.isLocked) {
+    update.$set = { lockUntil: new Date(Date.now() + LOCK_TIME_MS) };
+  }
+  return this.updateOne(update);
+};
+
+// Method to clear failed attempts after a successful login
+userSchema.methods.registerSuccessfulLogin = function() {
+  return this.updateOne({
+    $set: { failedLoginAttempts: 0, lastLoginAt: new Date() },
+    $unset: { lockUntil: 1 }
+  });
+};
+
+// Method to sign a short-lived access token
+userSchema.methods.getAccessToken = function() {
+  return jwt.sign(
+    { id: this._id, role: this.role },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m' }
+  );
+};
+
+// Method to check whether the password changed after a token was issued.
+// Token iat is in whole seconds, so the change time is truncated to match:
+// tokens issued in the same second as the change stay valid.
+userSchema.methods.changedPasswordAfter = function(issuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > issuedAt;
+};
+
+module.exports = mongoose.model('User', userSchema);
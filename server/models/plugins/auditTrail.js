@@ -0,0 +1,153 @@
+const AuditEntry = require('../AuditEntry');
+const { encrypt } = require('../../services/fieldEncryption');
+const { diff } = require('../../utils/objectDiff');
+const { getRequestContext } = require('../../utils/requestContext');
+
+// Mongoose plugin that records every change to a document in the
+// append-only AuditEntry collection, with the acting user, the route and a
+// field-level before/after diff.
+//
+//   schema.plugin(auditTrail, { exclude: ['lastSyncedAt'] });
+//
+// Saves and document deletes are diffed against the state the document was
+// loaded with. Update and delete queries load the matching documents before
+// and after the write. Bulk writes and inserts that bypass middleware are
+// not recorded.
+//
+// Register the plugin after encryptedFields: values of encrypted paths are
+// stored encrypted in the entries too, and rely on old keys staying listed
+// in ENCRYPTION_PREVIOUS_KEYS to be read back.
+
+// Bookkeeping that is not part of a record's history
+const ALWAYS_EXCLUDED = ['_id', '__v', 'updatedAt', '_encrypted', 'encryptionKeyId'];
+
+const QUERY_UPDATES = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'];
+const QUERY_DELETES = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+
+// Paths left out of queries by default (select: false), such as secrets.
+// They are kept out of entries, as history and restores read the record
+// without them.
+const hiddenPaths = (schema) => {
+  const paths = [];
+  schema.eachPath((path, type) => {
+    if (type.options && type.options.select === false) paths.push(path);
+  });
+  return paths;
+};
+
+// Plain copy of everything stored on the document
+const snapshot = (doc) => doc.toObject({
+  depopulate: true,
+  flattenMaps: true,
+  virtuals: false,
+  getters: false,
+  transform: false,
+  versionKey: false
+});
+
+const auditTrail = (schema, { exclude = [] } = {}) => {
+  const excluded = [...ALWAYS_EXCLUDED, ...exclude];
+  // Resolved on first use, once every path has been added to the schema
+  let hidden = null;
+  const excludedPaths = () => {
+    hidden = hidden || hiddenPaths(schema);
+    return [...excluded, ...hidden];
+  };
+  // Documents matched by a pending update or delete query
+  const pendingQueries = new WeakMap();
+
+  // 'assets.3.accountNumber' is covered by the encrypted path 'assets.accountNumber'
+  const isEncryptedPath = (path) => {
+    const schemaPath = path.split('.').filter(segment => !/^\d+$/.test(segment)).join('.');
+    return (schema.get('encryptedPaths') || [])
+      .some(encrypted => schemaPath === encrypted || schemaPath.startsWith(`${encrypted}.`));
+  };
+
+  const protect = (change) => {
+    if (!isEncryptedPath(change.path)) return change;
+    return {
+      path: change.path,
+      before: change.before === undefined ? undefined : encrypt(change.before),
+      after: change.after === undefined ? undefined : encrypt(change.after),
+      encrypted: true
+    };
+  };
+
+  // Entries are written after the change succeeded. A failed write is
+  // logged rather than failing a change that is already stored.
+  const record = async (model, action, before, after) => {
+    const changes = diff(before, after, { exclude: excludedPaths() });
+    if (changes.length === 0) return;
+
+    const state = action === 'delete' ? before : after;
+    const { actorId, route } = getRequestContext();
+    try {
+      await AuditEntry.create({
+        modelName: model.modelName,
+        documentId: state._id,
+        ownerId: state.userId,
+        action,
+        actorId,
+        route,
+        changes: changes.map(protect)
+      });
+    } catch (error) {
+      console.error(`Recording ${action} of ${model.modelName} ${state._id} failed:`, error.message);
+    }
+  };
+
+  schema.post('init', function() {
+    this.$locals.auditSnapshot = snapshot(this);
+  });
+
+  schema.pre('save', function(next) {
+    this.$locals.auditAction = this.$locals.auditAction || (this.isNew ? 'create' : 'update');
+    next();
+  });
+
+  schema.post('save', async function(doc) {
+    const after = snapshot(doc);
+    const action = doc.$locals.auditAction;
+    delete doc.$locals.auditAction;
+
+    await record(doc.constructor, action, doc.$locals.auditSnapshot || { _id: doc._id }, after);
+    doc.$locals.auditSnapshot = after;
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function(doc) {
+    await record(doc.constructor, 'delete', doc.$locals.auditSnapshot || snapshot(doc), { _id: doc._id });
+  });
+
+  schema.pre([...QUERY_UPDATES, ...QUERY_DELETES], { document: false, query: true }, async function() {
+    const matching = this.model.find(this.getFilter());
+    if (!this.op.endsWith('Many')) {
+      matching.sort(this.getOptions().sort).limit(1);
+    }
+    const docs = await matching;
+    pendingQueries.set(this, docs.map(doc => doc.$locals.auditSnapshot));
+  });
+
+  schema.post([...QUERY_UPDATES, ...QUERY_DELETES], { document: false, query: true }, async function() {
+    const before = pendingQueries.get(this) || [];
+    pendingQueries.delete(this);
+    if (before.length === 0) return;
+
+    if (QUERY_DELETES.includes(this.op)) {
+      for (const state of before) {
+        await record(this.model, 'delete', state, { _id: state._id });
+      }
+      return;
+    }
+
+    const updated = await this.model.find({ _id: { $in: before.map(state => state._id) } });
+    const afterById = new Map(updated.map(doc => [String(doc._id), doc.$locals.auditSnapshot]));
+    for (const state of before) {
+      const after = afterById.get(String(state._id));
+      if (after) await record(this.model, 'update', state, after);
+    }
+  });
+};
+
+module.exports = auditTrail;
+module.exports.snapshot = snapshot;
+module.exports.hiddenPaths = hiddenPaths;
@@ -0,0 +1,221 @@
+const { MASKS, encrypt, decrypt, getCurrentKeyId } = require('../../services/fieldEncryption');
+
+// Mongoose plugin that keeps the listed paths encrypted at rest.
+//
+//   schema.plugin(encryptedFields, {
+//     fields: [
+//       { path: 'ssn', mask: 'last4' },
+//       { path: 'accounts.number', mask: 'last4', when: (account) => account.type === 'bank' }
+//     ]
+//   });
+//
+// On save the values are encrypted into the `_encrypted` map and the
+// plaintext paths are removed from the stored document; on load they are
+// decrypted back into place, so application code reads and writes them as
+// usual. A path may go one level into a document array. In JSON output the
+// values are masked (see services/fieldEncryption MASKS) unless the document
+// was passed through revealEncryptedFields first.
+//
+// Register the plugin after the schema's own hooks so they see plaintext.
+// Documents loaded with a projection that leaves out `_encrypted` are
+// saved without touching their encrypted values.
+
+// Map keys cannot contain dots, so locations are joined with colons
+const locationKey = (...parts) => parts.join(':').replace(/\./g, ':');
+
+// Split 'assets.accountNumber' into the document array and the field inside it
+const resolveSpec = (schema, spec) => {
+  const segments = spec.path.split('.');
+  for (let i = 1; i < segments.length; i++) {
+    const prefix = segments.slice(0, i).join('.');
+    const schemaType = schema.path(prefix);
+    if (schemaType && schemaType.$isMongooseDocumentArray) {
+      return { ...spec, arrayPath: prefix, field: segments.slice(i).join('.') };
+    }
+  }
+  return { ...spec, arrayPath: null, field: spec.path };
+};
+
+const getIn = (object, dottedPath) => dottedPath.split('.')
+  .reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+
+const setIn = (object, dottedPath, value) => {
+  const keys = dottedPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (target[key] === undefined || target[key] === null) target[key] = {};
+    return target[key];
+  }, object);
+  parent[last] = value;
+};
+
+const isEmpty = (value) => value === undefined || value === null ||
+  (typeof value === 'object' && !(value instanceof Date) &&
+    Object.values(value).every(item => item === undefined || item === null || item === ''));
+
+// Every place a spec applies to in a hydrated document
+const documentLocations = (doc, spec) => {
+  if (!spec.arrayPath) {
+    return [{ key: locationKey(spec.path), fullPath: spec.path, get: () => doc.get(spec.path), set: (value) => doc.set(spec.path, value) }];
+  }
+  return (doc.get(spec.arrayPath) || [])
+    .map((item, index) => ({ item, index }))
+    .filter(({ item }) => !spec.when || spec.when(item))
+    .map(({ item, index }) => ({
+      key: locationKey(spec.arrayPath, item._id || index, spec.field),
+      fullPath: `${spec.arrayPath}.${index}.${spec.field}`,
+      get: () => item.get(spec.field),
+      set: (value) => item.set(spec.field, value)
+    }));
+};
+
+// Every place a spec applies to in a raw document straight from MongoDB
+const rawLocations = (raw, spec) => {
+  if (!spec.arrayPath) {
+    return [{ key: locationKey(spec.path), set: (value) => setIn(raw, spec.path, value) }];
+  }
+  return (getIn(raw, spec.arrayPath) || [])
+    .map((item, index) => ({ item, index }))
+    .filter(({ item }) => !spec.when || spec.when(item))
+    .map(({ item, index }) => ({
+      key: locationKey(spec.arrayPath, item._id || index, spec.field),
+      set: (value) => setIn(item, spec.field, value)
+    }));
+};
+
+const plainValue = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+const encryptedFields = (schema, { fields }) => {
+  const specs = fields.map(spec => resolveSpec(schema, spec));
+
+  schema.add({
+    _encrypted: {
+      type: Map,
+      of: String
+    },
+    encryptionKeyId: String
+  });
+  schema.index({ encryptionKeyId: 1 });
+  // Read by other plugins, e.g. auditTrail, that must not store plaintext
+  schema.set('encryptedPaths', specs.map(spec => spec.path));
+
+  // Plaintext values to encrypt, and where they live in the document
+  const collect = (doc) => specs.flatMap(spec => documentLocations(doc, spec)
+    .map(location => ({ ...location, value: plainValue(location.get()) }))
+    .filter(location => !isEmpty(location.value)));
+
+  // Decrypt into the raw document before Mongoose hydrates it, so the
+  // values load as if they had been stored in place
+  schema.pre('init', function(raw) {
+    const encrypted = raw._encrypted;
+    if (!encrypted) return;
+
+    for (const spec of specs) {
+      for (const location of rawLocations(raw, spec)) {
+        const payload = encrypted[location.key];
+        if (!payload) continue;
+        try {
+          location.set(decrypt(payload));
+        } catch (error) {
+          // Saving now would drop the value that could not be read
+          this.$locals.encryptionError = error.message;
+          console.error(`Decrypting ${location.key} on ${raw._id} failed:`, error.message);
+        }
+      }
+    }
+  });
+
+  schema.pre('save', function(next) {
+    if (!this.isNew && !this.isSelected('_encrypted')) return next();
+    if (this.$locals.encryptionError) {
+      return next(new Error(`Cannot save a document whose encrypted fields could not be read: ${this.$locals.encryptionError}`));
+    }
+
+    let values;
+    try {
+      values = collect(this);
+      this._encrypted = new Map(values.map(({ key, value }) => [key, encrypt(value)]));
+      this.encryptionKeyId = getCurrentKeyId();
+    } catch (error) {
+      return next(error);
+    }
+
+    for (const location of values) {
+      location.set(undefined);
+    }
+    this.$locals.encryptedValues = values;
+    next();
+  });
+
+  // Put the plaintext back so the saved document stays usable
+  schema.post('save', function(doc) {
+    for (const location of doc.$locals.encryptedValues || []) {
+      location.set(location.value);
+      doc.unmarkModified(location.fullPath);
+    }
+    delete doc.$locals.encryptedValues;
+  });
+
+  // Static method to re-encrypt a loaded document with the current key
+  // without running the schema's save hooks
+  schema.statics.reencrypt = function(doc) {
+    if (doc.$locals.encryptionError) {
+      throw new Error(doc.$locals.encryptionError);
+    }
+    const values = collect(doc);
+    const update = {
+      $set: {
+        _encrypted: Object.fromEntries(values.map(({ key, value }) => [key, encrypt(value)])),
+        encryptionKeyId: getCurrentKeyId()
+      }
+    };
+    if (values.length > 0) {
+      update.$unset = Object.fromEntries(values.map(({ fullPath }) => [fullPath, 1]));
+    }
+
+    // Skip documents changed since they were loaded; the next run gets them
+    return this.updateOne({ _id: doc._id, updatedAt: doc.updatedAt }, update, { timestamps: false, strict: false });
+  };
+
+  // Mask encrypted values in JSON output and never expose the ciphertext
+  const options = schema.get('toJSON') || {};
+  const previousTransform = options.transform;
+  schema.set('toJSON', {
+    ...options,
+    transform(doc, ret, transformOptions) {
+      const result = typeof previousTransform === 'function' ? previousTransform(doc, ret, transformOptions) : ret;
+      delete result._encrypted;
+      delete result.encryptionKeyId;
+      // Transforms also run for subdocuments; only the top level masks
+      if (typeof doc.ownerDocument === 'function' && doc.ownerDocument() !== doc) return result;
+      if (doc.$locals.revealEncrypted) return result;
+
+      const masked = new Set();
+      for (const spec of specs) {
+        const items = spec.arrayPath ? (getIn(result, spec.arrayPath) || []) : [result];
+        for (const item of items) {
+          if (spec.arrayPath && spec.when && !spec.when(item)) continue;
+          const value = getIn(item, spec.field);
+          if (isEmpty(value)) continue;
+          setIn(item, spec.field, MASKS[spec.mask || 'redact'](value));
+          masked.add(spec.path);
+        }
+      }
+      if (masked.size > 0) {
+        result.maskedFields = [...masked];
+      }
+      return result;
+    }
+  });
+};
+
+// Mark documents so their encrypted fields come out in plaintext in JSON
+const revealEncryptedFields = (docs) => {
+  for (const doc of [].concat(docs)) {
+    if (doc && doc.$locals) doc.$locals.revealEncrypted = true;
+  }
+  return docs;
+};
+
+module.exports = encryptedFields;
+module.exports.revealEncryptedFields = revealEncryptedFields;
@@ -0,0 +1,67 @@
+const express = require('express');
+const multer = require('multer');
+const asyncHandler = require('../middleware/asyncHandler');
+const { protect } = require('../middleware/auth');
+const ErrorResponse = require('../utils/ErrorResponse');
+const { buildBundle, buildCsv, writeSummaryPdf } = require('../services/accountExport');
+const { importBundle } = require('../services/accountImport');
+
+const router = express.Router();
+
+// Bundles are read in memory and never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }
+});
+
+router.use(protect);
+
+// GET /api/account/export?format=json|csv|pdf&collection= - download the user's data
+router.get('/export', asyncHandler(async (req, res) => {
+  const format = req.query.format || 'json';
+  const bundle = await buildBundle(req.user);
+  const date = bundle.exportedAt.toISOString().slice(0, 10);
+
+  switch (format) {
+    case 'json':
+      res.attachment(`1wealthblend-export-${date}.json`);
+      res.send(JSON.stringify(bundle, null, 2));
+      break;
+    case 'csv': {
+      const csv = buildCsv(bundle, req.query.collection);
+      res.attachment(`1wealthblend-${req.query.collection}-${date}.csv`);
+      res.type('text/csv').send(csv);
+      break;
+    }
+    case 'pdf':
+      res.attachment(`1wealthblend-summary-${date}.pdf`);
+      res.type('application/pdf');
+      writeSummaryPdf(bundle, res);
+      break;
+    default:
+      throw new ErrorResponse('format must be one of: json, csv, pdf', 400);
+  }
+}));
+
+// POST /api/account/import?dryRun=false - import an exported bundle, uploaded
+// as a file or sent as the request body. Only reports what would happen
+// unless dryRun=false.
+router.post('/import', upload.single('file'), asyncHandler(async (req, res) => {
+  let bundle = req.body;
+  if (req.file) {
+    try {
+      bundle = JSON.parse(req.file.buffer.toString('utf8'));
+    } catch (error) {
+      throw new ErrorResponse('Uploaded file is not valid JSON', 400);
+    }
+  }
+
+  const report = await importBundle(req.user, bundle, { dryRun: req.query.dryRun !== 'false' });
+
+  res.status(report.dryRun ? 200 : 201).json({
+    success: true,
+    data: report
+  });
+}));
+
+module.exports = router;
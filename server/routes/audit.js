@@ -0,0 +1,133 @@
+const express = require('express');
+const asyncHandler = require('../middleware/asyncHandler');
+const { protect } = require('../middleware/auth');
+const { loadRecordAccess } = require('../middleware/recordAccess');
+const ErrorResponse = require('../utils/ErrorResponse');
+const { revealEncryptedFields } = require('../models/plugins/encryptedFields');
+const { findSubject, getHistory, reconstruct, restoreVersion } = require('../services/recordHistory');
+const Budget = require('../models/Budget');
+const BudgetPlan = require('../models/BudgetPlan');
+const CategoryRule = require('../models/CategoryRule');
+const EstatePlan = require('../models/EstatePlan');
+const ForecastSettings = require('../models/ForecastSettings');
+const Goal = require('../models/Goal');
+const ImportProfile = require('../models/ImportProfile');
+const InvestmentAccount = require('../models/InvestmentAccount');
+const Liability = require('../models/Liability');
+const NotificationPreference = require('../models/NotificationPreference');
+const Payout = require('../models/Payout');
+const PayoutStream = require('../models/PayoutStream');
+const TaxRecord = require('../models/TaxRecord');
+const Trade = require('../models/Trade');
+const TransactionSplit = require('../models/TransactionSplit');
+
+const router = express.Router();
+
+router.use(protect);
+router.use(loadRecordAccess);
+
+// Record types with a history, and whether household members can see them
+const RECORD_TYPES = {
+  budgets: { Model: Budget, shared: true },
+  'budget-plans': { Model: BudgetPlan },
+  'category-rules': { Model: CategoryRule },
+  'estate-plans': { Model: EstatePlan, shared: true },
+  'forecast-settings': { Model: ForecastSettings },
+  goals: { Model: Goal },
+  'import-profiles': { Model: ImportProfile },
+  'investment-accounts': { Model: InvestmentAccount },
+  liabilities: { Model: Liability, shared: true },
+  'notification-preferences': { Model: NotificationPreference },
+  // Received payouts are tied to the budget transaction they created
+  payouts: { Model: Payout, restorable: false },
+  'payout-streams': { Model: PayoutStream },
+  'tax-records': { Model: TaxRecord, shared: true },
+  // The trade ledger is append-only; trades are corrected by new trades
+  trades: { Model: Trade, restorable: false },
+  'transaction-splits': { Model: TransactionSplit }
+};
+
+const parseLimit = (value, fallback = 50) => {
+  return Math.min(Math.max(parseInt(value, 10) || fallback, 1), 200);
+};
+
+// Either a point in time (asOf) or a history entry to go back to (entryId)
+const parseCutoff = ({ asOf, entryId }) => {
+  if (entryId) return { entryId };
+  if (!asOf) {
+    throw new ErrorResponse('asOf or entryId is required', 400);
+  }
+  const date = new Date(asOf);
+  if (Number.isNaN(date.getTime())) {
+    throw new ErrorResponse('asOf must be a valid date', 400);
+  }
+  return { asOf: date };
+};
+
+// Resolve the record type and load the record the caller may access
+const loadSubject = async (req, mode = 'read') => {
+  const type = RECORD_TYPES[req.params.type];
+  if (!type) {
+    throw new ErrorResponse(`Record type must be one of: ${Object.keys(RECORD_TYPES).join(', ')}`, 400);
+  }
+  const filter = type.shared ? req.access.filter(mode) : { userId: req.user._id };
+  const current = await findSubject(type.Model, req.params.id, filter, req.user._id);
+  return { Model: type.Model, shared: Boolean(type.shared), restorable: type.restorable !== false, current };
+};
+
+// Whether ?reveal=true may show encrypted values: only to the record's owner
+// and to household members who may change it, not to viewers. Deleted
+// records are only found for their owner.
+const canReveal = async (req, { Model, shared, current }) => {
+  if (req.query.reveal !== 'true') return false;
+  if (!shared || !current || req.access.isOwner(current)) return true;
+  if (!(await Model.exists({ _id: current._id, ...req.access.filter('write') }))) {
+    throw new ErrorResponse('Only the owner or household editors can reveal encrypted values', 403);
+  }
+  return true;
+};
+
+// GET /api/audit/:type/:id?limit=50&reveal=true - a record's changes, newest first
+router.get('/:type/:id', asyncHandler(async (req, res) => {
+  const subject = await loadSubject(req);
+  const reveal = await canReveal(req, subject);
+
+  res.json({
+    success: true,
+    data: await getHistory(subject.Model, req.params.id, {
+      limit: parseLimit(req.query.limit),
+      reveal
+    })
+  });
+}));
+
+// GET /api/audit/:type/:id/as-of?asOf=2024-01-31 (or ?entryId=) - the record as it was then
+router.get('/:type/:id/as-of', asyncHandler(async (req, res) => {
+  const subject = await loadSubject(req);
+  const reveal = await canReveal(req, subject);
+  const version = await reconstruct(subject.Model, req.params.id, subject.current, parseCutoff(req.query));
+
+  res.json({
+    success: true,
+    data: {
+      exists: Boolean(version),
+      record: version && reveal ? revealEncryptedFields(version) : version
+    }
+  });
+}));
+
+// POST /api/audit/:type/:id/restore - save the record as it was at { asOf } or { entryId }
+router.post('/:type/:id/restore', asyncHandler(async (req, res) => {
+  const { Model, restorable, current } = await loadSubject(req, 'write');
+  if (!restorable) {
+    throw new ErrorResponse(`${req.params.type} cannot be restored; record a correcting entry instead`, 400);
+  }
+  const restored = await restoreVersion(Model, req.params.id, current, parseCutoff(req.body));
+
+  res.json({
+    success: true,
+    data: restored
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,141 @@
+const express = require('express');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const asyncHandler = require('../middleware/asyncHandler');
+const { protect } = require('../middleware/auth');
+const ErrorResponse = require('../utils/ErrorResponse');
+const { issueTokens, rotateRefreshToken, revokeRefreshToken } = require('../services/authTokens');
+
+const router = express.Router();
+
+const publicUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  lastLoginAt: user.lastLoginAt,
+  createdAt: user.createdAt
+});
+
+// POST /api/auth/register - create an account
+router.post('/register', asyncHandler(async (req, res) => {
+  const { name, email, password } = req.body;
+  const user = await User.create({ name, email, password });
+  const tokens = await issueTokens(user, req);
+
+  res.status(201).json({
+    success: true,
+    data: {
+      user: publicUser(user),
+      ...tokens
+    }
+  });
+}));
+
+// POST /api/auth/login - exchange credentials for tokens
+router.post('/login', asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+  if (!email || !password) {
+    throw new ErrorResponse('Please provide an email and password', 400);
+  }
+
+  const user = await User.findOne({ email: String(email).toLowerCase() })
+    .select('+password +failedLoginAttempts +lockUntil');
+
+  // Same answer for unknown users, locked accounts and bad passwords, so
+  // responses do not reveal which emails are registered. Locked accounts
+  // are refused without checking the password.
+  if (!user || user.isLocked) {
+    throw new ErrorResponse('Invalid credentials', 401);
+  }
+
+  const matches = await user.matchPassword(password);
+  if (!matches) {
+    await user.registerFailedLogin();
+    throw new ErrorResponse('Invalid credentials', 401);
+  }
+
+  await user.registerSuccessfulLogin();
+  const tokens = await issueTokens(user, req);
+
+  res.json({
+    success: true,
+    data: {
+      user: publicUser(user),
+      ...tokens
+    }
+  });
+}));
+
+// POST /api/auth/refresh - rotate a refresh token for a new token pair
+router.post('/refresh', asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) {
+    throw new ErrorResponse('Refresh token is required', 400);
+  }
+
+  const { user, tokens } = await rotateRefreshToken(refreshToken, req);
+
+  res.json({
+    success: true,
+    data: {
+      user: publicUser(user),
+      ...tokens
+    }
+  });
+}));
+
+// POST /api/auth/logout - revoke the given refresh token
+router.post('/logout', asyncHandler(async (req, res) => {
+  if (req.body.refreshToken) {
+    await revokeRefreshToken(req.body.refreshToken);
+  }
+
+  res.json({
+    success: true,
+    data: {}
+  });
+}));
+
+// POST /api/auth/logout-all - revoke every refresh token for the caller
+router.post('/logout-all', protect, asyncHandler(async (req, res) => {
+  await RefreshToken.revokeAllForUser(req.user._id, 'logout_all');
+
+  res.json({
+    success: true,
+    data: {}
+  });
+}));
+
+// GET /api/auth/me - the signed-in user
+router.get('/me', protect, (req, res) => {
+  res.json({
+    success: true,
+    data: publicUser(req.user)
+  });
+});
+
+// PUT /api/auth/password - change password and sign out other sessions
+router.put('/password', protect, asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  if (!currentPassword || !newPassword) {
+    throw new ErrorResponse('Please provide the current and new password', 400);
+  }
+
+  const user = await User.findById(req.user._id).select('+password');
+  if (!(await user.matchPassword(currentPassword))) {
+    throw new ErrorResponse('Current password is incorrect', 401);
+  }
+
+  user.password = newPassword;
+  await user.save();
+  await RefreshToken.revokeAllForUser(user._id, 'password_changed');
+  const tokens = await issueTokens(user, req);
+
+  res.json({
+    success: true,
+    data: tokens
+  });
+}));
+
+module.exports = router;
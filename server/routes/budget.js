@@ -0,0 +1,600 @@
+const express = require('express');
+const multer = require('multer');
+const Budget = require('../models/Budget');
+const BudgetPlan = require('../models/BudgetPlan');
+const CategoryRule = require('../models/CategoryRule');
+const EnvelopeTransfer = require('../models/EnvelopeTransfer');
+const TransactionSplit = require('../models/TransactionSplit');
+const ImportBatch = require('../models/ImportBatch');
+const ImportProfile = require('../models/ImportProfile');
+const asyncHandler = require('../middleware/asyncHandler');
+const { protect, authorize } = require('../middleware/auth');
+const { loadRecordAccess } = require('../middleware/recordAccess');
+const { validateBody } = require('../middleware/validateRequest');
+const ErrorResponse = require('../utils/ErrorResponse');
+const { createPreview, commitBatch } = require('../services/statementImport');
+const {
+  getVarianceReport,
+  getRollingAverages,
+  getTopTags,
+  getTrends,
+  findAnomalies
+} = require('../services/budgetAnalytics');
+const {
+  getPlanSummary,
+  transferBetweenEnvelopes,
+  coverOverspending,
+  assignIncome,
+  reverseTransfer
+} = require('../services/budgetModes');
+const { addTransaction, createSplit, deleteSplit } = require('../services/budgetTransactions');
+const { parseRates, saveRates, loadRateFile, getRate, normalizeCurrency } = require('../services/exchangeRates');
+
+const router = express.Router();
+
+// Statements are parsed in memory and never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+router.use(protect);
+
+// Pick the fields a client may set on a document
+const pick = (source, fields) => {
+  return fields.reduce((result, field) => {
+    if (source[field] !== undefined) result[field] = source[field];
+    return result;
+  }, {});
+};
+
+const parseDateParam = (value, name) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ErrorResponse(`${name} must be a valid date`, 400);
+  }
+  return date;
+};
+
+const parseNumberParam = (value, name, { min, max }) => {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw new ErrorResponse(`${name} must be a number between ${min} and ${max}`, 400);
+  }
+  return number;
+};
+
+// Common analytics query parameters. Defaults to the last twelve months;
+// ?scope=household also includes budgets shared with the caller's households.
+const analyticsQuery = (req) => {
+  const now = new Date();
+  const to = parseDateParam(req.query.to, 'to') || now;
+  const from = parseDateParam(req.query.from, 'from') ||
+    new Date(Date.UTC(to.getUTCFullYear(), to.getUTCMonth() - 11, 1));
+  if (from >= to) {
+    throw new ErrorResponse('from must be before to', 400);
+  }
+
+  const { category } = req.query;
+  if (category && !Budget.schema.path('category').enumValues.includes(category)) {
+    throw new ErrorResponse(`Unknown budget category: ${category}`, 400);
+  }
+
+  return {
+    match: req.query.scope === 'household' ? req.access.filter() : { userId: req.user._id },
+    from,
+    to,
+    category,
+    // Reports cover one currency at a time
+    currency: req.query.currency ? normalizeCurrency(req.query.currency) : 'USD'
+  };
+};
+
+const PROFILE_FIELDS = ['name', 'bankName', 'delimiter', 'hasHeader', 'skipRows', 'dateFormat', 'columns', 'amountSign'];
+const PLAN_FIELDS = ['mode', 'period', 'year', 'month', 'quarter', 'week', 'expectedIncome', 'notes'];
+// The period a plan covers is fixed once it exists
+const PLAN_UPDATE_FIELDS = ['mode', 'expectedIncome', 'notes'];
+const RULE_FIELDS = ['name', 'category', 'field', 'operator', 'value', 'valueMax', 'transactionType', 'priority', 'enabled'];
+
+// Transaction bodies checked against the Budget schema
+const transactionSchema = Budget.schema.path('transactions').schema;
+const validateTransaction = validateBody('BudgetTransaction', transactionSchema);
+const validateTransactionUpdate = validateBody('BudgetTransactionUpdate', transactionSchema, { partial: true });
+
+// POST /api/budget/import/preview - parse a statement into a dry-run preview
+router.post('/import/preview', upload.single('file'), asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new ErrorResponse('Please upload a statement file', 400);
+  }
+
+  const batch = await createPreview(req.user.id, {
+    content: req.file.buffer.toString('utf8'),
+    filename: req.file.originalname,
+    format: req.body.format,
+    profileId: req.body.profileId,
+    budgetId: req.body.budgetId
+  });
+
+  res.status(201).json({
+    success: true,
+    data: batch
+  });
+}));
+
+// GET /api/budget/import/:batchId - fetch a preview or a finished import
+router.get('/import/:batchId', asyncHandler(async (req, res) => {
+  const batch = await ImportBatch.findOne({ _id: req.params.batchId, userId: req.user.id });
+  if (!batch) {
+    throw new ErrorResponse('Import not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: batch
+  });
+}));
+
+// POST /api/budget/import/:batchId/commit - post the previewed rows into budgets
+router.post('/import/:batchId/commit', asyncHandler(async (req, res) => {
+  const overrides = Array.isArray(req.body.rows) ? req.body.rows : [];
+  const batch = await commitBatch(req.user.id, req.params.batchId, overrides);
+
+  res.json({
+    success: true,
+    data: batch
+  });
+}));
+
+// DELETE /api/budget/import/:batchId - discard a preview without importing
+router.delete('/import/:batchId', asyncHandler(async (req, res) => {
+  const batch = await ImportBatch.findOneAndUpdate(
+    { _id: req.params.batchId, userId: req.user.id, status: 'preview' },
+    { $set: { status: 'discarded' } },
+    { new: true }
+  );
+  if (!batch) {
+    throw new ErrorResponse('Import preview not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: {}
+  });
+}));
+
+// GET /api/budget/import-profiles - saved CSV column mappings
+router.get('/import-profiles', asyncHandler(async (req, res) => {
+  const profiles = await ImportProfile.find({ userId: req.user.id }).sort({ name: 1 });
+
+  res.json({
+    success: true,
+    data: profiles
+  });
+}));
+
+// POST /api/budget/import-profiles - save a bank's CSV column mapping
+router.post('/import-profiles', asyncHandler(async (req, res) => {
+  const profile = await ImportProfile.create({
+    ...pick(req.body, PROFILE_FIELDS),
+    userId: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: profile
+  });
+}));
+
+// PUT /api/budget/import-profiles/:id - update a column mapping
+router.put('/import-profiles/:id', asyncHandler(async (req, res) => {
+  const profile = await ImportProfile.findOne({ _id: req.params.id, userId: req.user.id });
+  if (!profile) {
+    throw new ErrorResponse('Import profile not found', 404);
+  }
+
+  profile.set(pick(req.body, PROFILE_FIELDS));
+  await profile.save();
+
+  res.json({
+    success: true,
+    data: profile
+  });
+}));
+
+// DELETE /api/budget/import-profiles/:id
+router.delete('/import-profiles/:id', asyncHandler(async (req, res) => {
+  const result = await ImportProfile.deleteOne({ _id: req.params.id, userId: req.user.id });
+  if (result.deletedCount === 0) {
+    throw new ErrorResponse('Import profile not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: {}
+  });
+}));
+
+// GET /api/budget/category-rules - rules used to categorize imported rows
+router.get('/category-rules', asyncHandler(async (req, res) => {
+  const rules = await CategoryRule.find({ userId: req.user.id }).sort({ priority: -1, createdAt: 1 });
+
+  res.json({
+    success: true,
+    data: rules
+  });
+}));
+
+// POST /api/budget/category-rules
+router.post('/category-rules', asyncHandler(async (req, res) => {
+  const rule = await CategoryRule.create({
+    ...pick(req.body, RULE_FIELDS),
+    userId: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: rule
+  });
+}));
+
+// PUT /api/budget/category-rules/:id
+router.put('/category-rules/:id', asyncHandler(async (req, res) => {
+  const rule = await CategoryRule.findOne({ _id: req.params.id, userId: req.user.id });
+  if (!rule) {
+    throw new ErrorResponse('Category rule not found', 404);
+  }
+
+  rule.set(pick(req.body, RULE_FIELDS));
+  await rule.save();
+
+  res.json({
+    success: true,
+    data: rule
+  });
+}));
+
+// DELETE /api/budget/category-rules/:id
+router.delete('/category-rules/:id', asyncHandler(async (req, res) => {
+  const result = await CategoryRule.deleteOne({ _id: req.params.id, userId: req.user.id });
+  if (result.deletedCount === 0) {
+    throw new ErrorResponse('Category rule not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: {}
+  });
+}));
+
+const findPlan = async (req) => {
+  const plan = await BudgetPlan.findOne({ _id: req.params.id, userId: req.user.id });
+  if (!plan) {
+    throw new ErrorResponse('Budget plan not found', 404);
+  }
+  return plan;
+};
+
+// GET /api/budget/plans - budgeting mode per period
+router.get('/plans', asyncHandler(async (req, res) => {
+  const plans = await BudgetPlan.find({ userId: req.user.id }).sort({ year: -1, quarter: -1, month: -1, week: -1 });
+
+  res.json({
+    success: true,
+    data: plans
+  });
+}));
+
+// POST /api/budget/plans - choose standard, zero-based or envelope budgeting for a period
+router.post('/plans', asyncHandler(async (req, res) => {
+  const plan = await BudgetPlan.create({
+    ...pick(req.body, PLAN_FIELDS),
+    userId: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: plan
+  });
+}));
+
+// GET /api/budget/plans/:id - plan with unassigned income or envelope balances and debt
+router.get('/plans/:id', asyncHandler(async (req, res) => {
+  const plan = await findPlan(req);
+
+  res.json({
+    success: true,
+    data: await getPlanSummary(plan)
+  });
+}));
+
+// PUT /api/budget/plans/:id - switch mode or change expected income
+router.put('/plans/:id', asyncHandler(async (req, res) => {
+  const plan = await findPlan(req);
+  plan.set(pick(req.body, PLAN_UPDATE_FIELDS));
+  await plan.save();
+
+  res.json({
+    success: true,
+    data: plan
+  });
+}));
+
+// DELETE /api/budget/plans/:id - go back to standard budgeting; budgets and transfer history are kept
+router.delete('/plans/:id', asyncHandler(async (req, res) => {
+  const plan = await findPlan(req);
+  await plan.deleteOne();
+
+  res.json({
+    success: true,
+    data: {}
+  });
+}));
+
+// POST /api/budget/plans/:id/assign - zero-based: assign unassigned income to a budget
+router.post('/plans/:id/assign', asyncHandler(async (req, res) => {
+  const plan = await findPlan(req);
+  const transfer = await assignIncome(plan, req.body, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    data: transfer
+  });
+}));
+
+// GET /api/budget/plans/:id/transfers - transfer history, newest first
+router.get('/plans/:id/transfers', asyncHandler(async (req, res) => {
+  const plan = await findPlan(req);
+  const filter = { planId: plan._id };
+  if (req.query.budgetId) {
+    filter.$or = [{ fromBudgetId: req.query.budgetId }, { toBudgetId: req.query.budgetId }];
+  }
+
+  const transfers = await EnvelopeTransfer.find(filter)
+    .sort({ createdAt: -1 })
+    .populate('fromBudgetId toBudgetId', 'name category');
+
+  res.json({
+    success: true,
+    data: transfers
+  });
+}));
+
+// POST /api/budget/plans/:id/transfers - envelope: move money between envelopes
+router.post('/plans/:id/transfers', asyncHandler(async (req, res) => {
+  const plan = await findPlan(req);
+  const transfer = await transferBetweenEnvelopes(plan, req.body, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    data: transfer
+  });
+}));
+
+// POST /api/budget/plans/:id/transfers/:transferId/reverse - undo a transfer with an opposite one
+router.post('/plans/:id/transfers/:transferId/reverse', asyncHandler(async (req, res) => {
+  const plan = await findPlan(req);
+  const reversal = await reverseTransfer(plan, req.params.transferId, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    data: reversal
+  });
+}));
+
+// POST /api/budget/plans/:id/cover - envelope: pay off an overspent envelope from the others
+// Body: { budgetId, fromBudgetId? }; without fromBudgetId every funded envelope chips in
+router.post('/plans/:id/cover', asyncHandler(async (req, res) => {
+  const plan = await findPlan(req);
+  const result = await coverOverspending(plan, req.body, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    data: result
+  });
+}));
+
+// GET /api/budget/analytics/variance?period=monthly&from=&to=&category=&currency= - budget vs. actual by category and period
+router.get('/analytics/variance', loadRecordAccess, asyncHandler(async (req, res) => {
+  const { match, ...options } = analyticsQuery(req);
+
+  res.json({
+    success: true,
+    data: await getVarianceReport(match, { ...options, period: req.query.period })
+  });
+}));
+
+// GET /api/budget/analytics/rolling-averages?from=&to=&category=&currency= - 3/6/12-month average spending
+router.get('/analytics/rolling-averages', loadRecordAccess, asyncHandler(async (req, res) => {
+  const { match, ...options } = analyticsQuery(req);
+
+  res.json({
+    success: true,
+    data: await getRollingAverages(match, options)
+  });
+}));
+
+// GET /api/budget/analytics/tags?from=&to=&limit=10&currency= - top spending tags
+router.get('/analytics/tags', loadRecordAccess, asyncHandler(async (req, res) => {
+  const { match, from, to, currency } = analyticsQuery(req);
+
+  res.json({
+    success: true,
+    data: await getTopTags(match, {
+      from,
+      to,
+      currency,
+      limit: parseNumberParam(req.query.limit, 'limit', { min: 1, max: 100 })
+    })
+  });
+}));
+
+// GET /api/budget/analytics/trends?interval=weekly|monthly|quarterly|yearly&byCategory=true - spending over time
+router.get('/analytics/trends', loadRecordAccess, asyncHandler(async (req, res) => {
+  const { match, ...options } = analyticsQuery(req);
+
+  res.json({
+    success: true,
+    data: await getTrends(match, {
+      ...options,
+      interval: req.query.interval,
+      byCategory: req.query.byCategory === 'true'
+    })
+  });
+}));
+
+// GET /api/budget/analytics/anomalies?from=&to=&zScore=3&spikePercent=50 - unusual transactions and spending spikes
+router.get('/analytics/anomalies', loadRecordAccess, asyncHandler(async (req, res) => {
+  const { match, ...options } = analyticsQuery(req);
+
+  res.json({
+    success: true,
+    data: await findAnomalies(match, {
+      ...options,
+      zScore: parseNumberParam(req.query.zScore, 'zScore', { min: 1, max: 10 }),
+      spikePercent: parseNumberParam(req.query.spikePercent, 'spikePercent', { min: 1, max: 1000 })
+    })
+  });
+}));
+
+// GET /api/budget/exchange-rates?from=EUR&to=USD&date=&amount= - rate used for a conversion
+router.get('/exchange-rates', asyncHandler(async (req, res) => {
+  const date = parseDateParam(req.query.date, 'date') || new Date();
+  const rate = await getRate(req.query.from, req.query.to, date, req.user._id);
+  const amount = req.query.amount !== undefined ? Number(req.query.amount) : undefined;
+
+  res.json({
+    success: true,
+    data: {
+      from: String(req.query.from).toUpperCase(),
+      to: String(req.query.to).toUpperCase(),
+      ...rate,
+      ...(Number.isFinite(amount) && { amount, converted: Math.round(amount * rate.rate * 100) / 100 })
+    }
+  });
+}));
+
+// POST /api/budget/exchange-rates - enter your own rates: { rates: [{ base, quote, date, rate }] }
+router.post('/exchange-rates', asyncHandler(async (req, res) => {
+  const items = Array.isArray(req.body.rates) ? req.body.rates : [req.body];
+  const { entries, errors } = parseRates(JSON.stringify(items), 'json');
+  if (errors.length > 0) {
+    throw new ErrorResponse('Some rates are invalid', 400, { errors });
+  }
+
+  res.status(201).json({
+    success: true,
+    data: await saveRates(entries, 'manual', req.user._id)
+  });
+}));
+
+// POST /api/budget/exchange-rates/reload - reload the shared rate file now
+router.post('/exchange-rates/reload', authorize('admin'), asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await loadRateFile(undefined, { force: true })
+  });
+}));
+
+// GET /api/budget/splits?from=&to= - split transactions
+router.get('/splits', asyncHandler(async (req, res) => {
+  const filter = { userId: req.user.id };
+  const from = parseDateParam(req.query.from, 'from');
+  const to = parseDateParam(req.query.to, 'to');
+  if (from || to) {
+    filter.date = {};
+    if (from) filter.date.$gte = from;
+    if (to) filter.date.$lte = to;
+  }
+
+  const splits = await TransactionSplit.find(filter).sort({ date: -1 });
+
+  res.json({
+    success: true,
+    data: splits
+  });
+}));
+
+// POST /api/budget/splits - split one transaction across categories or budgets
+// Body: { description, totalAmount, currency, date, type, parts: [{ budgetId, category, amount|percent }] }
+router.post('/splits', loadRecordAccess, asyncHandler(async (req, res) => {
+  const split = await createSplit(req.user._id, req.body, req.access.filter('write'));
+
+  res.status(201).json({
+    success: true,
+    data: split
+  });
+}));
+
+// GET /api/budget/splits/:id
+router.get('/splits/:id', asyncHandler(async (req, res) => {
+  const split = await TransactionSplit.findOne({ _id: req.params.id, userId: req.user.id })
+    .populate('parts.budgetId', 'name category currency');
+  if (!split) {
+    throw new ErrorResponse('Split transaction not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: split
+  });
+}));
+
+// DELETE /api/budget/splits/:id - remove a split and all of its parts
+router.delete('/splits/:id', asyncHandler(async (req, res) => {
+  const split = await TransactionSplit.findOne({ _id: req.params.id, userId: req.user.id });
+  if (!split) {
+    throw new ErrorResponse('Split transaction not found', 404);
+  }
+
+  await deleteSplit(split);
+
+  res.json({
+    success: true,
+    data: {}
+  });
+}));
+
+// POST /api/budget/:id/transactions - add a transaction, in any currency, to a budget
+router.post('/:id/transactions', loadRecordAccess, validateTransaction, asyncHandler(async (req, res) => {
+  const budget = await Budget.findOne({ _id: req.params.id, ...req.access.filter('write') });
+  if (!budget) {
+    throw new ErrorResponse('Budget not found', 404);
+  }
+
+  const transaction = await addTransaction(budget, req.body, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    data: transaction
+  });
+}));
+
+// PATCH /api/budget/:id/transactions/:transactionId - tag a transaction for the
+// itemized deduction worksheet ({ taxDeduction: 'medicalExpenses' }, or null
+// to clear). Amounts and dates of posted transactions cannot be changed.
+router.patch('/:id/transactions/:transactionId', loadRecordAccess, validateTransactionUpdate, asyncHandler(async (req, res) => {
+  if (req.body.taxDeduction === undefined) {
+    throw new ErrorResponse('taxDeduction is required; send null to clear it', 400);
+  }
+
+  const budget = await Budget.findOne({ _id: req.params.id, ...req.access.filter('write') });
+  if (!budget) {
+    throw new ErrorResponse('Budget not found', 404);
+  }
+  const transaction = budget.transactions.id(req.params.transactionId);
+  if (!transaction) {
+    throw new ErrorResponse('Transaction not found', 404);
+  }
+
+  transaction.taxDeduction = req.body.taxDeduction || undefined;
+  await budget.save();
+
+  res.json({
+    success: true,
+    data: transaction
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const Budget = require('../models/Budget');
+const EstatePlan = require('../models/EstatePlan');
+const TaxRecord = require('../models/TaxRecord');
+const { schemaFor, buildSpec } = require('../utils/openApi');
+
+// API documentation for the routers mounted in server.js, given as
+// { '/api/budget': budgetRoutes, ... }. The spec is built on first request,
+// once every route has been registered.
+const createDocsRouter = (routers) => {
+  const router = express.Router();
+  let spec;
+
+  const getSpec = () => {
+    if (!spec) {
+      spec = buildSpec({
+        title: '1WealthBlend API',
+        version: '1.0.0',
+        routers,
+        schemas: {
+          Budget: schemaFor(Budget.schema),
+          EstatePlan: schemaFor(EstatePlan.schema),
+          TaxRecord: schemaFor(TaxRecord.schema)
+        }
+      });
+    }
+    return spec;
+  };
+
+  // GET /api/docs/openapi.json - the OpenAPI 3 document
+  router.get('/openapi.json', (req, res) => {
+    res.json(getSpec());
+  });
+
+  // GET /api/docs - interactive documentation
+  router.get('/', (req, res) => {
+    res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>1WealthBlend API</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+  <script>
+    SwaggerUIBundle({ url: '${req.baseUrl}/openapi.json', dom_id: '#docs' });
+  </script>
+</body>
+</html>`);
+  });
+
+  return router;
+};
+
+module.exports = createDocsRouter;
@@ -0,0 +1,164 @@
+const express = require('express');
+const EstatePlan = require('../models/EstatePlan');
+const asyncHandler = require('../middleware/asyncHandler');
+const { listTemplates } = require('../templates/estate');
+const { generateDocument, resolveDocumentPath } = require('../services/documentGenerator');
+const { protect } = require('../middleware/auth');
+const { loadRecordAccess } = require('../middleware/recordAccess');
+const ErrorResponse = require('../utils/ErrorResponse');
+
+const router = express.Router();
+
+router.use(protect, loadRecordAccess);
+
+const findPlan = async (req, mode = 'read') => {
+  const plan = await EstatePlan.findOne({ _id: req.params.id, ...req.access.filter(mode) });
+  if (!plan) {
+    throw new ErrorResponse('Estate plan not found', 404);
+  }
+  return plan;
+};
+
+// GET /api/estate/templates - document templates that can be generated
+router.get('/templates', (req, res) => {
+  res.json({
+    success: true,
+    data: listTemplates()
+  });
+});
+
+// GET /api/estate/:id/tax-estimate - estate tax breakdown
+// Optional ?year= and ?state= run a what-if without changing the stored estimate
+router.get('/:id/tax-estimate', asyncHandler(async (req, res) => {
+  const plan = await findPlan(req);
+  const options = {};
+  if (req.query.year) {
+    options.year = parseInt(req.query.year, 10);
+    if (Number.isNaN(options.year)) {
+      throw new ErrorResponse('Year must be a number', 400);
+    }
+  }
+  if (req.query.state) {
+    options.state = req.query.state;
+  }
+
+  res.json({
+    success: true,
+    data: plan.estimateTax(options)
+  });
+}));
+
+// GET /api/estate/:id/allocations - check beneficiary percentages
+router.get('/:id/allocations', asyncHandler(async (req, res) => {
+  const plan = await findPlan(req);
+  const issues = plan.checkAllocations();
+
+  res.json({
+    success: true,
+    data: {
+      valid: issues.length === 0,
+      issues
+    }
+  });
+}));
+
+// POST /api/estate/:id/simulate-distribution - who receives what if the
+// listed beneficiaries (ids or names) have predeceased
+router.post('/:id/simulate-distribution', asyncHandler(async (req, res) => {
+  const { predeceased = [] } = req.body;
+  if (!Array.isArray(predeceased)) {
+    throw new ErrorResponse('predeceased must be an array of beneficiary ids or names', 400);
+  }
+
+  const plan = await findPlan(req);
+
+  res.json({
+    success: true,
+    data: plan.simulateDistribution(predeceased)
+  });
+}));
+
+// POST /api/estate/:id/documents/generate - render a draft document as PDF
+router.post('/:id/documents/generate', asyncHandler(async (req, res) => {
+  const { type, version, principalName, healthcareAgent } = req.body;
+  const plan = await findPlan(req, 'write');
+
+  const document = await generateDocument(plan, { type, version, principalName, healthcareAgent });
+
+  res.status(201).json({
+    success: true,
+    data: document
+  });
+}));
+
+// GET /api/estate/:id/documents/:documentId/download - download a generated PDF
+router.get('/:id/documents/:documentId/download', asyncHandler(async (req, res) => {
+  const plan = await findPlan(req);
+  const document = plan.documents.id(req.params.documentId);
+  const filePath = document && resolveDocumentPath(document);
+  if (!filePath) {
+    throw new ErrorResponse('Document not found', 404);
+  }
+
+  res.download(filePath, `${document.type}-v${document.templateVersion}.pdf`);
+}));
+
+// GET /api/estate/:id/review - open review reasons, checklist and history
+router.get('/:id/review', asyncHandler(async (req, res) => {
+  const plan = await findPlan(req);
+
+  res.json({
+    success: true,
+    data: {
+      status: plan.status,
+      needsReview: plan.needsReview(),
+      lastReviewDate: plan.lastReviewDate,
+      nextReviewDate: plan.nextReviewDate,
+      reasons: plan.review.reasons.filter(reason => !reason.resolvedAt),
+      checklist: plan.review.checklist,
+      history: plan.review.history
+    }
+  });
+}));
+
+// PATCH /api/estate/:id/review/checklist/:itemId - tick a checklist item on or off
+router.patch('/:id/review/checklist/:itemId', asyncHandler(async (req, res) => {
+  const plan = await findPlan(req, 'write');
+  const item = plan.review.checklist.id(req.params.itemId);
+  if (!item) {
+    throw new ErrorResponse('Checklist item not found', 404);
+  }
+
+  item.completed = req.body.completed !== false;
+  item.completedAt = item.completed ? new Date() : undefined;
+  await plan.save();
+
+  res.json({
+    success: true,
+    data: item
+  });
+}));
+
+// POST /api/estate/:id/review/complete - finish the review and set lastReviewDate
+router.post('/:id/review/complete', asyncHandler(async (req, res) => {
+  const plan = await findPlan(req, 'write');
+  const result = plan.completeReview();
+  if (!result.completed) {
+    throw new ErrorResponse('Complete every checklist item before finishing the review', 400, {
+      outstanding: result.outstanding.map(item => ({ id: item._id, item: item.item }))
+    });
+  }
+
+  await plan.save();
+
+  res.json({
+    success: true,
+    data: {
+      status: plan.status,
+      lastReviewDate: plan.lastReviewDate,
+      nextReviewDate: plan.nextReviewDate
+    }
+  });
+}));
+
+module.exports = router;
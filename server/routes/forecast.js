@@ -0,0 +1,115 @@
+const express = require('express');
+const ForecastSettings = require('../models/ForecastSettings');
+const asyncHandler = require('../middleware/asyncHandler');
+const { protect } = require('../middleware/auth');
+const ErrorResponse = require('../utils/ErrorResponse');
+const { forecastCashFlow } = require('../services/cashFlowForecast');
+
+const router = express.Router();
+
+router.use(protect);
+
+const SETTINGS_FIELDS = ['startingBalance', 'balanceAsOf', 'cashFloor', 'historyMonths'];
+const ONE_OFF_FIELDS = ['description', 'amount', 'type', 'date', 'category'];
+
+const pick = (source, fields) => fields.reduce((values, field) => {
+  if (source[field] !== undefined) values[field] = source[field];
+  return values;
+}, {});
+
+// GET /api/forecast?months=12&granularity=monthly&startingBalance= - projected cash balances
+router.get('/', asyncHandler(async (req, res) => {
+  const settings = await ForecastSettings.forUser(req.user._id);
+
+  res.json({
+    success: true,
+    data: await forecastCashFlow(req.user._id, settings, {
+      months: req.query.months,
+      granularity: req.query.granularity,
+      startingBalance: req.query.startingBalance,
+      cashFloor: req.query.cashFloor
+    })
+  });
+}));
+
+// POST /api/forecast/scenarios - compare what-if scenarios against the baseline
+// Body: { months, granularity, startingBalance, scenarios: [{ name, adjustments: [...] }] }
+router.post('/scenarios', asyncHandler(async (req, res) => {
+  const { scenarios } = req.body;
+  if (!Array.isArray(scenarios) || scenarios.length === 0) {
+    throw new ErrorResponse('At least one scenario is required', 400);
+  }
+  if (scenarios.some(scenario => !Array.isArray(scenario.adjustments))) {
+    throw new ErrorResponse('Each scenario needs an adjustments array', 400);
+  }
+
+  const settings = await ForecastSettings.forUser(req.user._id);
+
+  res.json({
+    success: true,
+    data: await forecastCashFlow(req.user._id, settings, {
+      months: req.body.months,
+      granularity: req.body.granularity,
+      startingBalance: req.body.startingBalance,
+      cashFloor: req.body.cashFloor,
+      scenarios
+    })
+  });
+}));
+
+// GET /api/forecast/settings - starting balance, cash floor and one-off items
+router.get('/settings', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await ForecastSettings.forUser(req.user._id)
+  });
+}));
+
+// PUT /api/forecast/settings - update starting balance, cash floor or history window
+router.put('/settings', asyncHandler(async (req, res) => {
+  const settings = await ForecastSettings.forUser(req.user._id);
+  const updates = pick(req.body, SETTINGS_FIELDS);
+
+  // A new balance without a date is taken to be today's
+  if (updates.startingBalance !== undefined && updates.balanceAsOf === undefined) {
+    updates.balanceAsOf = new Date();
+  }
+  settings.set(updates);
+  await settings.save();
+
+  res.json({
+    success: true,
+    data: settings
+  });
+}));
+
+// POST /api/forecast/one-off-items - add a known future income or expense
+router.post('/one-off-items', asyncHandler(async (req, res) => {
+  const settings = await ForecastSettings.forUser(req.user._id);
+  settings.oneOffItems.push(pick(req.body, ONE_OFF_FIELDS));
+  await settings.save();
+
+  res.status(201).json({
+    success: true,
+    data: settings.oneOffItems[settings.oneOffItems.length - 1]
+  });
+}));
+
+// DELETE /api/forecast/one-off-items/:itemId - remove a one-off item
+router.delete('/one-off-items/:itemId', asyncHandler(async (req, res) => {
+  const settings = await ForecastSettings.forUser(req.user._id);
+  const item = settings.oneOffItems.id(req.params.itemId);
+  if (!item) {
+    throw new ErrorResponse('One-off item not found', 404);
+  }
+
+  item.deleteOne();
+  await settings.save();
+
+  res.json({
+    success: true,
+    data: {}
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,169 @@
+const express = require('express');
+const Goal = require('../models/Goal');
+const Budget = require('../models/Budget');
+const asyncHandler = require('../middleware/asyncHandler');
+const { protect } = require('../middleware/auth');
+const ErrorResponse = require('../utils/ErrorResponse');
+const { FUNDING_CATEGORIES, summarizeByMonth } = require('../services/goalProjection');
+
+const router = express.Router();
+
+router.use(protect);
+
+const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+const EDITABLE_FIELDS = [
+  'name', 'goalType', 'description', 'targetAmount', 'targetDate',
+  'startDate', 'startingAmount', 'priority', 'status', 'fundingSources'
+];
+
+const findGoal = async (req) => {
+  const goal = await Goal.findOne({ _id: req.params.id, userId: req.user.id });
+  if (!goal) {
+    throw new ErrorResponse('Goal not found', 404);
+  }
+  return goal;
+};
+
+// Linked budgets must belong to the caller and be in a funding category
+const checkFundingSources = async (req, sources = []) => {
+  const budgetIds = sources.filter(s => s.budgetId).map(s => s.budgetId);
+  if (budgetIds.length === 0) return;
+
+  const budgets = await Budget.find({ _id: { $in: budgetIds }, userId: req.user.id }).select('category');
+  for (const source of sources.filter(s => s.budgetId)) {
+    const budget = budgets.find(b => b._id.equals(source.budgetId));
+    if (!budget) {
+      throw new ErrorResponse(`Budget ${source.budgetId} not found`, 400);
+    }
+    if (!FUNDING_CATEGORIES.includes(budget.category)) {
+      throw new ErrorResponse(`Only ${FUNDING_CATEGORIES.join(', ')} budgets can fund a goal`, 400);
+    }
+    source.category = budget.category;
+  }
+};
+
+// GET /api/goals - goals by priority, then target date
+// Optional ?status=, ?goalType= and ?offTrack=true filters
+router.get('/', asyncHandler(async (req, res) => {
+  const filter = { userId: req.user.id };
+  if (req.query.status) filter.status = req.query.status;
+  if (req.query.goalType) filter.goalType = req.query.goalType;
+  if (req.query.offTrack === 'true') {
+    filter.status = 'active';
+    filter['projection.onTrack'] = false;
+  }
+
+  const goals = await Goal.find(filter);
+  goals.sort((a, b) => (PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority]) || (a.targetDate - b.targetDate));
+
+  res.json({
+    success: true,
+    data: goals
+  });
+}));
+
+// GET /api/goals/summary - totals across active goals
+router.get('/summary', asyncHandler(async (req, res) => {
+  const goals = await Goal.find({ userId: req.user.id, status: { $in: ['active', 'achieved'] } });
+  const active = goals.filter(goal => goal.status === 'active');
+  const sum = (list, pick) => Math.round(list.reduce((total, goal) => total + (pick(goal) || 0), 0) * 100) / 100;
+
+  res.json({
+    success: true,
+    data: {
+      activeGoals: active.length,
+      achievedGoals: goals.length - active.length,
+      offTrackGoals: active.filter(goal => goal.isOffTrack).length,
+      totalTarget: sum(active, goal => goal.targetAmount),
+      totalSaved: sum(active, goal => goal.projection.currentAmount),
+      totalRequiredMonthly: sum(active, goal => goal.projection.requiredMonthlyContribution),
+      totalAverageMonthly: sum(active, goal => goal.projection.averageMonthlyContribution)
+    }
+  });
+}));
+
+// POST /api/goals - create a goal and its first projection
+router.post('/', asyncHandler(async (req, res) => {
+  const data = EDITABLE_FIELDS.reduce((fields, field) => {
+    if (req.body[field] !== undefined) fields[field] = req.body[field];
+    return fields;
+  }, { userId: req.user.id });
+  await checkFundingSources(req, data.fundingSources);
+
+  const goal = new Goal(data);
+  await goal.validate();
+  await goal.refreshProjection();
+  await goal.save();
+
+  res.status(201).json({
+    success: true,
+    data: goal
+  });
+}));
+
+// GET /api/goals/:id
+router.get('/:id', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await findGoal(req)
+  });
+}));
+
+// PUT /api/goals/:id - update a goal and recalculate its projection
+router.put('/:id', asyncHandler(async (req, res) => {
+  const goal = await findGoal(req);
+  await checkFundingSources(req, req.body.fundingSources);
+
+  for (const field of EDITABLE_FIELDS) {
+    if (req.body[field] !== undefined) goal.set(field, req.body[field]);
+  }
+  // Reopening an achieved goal, e.g. after raising the target
+  if (req.body.status === 'active') {
+    goal.achievedAt = undefined;
+  }
+
+  await goal.validate();
+  await goal.refreshProjection();
+  await goal.save();
+
+  res.json({
+    success: true,
+    data: goal
+  });
+}));
+
+// DELETE /api/goals/:id
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const result = await Goal.deleteOne({ _id: req.params.id, userId: req.user.id });
+  if (result.deletedCount === 0) {
+    throw new ErrorResponse('Goal not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: {}
+  });
+}));
+
+// GET /api/goals/:id/projection - fresh projection with contribution history
+router.get('/:id/projection', asyncHandler(async (req, res) => {
+  const goal = await findGoal(req);
+  const { contributions } = await goal.refreshProjection();
+  await goal.save();
+
+  res.json({
+    success: true,
+    data: {
+      goalId: goal._id,
+      status: goal.status,
+      targetAmount: goal.targetAmount,
+      targetDate: goal.targetDate,
+      ...goal.toObject().projection,
+      monthlyContributions: summarizeByMonth(contributions),
+      contributions: req.query.details === 'true' ? contributions : undefined
+    }
+  });
+}));
+
+module.exports = router;
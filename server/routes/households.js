@@ -0,0 +1,324 @@
+const express = require('express');
+const Household = require('../models/Household');
+const User = require('../models/User');
+const Budget = require('../models/Budget');
+const EstatePlan = require('../models/EstatePlan');
+const TaxRecord = require('../models/TaxRecord');
+const Liability = require('../models/Liability');
+const SharedExpense = require('../models/SharedExpense');
+const asyncHandler = require('../middleware/asyncHandler');
+const { protect } = require('../middleware/auth');
+const ErrorResponse = require('../utils/ErrorResponse');
+const {
+  recordExpense,
+  recordSettlement,
+  deleteSharedExpense,
+  calculateBalances
+} = require('../services/sharedExpenses');
+
+const router = express.Router();
+
+router.use(protect);
+
+// Record types that can be shared with a household
+const SHAREABLE = {
+  budgets: Budget,
+  'estate-plans': EstatePlan,
+  'tax-records': TaxRecord,
+  liabilities: Liability
+};
+
+const MEMBER_ROLES = ['owner', 'editor', 'viewer'];
+
+const findHousehold = async (req, ...roles) => {
+  const household = await Household.findOne({ _id: req.params.id, 'members.userId': req.user._id });
+  if (!household) {
+    throw new ErrorResponse('Household not found', 404);
+  }
+  if (roles.length > 0 && !roles.includes(household.roleOf(req.user._id))) {
+    throw new ErrorResponse(`Only a household ${roles.join(' or ')} can do this`, 403);
+  }
+  return household;
+};
+
+const findShareableRecord = async (req) => {
+  const Model = SHAREABLE[req.params.type];
+  if (!Model) {
+    throw new ErrorResponse(`Record type must be one of: ${Object.keys(SHAREABLE).join(', ')}`, 400);
+  }
+  // Only the record's creator decides who it is shared with
+  const record = await Model.findOne({ _id: req.params.recordId, userId: req.user._id });
+  if (!record) {
+    throw new ErrorResponse('Record not found', 404);
+  }
+  return record;
+};
+
+// GET /api/households - households the caller belongs to
+router.get('/', asyncHandler(async (req, res) => {
+  const households = await Household.forUser(req.user._id)
+    .populate('members.userId', 'name email')
+    .sort({ name: 1 });
+
+  res.json({
+    success: true,
+    data: households
+  });
+}));
+
+// POST /api/households - create a household with the caller as owner
+router.post('/', asyncHandler(async (req, res) => {
+  const household = await Household.create({
+    name: req.body.name,
+    members: [{ userId: req.user._id, role: 'owner' }]
+  });
+
+  res.status(201).json({
+    success: true,
+    data: household
+  });
+}));
+
+// GET /api/households/:id - household with members and shared records
+router.get('/:id', asyncHandler(async (req, res) => {
+  const household = await findHousehold(req);
+  await household.populate('members.userId', 'name email');
+
+  const [budgets, estatePlans, taxRecords, liabilities] = await Promise.all([
+    Budget.find({ householdId: household._id }).select('name category year month userId'),
+    EstatePlan.find({ householdId: household._id }).select('planName status userId'),
+    TaxRecord.find({ householdId: household._id }).select('taxYear status revision isCurrent userId'),
+    Liability.find({ householdId: household._id }).select('name liabilityType currentBalance userId')
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      ...household.toObject(),
+      sharedRecords: { budgets, estatePlans, taxRecords, liabilities }
+    }
+  });
+}));
+
+// PUT /api/households/:id - rename a household or change its currency
+router.put('/:id', asyncHandler(async (req, res) => {
+  const household = await findHousehold(req, 'owner');
+  if (req.body.name !== undefined) {
+    household.name = req.body.name;
+  }
+  if (req.body.currency !== undefined && req.body.currency !== household.currency) {
+    // Balances are kept in the household currency, so it is fixed once used
+    if (await SharedExpense.exists({ householdId: household._id })) {
+      throw new ErrorResponse('Currency cannot change once shared expenses have been recorded', 400);
+    }
+    household.currency = req.body.currency;
+  }
+  await household.save();
+
+  res.json({
+    success: true,
+    data: household
+  });
+}));
+
+// DELETE /api/households/:id - delete a household; shared records go back to their creators only
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const household = await findHousehold(req, 'owner');
+
+  await Promise.all(Object.values(SHAREABLE).map(Model => Model.updateMany(
+    { householdId: household._id },
+    { $unset: { householdId: 1 } }
+  )));
+  await SharedExpense.deleteMany({ householdId: household._id });
+  await household.deleteOne();
+
+  res.json({
+    success: true,
+    data: {}
+  });
+}));
+
+// POST /api/households/:id/members - add an existing user by email
+router.post('/:id/members', asyncHandler(async (req, res) => {
+  const household = await findHousehold(req, 'owner');
+  const { email, role = 'viewer' } = req.body;
+
+  if (!MEMBER_ROLES.includes(role)) {
+    throw new ErrorResponse(`Role must be one of: ${MEMBER_ROLES.join(', ')}`, 400);
+  }
+  const user = await User.findOne({ email: String(email || '').toLowerCase() });
+  if (!user) {
+    throw new ErrorResponse('No user found with that email', 404);
+  }
+  if (household.roleOf(user._id)) {
+    throw new ErrorResponse('User is already a member of this household', 409);
+  }
+
+  household.members.push({ userId: user._id, role });
+  await household.save();
+
+  res.status(201).json({
+    success: true,
+    data: household
+  });
+}));
+
+// PATCH /api/households/:id/members/:userId - change a member's role
+router.patch('/:id/members/:userId', asyncHandler(async (req, res) => {
+  const household = await findHousehold(req, 'owner');
+  const member = household.members.find(m => String(m.userId) === req.params.userId);
+  if (!member) {
+    throw new ErrorResponse('Member not found', 404);
+  }
+  if (!MEMBER_ROLES.includes(req.body.role)) {
+    throw new ErrorResponse(`Role must be one of: ${MEMBER_ROLES.join(', ')}`, 400);
+  }
+
+  member.role = req.body.role;
+  await household.save();
+
+  res.json({
+    success: true,
+    data: household
+  });
+}));
+
+// DELETE /api/households/:id/members/:userId - remove a member, or leave the household
+router.delete('/:id/members/:userId', asyncHandler(async (req, res) => {
+  const leaving = req.params.userId === String(req.user._id);
+  const household = leaving ? await findHousehold(req) : await findHousehold(req, 'owner');
+
+  const index = household.members.findIndex(m => String(m.userId) === req.params.userId);
+  if (index === -1) {
+    throw new ErrorResponse('Member not found', 404);
+  }
+  const { balances } = await calculateBalances(household);
+  const balance = balances.find(b => b.userId === req.params.userId);
+  if (balance && Math.abs(balance.net) >= 0.01) {
+    throw new ErrorResponse('Member must settle up their shared expenses before leaving', 400, { net: balance.net });
+  }
+
+  household.members.splice(index, 1);
+  await household.save();
+
+  // A departing member's records stop being shared with the household
+  await Promise.all(Object.values(SHAREABLE).map(Model => Model.updateMany(
+    { householdId: household._id, userId: req.params.userId },
+    { $unset: { householdId: 1 } }
+  )));
+
+  res.json({
+    success: true,
+    data: household
+  });
+}));
+
+// PUT /api/households/:id/records/:type/:recordId - share one of the caller's records
+router.put('/:id/records/:type/:recordId', asyncHandler(async (req, res) => {
+  const household = await findHousehold(req);
+  const record = await findShareableRecord(req);
+
+  record.householdId = household._id;
+  await record.save();
+
+  res.json({
+    success: true,
+    data: record
+  });
+}));
+
+// DELETE /api/households/:id/records/:type/:recordId - stop sharing a record
+router.delete('/:id/records/:type/:recordId', asyncHandler(async (req, res) => {
+  const household = await findHousehold(req);
+  const record = await findShareableRecord(req);
+  if (!record.householdId || !record.householdId.equals(household._id)) {
+    throw new ErrorResponse('Record is not shared with this household', 400);
+  }
+
+  record.householdId = undefined;
+  await record.save();
+
+  res.json({
+    success: true,
+    data: record
+  });
+}));
+
+const findSharedExpense = async (req, household) => {
+  const expense = await SharedExpense.findOne({ _id: req.params.expenseId, householdId: household._id });
+  if (!expense) {
+    throw new ErrorResponse('Shared expense not found', 404);
+  }
+  return expense;
+};
+
+// GET /api/households/:id/expenses?from=&to= - shared expenses and settlements, newest first
+router.get('/:id/expenses', asyncHandler(async (req, res) => {
+  const household = await findHousehold(req);
+  const filter = { householdId: household._id };
+  if (req.query.from || req.query.to) {
+    filter.date = {};
+    if (req.query.from) filter.date.$gte = new Date(req.query.from);
+    if (req.query.to) filter.date.$lte = new Date(req.query.to);
+  }
+
+  const expenses = await SharedExpense.find(filter)
+    .sort({ date: -1, createdAt: -1 })
+    .populate('paidBy shares.userId', 'name email');
+
+  res.json({
+    success: true,
+    data: expenses
+  });
+}));
+
+// POST /api/households/:id/expenses - record an expense split among members (owners and editors)
+// Body: { description, amount, currency, date, paidBy, splitMethod, participants: [{ userId, amount|percent|shares }], budgetId }
+router.post('/:id/expenses', asyncHandler(async (req, res) => {
+  const household = await findHousehold(req, 'owner', 'editor');
+  const expense = await recordExpense(household, req.body, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    data: expense
+  });
+}));
+
+// DELETE /api/households/:id/expenses/:expenseId - only whoever recorded it or an owner
+router.delete('/:id/expenses/:expenseId', asyncHandler(async (req, res) => {
+  const household = await findHousehold(req);
+  const expense = await findSharedExpense(req, household);
+  if (!expense.createdBy.equals(req.user._id) && household.roleOf(req.user._id) !== 'owner') {
+    throw new ErrorResponse('Only whoever recorded this or a household owner can delete it', 403);
+  }
+
+  await deleteSharedExpense(expense);
+
+  res.json({
+    success: true,
+    data: {}
+  });
+}));
+
+// POST /api/households/:id/settlements - record a member paying another back (owners and editors): { to, amount, currency, from }
+router.post('/:id/settlements', asyncHandler(async (req, res) => {
+  const household = await findHousehold(req, 'owner', 'editor');
+  const settlement = await recordSettlement(household, req.body, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    data: settlement
+  });
+}));
+
+// GET /api/households/:id/balances - who owes whom, in the household currency
+router.get('/:id/balances', asyncHandler(async (req, res) => {
+  const household = await findHousehold(req);
+
+  res.json({
+    success: true,
+    data: await calculateBalances(household)
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,345 @@
+const express = require('express');
+const InvestmentAccount = require('../models/InvestmentAccount');
+const EstatePlan = require('../models/EstatePlan');
+const asyncHandler = require('../middleware/asyncHandler');
+const { protect, authorize } = require('../middleware/auth');
+const { loadRecordAccess } = require('../middleware/recordAccess');
+const ErrorResponse = require('../utils/ErrorResponse');
+const { parsePrices, savePrices, loadPriceFile, getPrices } = require('../services/priceFeed');
+const { valuePortfolio, buildAllocation, snapshotAccounts } = require('../services/portfolioValuation');
+const { getPerformance } = require('../services/portfolioReturns');
+const { syncAccountToEstatePlan, unlinkAccountFromEstatePlan } = require('../services/estateAssetSync');
+
+const router = express.Router();
+
+router.use(protect);
+
+const ACCOUNT_FIELDS = ['name', 'institution', 'accountType', 'accountNumber', 'cashBalance', 'isActive'];
+const LOT_FIELDS = ['quantity', 'costBasis', 'acquiredAt', 'notes'];
+
+const findAccount = async (req) => {
+  const account = await InvestmentAccount.findOne({ _id: req.params.id, userId: req.user.id });
+  if (!account) {
+    throw new ErrorResponse('Investment account not found', 404);
+  }
+  return account;
+};
+
+const findLot = (account, lotId) => {
+  for (const holding of account.holdings) {
+    const lot = holding.lots.id(lotId);
+    if (lot) return { holding, lot };
+  }
+  throw new ErrorResponse('Lot not found', 404);
+};
+
+const parseDateParam = (value, name) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ErrorResponse(`${name} must be a valid date`, 400);
+  }
+  return date;
+};
+
+// Accounts selected by ?accountId=, or all of the caller's active accounts
+const selectAccounts = async (req) => {
+  const filter = { userId: req.user.id, isActive: true };
+  if (req.query.accountId) {
+    filter._id = { $in: String(req.query.accountId).split(',') };
+  }
+  return InvestmentAccount.find(filter);
+};
+
+// GET /api/investments/accounts - investment accounts
+router.get('/accounts', asyncHandler(async (req, res) => {
+  const accounts = await InvestmentAccount.find({ userId: req.user.id }).sort({ name: 1 });
+
+  res.json({
+    success: true,
+    data: accounts
+  });
+}));
+
+// POST /api/investments/accounts - open an account
+router.post('/accounts', asyncHandler(async (req, res) => {
+  const data = ACCOUNT_FIELDS.reduce((fields, field) => {
+    if (req.body[field] !== undefined) fields[field] = req.body[field];
+    return fields;
+  }, { userId: req.user.id });
+  const account = await InvestmentAccount.create(data);
+
+  res.status(201).json({
+    success: true,
+    data: account
+  });
+}));
+
+// GET /api/investments/accounts/:id - account with current valuation
+router.get('/accounts/:id', asyncHandler(async (req, res) => {
+  const account = await findAccount(req);
+  const portfolio = await valuePortfolio([account]);
+
+  res.json({
+    success: true,
+    data: {
+      ...account.toObject(),
+      valuation: portfolio.accounts[0]
+    }
+  });
+}));
+
+// PUT /api/investments/accounts/:id
+router.put('/accounts/:id', asyncHandler(async (req, res) => {
+  const account = await findAccount(req);
+  for (const field of ACCOUNT_FIELDS) {
+    if (req.body[field] !== undefined) account.set(field, req.body[field]);
+  }
+  await account.save();
+
+  res.json({
+    success: true,
+    data: account
+  });
+}));
+
+// DELETE /api/investments/accounts/:id
+router.delete('/accounts/:id', asyncHandler(async (req, res) => {
+  const account = await findAccount(req);
+  await unlinkAccountFromEstatePlan(account);
+  await account.deleteOne();
+
+  res.json({
+    success: true,
+    data: {}
+  });
+}));
+
+// POST /api/investments/accounts/:id/lots - add a tax lot
+router.post('/accounts/:id/lots', asyncHandler(async (req, res) => {
+  const account = await findAccount(req);
+  const { symbol, name, assetClass, quantity, costBasis, acquiredAt, notes } = req.body;
+  if (!symbol) {
+    throw new ErrorResponse('Symbol is required', 400);
+  }
+
+  const lot = account.addLot({ symbol, name, assetClass, quantity, costBasis, acquiredAt, notes });
+  await account.save();
+
+  res.status(201).json({
+    success: true,
+    data: lot
+  });
+}));
+
+// PUT /api/investments/accounts/:id/lots/:lotId - correct a tax lot
+router.put('/accounts/:id/lots/:lotId', asyncHandler(async (req, res) => {
+  const account = await findAccount(req);
+  const { lot } = findLot(account, req.params.lotId);
+  for (const field of LOT_FIELDS) {
+    if (req.body[field] !== undefined) lot.set(field, req.body[field]);
+  }
+  await account.save();
+
+  res.json({
+    success: true,
+    data: lot
+  });
+}));
+
+// DELETE /api/investments/accounts/:id/lots/:lotId
+router.delete('/accounts/:id/lots/:lotId', asyncHandler(async (req, res) => {
+  const account = await findAccount(req);
+  const { lot } = findLot(account, req.params.lotId);
+  lot.deleteOne();
+  await account.save();
+
+  res.json({
+    success: true,
+    data: {}
+  });
+}));
+
+// POST /api/investments/accounts/:id/cash-flows - record a deposit (+) or withdrawal (-)
+router.post('/accounts/:id/cash-flows', asyncHandler(async (req, res) => {
+  const account = await findAccount(req);
+  const amount = Number(req.body.amount);
+  if (!Number.isFinite(amount) || amount === 0) {
+    throw new ErrorResponse('Amount must be a non-zero number', 400);
+  }
+
+  const flow = account.recordCashFlow({
+    date: parseDateParam(req.body.date, 'date'),
+    amount,
+    notes: req.body.notes
+  });
+  await account.save();
+
+  res.status(201).json({
+    success: true,
+    data: flow
+  });
+}));
+
+// PUT /api/investments/accounts/:id/estate-link - keep an estate plan asset in sync with this account
+router.put('/accounts/:id/estate-link', loadRecordAccess, asyncHandler(async (req, res) => {
+  const account = await findAccount(req);
+  const plan = await EstatePlan.findOne({ _id: req.body.estatePlanId, ...req.access.filter('write') });
+  if (!plan) {
+    throw new ErrorResponse('Estate plan not found', 404);
+  }
+
+  if (account.estateSync.estatePlanId && !account.estateSync.estatePlanId.equals(plan._id)) {
+    await unlinkAccountFromEstatePlan(account);
+  }
+  account.estateSync = { estatePlanId: plan._id };
+  await account.save();
+
+  const portfolio = await valuePortfolio([account]);
+  const synced = await syncAccountToEstatePlan(account, portfolio.totalValue);
+
+  res.json({
+    success: true,
+    data: synced
+  });
+}));
+
+// DELETE /api/investments/accounts/:id/estate-link
+router.delete('/accounts/:id/estate-link', asyncHandler(async (req, res) => {
+  const account = await findAccount(req);
+  await unlinkAccountFromEstatePlan(account);
+  await account.save();
+
+  res.json({
+    success: true,
+    data: {}
+  });
+}));
+
+// POST /api/investments/estate-sync - push current values into linked estate plans now
+router.post('/estate-sync', asyncHandler(async (req, res) => {
+  const accounts = await InvestmentAccount.find({
+    userId: req.user.id,
+    'estateSync.estatePlanId': { $exists: true }
+  });
+  const portfolio = await valuePortfolio(accounts);
+
+  const synced = [];
+  for (const [index, account] of accounts.entries()) {
+    const result = await syncAccountToEstatePlan(account, portfolio.accounts[index].totalValue);
+    if (result) synced.push({ accountId: account._id, ...result });
+  }
+
+  res.json({
+    success: true,
+    data: synced
+  });
+}));
+
+// GET /api/investments/portfolio - holdings, values and unrealized gains
+// Optional ?accountId= and ?asOf=
+router.get('/portfolio', asyncHandler(async (req, res) => {
+  const accounts = await selectAccounts(req);
+  const asOf = parseDateParam(req.query.asOf, 'asOf') || new Date();
+
+  res.json({
+    success: true,
+    data: await valuePortfolio(accounts, asOf)
+  });
+}));
+
+// GET /api/investments/gains - unrealized gains split into short and long term
+router.get('/gains', asyncHandler(async (req, res) => {
+  const accounts = await selectAccounts(req);
+  const portfolio = await valuePortfolio(accounts);
+
+  res.json({
+    success: true,
+    data: {
+      asOf: portfolio.asOf,
+      unrealizedGain: portfolio.unrealizedGain,
+      shortTerm: portfolio.shortTerm,
+      longTerm: portfolio.longTerm,
+      unpricedSymbols: portfolio.unpricedSymbols,
+      lots: portfolio.accounts.flatMap(account => account.holdings.flatMap(holding => holding.lots.map(lot => ({
+        accountId: account.accountId,
+        symbol: holding.symbol,
+        ...lot
+      }))))
+    }
+  });
+}));
+
+// GET /api/investments/allocation - asset allocation breakdowns
+router.get('/allocation', asyncHandler(async (req, res) => {
+  const accounts = await selectAccounts(req);
+  const portfolio = await valuePortfolio(accounts);
+
+  res.json({
+    success: true,
+    data: buildAllocation(portfolio)
+  });
+}));
+
+// GET /api/investments/performance - time- and money-weighted returns
+// Optional ?accountId=, ?from= and ?to=
+router.get('/performance', asyncHandler(async (req, res) => {
+  const accounts = await selectAccounts(req);
+
+  res.json({
+    success: true,
+    data: await getPerformance(accounts, {
+      from: parseDateParam(req.query.from, 'from'),
+      to: parseDateParam(req.query.to, 'to')
+    })
+  });
+}));
+
+// POST /api/investments/snapshot - record today's valuation of every active account
+router.post('/snapshot', asyncHandler(async (req, res) => {
+  const accounts = await selectAccounts(req);
+  const portfolio = await snapshotAccounts(accounts);
+
+  res.status(201).json({
+    success: true,
+    data: portfolio
+  });
+}));
+
+// GET /api/investments/prices?symbols=VTI,BND - latest known prices
+router.get('/prices', asyncHandler(async (req, res) => {
+  const symbols = String(req.query.symbols || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (symbols.length === 0) {
+    throw new ErrorResponse('Provide symbols, e.g. ?symbols=VTI,BND', 400);
+  }
+  const prices = await getPrices(symbols, parseDateParam(req.query.asOf, 'asOf') || new Date(), req.user._id);
+
+  res.json({
+    success: true,
+    data: symbols.map(symbol => ({ symbol: symbol.toUpperCase(), ...(prices.get(symbol.toUpperCase()) || { close: null }) }))
+  });
+}));
+
+// POST /api/investments/prices - enter your own prices: { prices: [{ symbol, date, close }] }
+router.post('/prices', asyncHandler(async (req, res) => {
+  const items = Array.isArray(req.body.prices) ? req.body.prices : [req.body];
+  const { entries, errors } = parsePrices(JSON.stringify(items), 'json');
+  if (errors.length > 0) {
+    throw new ErrorResponse('Some prices are invalid', 400, { errors });
+  }
+
+  res.status(201).json({
+    success: true,
+    data: await savePrices(entries, 'manual', req.user._id)
+  });
+}));
+
+// POST /api/investments/prices/reload - reload the shared price file now
+router.post('/prices/reload', authorize('admin'), asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await loadPriceFile(undefined, { force: true })
+  });
+}));
+
+module.exports = router;
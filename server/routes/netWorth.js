@@ -0,0 +1,163 @@
+const express = require('express');
+const Liability = require('../models/Liability');
+const asyncHandler = require('../middleware/asyncHandler');
+const { protect } = require('../middleware/auth');
+const { loadRecordAccess } = require('../middleware/recordAccess');
+const ErrorResponse = require('../utils/ErrorResponse');
+const { calculateNetWorth, takeSnapshot, getTimeSeries, monthOverMonth } = require('../services/netWorth');
+
+const router = express.Router();
+
+router.use(protect, loadRecordAccess);
+
+const LIABILITY_FIELDS = [
+  'name', 'liabilityType', 'lender', 'originalAmount', 'currentBalance', 'interestRate',
+  'monthlyPayment', 'startDate', 'maturityDate', 'securedBy', 'isActive', 'notes'
+];
+
+const parseDateParam = (value, name) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ErrorResponse(`${name} must be a valid date`, 400);
+  }
+  return date;
+};
+
+const findLiability = async (req, mode = 'read') => {
+  const liability = await Liability.findOne({ _id: req.params.id, ...req.access.filter(mode) });
+  if (!liability) {
+    throw new ErrorResponse('Liability not found', 404);
+  }
+  return liability;
+};
+
+// GET /api/net-worth - current assets, liabilities and net worth
+// ?scope=household also counts records shared with the caller's households
+router.get('/', asyncHandler(async (req, res) => {
+  const filter = req.query.scope === 'household' ? req.access.filter() : { userId: req.user._id };
+
+  res.json({
+    success: true,
+    data: await calculateNetWorth(req.user._id, filter)
+  });
+}));
+
+// GET /api/net-worth/history?from=&to=&interval=daily|weekly|monthly - snapshot time series
+router.get('/history', asyncHandler(async (req, res) => {
+  const to = parseDateParam(req.query.to, 'to') || new Date();
+  const from = parseDateParam(req.query.from, 'from') || new Date(to.getFullYear() - 1, to.getMonth(), to.getDate());
+
+  res.json({
+    success: true,
+    data: await getTimeSeries(req.user._id, { from, to, interval: req.query.interval })
+  });
+}));
+
+// GET /api/net-worth/changes?month=2026-09 - month-over-month change attribution
+router.get('/changes', asyncHandler(async (req, res) => {
+  const now = new Date();
+  let year = now.getFullYear();
+  let month = now.getMonth() + 1;
+  if (req.query.month) {
+    const match = String(req.query.month).match(/^(\d{4})-(\d{2})$/);
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+      throw new ErrorResponse('Month must look like YYYY-MM', 400);
+    }
+    year = Number(match[1]);
+    month = Number(match[2]);
+  }
+
+  res.json({
+    success: true,
+    data: await monthOverMonth(req.user._id, year, month)
+  });
+}));
+
+// POST /api/net-worth/snapshots - record today's snapshot now
+router.post('/snapshots', asyncHandler(async (req, res) => {
+  res.status(201).json({
+    success: true,
+    data: await takeSnapshot(req.user._id)
+  });
+}));
+
+// GET /api/net-worth/liabilities - mortgages, loans and other debts
+router.get('/liabilities', asyncHandler(async (req, res) => {
+  const filter = req.access.filter();
+  if (req.query.active === 'true') filter.isActive = true;
+
+  const liabilities = await Liability.find(filter).sort({ currentBalance: -1 });
+
+  res.json({
+    success: true,
+    data: liabilities
+  });
+}));
+
+// POST /api/net-worth/liabilities
+router.post('/liabilities', asyncHandler(async (req, res) => {
+  const data = LIABILITY_FIELDS.reduce((fields, field) => {
+    if (req.body[field] !== undefined) fields[field] = req.body[field];
+    return fields;
+  }, { userId: req.user._id });
+
+  res.status(201).json({
+    success: true,
+    data: await Liability.create(data)
+  });
+}));
+
+// GET /api/net-worth/liabilities/:id
+router.get('/liabilities/:id', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await findLiability(req)
+  });
+}));
+
+// PUT /api/net-worth/liabilities/:id
+router.put('/liabilities/:id', asyncHandler(async (req, res) => {
+  const liability = await findLiability(req, 'write');
+  for (const field of LIABILITY_FIELDS) {
+    if (req.body[field] !== undefined) liability.set(field, req.body[field]);
+  }
+  await liability.save();
+
+  res.json({
+    success: true,
+    data: liability
+  });
+}));
+
+// POST /api/net-worth/liabilities/:id/payments - pay down the balance
+router.post('/liabilities/:id/payments', asyncHandler(async (req, res) => {
+  const liability = await findLiability(req, 'write');
+  const amount = Number(req.body.amount);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new ErrorResponse('Payment amount must be greater than zero', 400);
+  }
+  liability.recordPayment(amount);
+  await liability.save();
+
+  res.json({
+    success: true,
+    data: liability
+  });
+}));
+
+// DELETE /api/net-worth/liabilities/:id
+router.delete('/liabilities/:id', asyncHandler(async (req, res) => {
+  const liability = await findLiability(req, 'write');
+  if (!req.access.isOwner(liability)) {
+    throw new ErrorResponse('Only the person who added a liability can delete it', 403);
+  }
+  await liability.deleteOne();
+
+  res.json({
+    success: true,
+    data: {}
+  });
+}));
+
+module.exports = router;
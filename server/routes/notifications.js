@@ -0,0 +1,140 @@
+const express = require('express');
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const asyncHandler = require('../middleware/asyncHandler');
+const { protect } = require('../middleware/auth');
+const ErrorResponse = require('../utils/ErrorResponse');
+
+const router = express.Router();
+
+router.use(protect);
+
+const parseLimit = (value, fallback = 50) => {
+  return Math.min(Math.max(parseInt(value, 10) || fallback, 1), 200);
+};
+
+// GET /api/notifications - in-app inbox, newest first
+router.get('/', asyncHandler(async (req, res) => {
+  const filter = { userId: req.user.id };
+  if (req.query.unread === 'true') {
+    filter.read = false;
+  }
+
+  const [notifications, unreadCount] = await Promise.all([
+    Notification.find(filter).sort({ createdAt: -1 }).limit(parseLimit(req.query.limit)),
+    Notification.countDocuments({ userId: req.user.id, read: false })
+  ]);
+
+  res.json({
+    success: true,
+    data: notifications,
+    unreadCount
+  });
+}));
+
+// GET /api/notifications/preferences - channel preferences
+router.get('/preferences', asyncHandler(async (req, res) => {
+  const preference = await NotificationPreference.forUser(req.user.id);
+  const data = preference.toObject();
+  if (data.channels.webhook) {
+    data.channels.webhook.hasSecret = Boolean(data.channels.webhook.secret);
+    delete data.channels.webhook.secret;
+  }
+
+  res.json({
+    success: true,
+    data
+  });
+}));
+
+// PUT /api/notifications/preferences - update channel preferences
+router.put('/preferences', asyncHandler(async (req, res) => {
+  const preference = await NotificationPreference.forUser(req.user.id);
+  const { channels = {}, minimumLevel } = req.body;
+
+  const channelFields = {
+    inApp: ['enabled'],
+    email: ['enabled', 'address'],
+    webhook: ['enabled', 'url', 'secret']
+  };
+
+  for (const [name, fields] of Object.entries(channelFields)) {
+    if (!channels[name]) continue;
+    for (const field of fields) {
+      if (channels[name][field] !== undefined) {
+        preference.set(`channels.${name}.${field}`, channels[name][field]);
+      }
+    }
+  }
+  if (minimumLevel !== undefined) {
+    preference.minimumLevel = minimumLevel;
+  }
+
+  await preference.save();
+
+  res.json({
+    success: true,
+    data: {
+      channels: preference.enabledChannels(),
+      minimumLevel: preference.minimumLevel
+    }
+  });
+}));
+
+// GET /api/notifications/deliveries - delivery log across all channels
+router.get('/deliveries', asyncHandler(async (req, res) => {
+  const filter = { userId: req.user.id };
+  if (req.query.channel) filter.channel = req.query.channel;
+  if (req.query.status) filter.status = req.query.status;
+  if (req.query.budgetId) filter.budgetId = req.query.budgetId;
+
+  const deliveries = await NotificationDelivery.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(parseLimit(req.query.limit));
+
+  res.json({
+    success: true,
+    data: deliveries
+  });
+}));
+
+// PATCH /api/notifications/read-all - mark the whole inbox as read
+router.patch('/read-all', asyncHandler(async (req, res) => {
+  const result = await Notification.markAllRead(req.user.id);
+
+  res.json({
+    success: true,
+    data: { updated: result.modifiedCount }
+  });
+}));
+
+// PATCH /api/notifications/:id/read - mark one notification as read
+router.patch('/:id/read', asyncHandler(async (req, res) => {
+  const notification = await Notification.findOne({ _id: req.params.id, userId: req.user.id });
+  if (!notification) {
+    throw new ErrorResponse('Notification not found', 404);
+  }
+
+  await notification.markRead();
+
+  res.json({
+    success: true,
+    data: notification
+  });
+}));
+
+// DELETE /api/notifications/:id - remove a notification from the inbox
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const result = await Notification.deleteOne({ _id: req.params.id, userId: req.user.id });
+  if (result.deletedCount === 0) {
+    throw new ErrorResponse('Notification not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: {}
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,247 @@
+const express = require('express');
+const PayoutStream = require('../models/PayoutStream');
+const Payout = require('../models/Payout');
+const asyncHandler = require('../middleware/asyncHandler');
+const { protect } = require('../middleware/auth');
+const ErrorResponse = require('../utils/ErrorResponse');
+const {
+  calculateRmd,
+  rmdForStream,
+  ensureExpectedPayouts,
+  resetExpectedPayouts,
+  receivePayout,
+  recordReceipt,
+  reconcilePayouts,
+  buildIncomeCalendar
+} = require('../services/payoutSchedule');
+
+const router = express.Router();
+
+router.use(protect);
+
+const STREAM_FIELDS = [
+  'name', 'streamType', 'amount', 'frequency', 'startDate', 'endDate', 'annualIncreasePercent',
+  'payer', 'accountId', 'budgetCategory', 'rmd', 'taxable', 'isActive', 'notes'
+];
+
+const oneYearFrom = (date) => new Date(date.getFullYear() + 1, date.getMonth(), date.getDate());
+
+// An RMD stream needs a tax-deferred account with a balance to schedule
+// from. Checked before saving, so a stream that cannot be scheduled is
+// never stored.
+const checkSchedulable = async (stream) => {
+  await stream.validate();
+  if (stream.streamType === 'rmd' && stream.isActive) {
+    await rmdForStream(stream, new Date().getFullYear());
+  }
+};
+
+const parseDateParam = (value, name) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ErrorResponse(`${name} must be a valid date`, 400);
+  }
+  return date;
+};
+
+const findStream = async (req) => {
+  const stream = await PayoutStream.findOne({ _id: req.params.id, userId: req.user.id });
+  if (!stream) {
+    throw new ErrorResponse('Payout stream not found', 404);
+  }
+  return stream;
+};
+
+const findPayout = async (req) => {
+  const payout = await Payout.findOne({ _id: req.params.id, userId: req.user.id });
+  if (!payout) {
+    throw new ErrorResponse('Payout not found', 404);
+  }
+  const stream = await PayoutStream.findById(payout.streamId);
+  return { payout, stream };
+};
+
+// GET /api/payouts/streams - recurring income streams
+router.get('/streams', asyncHandler(async (req, res) => {
+  const streams = await PayoutStream.find({ userId: req.user.id }).sort({ name: 1 });
+
+  res.json({
+    success: true,
+    data: streams
+  });
+}));
+
+// POST /api/payouts/streams - add an income stream and schedule its payouts
+router.post('/streams', asyncHandler(async (req, res) => {
+  const data = STREAM_FIELDS.reduce((fields, field) => {
+    if (req.body[field] !== undefined) fields[field] = req.body[field];
+    return fields;
+  }, { userId: req.user.id });
+
+  const stream = new PayoutStream(data);
+  await checkSchedulable(stream);
+  await stream.save();
+  await ensureExpectedPayouts(stream, oneYearFrom(new Date()));
+
+  res.status(201).json({
+    success: true,
+    data: stream
+  });
+}));
+
+// GET /api/payouts/streams/:id
+router.get('/streams/:id', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await findStream(req)
+  });
+}));
+
+// PUT /api/payouts/streams/:id - update a stream and reschedule future payouts
+router.put('/streams/:id', asyncHandler(async (req, res) => {
+  const stream = await findStream(req);
+  for (const field of STREAM_FIELDS) {
+    if (req.body[field] !== undefined) stream.set(field, req.body[field]);
+  }
+  await checkSchedulable(stream);
+  await stream.save();
+
+  await resetExpectedPayouts(stream);
+  await ensureExpectedPayouts(stream, oneYearFrom(new Date()));
+
+  res.json({
+    success: true,
+    data: stream
+  });
+}));
+
+// DELETE /api/payouts/streams/:id - remove a stream and its outstanding payouts
+router.delete('/streams/:id', asyncHandler(async (req, res) => {
+  const stream = await findStream(req);
+  await Payout.deleteMany({ streamId: stream._id, status: { $in: ['expected', 'missed', 'skipped'] } });
+  await stream.deleteOne();
+
+  res.json({
+    success: true,
+    data: {}
+  });
+}));
+
+// GET /api/payouts/streams/:id/rmd?year= - required minimum distribution for an RMD stream
+router.get('/streams/:id/rmd', asyncHandler(async (req, res) => {
+  const stream = await findStream(req);
+  if (stream.streamType !== 'rmd') {
+    throw new ErrorResponse('Only RMD streams have a required minimum distribution', 400);
+  }
+  const year = req.query.year ? parseInt(req.query.year, 10) : new Date().getFullYear();
+  if (Number.isNaN(year)) {
+    throw new ErrorResponse('Year must be a number', 400);
+  }
+
+  res.json({
+    success: true,
+    data: await rmdForStream(stream, year)
+  });
+}));
+
+// POST /api/payouts/streams/:id/receipts - record money received for a stream
+router.post('/streams/:id/receipts', asyncHandler(async (req, res) => {
+  const stream = await findStream(req);
+  const { amount, date, notes } = req.body;
+
+  res.status(201).json({
+    success: true,
+    data: await recordReceipt(stream, { amount, date: parseDateParam(date, 'date'), notes })
+  });
+}));
+
+// GET /api/payouts/rmd?balance=&birthDate=&year= - RMD calculator for any balance
+router.get('/rmd', (req, res, next) => {
+  const balance = Number(req.query.balance);
+  const birthDate = parseDateParam(req.query.birthDate, 'birthDate');
+  const year = req.query.year ? parseInt(req.query.year, 10) : new Date().getFullYear();
+  if (!Number.isFinite(balance) || balance < 0 || !birthDate || Number.isNaN(year)) {
+    return next(new ErrorResponse('Provide balance, birthDate and optionally year', 400));
+  }
+
+  res.json({
+    success: true,
+    data: calculateRmd({ balance, birthDate, year })
+  });
+});
+
+// GET /api/payouts/calendar?months=12 - expected income month by month
+router.get('/calendar', asyncHandler(async (req, res) => {
+  const months = Math.min(Math.max(parseInt(req.query.months, 10) || 12, 1), 24);
+  const streams = await PayoutStream.find({ userId: req.user.id, isActive: true });
+
+  res.json({
+    success: true,
+    data: await buildIncomeCalendar(streams, months)
+  });
+}));
+
+// GET /api/payouts/reconciliation?from=&to= - expected vs received, per stream
+router.get('/reconciliation', asyncHandler(async (req, res) => {
+  const now = new Date();
+  const from = parseDateParam(req.query.from, 'from') || new Date(now.getFullYear(), 0, 1);
+  const to = parseDateParam(req.query.to, 'to') || now;
+  const streams = await PayoutStream.find({ userId: req.user.id });
+
+  res.json({
+    success: true,
+    data: await reconcilePayouts(req.user._id, streams, { from, to })
+  });
+}));
+
+// GET /api/payouts - scheduled and received payouts
+// Optional ?status=, ?streamId=, ?from= and ?to= filters
+router.get('/', asyncHandler(async (req, res) => {
+  const filter = { userId: req.user.id };
+  if (req.query.status) filter.status = req.query.status;
+  if (req.query.streamId) filter.streamId = req.query.streamId;
+  const from = parseDateParam(req.query.from, 'from');
+  const to = parseDateParam(req.query.to, 'to');
+  if (from || to) {
+    filter.expectedDate = {};
+    if (from) filter.expectedDate.$gte = from;
+    if (to) filter.expectedDate.$lte = to;
+  }
+
+  const payouts = await Payout.find(filter).sort({ expectedDate: 1 }).limit(500);
+
+  res.json({
+    success: true,
+    data: payouts
+  });
+}));
+
+// POST /api/payouts/:id/receive - mark an expected payout as received
+router.post('/:id/receive', asyncHandler(async (req, res) => {
+  const { payout, stream } = await findPayout(req);
+  const { amount, date, notes } = req.body;
+
+  res.json({
+    success: true,
+    data: await receivePayout(stream, payout, { amount, date: parseDateParam(date, 'date'), notes })
+  });
+}));
+
+// POST /api/payouts/:id/skip - mark an expected payout as not coming
+router.post('/:id/skip', asyncHandler(async (req, res) => {
+  const { payout } = await findPayout(req);
+  if (!['expected', 'missed'].includes(payout.status)) {
+    throw new ErrorResponse('Only outstanding payouts can be skipped', 400);
+  }
+  payout.status = 'skipped';
+  if (req.body.notes !== undefined) payout.notes = req.body.notes;
+  await payout.save();
+
+  res.json({
+    success: true,
+    data: payout
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,269 @@
+const express = require('express');
+const multer = require('multer');
+const asyncHandler = require('../middleware/asyncHandler');
+const { protect } = require('../middleware/auth');
+const { loadRecordAccess } = require('../middleware/recordAccess');
+const { validateBody } = require('../middleware/validateRequest');
+const ErrorResponse = require('../utils/ErrorResponse');
+const TaxRecord = require('../models/TaxRecord');
+const TaxDocument = require('../models/TaxDocument');
+const { revealEncryptedFields } = require('../models/plugins/encryptedFields');
+const { amendRecord, getRevisions, compareYears } = require('../services/taxHistory');
+const { buildPlan, getPlanWithSchedule, listUpcomingPayments } = require('../services/estimatedTaxPlanner');
+const { ingestDocuments, applyDocument, removeDocument, getSources } = require('../services/taxDocuments');
+const { getWorksheet, updateWorksheet } = require('../services/itemizedDeductions');
+
+const router = express.Router();
+
+// Tax forms are parsed in memory; only their figures and hashes are kept
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+router.use(protect, loadRecordAccess);
+
+// Request bodies checked against the TaxRecord schema
+const validateAmendment = validateBody('TaxRecordAmendment', TaxRecord.schema, { partial: true, field: 'changes' });
+const validatePayment = validateBody('EstimatedPayment', TaxRecord.schema.path('estimatedPayments').schema);
+
+// GET /api/tax/compare?years=2022,2023,2024&reveal=true - side-by-side comparison of tax years
+router.get('/compare', asyncHandler(async (req, res) => {
+  const years = String(req.query.years || '')
+    .split(',')
+    .map(year => parseInt(year, 10))
+    .filter(year => !Number.isNaN(year));
+  const uniqueYears = [...new Set(years)];
+
+  if (uniqueYears.length < 2) {
+    throw new ErrorResponse('Provide at least two tax years to compare, e.g. ?years=2023,2024', 400);
+  }
+  if (uniqueYears.length > 10) {
+    throw new ErrorResponse('At most 10 tax years can be compared at once', 400);
+  }
+
+  res.json({
+    success: true,
+    data: await compareYears(req.user.id, uniqueYears, { reveal: req.query.reveal === 'true' })
+  });
+}));
+
+// Income figures are masked in responses unless ?reveal=true is passed
+const reveal = (req, records) => (req.query.reveal === 'true' ? revealEncryptedFields(records) : records);
+
+const findRecord = async (req, mode = 'read') => {
+  const record = await TaxRecord.findOne({ _id: req.params.id, ...req.access.filter(mode) });
+  if (!record) {
+    throw new ErrorResponse('Tax record not found', 404);
+  }
+  return record;
+};
+
+// GET /api/tax/estimated-payments/upcoming - quarterly payments due or overdue
+router.get('/estimated-payments/upcoming', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await listUpcomingPayments(req.user.id)
+  });
+}));
+
+// GET /api/tax/:id/revisions?reveal=true - the original return and every amendment
+router.get('/:id/revisions', asyncHandler(async (req, res) => {
+  const revisions = await getRevisions(req.access.filter(), req.params.id);
+
+  res.json({
+    success: true,
+    data: reveal(req, revisions)
+  });
+}));
+
+// POST /api/tax/:id/amend?reveal=true - file an amendment as a new linked revision
+router.post('/:id/amend', validateAmendment, asyncHandler(async (req, res) => {
+  const { changes, reason } = req.body;
+  if (!changes || typeof changes !== 'object') {
+    throw new ErrorResponse('changes must be an object of amended fields', 400);
+  }
+
+  const amended = await amendRecord(req.access.filter('write'), req.params.id, changes, reason);
+
+  res.status(201).json({
+    success: true,
+    data: reveal(req, amended)
+  });
+}));
+
+// GET /api/tax/:id/estimated-plan - quarterly plan with payment status
+router.get('/:id/estimated-plan', asyncHandler(async (req, res) => {
+  const record = await findRecord(req);
+  const plan = getPlanWithSchedule(record);
+  if (!plan) {
+    throw new ErrorResponse('No estimated tax plan yet. POST year-to-date figures to create one', 404);
+  }
+
+  res.json({
+    success: true,
+    data: plan
+  });
+}));
+
+// POST /api/tax/:id/estimated-plan - project the year from year-to-date figures
+router.post('/:id/estimated-plan', asyncHandler(async (req, res) => {
+  const record = await findRecord(req, 'write');
+  record.estimatedTaxPlan = await buildPlan(record, {
+    asOf: req.body.asOf,
+    ytd: req.body.ytd || {}
+  });
+  await record.save();
+
+  res.status(201).json({
+    success: true,
+    data: getPlanWithSchedule(record)
+  });
+}));
+
+// POST /api/tax/:id/estimated-payments - record a quarterly payment
+router.post('/:id/estimated-payments', validatePayment, asyncHandler(async (req, res) => {
+  const record = await findRecord(req, 'write');
+  const { quarter, amount, paidDate, confirmationNumber, notes } = req.body;
+  const payment = record.recordEstimatedPayment({ quarter, amount: Number(amount), paidDate, confirmationNumber, notes });
+  await record.save();
+
+  res.status(201).json({
+    success: true,
+    data: payment
+  });
+}));
+
+// DELETE /api/tax/:id/estimated-payments/:paymentId
+router.delete('/:id/estimated-payments/:paymentId', asyncHandler(async (req, res) => {
+  const record = await findRecord(req, 'write');
+  if (!record.removeEstimatedPayment(req.params.paymentId)) {
+    throw new ErrorResponse('Payment not found', 404);
+  }
+  await record.save();
+
+  res.json({
+    success: true,
+    data: {}
+  });
+}));
+
+// GET /api/tax/:id/itemized?reveal=true - itemized deduction worksheet, weighed
+// against the standard deduction, with the year's deductible budget spending
+router.get('/:id/itemized', asyncHandler(async (req, res) => {
+  const record = await findRecord(req);
+
+  res.json({
+    success: true,
+    data: await getWorksheet(record, { reveal: req.query.reveal === 'true' })
+  });
+}));
+
+// PUT /api/tax/:id/itemized?reveal=true - fill in worksheet lines. { prefill: true } takes
+// them from tagged budget transactions; values ({ medicalExpenses: 1200 })
+// set lines by hand, null clears one.
+router.put('/:id/itemized', asyncHandler(async (req, res) => {
+  const record = await updateWorksheet(req.access.filter('write'), req.params.id, {
+    prefill: req.body.prefill === true,
+    values: req.body.values || {}
+  });
+
+  res.json({
+    success: true,
+    data: await getWorksheet(record, { reveal: req.query.reveal === 'true' })
+  });
+}));
+
+// GET /api/tax/:id/forms?reveal=true - tax forms uploaded for the return, across revisions
+router.get('/:id/forms', asyncHandler(async (req, res) => {
+  const record = await findRecord(req);
+  const documents = await TaxDocument.forReturn(record);
+
+  res.json({
+    success: true,
+    data: reveal(req, documents)
+  });
+}));
+
+// POST /api/tax/:id/forms?reveal=true - upload W-2 and 1099 forms as CSV, TXF,
+// JSON or a fillable PDF and add their figures to the return. Optional
+// formType, taxYear and term (short or long, for 1099-B) apply to forms
+// that do not state them, and fieldMap (JSON) names the box behind each of
+// the file's fields.
+router.post('/:id/forms', upload.single('file'), asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new ErrorResponse('Please upload a tax form file', 400);
+  }
+
+  let fieldMap = req.body.fieldMap;
+  if (typeof fieldMap === 'string') {
+    try {
+      fieldMap = JSON.parse(fieldMap);
+    } catch (error) {
+      throw new ErrorResponse('fieldMap must be a JSON object', 400);
+    }
+  }
+  if (fieldMap !== undefined && (!fieldMap || typeof fieldMap !== 'object' || Array.isArray(fieldMap))) {
+    throw new ErrorResponse('fieldMap must be a JSON object', 400);
+  }
+
+  const result = await ingestDocuments(req.access.filter('write'), req.params.id, {
+    content: req.file.buffer,
+    filename: req.file.originalname,
+    format: req.body.format,
+    formType: req.body.formType,
+    taxYear: req.body.taxYear ? parseInt(req.body.taxYear, 10) : undefined,
+    term: req.body.term,
+    fieldMap
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      taxRecord: reveal(req, result.taxRecord),
+      documents: reveal(req, result.documents),
+      superseded: result.superseded.map(document => document._id),
+      warnings: result.warnings
+    }
+  });
+}));
+
+// GET /api/tax/:id/sources?reveal=true - which forms and boxes each figure came from
+router.get('/:id/sources', asyncHandler(async (req, res) => {
+  const record = await findRecord(req);
+  const documents = await TaxDocument.forReturn(record);
+
+  res.json({
+    success: true,
+    data: getSources(record, documents, { reveal: req.query.reveal === 'true' })
+  });
+}));
+
+// POST /api/tax/:id/forms/:formId/apply?reveal=true - apply a form flagged as a
+// duplicate or conflict; { replace: true } takes the form it clashes with off
+router.post('/:id/forms/:formId/apply', asyncHandler(async (req, res) => {
+  const result = await applyDocument(req.access.filter('write'), req.params.id, req.params.formId, {
+    replace: req.body.replace === true
+  });
+
+  res.json({
+    success: true,
+    data: {
+      taxRecord: reveal(req, result.taxRecord),
+      document: reveal(req, result.document),
+      superseded: result.superseded.map(document => document._id)
+    }
+  });
+}));
+
+// DELETE /api/tax/:id/forms/:formId?reveal=true - remove a form and its figures
+router.delete('/:id/forms/:formId', asyncHandler(async (req, res) => {
+  const record = await removeDocument(req.access.filter('write'), req.params.id, req.params.formId);
+
+  res.json({
+    success: true,
+    data: reveal(req, record)
+  });
+}));
+
+module.exports = router;
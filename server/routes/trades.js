@@ -0,0 +1,117 @@
+const express = require('express');
+const Trade = require('../models/Trade');
+const asyncHandler = require('../middleware/asyncHandler');
+const { protect } = require('../middleware/auth');
+const { loadRecordAccess } = require('../middleware/recordAccess');
+const ErrorResponse = require('../utils/ErrorResponse');
+const { revealEncryptedFields } = require('../models/plugins/encryptedFields');
+const { recordTrade, buildRealizedReport, applyReportToTaxRecord } = require('../services/tradeLedger');
+
+const router = express.Router();
+
+router.use(protect);
+
+const TRADE_FIELDS = [
+  'accountId', 'type', 'symbol', 'tradeDate', 'quantity', 'price', 'fees', 'amount',
+  'qualifiedDividend', 'splitRatio', 'costBasisMethod', 'lotSelections', 'basisReported', 'notes'
+];
+
+const parseYear = (value) => {
+  const year = parseInt(value, 10);
+  if (Number.isNaN(year) || year < 2000 || year > 2100) {
+    throw new ErrorResponse('Tax year must be a valid year', 400);
+  }
+  return year;
+};
+
+// GET /api/trades - trade ledger, newest first
+// Optional ?accountId=, ?symbol=, ?type= and ?year= filters
+router.get('/', asyncHandler(async (req, res) => {
+  const filter = { userId: req.user.id };
+  if (req.query.accountId) filter.accountId = req.query.accountId;
+  if (req.query.symbol) filter.symbol = String(req.query.symbol).toUpperCase();
+  if (req.query.type) filter.type = req.query.type;
+  if (req.query.year) {
+    const year = parseYear(req.query.year);
+    filter.tradeDate = { $gte: new Date(year, 0, 1), $lt: new Date(year + 1, 0, 1) };
+  }
+
+  const trades = await Trade.find(filter).sort({ tradeDate: -1, createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: trades
+  });
+}));
+
+// POST /api/trades - record a buy, sell, split, dividend or reinvestment
+router.post('/', asyncHandler(async (req, res) => {
+  const data = TRADE_FIELDS.reduce((fields, field) => {
+    if (req.body[field] !== undefined) fields[field] = req.body[field];
+    return fields;
+  }, {});
+
+  res.status(201).json({
+    success: true,
+    data: await recordTrade(req.user.id, data)
+  });
+}));
+
+// GET /api/trades/wash-sales?year= - sales with losses disallowed by the wash sale rule
+router.get('/wash-sales', asyncHandler(async (req, res) => {
+  const filter = { userId: req.user.id, type: 'sell', 'realized.washSale.disallowedLoss': { $gt: 0 } };
+  if (req.query.year) {
+    const year = parseYear(req.query.year);
+    filter.tradeDate = { $gte: new Date(year, 0, 1), $lt: new Date(year + 1, 0, 1) };
+  }
+
+  const trades = await Trade.find(filter).sort({ tradeDate: -1 });
+
+  res.json({
+    success: true,
+    data: trades
+  });
+}));
+
+// GET /api/trades/reports/:year - Form 8949-style realized gains and dividend totals
+router.get('/reports/:year', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await buildRealizedReport(req.user._id, parseYear(req.params.year))
+  });
+}));
+
+// POST /api/trades/reports/:year/apply?reveal=true - fill a tax return's capital gains and dividends from the report
+router.post('/reports/:year/apply', loadRecordAccess, asyncHandler(async (req, res) => {
+  if (!req.body.taxRecordId) {
+    throw new ErrorResponse('taxRecordId is required', 400);
+  }
+
+  const report = await buildRealizedReport(req.user._id, parseYear(req.params.year));
+  const { taxRecord, warnings } = await applyReportToTaxRecord(req.access.filter('write'), req.body.taxRecordId, report);
+
+  res.json({
+    success: true,
+    data: {
+      // Income figures are masked unless ?reveal=true is passed
+      taxRecord: req.query.reveal === 'true' ? revealEncryptedFields(taxRecord) : taxRecord,
+      summary: report.summary,
+      warnings
+    }
+  });
+}));
+
+// GET /api/trades/:id
+router.get('/:id', asyncHandler(async (req, res) => {
+  const trade = await Trade.findOne({ _id: req.params.id, userId: req.user.id });
+  if (!trade) {
+    throw new ErrorResponse('Trade not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: trade
+  });
+}));
+
+module.exports = router;
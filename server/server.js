@@ -7,17 +7,28 @@ const cors = require('cors');
 const path = require('path');
 
 // IMPORT ROUTES
+const accountRoutes = require('./routes/account');
+const auditRoutes = require('./routes/audit');
 const authRoutes = require('./routes/auth');
 const budgetRoutes = require('./routes/budget');
 const estateRoutes = require('./routes/estate');
+const forecastRoutes = require('./routes/forecast');
 const goalsRoutes = require('./routes/goals');
+const householdsRoutes = require('./routes/households');
 const investmentsRoutes = require('./routes/investments');
+const netWorthRoutes = require('./routes/netWorth');
+const notificationsRoutes = require('./routes/notifications');
 const payoutsRoutes = require('./routes/payouts');
 const taxRoutes = require('./routes/tax');
 const tradesRoutes = require('./routes/trades');
+const createDocsRouter = require('./routes/docs');
 
 // IMPORT MIDDLEWARE
 const errorHandler = require('./middleware/errorHandler');
+const { bindRequestContext } = require('./utils/requestContext');
+
+// IMPORT BACKGROUND JOBS
+const jobs = require('./jobs');
 
 const app = express();
 
@@ -59,6 +70,9 @@ app.use(cors(corsOptions));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Make the current request available to model hooks (audit trail)
+app.use(bindRequestContext);
+
 // Security headers
 app.use((req, res, next) => {
   res.setHeader('X-Content-Type-Options', 'nosniff');
@@ -90,14 +104,26 @@ app.get('/health', (req, res) => {
 });
 
 // API Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/budget', budgetRoutes);
-app.use('/api/estate', estateRoutes);
-app.use('/api/goals', goalsRoutes);
-app.use('/api/investments', investmentsRoutes);
-app.use('/api/payouts', payoutsRoutes);
-app.use('/api/tax', taxRoutes);
-app.use('/api/trades', tradesRoutes);
+const apiRoutes = {
+  '/api/account': accountRoutes,
+  '/api/audit': auditRoutes,
+  '/api/auth': authRoutes,
+  '/api/budget': budgetRoutes,
+  '/api/estate': estateRoutes,
+  '/api/forecast': forecastRoutes,
+  '/api/goals': goalsRoutes,
+  '/api/households': householdsRoutes,
+  '/api/investments': investmentsRoutes,
+  '/api/net-worth': netWorthRoutes,
+  '/api/notifications': notificationsRoutes,
+  '/api/payouts': payoutsRoutes,
+  '/api/tax': taxRoutes,
+  '/api/trades': tradesRoutes
+};
+Object.entries(apiRoutes).forEach(([basePath, router]) => app.use(basePath, router));
+
+// OpenAPI document and interactive docs for the routes above
+app.use('/api/docs', createDocsRouter(apiRoutes));
 
 // Serve static files from client build (if exists)
 if (process.env.NODE_ENV === 'production') {
@@ -125,11 +151,17 @@ if (process.env.NODE_ENV === 'production') {
       version: '1.0.0',
       documentation: '/api/docs',
       endpoints: {
+        account: '/api/account',
+        audit: '/api/audit',
         auth: '/api/auth',
         budget: '/api/budget',
         estate: '/api/estate',
+        forecast: '/api/forecast',
         goals: '/api/goals',
+        households: '/api/households',
         investments: '/api/investments',
+        netWorth: '/api/net-worth',
+        notifications: '/api/notifications',
         payouts: '/api/payouts',
         tax: '/api/tax',
         trades: '/api/trades'
@@ -170,6 +202,9 @@ const connectDB = async () => {
     
     console.log('✅ Connected to MongoDB successfully');
     
+    // Start background jobs once the database is available
+    jobs.startJobs();
+    
     // Start server
     const PORT = process.env.PORT || 3000;
     const server = app.listen(PORT, '0.0.0.0', () => {
@@ -184,6 +219,7 @@ const connectDB = async () => {
     // Graceful shutdown
     process.on('SIGTERM', () => {
       console.log('SIGTERM received. Shutting down gracefully...');
+      jobs.stopJobs();
       server.close(() => {
         console.log('Process terminated');
         mongoose.connection.close();
@@ -193,6 +229,7 @@ const connectDB = async () => {
 
     process.on('SIGINT', () => {
       console.log('SIGINT received. Shutting down gracefully...');
+      jobs.stopJobs();
       server.close(() => {
         console.log('Process terminated');
         mongoose.connection.close();
@@ -0,0 +1,172 @@
+const PDFDocument = require('pdfkit');
+const Budget = require('../models/Budget');
+const EstatePlan = require('../models/EstatePlan');
+const TaxRecord = require('../models/TaxRecord');
+const ErrorResponse = require('../utils/ErrorResponse');
+const { snapshot } = require('../models/plugins/auditTrail');
+const { flatten } = require('../utils/objectDiff');
+const { formatCurrency } = require('../templates/estate/helpers');
+
+// Bulk export of a user's own records. The bundle is versioned so older
+// exports can still be imported after the schemas change; bump
+// EXPORT_VERSION and teach services/accountImport the difference when the
+// bundle's shape changes.
+//
+// Exports hold encrypted fields (account numbers, income) in plaintext, as
+// the owner sees them.
+
+const EXPORT_FORMAT = '1wealthblend-export';
+const EXPORT_VERSION = 1;
+
+// Bundle keys and the models they come from
+const COLLECTIONS = {
+  budgets: Budget,
+  estatePlans: EstatePlan,
+  taxRecords: TaxRecord
+};
+
+// CSV files that can be requested, built from the bundle
+const CSV_COLLECTIONS = {
+  budgets: (data) => data.budgets.map(({ transactions, ...budget }) => budget),
+  transactions: (data) => data.budgets.flatMap(budget => (budget.transactions || []).map(transaction => ({
+    budgetId: budget._id,
+    budgetName: budget.name,
+    ...transaction
+  }))),
+  'estate-plans': (data) => data.estatePlans,
+  'tax-records': (data) => data.taxRecords
+};
+
+// Plain copy of a stored record without encryption bookkeeping
+const serialize = (doc) => {
+  const plain = snapshot(doc);
+  delete plain._encrypted;
+  delete plain.encryptionKeyId;
+  return plain;
+};
+
+// Every record the user owns, as a versioned bundle. Records other
+// household members shared with the user belong to them and are left out.
+const buildBundle = async (user) => {
+  const data = {};
+  for (const [key, Model] of Object.entries(COLLECTIONS)) {
+    const docs = await Model.find({ userId: user._id }).sort({ createdAt: 1 });
+    data[key] = docs.map(serialize);
+  }
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date(),
+    user: { name: user.name, email: user.email },
+    counts: Object.fromEntries(Object.entries(data).map(([key, docs]) => [key, docs.length])),
+    data
+  };
+};
+
+const csvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  // Text a spreadsheet would run as a formula is prefixed with ' and quoted.
+  // Numbers are left alone so negative amounts stay numeric.
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    return `"'${text.replace(/"/g, '""')}"`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV file from the bundle. Nested fields become dotted columns; lists
+// inside a record (beneficiaries, payments, ...) stay in the JSON export.
+const buildCsv = (bundle, collection) => {
+  const build = CSV_COLLECTIONS[collection];
+  if (!build) {
+    throw new ErrorResponse(`CSV collection must be one of: ${Object.keys(CSV_COLLECTIONS).join(', ')}`, 400);
+  }
+
+  const rows = build(bundle.data).map(record => {
+    const leaves = flatten(record);
+    return Object.fromEntries(Object.entries(leaves).filter(([path]) => !/\.\d+(\.|$)/.test(path)));
+  });
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+  return [
+    columns.map(csvValue).join(','),
+    ...rows.map(row => columns.map(column => csvValue(row[column])).join(','))
+  ].join('\r\n') + '\r\n';
+};
+
+// Budget totals per year, newest first
+const summarizeBudgets = (budgets) => {
+  const years = new Map();
+  for (const budget of budgets) {
+    const year = years.get(budget.year) || { year: budget.year, count: 0, budgeted: 0, spent: 0, transactions: 0 };
+    year.count++;
+    year.budgeted += budget.budgetedAmount || 0;
+    year.spent += budget.actualAmount || 0;
+    year.transactions += (budget.transactions || []).length;
+    years.set(budget.year, year);
+  }
+  return [...years.values()].sort((a, b) => b.year - a.year);
+};
+
+const totalIncome = (record) => Object.values(record.income || {})
+  .reduce((total, value) => total + (Number(value) || 0), 0);
+
+// Write a short PDF summary of the bundle to a stream
+const writeSummaryPdf = (bundle, stream) => {
+  const doc = new PDFDocument({ size: 'LETTER', margin: 72, info: { Title: 'Financial Summary' } });
+  doc.pipe(stream);
+
+  const heading = (text) => {
+    doc.moveDown(1).fontSize(13).font('Helvetica-Bold').text(text);
+    doc.font('Helvetica').fontSize(10).moveDown(0.3);
+  };
+  const line = (text) => doc.text(text);
+
+  doc.fontSize(18).text('Financial Summary', { align: 'center' });
+  doc.moveDown(0.5).fontSize(10).fillColor('#666666')
+    .text(`${bundle.user.name} <${bundle.user.email}> - exported ${bundle.exportedAt.toISOString().slice(0, 10)}`, { align: 'center' });
+  doc.fillColor('#000000');
+
+  heading('Budgets');
+  const years = summarizeBudgets(bundle.data.budgets);
+  if (years.length === 0) line('No budgets.');
+  for (const year of years) {
+    line(`${year.year}: ${year.count} budget(s), ${formatCurrency(year.budgeted)} budgeted, ` +
+      `${formatCurrency(year.spent)} spent across ${year.transactions} transaction(s)`);
+  }
+
+  heading('Estate plans');
+  if (bundle.data.estatePlans.length === 0) line('No estate plans.');
+  for (const plan of bundle.data.estatePlans) {
+    line(`${plan.planName} (${plan.planType}, ${plan.status}): estate value ${formatCurrency(plan.totalEstateValue)}, ` +
+      `estimated tax ${formatCurrency(plan.estimatedTaxLiability)}, ${(plan.beneficiaries || []).length} beneficiar${(plan.beneficiaries || []).length === 1 ? 'y' : 'ies'}`);
+  }
+
+  heading('Tax returns');
+  const returns = bundle.data.taxRecords.filter(record => record.isCurrent !== false)
+    .sort((a, b) => b.taxYear - a.taxYear);
+  if (returns.length === 0) line('No tax returns.');
+  for (const record of returns) {
+    const balance = record.refundOrOwed >= 0
+      ? `refund ${formatCurrency(record.refundOrOwed)}`
+      : `owed ${formatCurrency(-record.refundOrOwed)}`;
+    line(`${record.taxYear} (${record.status}${record.revision > 0 ? `, amendment ${record.revision}` : ''}): ` +
+      `income ${formatCurrency(totalIncome(record))}, tax ${formatCurrency(record.taxOwed)}, ${balance}`);
+  }
+
+  doc.moveDown(2).fontSize(8).fillColor('#666666')
+    .text(`Export format ${bundle.format} v${bundle.version}. Figures are as stored and are not tax or legal advice.`);
+
+  doc.end();
+};
+
+module.exports = {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  COLLECTIONS,
+  CSV_COLLECTIONS,
+  buildBundle,
+  buildCsv,
+  writeSummaryPdf
+};
@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+const ErrorResponse = require('../utils/ErrorResponse');
+const { EXPORT_FORMAT, EXPORT_VERSION, COLLECTIONS } = require('./accountExport');
+
+// Import of a bundle written by services/accountExport into the caller's
+// account. Every record and subdocument gets a new id, references between
+// imported records follow them, and references to anything outside the
+// bundle (households, splits, investment accounts, ...) are dropped.
+// Imports are dry runs unless explicitly committed.
+
+const SUPPORTED_VERSIONS = [1];
+
+// Bookkeeping that is recreated on save
+const STRIPPED_FIELDS = ['updatedAt', '__v', '_encrypted', 'encryptionKeyId'];
+
+// Every ObjectId path in a schema, including inside subdocuments
+const objectIdPaths = (schema, prefix = '') => {
+  const paths = [];
+  schema.eachPath((path, schemaType) => {
+    const fullPath = `${prefix}${path}`;
+    if (schemaType.instance === 'ObjectId') paths.push(fullPath);
+    if (schemaType.schema) paths.push(...objectIdPaths(schemaType.schema, `${fullPath}.`));
+  });
+  return new Set(paths);
+};
+
+// Visit every leaf with its schema path (array indexes left out). The
+// visitor's return value replaces the leaf; undefined removes it.
+const mapLeaves = (value, visit, path = '') => {
+  if (Array.isArray(value)) {
+    return value.map(item => mapLeaves(item, visit, path)).filter(item => item !== undefined);
+  }
+  if (value && typeof value === 'object') {
+    for (const key of Object.keys(value)) {
+      const mapped = mapLeaves(value[key], visit, path ? `${path}.${key}` : key);
+      if (mapped === undefined) {
+        delete value[key];
+      } else {
+        value[key] = mapped;
+      }
+    }
+    return value;
+  }
+  return visit(path, value);
+};
+
+const validateBundle = (bundle) => {
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== EXPORT_FORMAT) {
+    throw new ErrorResponse(`Not a ${EXPORT_FORMAT} bundle`, 400);
+  }
+  if (!Number.isInteger(bundle.version)) {
+    throw new ErrorResponse('Bundle version is missing', 400);
+  }
+  if (bundle.version > EXPORT_VERSION) {
+    throw new ErrorResponse(`Bundle version ${bundle.version} is newer than this server supports (${EXPORT_VERSION})`, 400);
+  }
+  if (!SUPPORTED_VERSIONS.includes(bundle.version)) {
+    throw new ErrorResponse(`Bundle version ${bundle.version} is no longer supported`, 400, { supported: SUPPORTED_VERSIONS });
+  }
+  if (!bundle.data || typeof bundle.data !== 'object') {
+    throw new ErrorResponse('Bundle has no data', 400);
+  }
+  for (const key of Object.keys(COLLECTIONS)) {
+    if (bundle.data[key] !== undefined && !Array.isArray(bundle.data[key])) {
+      throw new ErrorResponse(`Bundle data.${key} must be an array`, 400);
+    }
+  }
+};
+
+// Give every record and subdocument in the bundle a new id, and point the
+// bundle's records at the importing user
+const remapIds = (data, userId, warnings) => {
+  const idPaths = Object.fromEntries(Object.entries(COLLECTIONS)
+    .map(([key, Model]) => [key, objectIdPaths(Model.schema)]));
+
+  const newIds = new Map();
+  for (const [key, records] of Object.entries(data)) {
+    for (const record of records) {
+      mapLeaves(record, (path, value) => {
+        if (idPaths[key].has(path) && path.split('.').pop() === '_id' && value) {
+          newIds.set(String(value), new mongoose.Types.ObjectId());
+        }
+        return value;
+      });
+    }
+  }
+
+  const dropped = {};
+  for (const [key, records] of Object.entries(data)) {
+    for (const record of records) {
+      mapLeaves(record, (path, value) => {
+        if (!idPaths[key].has(path) || value === null || value === undefined) return value;
+        if (path === 'userId') return userId;
+        if (newIds.has(String(value))) return newIds.get(String(value));
+
+        dropped[`${key}.${path}`] = (dropped[`${key}.${path}`] || 0) + 1;
+        return undefined;
+      });
+    }
+  }
+
+  for (const [path, count] of Object.entries(dropped)) {
+    warnings.push(`${count} reference(s) in ${path} point outside the bundle and were removed`);
+  }
+};
+
+// Record-specific clean-up before validation
+const prepareRecord = (key, record, warnings) => {
+  for (const field of STRIPPED_FIELDS) {
+    delete record[field];
+  }
+  // Generated documents are files on the exporting server
+  if (key === 'estatePlans' && Array.isArray(record.documents)) {
+    const kept = record.documents.filter(document => !document.generated);
+    if (kept.length < record.documents.length) {
+      warnings.push(`${record.documents.length - kept.length} generated document(s) on estate plan "${record.planName}" are not in the bundle and were removed`);
+    }
+    record.documents = kept;
+  }
+  return record;
+};
+
+// Check a bundle and, unless this is a dry run, create its records for the
+// user. Nothing is created if any record is invalid, and a failure part-way
+// removes what was already created.
+const importBundle = async (user, bundle, { dryRun = true } = {}) => {
+  validateBundle(bundle);
+
+  const warnings = [];
+  const data = {};
+  for (const key of Object.keys(COLLECTIONS)) {
+    // Copied so the caller's bundle is left as it was
+    data[key] = JSON.parse(JSON.stringify(bundle.data[key] || []));
+  }
+  remapIds(data, user._id, warnings);
+
+  const docs = [];
+  const errors = [];
+  for (const [key, Model] of Object.entries(COLLECTIONS)) {
+    for (const [index, record] of data[key].entries()) {
+      const doc = new Model(prepareRecord(key, record, warnings));
+      try {
+        await doc.validate();
+        docs.push(doc);
+      } catch (error) {
+        errors.push({
+          collection: key,
+          index,
+          errors: Object.values(error.errors || {}).map(fieldError => ({
+            field: fieldError.path,
+            message: fieldError.message
+          }))
+        });
+      }
+    }
+  }
+
+  const existingTaxYears = new Set((await COLLECTIONS.taxRecords.find({ userId: user._id, isCurrent: true }).select('taxYear'))
+    .map(record => record.taxYear));
+  for (const year of new Set(data.taxRecords.filter(record => record.isCurrent !== false).map(record => record.taxYear))) {
+    if (existingTaxYears.has(year)) {
+      warnings.push(`You already have a current tax return for ${year}; the imported one will be a second current return`);
+    }
+  }
+
+  const report = {
+    dryRun,
+    version: bundle.version,
+    counts: Object.fromEntries(Object.keys(COLLECTIONS).map(key => [key, data[key].length])),
+    warnings,
+    errors
+  };
+  if (dryRun) return report;
+
+  if (errors.length > 0) {
+    throw new ErrorResponse('Bundle has invalid records; nothing was imported', 400, report);
+  }
+
+  const created = [];
+  try {
+    for (const doc of docs) {
+      await doc.save();
+      created.push(doc);
+    }
+  } catch (error) {
+    for (const doc of created.reverse()) {
+      await doc.deleteOne();
+    }
+    throw error;
+  }
+
+  return {
+    ...report,
+    created: Object.fromEntries(Object.entries(COLLECTIONS).map(([key, Model]) => [
+      key,
+      created.filter(doc => doc.constructor === Model).map(doc => doc._id)
+    ]))
+  };
+};
+
+module.exports = {
+  SUPPORTED_VERSIONS,
+  importBundle
+};
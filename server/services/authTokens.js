@@ -0,0 +1,79 @@
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/ErrorResponse');
+
+const requestMeta = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent')
+});
+
+// Issue an access token and a refresh token for a user
+const issueTokens = async (user, req, family) => {
+  const { token, record } = await RefreshToken.issue(user._id, { family, ...requestMeta(req) });
+
+  return {
+    accessToken: user.getAccessToken(),
+    refreshToken: token,
+    refreshTokenExpiresAt: record.expiresAt,
+    tokenType: 'Bearer'
+  };
+};
+
+// Swap a refresh token for a new pair. Each refresh token works once; a
+// second use means it leaked, so every token descended from the same login
+// is revoked and the user has to sign in again.
+const rotateRefreshToken = async (token, req) => {
+  const existing = await RefreshToken.findByToken(token);
+  if (!existing) {
+    throw new ErrorResponse('Invalid refresh token', 401);
+  }
+
+  if (existing.revokedAt) {
+    if (existing.replacedBy) {
+      await RefreshToken.revokeFamily(existing.family, 'reuse_detected');
+    }
+    throw new ErrorResponse('Refresh token has been revoked', 401);
+  }
+  if (existing.expiresAt <= Date.now()) {
+    throw new ErrorResponse('Refresh token has expired', 401);
+  }
+
+  const user = await User.findById(existing.userId);
+  if (!user) {
+    throw new ErrorResponse('Invalid refresh token', 401);
+  }
+
+  // Claim the token atomically so two concurrent refreshes cannot both win
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: existing._id, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: 'rotated' } }
+  );
+  if (!claimed) {
+    await RefreshToken.revokeFamily(existing.family, 'reuse_detected');
+    throw new ErrorResponse('Refresh token has been revoked', 401);
+  }
+
+  const tokens = await issueTokens(user, req, existing.family);
+  await RefreshToken.updateOne(
+    { _id: existing._id },
+    { $set: { replacedBy: RefreshToken.hashToken(tokens.refreshToken) } }
+  );
+
+  return { user, tokens };
+};
+
+// Revoke the refresh token presented at logout
+const revokeRefreshToken = async (token) => {
+  const existing = await RefreshToken.findByToken(token);
+  if (existing && !existing.revokedAt) {
+    existing.revokedAt = new Date();
+    existing.revokedReason = 'logout';
+    await existing.save();
+  }
+};
+
+module.exports = {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken
+};
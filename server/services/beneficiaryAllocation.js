@@ -0,0 +1,199 @@
+const { normalizeRelationship } = require('./estateTaxEstimator');
+
+// Allow for rounding when shares like 33.33% are entered
+const TOLERANCE = 0.01;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Plan-level and asset-level beneficiaries use different field names;
+// bring them into one shape
+const fromPlanBeneficiary = (b) => ({
+  id: b._id ? String(b._id) : undefined,
+  name: b.fullName,
+  relationship: b.relationship,
+  percentage: b.percentage || 0,
+  contingent: Boolean(b.isContingent)
+});
+
+const fromAssetBeneficiary = (b) => ({
+  id: b._id ? String(b._id) : undefined,
+  name: b.name,
+  relationship: normalizeRelationship(b.relationship),
+  percentage: b.percentage || 0,
+  contingent: Boolean(b.contingent)
+});
+
+const sumPercentages = (list) => list.reduce((total, b) => total + b.percentage, 0);
+
+// Check that primary and contingent shares each add up to 100%, at the plan
+// level and for every asset with its own designations. Empty groups are fine.
+const checkAllocations = (plan) => {
+  const issues = [];
+
+  const checkGroup = (list, scope, extra) => {
+    for (const contingent of [false, true]) {
+      const group = list.filter(b => b.contingent === contingent);
+      if (group.length === 0) continue;
+      const total = round(sumPercentages(group));
+      if (Math.abs(total - 100) > TOLERANCE) {
+        issues.push({
+          scope,
+          ...extra,
+          group: contingent ? 'contingent' : 'primary',
+          total,
+          message: `${contingent ? 'Contingent' : 'Primary'} beneficiary percentages ` +
+            `${scope === 'asset' ? `for asset "${extra.description}" ` : ''}total ${total}%, not 100%`
+        });
+      }
+    }
+  };
+
+  const planBeneficiaries = (plan.beneficiaries || []).map(fromPlanBeneficiary);
+  checkGroup(planBeneficiaries, 'plan', {});
+
+  (plan.beneficiaries || []).forEach((b, index) => {
+    if (b.isPrimary && b.isContingent) {
+      issues.push({
+        scope: 'plan',
+        index,
+        group: 'primary',
+        message: `Beneficiary "${b.fullName}" cannot be both primary and contingent`
+      });
+    }
+  });
+
+  (plan.assets || []).forEach((asset, index) => {
+    const designations = (asset.beneficiaries || []).map(fromAssetBeneficiary);
+    checkGroup(designations, 'asset', {
+      index,
+      assetId: asset._id ? String(asset._id) : undefined,
+      description: asset.description
+    });
+  });
+
+  return issues;
+};
+
+// Split an amount between a group by percentage
+const splitByPercentage = (amount, group) => {
+  const total = sumPercentages(group);
+  if (total === 0) return [];
+  return group.map(b => ({ beneficiary: b, amount: amount * (b.percentage / total) }));
+};
+
+// Distribute one asset's value between a set of designations, sending each
+// predeceased primary's share to the living contingents, or failing that to
+// the surviving primaries. Returns null when nobody on the list survives.
+const distributeAmong = (value, designations, isPredeceased) => {
+  const primaries = designations.filter(b => !b.contingent);
+  const contingents = designations.filter(b => b.contingent && !isPredeceased(b));
+  const survivingPrimaries = primaries.filter(b => !isPredeceased(b));
+
+  // A list with only contingents (or all primaries at 0%) goes to the contingents
+  if (primaries.length === 0 || sumPercentages(primaries) === 0) {
+    if (contingents.length === 0) return null;
+    return splitByPercentage(value, contingents).map(share => ({ ...share, as: 'contingent' }));
+  }
+
+  const shares = [];
+  for (const { beneficiary, amount } of splitByPercentage(value, primaries)) {
+    if (!isPredeceased(beneficiary)) {
+      shares.push({ beneficiary, amount, as: 'primary' });
+    } else if (contingents.length > 0) {
+      splitByPercentage(amount, contingents).forEach(share => {
+        shares.push({ ...share, as: 'contingent' });
+      });
+    } else if (survivingPrimaries.length > 0) {
+      splitByPercentage(amount, survivingPrimaries).forEach(share => {
+        shares.push({ ...share, as: 'lapse' });
+      });
+    } else {
+      return null;
+    }
+  }
+
+  return shares;
+};
+
+// Simulate who receives what if the given beneficiaries have predeceased.
+// Beneficiaries can be named by plan beneficiary id or by name.
+// Asset-level designations override the plan-level split; an asset whose
+// designations all fail passes under the plan-level split instead.
+const simulateDistribution = (plan, predeceased = []) => {
+  const planDesignations = (plan.beneficiaries || []).map(fromPlanBeneficiary);
+
+  const predeceasedIds = new Set(predeceased.map(String));
+  const predeceasedNames = new Set(
+    planDesignations
+      .filter(b => predeceasedIds.has(b.id))
+      .map(b => b.name.toLowerCase())
+      .concat(predeceased.map(value => String(value).toLowerCase()))
+  );
+  const isPredeceased = (b) => predeceasedIds.has(b.id) || predeceasedNames.has((b.name || '').toLowerCase());
+
+  const people = new Map();
+  let unallocated = 0;
+  const unallocatedAssets = [];
+
+  for (const asset of plan.assets || []) {
+    const value = asset.estimatedValue || 0;
+    const assetDesignations = (asset.beneficiaries || []).map(fromAssetBeneficiary);
+
+    let source = 'asset_designation';
+    let shares = assetDesignations.length > 0
+      ? distributeAmong(value, assetDesignations, isPredeceased)
+      : null;
+
+    if (!shares) {
+      source = 'plan';
+      shares = distributeAmong(value, planDesignations, isPredeceased);
+    }
+
+    if (!shares || shares.length === 0) {
+      unallocated += value;
+      unallocatedAssets.push({
+        assetId: asset._id,
+        description: asset.description,
+        amount: value
+      });
+      continue;
+    }
+
+    for (const share of shares) {
+      const key = share.beneficiary.name.toLowerCase();
+      const person = people.get(key) || {
+        name: share.beneficiary.name,
+        relationship: share.beneficiary.relationship,
+        total: 0,
+        assets: []
+      };
+      person.total += share.amount;
+      person.assets.push({
+        assetId: asset._id,
+        description: asset.description,
+        type: asset.type,
+        amount: round(share.amount),
+        source,
+        as: share.as
+      });
+      people.set(key, person);
+    }
+  }
+
+  const distribution = Array.from(people.values())
+    .map(person => ({ ...person, total: round(person.total) }))
+    .sort((a, b) => b.total - a.total);
+
+  return {
+    predeceased: Array.from(predeceasedNames),
+    totalEstateValue: round((plan.assets || []).reduce((total, a) => total + (a.estimatedValue || 0), 0)),
+    distribution,
+    unallocated: round(unallocated),
+    unallocatedAssets
+  };
+};
+
+module.exports = {
+  checkAllocations,
+  simulateDistribution
+};
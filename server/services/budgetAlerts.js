@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const { notify } = require('./notifications');
+
+const formatCurrency = (amount) => `$${Number(amount || 0).toFixed(2)}`;
+
+// Build the notification payload for a budget that crossed a threshold
+const buildBudgetAlert = (budget) => {
+  const level = budget.usageStatus;
+  const headline = {
+    warning: 'is approaching its limit',
+    critical: 'is nearly spent',
+    exceeded: 'has been exceeded'
+  }[level];
+
+  return {
+    userId: budget.userId,
+    budgetId: budget._id,
+    type: 'budget_alert',
+    level,
+    title: `Budget "${budget.name}" ${headline}`,
+    message: `You have used ${budget.percentageUsed}% of your ${budget.category.replace(/_/g, ' ')} budget ` +
+      `(${formatCurrency(budget.actualAmount)} of ${formatCurrency(budget.budgetedAmount)}). ` +
+      `Remaining: ${formatCurrency(budget.remainingAmount)}.`,
+    data: {
+      percentageUsed: budget.percentageUsed,
+      actualAmount: budget.actualAmount,
+      budgetedAmount: budget.budgetedAmount,
+      remainingAmount: budget.remainingAmount,
+      thresholds: {
+        warning: budget.alerts.thresholds.warning,
+        critical: budget.alerts.thresholds.critical
+      }
+    }
+  };
+};
+
+// Send an alert for a budget if its thresholds call for one
+const evaluateBudget = async (budget) => {
+  if (!budget.shouldSendAlert()) {
+    return null;
+  }
+
+  const deliveries = await notify(buildBudgetAlert(budget));
+
+  // Written directly so the budget's pre-save logic does not run again
+  const sentAt = new Date();
+  await mongoose.model('Budget').updateOne(
+    { _id: budget._id },
+    { $set: { 'alerts.lastAlertSent': sentAt } }
+  );
+  budget.alerts.lastAlertSent = sentAt;
+
+  return deliveries;
+};
+
+// Scheduled sweep over every budget with alerts switched on
+const runScheduledAlerts = async () => {
+  const summary = { checked: 0, alerted: 0, failed: 0 };
+  const cursor = mongoose.model('Budget').findNeedingAlerts().cursor();
+
+  for await (const budget of cursor) {
+    summary.checked++;
+    try {
+      const deliveries = await evaluateBudget(budget);
+      if (deliveries) summary.alerted++;
+    } catch (error) {
+      summary.failed++;
+      console.error(`Budget alert for ${budget._id} failed:`, error.message);
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  buildBudgetAlert,
+  evaluateBudget,
+  runScheduledAlerts
+};
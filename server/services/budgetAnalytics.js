@@ -0,0 +1,504 @@
+const Budget = require('../models/Budget');
+const ErrorResponse = require('../utils/ErrorResponse');
+
+// Reporting over budgets and their transactions, done in MongoDB aggregation
+// pipelines so clients no longer pull every budget to compute totals.
+// Window functions, $densify and $dateTrunc need MongoDB 5.1 or later.
+// Periods are bucketed in UTC. Amounts are only added up within one
+// currency: each report covers the budgets in the requested currency and
+// lists the other currencies the caller has budgets in.
+
+const PERIODS = ['weekly', 'monthly', 'quarterly', 'yearly'];
+const ROLLING_WINDOWS = [3, 6, 12];
+
+// $dateTrunc units for each budget period
+const PERIOD_UNITS = {
+  weekly: 'week',
+  monthly: 'month',
+  quarterly: 'quarter',
+  yearly: 'year'
+};
+
+const round = (expression) => ({ $round: [expression, 2] });
+
+// Budgets from before currencies were stored are in dollars
+const inCurrency = (match, currency) => ({
+  ...match,
+  currency: currency === 'USD' ? { $in: ['USD', null] } : currency
+});
+
+const otherCurrencies = async (match, currency) => {
+  const currencies = await Budget.distinct('currency', match);
+  return currencies.filter(code => code && code !== currency).sort();
+};
+
+const checkPeriod = (period) => {
+  if (!PERIODS.includes(period)) {
+    throw new ErrorResponse(`Period must be one of ${PERIODS.join(', ')}`, 400);
+  }
+};
+
+// First day of a budget's period, built from its year/month/quarter/week
+// the same way utils/budgetPeriods does
+const periodStartExpression = {
+  $switch: {
+    branches: [
+      {
+        case: { $eq: ['$period', 'weekly'] },
+        then: {
+          $dateAdd: {
+            startDate: { $dateFromParts: { year: '$year' } },
+            unit: 'day',
+            amount: { $multiply: [{ $subtract: [{ $ifNull: ['$week', 1] }, 1] }, 7] }
+          }
+        }
+      },
+      {
+        case: { $eq: ['$period', 'quarterly'] },
+        then: {
+          $dateFromParts: {
+            year: '$year',
+            month: { $add: [{ $multiply: [{ $subtract: [{ $ifNull: ['$quarter', 1] }, 1] }, 3] }, 1] }
+          }
+        }
+      },
+      { case: { $eq: ['$period', 'yearly'] }, then: { $dateFromParts: { year: '$year' } } }
+    ],
+    default: { $dateFromParts: { year: '$year', month: { $ifNull: ['$month', 1] } } }
+  }
+};
+
+// Budgeted vs. actual per category and period. Positive variance means
+// money left over; negative means the category ran over.
+const getVarianceReport = async (match, { period = 'monthly', from, to, category, currency = 'USD' }) => {
+  checkPeriod(period);
+
+  const periods = await Budget.aggregate([
+    { $match: { ...inCurrency(match, currency), period, ...(category && { category }) } },
+    { $addFields: { periodStart: periodStartExpression } },
+    { $match: { periodStart: { $gte: from, $lt: to } } },
+    {
+      $group: {
+        _id: { periodStart: '$periodStart', category: '$category' },
+        budgeted: { $sum: '$budgetedAmount' },
+        actual: { $sum: '$actualAmount' },
+        budgets: { $sum: 1 }
+      }
+    },
+    {
+      $addFields: {
+        variance: { $subtract: ['$budgeted', '$actual'] },
+        variancePercent: {
+          $cond: [
+            { $gt: ['$budgeted', 0] },
+            round({ $multiply: [{ $divide: [{ $subtract: ['$budgeted', '$actual'] }, '$budgeted'] }, 100] }),
+            null
+          ]
+        }
+      }
+    },
+    { $sort: { '_id.periodStart': 1, variance: 1 } },
+    {
+      $group: {
+        _id: '$_id.periodStart',
+        budgeted: { $sum: '$budgeted' },
+        actual: { $sum: '$actual' },
+        categories: {
+          $push: {
+            category: '$_id.category',
+            budgeted: round('$budgeted'),
+            actual: round('$actual'),
+            variance: round('$variance'),
+            variancePercent: '$variancePercent',
+            overBudget: { $lt: ['$variance', 0] },
+            budgets: '$budgets'
+          }
+        }
+      }
+    },
+    { $sort: { _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        periodStart: '$_id',
+        budgeted: round('$budgeted'),
+        actual: round('$actual'),
+        variance: round({ $subtract: ['$budgeted', '$actual'] }),
+        overBudgetCategories: {
+          $size: { $filter: { input: '$categories', cond: '$$this.overBudget' } }
+        },
+        categories: 1
+      }
+    }
+  ]);
+
+  return { period, from, to, currency, otherCurrencies: await otherCurrencies(match, currency), periods };
+};
+
+// Pipeline stages producing one document per category per month with the
+// month's net spending (expenses less refunds), including months with none
+const monthlySpendingStages = (match, { historyStart, to, category }) => [
+  {
+    $match: {
+      ...match,
+      ...(category && { category }),
+      'transactions.date': { $gte: historyStart, $lt: to }
+    }
+  },
+  { $unwind: '$transactions' },
+  { $match: { 'transactions.date': { $gte: historyStart, $lt: to } } },
+  {
+    $group: {
+      _id: {
+        category: '$category',
+        month: { $dateTrunc: { date: '$transactions.date', unit: 'month' } }
+      },
+      spent: {
+        $sum: {
+          $cond: [
+            { $eq: ['$transactions.type', 'income'] },
+            { $multiply: ['$transactions.amount', -1] },
+            '$transactions.amount'
+          ]
+        }
+      },
+      transactions: { $sum: 1 }
+    }
+  },
+  { $project: { _id: 0, category: '$_id.category', month: '$_id.month', spent: 1, transactions: 1 } },
+  {
+    $densify: {
+      field: 'month',
+      partitionByFields: ['category'],
+      range: { step: 1, unit: 'month', bounds: [historyStart, to] }
+    }
+  },
+  {
+    $addFields: {
+      hasData: { $ne: [{ $type: '$spent' }, 'missing'] },
+      spent: { $ifNull: ['$spent', 0] },
+      transactions: { $ifNull: ['$transactions', 0] }
+    }
+  }
+];
+
+// Rolling 3/6/12-month average spending per category. Averages only count
+// months since the category's first transaction, so a new category is not
+// dragged down by the months before it existed.
+const getRollingAverages = async (match, { from, to, category, currency = 'USD' }) => {
+  const longest = Math.max(...ROLLING_WINDOWS);
+  const historyStart = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth() - (longest - 1), 1));
+
+  const windowOutputs = ROLLING_WINDOWS.reduce((outputs, months) => ({
+    ...outputs,
+    [`sum${months}`]: { $sum: '$spent', window: { range: [-(months - 1), 0], unit: 'month' } }
+  }), {
+    firstMonth: {
+      $min: { $cond: ['$hasData', '$month', null] },
+      window: { documents: ['unbounded', 'current'] }
+    }
+  });
+
+  const averages = ROLLING_WINDOWS.reduce((fields, months) => ({
+    ...fields,
+    [`average${months}`]: round({
+      $divide: [`$sum${months}`, { $min: [months, { $add: [{ $dateDiff: { startDate: '$firstMonth', endDate: '$month', unit: 'month' } }, 1] }] }]
+    })
+  }), {});
+
+  const rows = await Budget.aggregate([
+    ...monthlySpendingStages(inCurrency(match, currency), { historyStart, to, category }),
+    {
+      $setWindowFields: {
+        partitionBy: '$category',
+        sortBy: { month: 1 },
+        output: windowOutputs
+      }
+    },
+    { $match: { month: { $gte: from }, firstMonth: { $ne: null } } },
+    { $project: { _id: 0, category: 1, month: 1, spent: round('$spent'), transactions: 1, ...averages } },
+    { $sort: { category: 1, month: 1 } },
+    {
+      $group: {
+        _id: '$category',
+        months: { $push: '$$ROOT' },
+        latest: { $last: '$$ROOT' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return {
+    from,
+    to,
+    currency,
+    otherCurrencies: await otherCurrencies(match, currency),
+    windows: ROLLING_WINDOWS,
+    categories: rows.map(row => ({
+      category: row._id,
+      current: ROLLING_WINDOWS.reduce((values, months) => ({
+        ...values,
+        [`average${months}`]: row.latest[`average${months}`]
+      }), {}),
+      months: row.months.map(({ category: _category, ...month }) => month)
+    }))
+  };
+};
+
+// Spending by budget tag, largest first
+const getTopTags = async (match, { from, to, limit = 10, currency = 'USD' }) => {
+  const tags = await Budget.aggregate([
+    { $match: { ...inCurrency(match, currency), 'tags.0': { $exists: true }, 'transactions.date': { $gte: from, $lt: to } } },
+    { $unwind: '$transactions' },
+    { $match: { 'transactions.type': 'expense', 'transactions.date': { $gte: from, $lt: to } } },
+    { $unwind: '$tags' },
+    {
+      $group: {
+        _id: { $toLower: '$tags' },
+        spent: { $sum: '$transactions.amount' },
+        transactions: { $sum: 1 },
+        budgets: { $addToSet: '$_id' },
+        categories: { $addToSet: '$category' },
+        largest: { $max: '$transactions.amount' }
+      }
+    },
+    { $sort: { spent: -1, _id: 1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        tag: '$_id',
+        spent: round('$spent'),
+        transactions: 1,
+        averageTransaction: round({ $divide: ['$spent', '$transactions'] }),
+        largest: 1,
+        budgets: { $size: '$budgets' },
+        categories: 1
+      }
+    }
+  ]);
+
+  return { from, to, currency, otherCurrencies: await otherCurrencies(match, currency), tags };
+};
+
+// Spending and income per week/month/quarter/year, with the change from
+// the period before. Optionally split by category.
+const getTrends = async (match, { interval = 'monthly', from, to, category, byCategory = false, currency = 'USD' }) => {
+  checkPeriod(interval);
+  const unit = PERIOD_UNITS[interval];
+
+  const series = await Budget.aggregate([
+    {
+      $match: {
+        ...inCurrency(match, currency),
+        ...(category && { category }),
+        'transactions.date': { $gte: from, $lt: to }
+      }
+    },
+    { $unwind: '$transactions' },
+    { $match: { 'transactions.date': { $gte: from, $lt: to } } },
+    {
+      $group: {
+        _id: {
+          series: byCategory ? '$category' : 'all',
+          periodStart: { $dateTrunc: { date: '$transactions.date', unit } }
+        },
+        expenses: {
+          $sum: { $cond: [{ $eq: ['$transactions.type', 'expense'] }, '$transactions.amount', 0] }
+        },
+        income: {
+          $sum: { $cond: [{ $eq: ['$transactions.type', 'income'] }, '$transactions.amount', 0] }
+        },
+        transactions: { $sum: 1 }
+      }
+    },
+    { $project: { _id: 0, series: '$_id.series', periodStart: '$_id.periodStart', expenses: 1, income: 1, transactions: 1 } },
+    // Fill quiet periods between the first and last active ones
+    {
+      $densify: {
+        field: 'periodStart',
+        partitionByFields: ['series'],
+        range: { step: 1, unit, bounds: 'partition' }
+      }
+    },
+    {
+      $addFields: {
+        expenses: { $ifNull: ['$expenses', 0] },
+        income: { $ifNull: ['$income', 0] },
+        transactions: { $ifNull: ['$transactions', 0] }
+      }
+    },
+    {
+      $setWindowFields: {
+        partitionBy: '$series',
+        sortBy: { periodStart: 1 },
+        output: {
+          previousExpenses: { $shift: { output: '$expenses', by: -1 } }
+        }
+      }
+    },
+    {
+      $project: {
+        series: 1,
+        periodStart: 1,
+        expenses: round('$expenses'),
+        income: round('$income'),
+        net: round({ $subtract: ['$income', '$expenses'] }),
+        transactions: 1,
+        change: {
+          $cond: [{ $eq: ['$previousExpenses', null] }, null, round({ $subtract: ['$expenses', '$previousExpenses'] })]
+        },
+        changePercent: {
+          $cond: [
+            { $gt: ['$previousExpenses', 0] },
+            round({ $multiply: [{ $divide: [{ $subtract: ['$expenses', '$previousExpenses'] }, '$previousExpenses'] }, 100] }),
+            null
+          ]
+        }
+      }
+    },
+    { $sort: { series: 1, periodStart: 1 } },
+    { $group: { _id: '$series', periods: { $push: { $unsetField: { field: 'series', input: '$$ROOT' } } } } },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return {
+    interval,
+    from,
+    to,
+    currency,
+    otherCurrencies: await otherCurrencies(match, currency),
+    series: byCategory
+      ? series.map(row => ({ category: row._id, periods: row.periods }))
+      : (series[0] ? series[0].periods : [])
+  };
+};
+
+// Transactions that are unusually large for their category, and months
+// where a category's spending jumped well above its recent average.
+// A transaction is flagged when it is `zScore` standard deviations above
+// the mean of the category's earlier expenses (or twice the mean when they
+// are all the same amount); a month when it is `spikePercent` above the
+// average of the six months before it.
+const findAnomalies = async (match, { from, to, category, zScore = 3, spikePercent = 50, minHistory = 5, currency = 'USD' }) => {
+  const historyStart = new Date(Date.UTC(from.getUTCFullYear() - 1, from.getUTCMonth(), 1));
+  const scoped = inCurrency(match, currency);
+
+  const [transactions, categorySpikes] = await Promise.all([
+    Budget.aggregate([
+      {
+        $match: {
+          ...scoped,
+          ...(category && { category }),
+          'transactions.date': { $gte: historyStart, $lt: to }
+        }
+      },
+      { $unwind: '$transactions' },
+      { $match: { 'transactions.type': 'expense', 'transactions.date': { $gte: historyStart, $lt: to } } },
+      {
+        $setWindowFields: {
+          partitionBy: '$category',
+          sortBy: { 'transactions.date': 1 },
+          output: {
+            historyMean: { $avg: '$transactions.amount', window: { documents: ['unbounded', -1] } },
+            historyStdDev: { $stdDevPop: '$transactions.amount', window: { documents: ['unbounded', -1] } },
+            historyCount: { $sum: 1, window: { documents: ['unbounded', -1] } }
+          }
+        }
+      },
+      { $match: { 'transactions.date': { $gte: from }, historyCount: { $gte: minHistory } } },
+      {
+        $addFields: {
+          zScore: {
+            $cond: [
+              { $gt: ['$historyStdDev', 0] },
+              { $divide: [{ $subtract: ['$transactions.amount', '$historyMean'] }, '$historyStdDev'] },
+              null
+            ]
+          }
+        }
+      },
+      {
+        $match: {
+          $expr: {
+            $cond: [
+              { $eq: ['$zScore', null] },
+              { $gte: ['$transactions.amount', { $multiply: ['$historyMean', 2] }] },
+              { $gte: ['$zScore', zScore] }
+            ]
+          }
+        }
+      },
+      { $sort: { zScore: -1, 'transactions.date': -1 } },
+      {
+        $project: {
+          _id: 0,
+          budgetId: '$_id',
+          budgetName: '$name',
+          category: 1,
+          transactionId: '$transactions._id',
+          description: '$transactions.description',
+          date: '$transactions.date',
+          amount: '$transactions.amount',
+          historyMean: round('$historyMean'),
+          historyStdDev: round('$historyStdDev'),
+          historyCount: 1,
+          zScore: round('$zScore'),
+          timesMean: round({ $divide: ['$transactions.amount', '$historyMean'] })
+        }
+      }
+    ]),
+    Budget.aggregate([
+      ...monthlySpendingStages(scoped, { historyStart, to, category }),
+      {
+        $setWindowFields: {
+          partitionBy: '$category',
+          sortBy: { month: 1 },
+          output: {
+            priorAverage: { $avg: '$spent', window: { range: [-6, -1], unit: 'month' } },
+            priorMonths: { $sum: { $cond: ['$hasData', 1, 0] }, window: { range: [-6, -1], unit: 'month' } }
+          }
+        }
+      },
+      {
+        $match: {
+          month: { $gte: from },
+          priorMonths: { $gte: 3 },
+          priorAverage: { $gt: 0 },
+          $expr: { $gte: ['$spent', { $multiply: ['$priorAverage', 1 + spikePercent / 100] }] }
+        }
+      },
+      { $sort: { month: -1, category: 1 } },
+      {
+        $project: {
+          _id: 0,
+          category: 1,
+          month: 1,
+          spent: round('$spent'),
+          priorAverage: round('$priorAverage'),
+          increasePercent: round({ $multiply: [{ $divide: [{ $subtract: ['$spent', '$priorAverage'] }, '$priorAverage'] }, 100] })
+        }
+      }
+    ])
+  ]);
+
+  return {
+    from,
+    to,
+    currency,
+    otherCurrencies: await otherCurrencies(match, currency),
+    thresholds: { zScore, spikePercent, minHistory },
+    transactions,
+    categorySpikes
+  };
+};
+
+module.exports = {
+  PERIODS,
+  ROLLING_WINDOWS,
+  getVarianceReport,
+  getRollingAverages,
+  getTopTags,
+  getTrends,
+  findAnomalies
+};
@@ -0,0 +1,311 @@
+const Budget = require('../models/Budget');
+const EnvelopeTransfer = require('../models/EnvelopeTransfer');
+const ErrorResponse = require('../utils/ErrorResponse');
+
+// Amounts closer than half a cent are treated as equal
+const EPSILON = 0.005;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// What a plan budget has spent. Only expenses count: income recorded in a
+// budget is money to assign, not a smaller spend, so it is counted once,
+// as income.
+const spentIn = (budget) => budget.transactions
+  .filter(t => t.type === 'expense')
+  .reduce((total, t) => total + t.amount, 0);
+
+// Money left in an envelope: what was put in less what was spent
+const envelopeBalance = (budget) => budget.budgetedAmount + (budget.carriedOverAmount || 0) - spentIn(budget);
+
+const findPlanBudgets = (plan) => Budget.find(plan.budgetFilter()).sort({ category: 1, name: 1 });
+
+// Income transactions dated inside the plan's period, across its budgets
+const receivedIncome = (plan, budgets) => {
+  const { periodStart, periodEnd } = plan;
+  return budgets.reduce((total, budget) => total + budget.transactions
+    .filter(t => t.type === 'income' && t.date >= periodStart && t.date < periodEnd)
+    .reduce((sum, t) => sum + t.amount, 0), 0);
+};
+
+// How much of the period's income has been given a job. Money carried over
+// from earlier periods was assigned back then, so it does not count here.
+const summarizeZeroBased = (plan, budgets) => {
+  const received = receivedIncome(plan, budgets);
+  const income = plan.expectedIncome !== undefined && plan.expectedIncome !== null
+    ? plan.expectedIncome
+    : received;
+  const assigned = budgets.reduce((total, budget) => total + budget.budgetedAmount, 0);
+  const unassigned = income - assigned;
+
+  let status = 'balanced';
+  if (unassigned >= EPSILON) status = 'unassigned';
+  if (unassigned <= -EPSILON) status = 'over_assigned';
+
+  return {
+    income: round(income),
+    incomeSource: income === received ? 'received' : 'expected',
+    receivedIncome: round(received),
+    assigned: round(assigned),
+    unassigned: round(unassigned),
+    status,
+    assignments: budgets.map(budget => ({
+      budgetId: budget._id,
+      name: budget.name,
+      category: budget.category,
+      assigned: budget.budgetedAmount,
+      shareOfIncome: income > 0 ? round(budget.budgetedAmount / income * 100) : null
+    }))
+  };
+};
+
+// Envelope balances. Overspent envelopes are a debt that the envelopes
+// with money left cover in proportion to their balances.
+const summarizeEnvelopes = (budgets) => {
+  const envelopes = budgets.map(budget => {
+    const balance = envelopeBalance(budget);
+    return {
+      budgetId: budget._id,
+      name: budget.name,
+      category: budget.category,
+      budgeted: budget.budgetedAmount,
+      carriedOver: budget.carriedOverAmount || 0,
+      spent: round(spentIn(budget)),
+      balance: round(balance),
+      overspent: balance <= -EPSILON ? round(-balance) : 0
+    };
+  });
+
+  const totalDebt = envelopes.reduce((total, envelope) => total + envelope.overspent, 0);
+  const totalAvailable = envelopes.reduce((total, envelope) => total + Math.max(0, envelope.balance), 0);
+  const covered = Math.min(totalDebt, totalAvailable);
+
+  for (const envelope of envelopes) {
+    const share = envelope.balance > 0 && totalAvailable > 0
+      ? covered * envelope.balance / totalAvailable
+      : 0;
+    envelope.debtShare = round(share);
+    envelope.availableAfterDebt = round(Math.max(0, envelope.balance) - share);
+  }
+
+  return {
+    envelopes,
+    totalAvailable: round(totalAvailable),
+    totalDebt: round(totalDebt),
+    uncoveredDebt: round(totalDebt - covered),
+    availableAfterDebt: round(totalAvailable - covered)
+  };
+};
+
+// Everything about a plan's period: totals plus the view for its mode
+const getPlanSummary = async (plan) => {
+  const budgets = await findPlanBudgets(plan);
+  const budgeted = budgets.reduce((total, budget) => total + budget.budgetedAmount, 0);
+  const spent = budgets.reduce((total, budget) => total + spentIn(budget), 0);
+
+  const summary = {
+    plan,
+    periodStart: plan.periodStart,
+    periodEnd: plan.periodEnd,
+    budgets: budgets.length,
+    budgeted: round(budgeted),
+    spent: round(spent)
+  };
+
+  if (plan.mode === 'zero_based') {
+    summary.zeroBased = summarizeZeroBased(plan, budgets);
+  }
+  if (plan.mode === 'envelope') {
+    summary.envelope = summarizeEnvelopes(budgets);
+    summary.transfers = await EnvelopeTransfer.countDocuments({ planId: plan._id });
+  }
+
+  return summary;
+};
+
+const findPlanBudget = async (plan, budgetId, label) => {
+  const budget = await Budget.findOne({ _id: budgetId, ...plan.budgetFilter() });
+  if (!budget) {
+    throw new ErrorResponse(`${label} budget not found in this plan`, 404);
+  }
+  return budget;
+};
+
+const requireMode = (plan, modes, action) => {
+  if (!modes.includes(plan.mode)) {
+    throw new ErrorResponse(`${action} is only available in ${modes.join(' or ')} mode`, 400);
+  }
+};
+
+const parseAmount = (amount) => {
+  const value = round(Number(amount));
+  if (!(value > 0)) {
+    throw new ErrorResponse('Amount must be greater than zero', 400);
+  }
+  return value;
+};
+
+// Move budgeted money from one envelope to another and record it
+const moveMoney = async (plan, { from, to, amount, reason, note, reversalOf }, userId) => {
+  if (from) {
+    if (String(from._id) === String(to._id)) {
+      throw new ErrorResponse('Cannot transfer to the same envelope', 400);
+    }
+    if (envelopeBalance(from) + EPSILON < amount) {
+      throw new ErrorResponse(`"${from.name}" only has ${round(Math.max(0, envelopeBalance(from)))} available`, 400);
+    }
+    if (from.budgetedAmount + EPSILON < amount) {
+      throw new ErrorResponse(`"${from.name}" only has ${from.budgetedAmount} budgeted this period`, 400);
+    }
+    from.budgetedAmount = round(Math.max(0, from.budgetedAmount - amount));
+    await from.save();
+  }
+
+  to.budgetedAmount = round(to.budgetedAmount + amount);
+  await to.save();
+
+  return EnvelopeTransfer.create({
+    userId,
+    planId: plan._id,
+    fromBudgetId: from ? from._id : undefined,
+    toBudgetId: to._id,
+    amount,
+    reason,
+    note,
+    reversalOf
+  });
+};
+
+// Envelope mode: move money between two envelopes
+const transferBetweenEnvelopes = async (plan, { fromBudgetId, toBudgetId, amount, note }, userId) => {
+  requireMode(plan, ['envelope'], 'Moving money between envelopes');
+  const value = parseAmount(amount);
+  const from = await findPlanBudget(plan, fromBudgetId, 'Source');
+  const to = await findPlanBudget(plan, toBudgetId, 'Destination');
+
+  return moveMoney(plan, { from, to, amount: value, reason: 'reallocation', note }, userId);
+};
+
+// Envelope mode: pay off an overspent envelope, either from one chosen
+// envelope or from all envelopes with money left in proportion to balance
+const coverOverspending = async (plan, { budgetId, fromBudgetId }, userId) => {
+  requireMode(plan, ['envelope'], 'Covering overspending');
+  const target = await findPlanBudget(plan, budgetId, 'Overspent');
+  const debt = round(-envelopeBalance(target));
+  if (debt < EPSILON) {
+    throw new ErrorResponse(`"${target.name}" is not overspent`, 400);
+  }
+
+  let sources;
+  if (fromBudgetId) {
+    const source = await findPlanBudget(plan, fromBudgetId, 'Source');
+    sources = [{ budget: source, amount: Math.min(debt, envelopeBalance(source), source.budgetedAmount) }];
+  } else {
+    const budgets = await findPlanBudgets(plan);
+    const funded = budgets.filter(b => String(b._id) !== String(target._id) && envelopeBalance(b) > 0);
+    const available = funded.reduce((total, b) => total + envelopeBalance(b), 0);
+    const covered = Math.min(debt, available);
+    sources = funded.map(budget => ({
+      budget,
+      amount: Math.min(covered * envelopeBalance(budget) / available, budget.budgetedAmount)
+    }));
+  }
+
+  const transfers = [];
+  for (const source of sources) {
+    const amount = round(source.amount);
+    if (amount < 0.01) continue;
+    transfers.push(await moveMoney(plan, {
+      from: source.budget,
+      to: target,
+      amount,
+      reason: 'cover_overspending',
+      note: `Cover overspending in "${target.name}"`
+    }, userId));
+  }
+
+  if (transfers.length === 0) {
+    throw new ErrorResponse('No envelope has money left to cover this', 400);
+  }
+
+  return {
+    transfers,
+    remainingDebt: round(Math.max(0, -envelopeBalance(target)))
+  };
+};
+
+// Zero-based mode: give unassigned income to a budget
+const assignIncome = async (plan, { budgetId, amount, note }, userId) => {
+  requireMode(plan, ['zero_based'], 'Assigning income');
+  const value = parseAmount(amount);
+  const budgets = await findPlanBudgets(plan);
+  const { unassigned } = summarizeZeroBased(plan, budgets);
+  if (unassigned + EPSILON < value) {
+    throw new ErrorResponse(`Only ${Math.max(0, unassigned)} of this period's income is unassigned`, 400);
+  }
+
+  const to = budgets.find(budget => String(budget._id) === String(budgetId));
+  if (!to) {
+    throw new ErrorResponse('Budget not found in this plan', 404);
+  }
+
+  return moveMoney(plan, { to, amount: value, reason: 'assignment', note }, userId);
+};
+
+// Undo a transfer by recording the opposite one. Assignments from income
+// are undone by taking the money back out of the budget.
+const reverseTransfer = async (plan, transferId, userId) => {
+  const transfer = await EnvelopeTransfer.findOne({ _id: transferId, planId: plan._id });
+  if (!transfer) {
+    throw new ErrorResponse('Transfer not found', 404);
+  }
+  if (transfer.reason === 'reversal') {
+    throw new ErrorResponse('A reversal cannot itself be reversed', 400);
+  }
+  if (transfer.reversedBy) {
+    throw new ErrorResponse('Transfer has already been reversed', 409);
+  }
+
+  const from = await findPlanBudget(plan, transfer.toBudgetId, 'Destination');
+  let reversal;
+  if (transfer.fromBudgetId) {
+    const to = await findPlanBudget(plan, transfer.fromBudgetId, 'Source');
+    reversal = await moveMoney(plan, {
+      from,
+      to,
+      amount: transfer.amount,
+      reason: 'reversal',
+      reversalOf: transfer._id
+    }, userId);
+  } else {
+    if (from.budgetedAmount + EPSILON < transfer.amount) {
+      throw new ErrorResponse(`"${from.name}" only has ${from.budgetedAmount} budgeted this period`, 400);
+    }
+    from.budgetedAmount = round(Math.max(0, from.budgetedAmount - transfer.amount));
+    await from.save();
+    reversal = await EnvelopeTransfer.create({
+      userId,
+      planId: plan._id,
+      fromBudgetId: from._id,
+      amount: transfer.amount,
+      reason: 'reversal',
+      note: 'Returned to unassigned income',
+      reversalOf: transfer._id
+    });
+  }
+
+  transfer.reversedBy = reversal._id;
+  await transfer.save();
+
+  return reversal;
+};
+
+module.exports = {
+  envelopeBalance,
+  summarizeZeroBased,
+  summarizeEnvelopes,
+  getPlanSummary,
+  transferBetweenEnvelopes,
+  coverOverspending,
+  assignIncome,
+  reverseTransfer
+};
@@ -0,0 +1,116 @@
+const Budget = require('../models/Budget');
+const { advanceDate, getNextPeriod, getPeriodStart } = require('../utils/budgetPeriods');
+
+// Safety net so a misconfigured budget can never spin the catch-up loop forever
+const MAX_ROLLOVERS_PER_RUN = 1000;
+
+// Build the document for the next period's copy of a recurring budget
+const buildNextBudget = (budget, periodFields) => {
+  const settings = budget.recurringSettings;
+  const baseAmount = budget.budgetedAmount - (budget.carriedOverAmount || 0);
+  const carriedOverAmount = settings.carryOverRemaining
+    ? Math.max(0, budget.remainingAmount)
+    : 0;
+
+  return {
+    userId: budget.userId,
+    householdId: budget.householdId,
+    name: budget.name,
+    category: budget.category,
+    budgetedAmount: baseAmount + carriedOverAmount,
+    carriedOverAmount,
+    currency: budget.currency,
+    period: budget.period,
+    ...periodFields,
+    status: 'active',
+    description: budget.description,
+    tags: budget.tags,
+    transactions: [],
+    alerts: {
+      enabled: budget.alerts.enabled,
+      thresholds: {
+        warning: budget.alerts.thresholds.warning,
+        critical: budget.alerts.thresholds.critical
+      }
+    },
+    recurringSettings: {
+      isRecurring: true,
+      frequency: settings.frequency,
+      endDate: settings.endDate,
+      nextDueDate: advanceDate(settings.nextDueDate, settings.frequency),
+      carryOverRemaining: settings.carryOverRemaining,
+      rolledOverFrom: budget._id
+    }
+  };
+};
+
+// Roll a single overdue budget into its next period.
+// Safe to call more than once for the same budget: the unique index on
+// recurringSettings.rolledOverFrom stops a second copy from being created.
+const rolloverBudget = async (budget) => {
+  const settings = budget.recurringSettings;
+  const periodFields = getNextPeriod(budget);
+  const periodStart = getPeriodStart(budget.period, periodFields);
+
+  if (settings.endDate && periodStart > settings.endDate) {
+    await Budget.updateOne(
+      { _id: budget._id },
+      { $set: { 'recurringSettings.isRecurring': false } }
+    );
+    return { action: 'ended', budgetId: budget._id };
+  }
+
+  let nextBudget;
+  try {
+    nextBudget = await Budget.create(buildNextBudget(budget, periodFields));
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // A previous run created the copy but stopped before linking it back
+    nextBudget = await Budget.findOne({ 'recurringSettings.rolledOverFrom': budget._id });
+    if (!nextBudget) throw error;
+  }
+
+  const update = { 'recurringSettings.rolledOverTo': nextBudget._id };
+  if (budget.status === 'active') {
+    update.status = 'completed';
+  }
+  await Budget.updateOne({ _id: budget._id }, { $set: update });
+
+  return { action: 'created', budgetId: budget._id, nextBudgetId: nextBudget._id };
+};
+
+// Roll every overdue recurring budget forward, catching up on missed periods
+const runRollover = async () => {
+  const summary = { created: 0, ended: 0, failed: 0, errors: [] };
+  const failedIds = [];
+  let processed = 0;
+
+  while (processed < MAX_ROLLOVERS_PER_RUN) {
+    // Skip budgets that already failed this run so they are not retried in a loop
+    const overdue = await Budget.findOverdueRecurring()
+      .where('_id').nin(failedIds)
+      .limit(100);
+    if (overdue.length === 0) break;
+
+    for (const budget of overdue) {
+      processed++;
+      try {
+        const result = await rolloverBudget(budget);
+        summary[result.action]++;
+      } catch (error) {
+        failedIds.push(budget._id);
+        summary.failed++;
+        summary.errors.push({ budgetId: budget._id, message: error.message });
+      }
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  buildNextBudget,
+  rolloverBudget,
+  runRollover
+};
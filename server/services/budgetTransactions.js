@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const Budget = require('../models/Budget');
+const TransactionSplit = require('../models/TransactionSplit');
+const ErrorResponse = require('../utils/ErrorResponse');
+const { convert, normalizeCurrency } = require('./exchangeRates');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const TRANSACTION_FIELDS = ['description', 'type', 'category', 'notes', 'taxDeduction'];
+
+// Build a budget transaction from client input, converting a foreign
+// currency amount into the budget's currency at the rate on its date
+const prepareTransaction = async (budget, data, userId) => {
+  const amount = Number(data.amount);
+  if (!(amount > 0)) {
+    throw new ErrorResponse('Amount must be greater than zero', 400);
+  }
+  const date = data.date ? new Date(data.date) : new Date();
+  if (Number.isNaN(date.getTime())) {
+    throw new ErrorResponse('Date must be a valid date', 400);
+  }
+
+  const budgetCurrency = budget.currency || 'USD';
+  const currency = data.currency ? normalizeCurrency(data.currency) : budgetCurrency;
+  const transaction = TRANSACTION_FIELDS.reduce((fields, field) => {
+    if (data[field] !== undefined) fields[field] = data[field];
+    return fields;
+  }, { amount, date, currency });
+
+  if (currency !== budgetCurrency) {
+    const converted = await convert(amount, currency, budgetCurrency, date, userId);
+    transaction.amount = converted.amount;
+    transaction.originalAmount = amount;
+    transaction.exchangeRate = converted.rate;
+    transaction.exchangeRateDate = converted.rateDate;
+  }
+
+  return transaction;
+};
+
+// Add one transaction, in any currency, to a budget
+const addTransaction = async (budget, data, userId) => {
+  const transaction = await prepareTransaction(budget, data, userId);
+  await budget.addTransaction(transaction);
+  return budget.transactions[budget.transactions.length - 1];
+};
+
+// Work out each part's amount from either amounts or percentages, making
+// sure the parts add up to the total to the cent
+const resolvePartAmounts = (parts, total) => {
+  const usesPercent = parts.every(part => part.percent !== undefined && part.amount === undefined);
+
+  if (usesPercent) {
+    const percentTotal = parts.reduce((sum, part) => sum + Number(part.percent), 0);
+    if (Math.abs(percentTotal - 100) > 0.001) {
+      throw new ErrorResponse('Split percentages must add up to 100', 400);
+    }
+    const amounts = parts.map(part => round(total * Number(part.percent) / 100));
+    // Rounding leftovers go to the largest part
+    const largest = amounts.indexOf(Math.max(...amounts));
+    amounts[largest] = round(amounts[largest] + total - amounts.reduce((sum, value) => sum + value, 0));
+    return amounts;
+  }
+
+  const amounts = parts.map(part => round(Number(part.amount)));
+  if (amounts.some(amount => !(amount > 0))) {
+    throw new ErrorResponse('Every split part needs an amount greater than zero', 400);
+  }
+  if (Math.abs(amounts.reduce((sum, value) => sum + value, 0) - total) > 0.005) {
+    throw new ErrorResponse(`Split parts must add up to the total of ${total}`, 400);
+  }
+  return amounts;
+};
+
+// Split one transaction across categories and/or budgets. Parts are posted
+// to their budgets as regular transactions linked by the split's id.
+const createSplit = async (userId, data, accessFilter) => {
+  const parts = Array.isArray(data.parts) ? data.parts : [];
+  if (parts.length < 2) {
+    throw new ErrorResponse('A split needs at least two parts', 400);
+  }
+  const totalAmount = round(Number(data.totalAmount));
+  if (!(totalAmount > 0)) {
+    throw new ErrorResponse('Total amount must be greater than zero', 400);
+  }
+
+  const budgetIds = [...new Set(parts.map(part => String(part.budgetId)))];
+  const budgets = await Budget.find({ _id: { $in: budgetIds }, ...accessFilter });
+  if (budgets.length !== budgetIds.length) {
+    throw new ErrorResponse('One or more budgets were not found', 404);
+  }
+
+  const splitId = new mongoose.Types.ObjectId();
+  const currency = normalizeCurrency(data.currency || budgets[0].currency || 'USD');
+  const amounts = resolvePartAmounts(parts, totalAmount);
+  const description = data.description;
+
+  // Convert everything before touching any budget so a missing rate
+  // leaves nothing half-posted
+  const prepared = [];
+  for (const [index, part] of parts.entries()) {
+    const budget = budgets.find(b => String(b._id) === String(part.budgetId));
+    const transaction = await prepareTransaction(budget, {
+      description: part.description || description,
+      amount: amounts[index],
+      currency,
+      date: data.date,
+      type: data.type,
+      category: part.category || budget.category,
+      notes: part.notes || data.notes,
+      taxDeduction: part.taxDeduction
+    }, userId);
+    transaction._id = new mongoose.Types.ObjectId();
+    transaction.splitId = splitId;
+    prepared.push({ budget, transaction });
+  }
+
+  const split = new TransactionSplit({
+    _id: splitId,
+    userId,
+    description,
+    date: prepared[0].transaction.date,
+    type: data.type,
+    currency,
+    totalAmount,
+    notes: data.notes,
+    parts: prepared.map(({ budget, transaction }, index) => ({
+      budgetId: budget._id,
+      transactionId: transaction._id,
+      category: transaction.category,
+      amount: amounts[index],
+      budgetAmount: transaction.amount,
+      budgetCurrency: budget.currency || 'USD',
+      exchangeRate: transaction.exchangeRate || 1
+    }))
+  });
+  await split.validate();
+
+  for (const budget of budgets) {
+    await budget.addTransactions(prepared.filter(p => p.budget === budget).map(p => p.transaction));
+  }
+  await split.save();
+
+  return split;
+};
+
+// Remove a split and every part it posted
+const deleteSplit = async (split) => {
+  const budgetIds = [...new Set(split.parts.map(part => String(part.budgetId)))];
+  const budgets = await Budget.find({ _id: { $in: budgetIds } });
+
+  for (const budget of budgets) {
+    budget.transactions = budget.transactions.filter(t => String(t.splitId) !== String(split._id));
+    await budget.save();
+  }
+  await split.deleteOne();
+};
+
+module.exports = {
+  prepareTransaction,
+  addTransaction,
+  createSplit,
+  deleteSplit
+};
@@ -0,0 +1,496 @@
+const Budget = require('../models/Budget');
+const Payout = require('../models/Payout');
+const PayoutStream = require('../models/PayoutStream');
+const ErrorResponse = require('../utils/ErrorResponse');
+const { DAY_MS, advanceDate, getPeriodStart } = require('../utils/budgetPeriods');
+const { projectPayments } = require('./payoutSchedule');
+const { getRate } = require('./exchangeRates');
+
+const MIN_MONTHS = 3;
+const MAX_MONTHS = 24;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const startOfDay = (value) => {
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+const addMonths = (date, months) => new Date(date.getFullYear(), date.getMonth() + months, date.getDate());
+
+const monthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+// Forecasts are in dollars. Budgets in other currencies are converted at
+// today's rate; a currency without one gives null, and its budgets are
+// left out and listed in `missing`.
+const dollarRates = (userId, now) => {
+  const rates = new Map();
+  const missing = new Set();
+  const rateOf = async (currency = 'USD') => {
+    if (!rates.has(currency)) {
+      try {
+        rates.set(currency, (await getRate(currency, 'USD', now, userId)).rate);
+      } catch (error) {
+        if (!(error instanceof ErrorResponse)) throw error;
+        rates.set(currency, null);
+        missing.add(currency);
+      }
+    }
+    return rates.get(currency);
+  };
+  return { rateOf, missing };
+};
+
+// A flow is either a single amount on a date, or an amount spread evenly
+// over the days from `from` up to (not including) `to`. Amounts are
+// positive; direction says which way the money moves.
+const pointFlow = (fields) => ({ kind: 'point', ...fields });
+const spreadFlow = (fields) => ({ kind: 'spread', ...fields });
+
+// Split a spread flow at a date so each part can be adjusted on its own
+const splitAt = (flow, date) => {
+  if (flow.kind !== 'spread' || date <= flow.from || date >= flow.to) return [flow];
+  const share = (date - flow.from) / (flow.to - flow.from);
+  return [
+    { ...flow, to: date, amount: flow.amount * share },
+    { ...flow, from: date, amount: flow.amount * (1 - share) }
+  ];
+};
+
+const flowStart = (flow) => (flow.kind === 'point' ? flow.date : flow.from);
+
+// Upcoming periods of a recurring budget: the rest of the current one, then
+// a full budgeted amount each period until the recurrence ends. Amounts
+// are multiplied by `rate` to bring them into dollars.
+const recurringBudgetFlows = (budget, start, end, rate = 1) => {
+  const flows = [];
+  const frequency = budget.recurringSettings.frequency || budget.period;
+  const stopAt = budget.recurringSettings.endDate && budget.recurringSettings.endDate < end
+    ? budget.recurringSettings.endDate
+    : end;
+  const base = {
+    description: budget.name,
+    source: 'recurring_budget',
+    sourceId: budget._id,
+    category: budget.category,
+    direction: 'out'
+  };
+
+  let periodStart = getPeriodStart(budget.period, {
+    year: budget.year,
+    month: budget.month,
+    quarter: budget.quarter,
+    week: budget.week
+  });
+  let periodEnd = advanceDate(periodStart, frequency);
+
+  if (periodEnd > start) {
+    const remaining = Math.max(0, budget.budgetedAmount - budget.actualAmount);
+    if (remaining > 0) {
+      flows.push(spreadFlow({ ...base, from: start, to: periodEnd, amount: remaining * rate }));
+    }
+  }
+
+  while (periodEnd < stopAt) {
+    periodStart = periodEnd;
+    periodEnd = advanceDate(periodStart, frequency);
+    flows.push(spreadFlow({
+      ...base,
+      from: periodStart,
+      to: periodEnd < end ? periodEnd : end,
+      amount: budget.budgetedAmount * rate * (Math.min(periodEnd, end) - periodStart) / (periodEnd - periodStart)
+    }));
+  }
+
+  return flows;
+};
+
+// Average monthly net spending per category over the history window, for
+// categories no recurring budget covers. Income that came from a payout
+// stream is left out because the streams are projected separately.
+const learnSpendingPatterns = async (userId, { historyMonths, excludeCategories, now, rateOf }) => {
+  const historyStart = addMonths(startOfDay(now), -historyMonths);
+  const [budgets, postedPayouts] = await Promise.all([
+    Budget.find({ userId, 'transactions.date': { $gte: historyStart } }).select('category currency transactions'),
+    Payout.find({ userId, transactionId: { $exists: true } }).select('transactionId')
+  ]);
+  const payoutTransactions = new Set(postedPayouts.map(p => String(p.transactionId)));
+
+  const totals = {};
+  for (const budget of budgets) {
+    if (excludeCategories.includes(budget.category)) continue;
+    const rate = await rateOf(budget.currency);
+    if (rate === null) continue;
+    for (const transaction of budget.transactions) {
+      if (transaction.date < historyStart || transaction.date > now) continue;
+      if (payoutTransactions.has(String(transaction._id))) continue;
+
+      const key = transaction.type === 'income' ? 'income' : budget.category;
+      totals[key] = (totals[key] || 0) + transaction.amount * rate;
+    }
+  }
+
+  return Object.entries(totals).map(([category, total]) => ({
+    category,
+    monthlyAmount: total / historyMonths
+  })).filter(pattern => pattern.monthlyAmount > 0);
+};
+
+// Everything we expect to move in or out of cash between start and end
+const buildBaseline = async (userId, settings, { start, end, now }) => {
+  const recurring = await Budget.find({
+    userId,
+    'recurringSettings.isRecurring': true,
+    'recurringSettings.rolledOverTo': { $exists: false },
+    status: { $ne: 'paused' }
+  });
+
+  const { rateOf, missing } = dollarRates(userId, now);
+  const flows = [];
+  for (const budget of recurring) {
+    const rate = await rateOf(budget.currency);
+    if (rate !== null) flows.push(...recurringBudgetFlows(budget, start, end, rate));
+  }
+  const budgetedCategories = [...new Set(recurring.map(budget => budget.category))];
+
+  const patterns = await learnSpendingPatterns(userId, {
+    historyMonths: settings.historyMonths,
+    excludeCategories: budgetedCategories,
+    now,
+    rateOf
+  });
+  const months = (end - start) / (DAY_MS * 365.25 / 12);
+  for (const pattern of patterns) {
+    const isIncome = pattern.category === 'income';
+    flows.push(spreadFlow({
+      description: isIncome ? 'Regular income' : `Typical ${pattern.category.replace(/_/g, ' ')} spending`,
+      source: 'spending_history',
+      category: isIncome ? undefined : pattern.category,
+      direction: isIncome ? 'in' : 'out',
+      earned: isIncome,
+      from: start,
+      to: end,
+      amount: pattern.monthlyAmount * months
+    }));
+  }
+
+  const warnings = [...missing].map(currency => `Budgets in ${currency} were left out: there is no exchange rate to USD`);
+  const streams = await PayoutStream.find({ userId, isActive: true });
+  for (const stream of streams) {
+    try {
+      const payments = await projectPayments(stream, start, end);
+      for (const payment of payments) {
+        flows.push(pointFlow({
+          description: stream.name,
+          source: 'payout',
+          sourceId: stream._id,
+          direction: 'in',
+          date: payment.date,
+          amount: payment.amount
+        }));
+      }
+    } catch (error) {
+      warnings.push(`Payout stream "${stream.name}" was left out: ${error.message}`);
+    }
+  }
+
+  for (const item of settings.oneOffItems) {
+    if (item.date < start || item.date >= end) continue;
+    flows.push(pointFlow({
+      description: item.description,
+      source: 'one_off',
+      sourceId: item._id,
+      category: item.category,
+      direction: item.type === 'income' ? 'in' : 'out',
+      date: item.date,
+      amount: item.amount
+    }));
+  }
+
+  return { flows, warnings };
+};
+
+const parseDate = (value, fallback, label) => {
+  if (value === undefined || value === null) return fallback;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ErrorResponse(`${label} must be a valid date`, 400);
+  }
+  return startOfDay(date);
+};
+
+// Monthly flows from startDate until endDate or the end of the forecast
+const monthlyFlows = (fields, startDate, endDate, end) => {
+  const flows = [];
+  for (let date = startDate; date < end && (!endDate || date < endDate); date = addMonths(date, 1)) {
+    flows.push(pointFlow({ ...fields, date }));
+  }
+  return flows;
+};
+
+// Apply what-if adjustments to a copy of the baseline flows
+const applyScenario = (baseline, adjustments, { start, end }) => {
+  let flows = baseline.map(flow => ({ ...flow }));
+
+  adjustments.forEach((adjustment, index) => {
+    const label = `Adjustment ${index + 1}`;
+    const from = parseDate(adjustment.startDate || adjustment.date, start, `${label} start date`);
+    const until = parseDate(adjustment.endDate, null, `${label} end date`);
+    const inWindow = (flow) => flowStart(flow) >= from && (!until || flowStart(flow) < until);
+    const splitFlows = () => {
+      flows = flows.flatMap(flow => splitAt(flow, from));
+      if (until) flows = flows.flatMap(flow => splitAt(flow, until));
+    };
+
+    switch (adjustment.type) {
+      case 'raise': {
+        const percent = Number(adjustment.percent);
+        if (!Number.isFinite(percent)) {
+          throw new ErrorResponse(`${label}: a raise needs a percent`, 400);
+        }
+        splitFlows();
+        flows = flows.map(flow => (flow.earned && inWindow(flow)
+          ? { ...flow, amount: flow.amount * (1 + percent / 100) }
+          : flow));
+        break;
+      }
+      case 'job_loss': {
+        splitFlows();
+        flows = flows.filter(flow => !(flow.earned && inWindow(flow)));
+        if (adjustment.replacementIncome > 0) {
+          flows.push(...monthlyFlows({
+            description: adjustment.description || 'Replacement income',
+            source: 'scenario',
+            direction: 'in',
+            amount: Number(adjustment.replacementIncome)
+          }, from, until, end));
+        }
+        break;
+      }
+      case 'new_expense':
+      case 'new_income': {
+        const amount = Number(adjustment.monthlyAmount);
+        if (!(amount > 0)) {
+          throw new ErrorResponse(`${label}: monthlyAmount must be greater than zero`, 400);
+        }
+        const stop = adjustment.months ? addMonths(from, Number(adjustment.months)) : until;
+        flows.push(...monthlyFlows({
+          description: adjustment.description || (adjustment.type === 'new_expense' ? 'New expense' : 'New income'),
+          source: 'scenario',
+          category: adjustment.category,
+          direction: adjustment.type === 'new_expense' ? 'out' : 'in',
+          amount
+        }, from, stop, end));
+        break;
+      }
+      case 'spending_change': {
+        const percent = Number(adjustment.percent);
+        if (!Number.isFinite(percent)) {
+          throw new ErrorResponse(`${label}: a spending change needs a percent`, 400);
+        }
+        splitFlows();
+        flows = flows.map(flow => (flow.direction === 'out' && inWindow(flow) &&
+          (!adjustment.category || flow.category === adjustment.category)
+          ? { ...flow, amount: Math.max(0, flow.amount * (1 + percent / 100)) }
+          : flow));
+        break;
+      }
+      case 'one_off': {
+        const amount = Number(adjustment.amount);
+        if (!(amount > 0)) {
+          throw new ErrorResponse(`${label}: amount must be greater than zero`, 400);
+        }
+        flows.push(pointFlow({
+          description: adjustment.description || 'One-off item',
+          source: 'scenario',
+          category: adjustment.category,
+          direction: adjustment.direction === 'income' ? 'in' : 'out',
+          date: from,
+          amount
+        }));
+        break;
+      }
+      default:
+        throw new ErrorResponse(
+          `${label}: type must be one of raise, job_loss, new_expense, new_income, spending_change, one_off`,
+          400
+        );
+    }
+  });
+
+  return flows;
+};
+
+// Run flows through the calendar day by day, then report by day or month
+const simulate = (flows, { start, end, startingBalance, cashFloor, granularity }) => {
+  const dayCount = Math.round((end - start) / DAY_MS);
+  const inflow = new Array(dayCount).fill(0);
+  const outflow = new Array(dayCount).fill(0);
+  const dayIndex = (date) => Math.floor((startOfDay(date) - start) / DAY_MS);
+
+  for (const flow of flows) {
+    const target = flow.direction === 'in' ? inflow : outflow;
+    if (flow.kind === 'point') {
+      const index = dayIndex(flow.date);
+      if (index >= 0 && index < dayCount) target[index] += flow.amount;
+      continue;
+    }
+    const first = Math.max(0, dayIndex(flow.from));
+    const last = Math.min(dayCount, Math.max(first + 1, dayIndex(flow.to)));
+    const perDay = flow.amount / (last - first);
+    for (let i = first; i < last; i++) target[i] += perDay;
+  }
+
+  const days = [];
+  let balance = startingBalance;
+  for (let i = 0; i < dayCount; i++) {
+    balance += inflow[i] - outflow[i];
+    days.push({ date: new Date(start.getTime() + i * DAY_MS), inflow: inflow[i], outflow: outflow[i], balance });
+  }
+
+  const months = new Map();
+  for (const day of days) {
+    const key = monthKey(day.date);
+    const month = months.get(key) || {
+      month: key,
+      openingBalance: day.balance - day.inflow + day.outflow,
+      inflow: 0,
+      outflow: 0,
+      lowestBalance: day.balance,
+      lowestDate: day.date
+    };
+    month.inflow += day.inflow;
+    month.outflow += day.outflow;
+    month.endingBalance = day.balance;
+    if (day.balance < month.lowestBalance) {
+      month.lowestBalance = day.balance;
+      month.lowestDate = day.date;
+    }
+    months.set(key, month);
+  }
+
+  const monthRows = [...months.values()].map(month => ({
+    month: month.month,
+    openingBalance: round(month.openingBalance),
+    inflow: round(month.inflow),
+    outflow: round(month.outflow),
+    net: round(month.inflow - month.outflow),
+    endingBalance: round(month.endingBalance),
+    lowestBalance: round(month.lowestBalance),
+    lowestDate: month.lowestDate,
+    belowFloor: month.lowestBalance < cashFloor
+  }));
+
+  const lowest = days.reduce((low, day) => (day.balance < low.balance ? day : low), days[0]);
+  const firstBreach = days.find(day => day.balance < cashFloor);
+
+  return {
+    summary: {
+      startingBalance: round(startingBalance),
+      endingBalance: round(balance),
+      totalInflow: round(inflow.reduce((a, b) => a + b, 0)),
+      totalOutflow: round(outflow.reduce((a, b) => a + b, 0)),
+      lowestBalance: round(lowest.balance),
+      lowestDate: lowest.date,
+      cashFloor,
+      firstDateBelowFloor: firstBreach ? firstBreach.date : null,
+      monthsBelowFloor: monthRows.filter(month => month.belowFloor).map(month => month.month)
+    },
+    periods: granularity === 'daily'
+      ? days.map(day => ({
+        date: day.date,
+        inflow: round(day.inflow),
+        outflow: round(day.outflow),
+        balance: round(day.balance),
+        belowFloor: day.balance < cashFloor
+      }))
+      : monthRows
+  };
+};
+
+// Totals of the flows by where they came from, for explaining a forecast
+const summarizeFlows = (flows) => {
+  const groups = new Map();
+  for (const flow of flows) {
+    const key = `${flow.direction}:${flow.source}:${flow.category || flow.description}`;
+    const group = groups.get(key) || {
+      direction: flow.direction,
+      source: flow.source,
+      category: flow.category,
+      description: flow.description,
+      total: 0
+    };
+    group.total += flow.amount;
+    groups.set(key, group);
+  }
+  return [...groups.values()]
+    .map(group => ({ ...group, total: round(group.total) }))
+    .sort((a, b) => b.total - a.total);
+};
+
+// Forecast cash balances, optionally under one or more what-if scenarios.
+// Scenarios only change the flows in memory; nothing is saved.
+const forecastCashFlow = async (userId, settings, options = {}) => {
+  const months = Number(options.months) || 12;
+  if (months < MIN_MONTHS || months > MAX_MONTHS) {
+    throw new ErrorResponse(`Forecasts cover ${MIN_MONTHS} to ${MAX_MONTHS} months`, 400);
+  }
+  const granularity = options.granularity || 'monthly';
+  if (!['daily', 'monthly'].includes(granularity)) {
+    throw new ErrorResponse('Granularity must be daily or monthly', 400);
+  }
+
+  const now = options.now || new Date();
+  const start = startOfDay(now);
+  const end = addMonths(start, months);
+  const startingBalance = options.startingBalance !== undefined
+    ? Number(options.startingBalance)
+    : settings.startingBalance;
+  const cashFloor = options.cashFloor !== undefined ? Number(options.cashFloor) : settings.cashFloor;
+  if (!Number.isFinite(startingBalance) || !Number.isFinite(cashFloor)) {
+    throw new ErrorResponse('startingBalance and cashFloor must be numbers', 400);
+  }
+
+  const { flows, warnings } = await buildBaseline(userId, settings, { start, end, now });
+  if (settings.isNew && options.startingBalance === undefined) {
+    warnings.push('No starting balance has been set, so the forecast starts from 0');
+  }
+
+  const run = (scenarioFlows) => simulate(scenarioFlows, { start, end, startingBalance, cashFloor, granularity });
+  const baseline = run(flows);
+
+  const scenarios = (options.scenarios || []).map((scenario, index) => {
+    const scenarioFlows = applyScenario(flows, scenario.adjustments || [], { start, end });
+    const result = run(scenarioFlows);
+    return {
+      name: scenario.name || `Scenario ${index + 1}`,
+      ...result,
+      difference: {
+        endingBalance: round(result.summary.endingBalance - baseline.summary.endingBalance),
+        lowestBalance: round(result.summary.lowestBalance - baseline.summary.lowestBalance)
+      }
+    };
+  });
+
+  return {
+    from: start,
+    to: end,
+    months,
+    granularity,
+    warnings,
+    baseline: {
+      ...baseline,
+      sources: summarizeFlows(flows)
+    },
+    scenarios
+  };
+};
+
+module.exports = {
+  MIN_MONTHS,
+  MAX_MONTHS,
+  applyScenario,
+  simulate,
+  forecastCashFlow
+};
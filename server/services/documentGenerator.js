@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { getTemplate } = require('../templates/estate');
+const ErrorResponse = require('../utils/ErrorResponse');
+
+// Generated files live outside the web root and are only served through
+// the authenticated download route
+const getStorageRoot = () => {
+  return path.resolve(process.env.DOCUMENT_STORAGE_DIR || path.join(__dirname, '../storage/documents'));
+};
+
+// Write a rendered template to a PDF file
+const writePdf = (filePath, content, meta) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER', margin: 72, info: { Title: content.title } });
+    const stream = fs.createWriteStream(filePath);
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+    doc.pipe(stream);
+
+    doc.fontSize(9).fillColor('#b00020')
+      .text('DRAFT - NOT A LEGALLY EXECUTED DOCUMENT. Review with an attorney before signing.', { align: 'center' });
+    doc.moveDown(2);
+
+    doc.fontSize(18).fillColor('#000000').text(content.title, { align: 'center' });
+    doc.moveDown(1.5);
+
+    for (const block of content.blocks) {
+      if (block.heading) {
+        doc.moveDown(0.5).fontSize(12).font('Helvetica-Bold').text(block.heading);
+        doc.font('Helvetica').moveDown(0.3);
+      } else if (block.paragraph) {
+        doc.fontSize(11).text(block.paragraph, { align: 'justify' });
+        doc.moveDown(0.5);
+      } else if (block.list) {
+        doc.fontSize(11).list(block.list, { bulletRadius: 2, textIndent: 12 });
+        doc.moveDown(0.5);
+      } else if (block.signature) {
+        doc.moveDown(2).fontSize(11)
+          .text('_________________________________________    Date: ______________')
+          .text(block.signature);
+      }
+    }
+
+    doc.moveDown(2).fontSize(8).fillColor('#666666')
+      .text(`Template ${meta.type} v${meta.version} - generated ${meta.generatedAt.toISOString()}`, { align: 'left' });
+
+    doc.end();
+  });
+};
+
+// Render an estate plan document to PDF, record it in plan.documents and
+// save the plan. The file is removed again if the plan cannot be saved.
+const generateDocument = async (plan, { type, version, principalName, healthcareAgent }) => {
+  const template = getTemplate(type, version);
+  if (!template) {
+    throw new ErrorResponse(`No template for document type "${type}"${version ? ` version ${version}` : ''}`, 400);
+  }
+  if (!principalName) {
+    throw new ErrorResponse('principalName is required to generate documents', 400);
+  }
+
+  const generatedAt = new Date();
+  const directory = path.join(getStorageRoot(), String(plan.userId), String(plan._id));
+  await fs.promises.mkdir(directory, { recursive: true });
+
+  const fileName = `${type}-v${template.version}-${generatedAt.getTime()}.pdf`;
+  const filePath = path.join(directory, fileName);
+
+  const content = template.render(plan, { principalName, healthcareAgent });
+  await writePdf(filePath, content, { type, version: template.version, generatedAt });
+
+  plan.documents.push({
+    type,
+    name: `${template.title} (draft)`,
+    dateCreated: generatedAt,
+    lastUpdated: generatedAt,
+    status: 'draft',
+    generated: true,
+    templateVersion: template.version,
+    filePath: path.relative(getStorageRoot(), filePath)
+  });
+
+  const document = plan.documents[plan.documents.length - 1];
+  document.url = `/api/estate/${plan._id}/documents/${document._id}/download`;
+
+  try {
+    await plan.save();
+  } catch (error) {
+    plan.documents.pull(document._id);
+    await fs.promises.unlink(filePath).catch(() => {});
+    throw error;
+  }
+  return document;
+};
+
+// Absolute path of a generated document, refusing anything outside storage
+const resolveDocumentPath = (document) => {
+  if (!document.generated || !document.filePath) return null;
+
+  const root = getStorageRoot();
+  const filePath = path.resolve(root, document.filePath);
+  return filePath.startsWith(root + path.sep) ? filePath : null;
+};
+
+module.exports = {
+  generateDocument,
+  resolveDocumentPath
+};
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const maskAccountNumber = (number) => (number ? `****${String(number).slice(-4)}` : undefined);
+
+// Household roles that may change shared records, as in loadRecordAccess
+const WRITE_ROLES = ['owner', 'editor'];
+
+// Estate plans a user may still change: their own, and those shared with a
+// household where they are an owner or editor
+const writablePlanFilter = async (userId) => {
+  const households = await mongoose.model('Household').find({
+    members: { $elemMatch: { userId, role: { $in: WRITE_ROLES } } }
+  }).select('_id');
+  return households.length > 0
+    ? { $or: [{ userId }, { householdId: { $in: households.map(h => h._id) } }] }
+    : { userId };
+};
+
+// Create or update the estate plan asset that mirrors an investment account.
+// When the plan is gone or the account's owner may no longer change it (for
+// example after leaving the household), the link is dropped instead.
+const syncAccountToEstatePlan = async (account, totalValue, now = new Date()) => {
+  const EstatePlan = mongoose.model('EstatePlan');
+  const plan = await EstatePlan.findOne({
+    _id: account.estateSync.estatePlanId,
+    ...(await writablePlanFilter(account.userId))
+  });
+  if (!plan) {
+    await unlinkAccountFromEstatePlan(account);
+    await mongoose.model('InvestmentAccount').updateOne({ _id: account._id }, { $unset: { estateSync: 1 } });
+    return null;
+  }
+
+  const description = account.institution ? `${account.name} (${account.institution})` : account.name;
+  let asset = plan.assets.find(a => a.investmentAccountId && a.investmentAccountId.equals(account._id));
+  if (!asset) {
+    plan.assets.push({ investmentAccountId: account._id, description, estimatedValue: 0, type: account.estateAssetType });
+    asset = plan.assets[plan.assets.length - 1];
+  }
+
+  asset.type = account.estateAssetType;
+  asset.description = description;
+  asset.estimatedValue = Math.max(0, totalValue);
+  asset.accountNumber = maskAccountNumber(account.accountNumber);
+  asset.lastSyncedAt = now;
+  await plan.save();
+
+  await mongoose.model('InvestmentAccount').updateOne(
+    { _id: account._id },
+    { $set: { 'estateSync.lastSyncedAt': now, 'estateSync.lastSyncedValue': asset.estimatedValue } }
+  );
+  account.estateSync.lastSyncedAt = now;
+  account.estateSync.lastSyncedValue = asset.estimatedValue;
+
+  return { estatePlanId: plan._id, assetId: asset._id, estimatedValue: asset.estimatedValue };
+};
+
+// Stop syncing; the asset stays in the plan as an ordinary, manually kept entry
+const unlinkAccountFromEstatePlan = async (account) => {
+  const planId = account.estateSync.estatePlanId;
+  if (planId) {
+    await mongoose.model('EstatePlan').updateOne(
+      { _id: planId, 'assets.investmentAccountId': account._id },
+      { $unset: { 'assets.$.investmentAccountId': 1, 'assets.$.lastSyncedAt': 1 } }
+    );
+  }
+  account.estateSync = {};
+};
+
+module.exports = {
+  syncAccountToEstatePlan,
+  unlinkAccountFromEstatePlan
+};
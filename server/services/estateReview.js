@@ -0,0 +1,209 @@
+const ADULT_AGE = 18;
+
+const DEFAULT_VALUE_CHANGE_THRESHOLD = Number(process.env.ESTATE_REVIEW_VALUE_CHANGE_PERCENT) || 20;
+const DEFAULT_DOCUMENT_MAX_AGE_YEARS = Number(process.env.ESTATE_REVIEW_DOCUMENT_MAX_AGE_YEARS) || 5;
+
+// Items every review covers, whatever triggered it
+const STANDARD_CHECKLIST = [
+  { key: 'standard:executor', item: 'Confirm your executor and alternate executor are still willing and able to serve' },
+  { key: 'standard:contacts', item: 'Confirm beneficiary addresses and contact details are current' }
+];
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const addYears = (date, years) => {
+  const result = new Date(date);
+  result.setFullYear(result.getFullYear() + years);
+  return result;
+};
+
+// Creation time of a subdocument, from its ObjectId
+const createdAtOf = (subdoc) => {
+  return subdoc._id && subdoc._id.getTimestamp ? subdoc._id.getTimestamp() : null;
+};
+
+// Find every life event that calls for a review since the plan was last reviewed
+const detectReviewTriggers = (plan, now = new Date()) => {
+  const triggers = [];
+  const since = plan.lastReviewDate || plan.createdAt || now;
+  const settings = plan.reviewSettings || {};
+  const valueThreshold = settings.valueChangeThreshold !== undefined
+    ? settings.valueChangeThreshold
+    : DEFAULT_VALUE_CHANGE_THRESHOLD;
+  const documentMaxAge = settings.documentMaxAgeYears || DEFAULT_DOCUMENT_MAX_AGE_YEARS;
+
+  // A beneficiary or minor child has turned 18
+  const people = [
+    ...(plan.beneficiaries || []).map(b => ({ id: b._id, name: b.fullName, dateOfBirth: b.dateOfBirth })),
+    ...((plan.guardianship && plan.guardianship.minorChildren) || [])
+      .map(c => ({ id: c._id, name: c.name, dateOfBirth: c.dateOfBirth }))
+  ];
+  for (const person of people) {
+    if (!person.dateOfBirth) continue;
+    const adulthood = addYears(person.dateOfBirth, ADULT_AGE);
+    if (adulthood <= now && adulthood > since) {
+      triggers.push({
+        code: 'coming_of_age',
+        key: `coming_of_age:${person.id}`,
+        message: `${person.name || 'A beneficiary'} turned ${ADULT_AGE} on ${formatDate(adulthood)}`,
+        checklistItem: `Review distributions and guardianship arrangements for ${person.name || 'this person'}, who is now an adult`
+      });
+    }
+  }
+
+  // Estate value has moved too far from the value at the last review
+  const baseline = plan.review && plan.review.baselineEstateValue;
+  if (baseline > 0 && valueThreshold > 0) {
+    const change = ((plan.totalEstateValue - baseline) / baseline) * 100;
+    if (Math.abs(change) > valueThreshold) {
+      const rounded = Math.round(change * 10) / 10;
+      triggers.push({
+        code: 'estate_value_change',
+        key: `estate_value_change:${baseline}`,
+        message: `Estate value changed ${rounded > 0 ? '+' : ''}${rounded}% since the last review`,
+        checklistItem: 'Review beneficiary allocations and tax planning for the new estate value'
+      });
+    }
+  }
+
+  // A new asset has nobody designated to receive it
+  for (const asset of plan.assets || []) {
+    const addedAt = createdAtOf(asset);
+    const hasBeneficiaries = asset.beneficiaries && asset.beneficiaries.length > 0;
+    if (!hasBeneficiaries && addedAt && addedAt > since) {
+      triggers.push({
+        code: 'asset_without_beneficiaries',
+        key: `asset_without_beneficiaries:${asset._id}`,
+        message: `New asset "${asset.description}" has no beneficiaries`,
+        checklistItem: `Designate beneficiaries for "${asset.description}" or confirm it should pass under the residuary estate`
+      });
+    }
+  }
+
+  // A document has not been updated for too long. It is flagged however
+  // old it already was when the plan was made, until a review after it
+  // went stale acknowledges it.
+  const reasons = (plan.review && plan.review.reasons) || [];
+  for (const document of plan.documents || []) {
+    const updatedAt = document.lastUpdated || document.dateCreated;
+    if (!updatedAt) continue;
+    const staleAt = addYears(updatedAt, documentMaxAge);
+    const key = `stale_document:${document._id}`;
+    const acknowledged = reasons.some(reason => reason.key === key && reason.resolvedAt && reason.resolvedAt >= staleAt);
+    if (staleAt <= now && !acknowledged) {
+      triggers.push({
+        code: 'stale_document',
+        key,
+        message: `"${document.name}" was last updated on ${formatDate(updatedAt)}`,
+        checklistItem: `Review and update "${document.name}"`
+      });
+    }
+  }
+
+  // The regular scheduled review is due
+  if (plan.nextReviewDate && plan.nextReviewDate <= now) {
+    triggers.push({
+      code: 'scheduled_review',
+      key: `scheduled_review:${formatDate(plan.nextReviewDate)}`,
+      message: `Scheduled review was due on ${formatDate(plan.nextReviewDate)}`,
+      checklistItem: 'Complete the scheduled periodic review of the whole plan'
+    });
+  }
+
+  return triggers;
+};
+
+// Record new triggers on the plan and flip it to needs_update.
+// Returns the reasons that were added; the caller saves the plan.
+const applyReviewTriggers = (plan, now = new Date()) => {
+  if (plan.status === 'draft') return [];
+
+  const review = plan.review;
+  const openKeys = new Set(review.reasons.filter(r => !r.resolvedAt).map(r => r.key));
+  const added = [];
+
+  for (const trigger of detectReviewTriggers(plan, now)) {
+    if (openKeys.has(trigger.key)) continue;
+    openKeys.add(trigger.key);
+
+    review.reasons.push({
+      code: trigger.code,
+      key: trigger.key,
+      message: trigger.message,
+      detectedAt: now
+    });
+    review.checklist.push({ key: trigger.key, item: trigger.checklistItem });
+    added.push(trigger);
+  }
+
+  if (added.length > 0) {
+    for (const standard of STANDARD_CHECKLIST) {
+      if (!review.checklist.some(c => c.key === standard.key)) {
+        review.checklist.push(standard);
+      }
+    }
+    if (plan.status !== 'needs_update') {
+      review.previousStatus = plan.status;
+      plan.status = 'needs_update';
+    }
+  }
+
+  return added;
+};
+
+// Scheduled sweep for time-based triggers such as birthdays and document age
+const runReviewTriggerSweep = async (EstatePlan) => {
+  const summary = { checked: 0, flagged: 0, failed: 0 };
+  const cursor = EstatePlan.find({ status: { $ne: 'draft' } }).cursor();
+
+  for await (const plan of cursor) {
+    summary.checked++;
+    try {
+      if (applyReviewTriggers(plan).length > 0) {
+        await plan.save();
+        summary.flagged++;
+      }
+    } catch (error) {
+      summary.failed++;
+      console.error(`Review check for estate plan ${plan._id} failed:`, error.message);
+    }
+  }
+
+  return summary;
+};
+
+// Close the open review once every checklist item has been ticked off
+const completeReview = (plan, now = new Date()) => {
+  const review = plan.review;
+  const outstanding = review.checklist.filter(c => !c.completed);
+  if (outstanding.length > 0) {
+    return { completed: false, outstanding };
+  }
+
+  for (const reason of review.reasons) {
+    if (!reason.resolvedAt) reason.resolvedAt = now;
+  }
+  review.history.push({
+    completedAt: now,
+    reasons: review.reasons.filter(r => r.resolvedAt.getTime() === now.getTime()).map(r => r.message),
+    checklist: review.checklist.map(c => c.item)
+  });
+  review.checklist = [];
+  review.baselineEstateValue = plan.totalEstateValue;
+
+  plan.lastReviewDate = now;
+  plan.nextReviewDate = addYears(now, 1);
+  if (plan.status === 'needs_update') {
+    plan.status = review.previousStatus || 'completed';
+  }
+  review.previousStatus = undefined;
+
+  return { completed: true, outstanding: [] };
+};
+
+module.exports = {
+  detectReviewTriggers,
+  applyReviewTriggers,
+  runReviewTriggerSweep,
+  completeReview
+};
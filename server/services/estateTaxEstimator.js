@@ -0,0 +1,159 @@
+const { getFederalEstateTable, getStateTable } = require('../config/estateTaxTables');
+const { applyBrackets } = require('./taxCalculator');
+
+// Asset types that pass to named beneficiaries outside the will
+const DESIGNATION_ASSET_TYPES = ['insurance', 'retirement_account'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Asset-level beneficiaries carry a free-text relationship
+const normalizeRelationship = (relationship) => {
+  const value = (relationship || '').toLowerCase().trim();
+  if (['spouse', 'husband', 'wife'].includes(value)) return 'spouse';
+  if (['charity', 'charitable', 'nonprofit'].includes(value)) return 'charity';
+  if (['child', 'son', 'daughter'].includes(value)) return 'child';
+  if (['parent', 'mother', 'father'].includes(value)) return 'parent';
+  if (['sibling', 'brother', 'sister'].includes(value)) return 'sibling';
+  if (value === 'friend') return 'friend';
+  return 'other';
+};
+
+// Primary (non-contingent) recipients of an asset: its own designations if
+// it has any, otherwise the plan-level beneficiaries
+const getPrimaryRecipients = (asset, plan) => {
+  const assetPrimaries = (asset.beneficiaries || []).filter(b => !b.contingent);
+  if (assetPrimaries.length > 0) {
+    return assetPrimaries.map(b => ({
+      name: b.name,
+      relationship: normalizeRelationship(b.relationship),
+      percentage: b.percentage || 0
+    }));
+  }
+
+  return (plan.beneficiaries || [])
+    .filter(b => !b.isContingent)
+    .map(b => ({
+      name: b.fullName,
+      relationship: b.relationship,
+      percentage: b.percentage || 0
+    }));
+};
+
+// Split each asset's value between its recipients. Shares over 100% are
+// scaled down; anything left unallocated stays with the estate.
+const allocateEstate = (assets, plan) => {
+  const recipients = new Map();
+  const add = (name, relationship, amount) => {
+    const key = `${relationship}:${name}`;
+    const entry = recipients.get(key) || { name, relationship, amount: 0 };
+    entry.amount += amount;
+    recipients.set(key, entry);
+  };
+
+  for (const asset of assets) {
+    const value = asset.estimatedValue || 0;
+    const primaries = getPrimaryRecipients(asset, plan);
+    const totalPercentage = primaries.reduce((sum, b) => sum + b.percentage, 0);
+    const scale = totalPercentage > 100 ? 100 / totalPercentage : 1;
+
+    let allocated = 0;
+    for (const beneficiary of primaries) {
+      const amount = value * (beneficiary.percentage / 100) * scale;
+      allocated += amount;
+      add(beneficiary.name, beneficiary.relationship, amount);
+    }
+
+    if (value - allocated > 0.005) {
+      add('Residuary estate', 'other', value - allocated);
+    }
+  }
+
+  return Array.from(recipients.values()).map(r => ({ ...r, amount: round(r.amount) }));
+};
+
+const calculateStateTax = (table, taxableEstate, recipients) => {
+  if (!table) return 0;
+
+  if (table.type === 'inheritance') {
+    return recipients.reduce((total, recipient) => {
+      const rate = table.rates[recipient.relationship] !== undefined
+        ? table.rates[recipient.relationship]
+        : table.rates.other || 0;
+      return total + recipient.amount * rate;
+    }, 0);
+  }
+
+  if (taxableEstate <= table.exemption) return 0;
+
+  // Past the cliff the exemption is lost entirely
+  const base = table.cliff && taxableEstate > table.exemption * table.cliff
+    ? taxableEstate
+    : taxableEstate - table.exemption;
+  return applyBrackets(base, table.brackets);
+};
+
+// Estimate federal and state death taxes for an EstatePlan-shaped object
+const estimateEstateTax = (plan, options = {}) => {
+  const year = options.year || new Date().getFullYear();
+  const federal = getFederalEstateTable(year);
+  const stateTable = getStateTable(options.state || plan.domicileState);
+
+  const assets = plan.assets || [];
+  const grossEstate = assets.reduce((total, asset) => total + (asset.estimatedValue || 0), 0);
+  const designatedAssets = assets.filter(asset => DESIGNATION_ASSET_TYPES.includes(asset.type));
+  const probateAssets = assets.filter(asset => !DESIGNATION_ASSET_TYPES.includes(asset.type));
+  const excludedValue = designatedAssets.reduce((total, asset) => total + (asset.estimatedValue || 0), 0);
+
+  const recipients = allocateEstate(probateAssets, plan);
+  const maritalDeduction = recipients
+    .filter(r => r.relationship === 'spouse')
+    .reduce((total, r) => total + r.amount, 0);
+  const charitableDeduction = recipients
+    .filter(r => r.relationship === 'charity')
+    .reduce((total, r) => total + r.amount, 0);
+
+  const includedEstate = grossEstate - excludedValue;
+  const taxableEstate = Math.max(0, includedEstate - maritalDeduction - charitableDeduction);
+
+  const stateTax = calculateStateTax(stateTable, taxableEstate, recipients);
+
+  // State death taxes paid are deductible from the federal taxable estate
+  const federalTaxableEstate = Math.max(0, taxableEstate - stateTax);
+  const federalTax = Math.max(
+    0,
+    applyBrackets(federalTaxableEstate, federal.brackets) - applyBrackets(federal.exemption, federal.brackets)
+  );
+
+  return {
+    year,
+    federalTableYear: federal.year,
+    federalTableVersion: federal.version,
+    grossEstate: round(grossEstate),
+    excludedAssets: designatedAssets.map(asset => ({
+      type: asset.type,
+      description: asset.description,
+      estimatedValue: asset.estimatedValue
+    })),
+    excludedValue: round(excludedValue),
+    includedEstate: round(includedEstate),
+    maritalDeduction: round(maritalDeduction),
+    charitableDeduction: round(charitableDeduction),
+    taxableEstate: round(taxableEstate),
+    federalExemption: federal.exemption,
+    federalTaxableEstate: round(federalTaxableEstate),
+    federalTax: round(federalTax),
+    state: stateTable ? stateTable.state : null,
+    stateTaxType: stateTable ? stateTable.type : null,
+    stateTableVersion: stateTable ? stateTable.version : null,
+    stateTax: round(stateTax),
+    totalTax: round(federalTax + stateTax),
+    recipients
+  };
+};
+
+module.exports = {
+  DESIGNATION_ASSET_TYPES,
+  normalizeRelationship,
+  allocateEstate,
+  estimateEstateTax
+};
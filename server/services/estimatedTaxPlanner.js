@@ -0,0 +1,248 @@
+const TaxRecord = require('../models/TaxRecord');
+const ErrorResponse = require('../utils/ErrorResponse');
+const { getTaxTable } = require('../config/taxTables');
+const { calculateTax } = require('./taxCalculator');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Self-employment tax: 92.35% of net earnings, 12.4% Social Security up to
+// the wage base plus 2.9% Medicare on everything
+const SE_EARNINGS_FACTOR = 0.9235;
+const SOCIAL_SECURITY_RATE = 0.124;
+const MEDICARE_RATE = 0.029;
+
+// Prior-year safe harbor is 110% of last year's tax above this AGI
+const HIGH_INCOME_AGI = { default: 150000, married_filing_separately: 75000 };
+const CURRENT_YEAR_SAFE_HARBOR = 0.9;
+
+const INCOME_FIELDS = ['wages', 'dividends', 'capitalGains', 'businessIncome', 'otherIncome'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Federal due date, moved to the next business day if it falls on a weekend
+const dueDate = (year, month, day) => {
+  const date = new Date(year, month, day);
+  while (date.getDay() === 0 || date.getDay() === 6) {
+    date.setDate(date.getDate() + 1);
+  }
+  return date;
+};
+
+// The four estimated payment due dates for a tax year
+const getDueDates = (taxYear) => [
+  { quarter: 1, dueDate: dueDate(taxYear, 3, 15) },
+  { quarter: 2, dueDate: dueDate(taxYear, 5, 15) },
+  { quarter: 3, dueDate: dueDate(taxYear, 8, 15) },
+  { quarter: 4, dueDate: dueDate(taxYear + 1, 0, 15) }
+];
+
+const calculateSelfEmploymentTax = (businessIncome, wages, taxYear) => {
+  if (businessIncome <= 0) return 0;
+  const earnings = businessIncome * SE_EARNINGS_FACTOR;
+  const wageBase = getTaxTable(taxYear).socialSecurityWageBase;
+  const socialSecurityRoom = Math.max(0, wageBase - wages);
+  return Math.min(earnings, socialSecurityRoom) * SOCIAL_SECURITY_RATE + earnings * MEDICARE_RATE;
+};
+
+// Annualize year-to-date figures. Capital gains are realized in lumps, so
+// they are taken as-is rather than extrapolated.
+const projectIncome = (ytd, asOf, taxYear) => {
+  const start = new Date(taxYear, 0, 1);
+  const end = new Date(taxYear + 1, 0, 1);
+  const elapsed = Math.min(Math.max((asOf - start) / DAY_MS, 1), (end - start) / DAY_MS);
+  const factor = ((end - start) / DAY_MS) / elapsed;
+
+  const income = {};
+  for (const field of INCOME_FIELDS) {
+    const value = ytd[field] || 0;
+    income[field] = round(field === 'capitalGains' ? value : value * factor);
+  }
+
+  return {
+    income,
+    withholding: round((ytd.withholding || 0) * factor),
+    factor: round(factor)
+  };
+};
+
+// Projected total tax for the year: income tax plus self-employment tax,
+// with half of the SE tax deducted from income
+const projectLiability = (record, projected) => {
+  const seTax = calculateSelfEmploymentTax(projected.income.businessIncome, projected.income.wages, record.taxYear);
+  const incomeTax = calculateTax({
+    taxYear: record.taxYear,
+    filingStatus: record.filingStatus,
+    income: {
+      ...projected.income,
+      otherIncome: projected.income.otherIncome - seTax / 2
+    },
+    deductions: { itemizedDeductions: record.deductions.itemizedDeductions }
+  });
+
+  return {
+    incomeTax: incomeTax.taxOwed,
+    selfEmploymentTax: round(seTax),
+    totalTax: round(incomeTax.taxOwed + seTax),
+    grossIncome: incomeTax.grossIncome
+  };
+};
+
+// Total tax on last year's return, if we have it. The return only holds
+// income tax, so self-employment tax is worked out the same way as for
+// this year, and half of it comes off the AGI.
+const findPriorYearTax = async (record) => {
+  const prior = await TaxRecord.findOne({
+    userId: record.userId,
+    taxYear: record.taxYear - 1,
+    isCurrent: true
+  });
+  if (!prior) return null;
+
+  const income = prior.income || {};
+  const seTax = calculateSelfEmploymentTax(income.businessIncome || 0, income.wages || 0, prior.taxYear);
+
+  return {
+    recordId: prior._id,
+    totalTax: round((prior.taxOwed || 0) + seTax),
+    selfEmploymentTax: round(seTax),
+    agi: round(prior.totalIncome - seTax / 2),
+    filingStatus: prior.filingStatus
+  };
+};
+
+// Cumulative required vs. paid per quarter. Withholding counts as paid
+// evenly through the year, as the IRS treats it.
+const buildSchedule = (record, requiredAnnual, withholding, now = new Date()) => {
+  let paidSoFar = 0;
+
+  return getDueDates(record.taxYear).map(({ quarter, dueDate: date }) => {
+    const payments = record.estimatedPayments.filter(p => p.quarter === quarter);
+    const paid = payments.reduce((total, p) => total + p.amount, 0);
+    paidSoFar += paid;
+
+    const requiredCumulative = requiredAnnual * (quarter / 4);
+    const creditedCumulative = paidSoFar + withholding * (quarter / 4);
+    const shortfall = Math.max(0, requiredCumulative - creditedCumulative);
+
+    return {
+      quarter,
+      dueDate: date,
+      requiredCumulative: round(requiredCumulative),
+      paid: round(paid),
+      paidCumulative: round(paidSoFar),
+      recommendedPayment: round(shortfall),
+      shortfall: round(shortfall),
+      status: shortfall === 0 ? 'paid' : (date < now ? 'overdue' : 'upcoming')
+    };
+  });
+};
+
+// Build the quarterly plan for a return from year-to-date figures
+const buildPlan = async (record, { asOf, ytd = {} }) => {
+  const asOfDate = asOf ? new Date(asOf) : new Date();
+  if (Number.isNaN(asOfDate.getTime())) {
+    throw new ErrorResponse('asOf must be a valid date', 400);
+  }
+  // The fourth payment is due in January, so plans can still be made then
+  const inTaxYear = asOfDate.getFullYear() === record.taxYear;
+  const inFinalQuarter = asOfDate.getFullYear() === record.taxYear + 1 && asOfDate.getMonth() === 0;
+  if (!inTaxYear && !inFinalQuarter) {
+    throw new ErrorResponse(`asOf must fall within tax year ${record.taxYear} or the January after it`, 400);
+  }
+
+  const projected = projectIncome(ytd, asOfDate, record.taxYear);
+  const liability = projectLiability(record, projected);
+  const prior = await findPriorYearTax(record);
+
+  const currentYearSafeHarbor = round(liability.totalTax * CURRENT_YEAR_SAFE_HARBOR);
+  let priorYearSafeHarbor = null;
+  if (prior) {
+    const threshold = HIGH_INCOME_AGI[prior.filingStatus] || HIGH_INCOME_AGI.default;
+    priorYearSafeHarbor = round(prior.totalTax * (prior.agi > threshold ? 1.1 : 1));
+  }
+
+  const requiredAnnualPayment = priorYearSafeHarbor === null
+    ? currentYearSafeHarbor
+    : Math.min(currentYearSafeHarbor, priorYearSafeHarbor);
+  const method = priorYearSafeHarbor !== null && priorYearSafeHarbor <= currentYearSafeHarbor
+    ? 'prior_year'
+    : 'current_year';
+
+  return {
+    asOf: asOfDate,
+    ytd: {
+      ...INCOME_FIELDS.reduce((values, field) => ({ ...values, [field]: ytd[field] || 0 }), {}),
+      withholding: ytd.withholding || 0
+    },
+    annualizationFactor: projected.factor,
+    projectedIncome: projected.income,
+    projectedWithholding: projected.withholding,
+    projectedIncomeTax: liability.incomeTax,
+    projectedSelfEmploymentTax: liability.selfEmploymentTax,
+    projectedTotalTax: liability.totalTax,
+    priorYearTax: prior ? prior.totalTax : null,
+    priorYearSafeHarbor,
+    currentYearSafeHarbor,
+    safeHarborMethod: method,
+    requiredAnnualPayment: round(requiredAnnualPayment),
+    // Estimated payments cover whatever withholding does not
+    requiredEstimatedPayments: round(Math.max(0, requiredAnnualPayment - projected.withholding)),
+    calculatedAt: new Date()
+  };
+};
+
+// Stored plan plus the live payment schedule
+const getPlanWithSchedule = (record, now) => {
+  const plan = record.estimatedTaxPlan;
+  if (!plan || !plan.calculatedAt) return null;
+
+  const schedule = buildSchedule(record, plan.requiredAnnualPayment, plan.projectedWithholding, now);
+  const totalPaid = record.estimatedPayments.reduce((total, p) => total + p.amount, 0);
+
+  return {
+    ...record.toObject().estimatedTaxPlan,
+    schedule,
+    totalPaid: round(totalPaid),
+    remaining: round(Math.max(0, plan.requiredEstimatedPayments - totalPaid))
+  };
+};
+
+// Upcoming and overdue quarterly payments across a user's current returns
+const listUpcomingPayments = async (userId, now = new Date()) => {
+  const year = now.getFullYear();
+  const records = await TaxRecord.find({
+    userId,
+    isCurrent: true,
+    taxYear: { $in: [year - 1, year] },
+    'estimatedTaxPlan.calculatedAt': { $exists: true }
+  });
+
+  // Shortfalls are cumulative, so each return lists at most its latest
+  // overdue quarter and its next upcoming one
+  const upcoming = [];
+  for (const record of records) {
+    const { schedule } = getPlanWithSchedule(record, now);
+    const overdue = schedule.filter(q => q.status === 'overdue').pop();
+    const next = schedule.find(q => q.dueDate >= now && q.shortfall > 0);
+
+    for (const quarter of [overdue, next].filter(Boolean)) {
+      upcoming.push({
+        recordId: record._id,
+        taxYear: record.taxYear,
+        ...quarter
+      });
+    }
+  }
+
+  return upcoming.sort((a, b) => a.dueDate - b.dueDate);
+};
+
+module.exports = {
+  getDueDates,
+  calculateSelfEmploymentTax,
+  projectIncome,
+  buildPlan,
+  buildSchedule,
+  getPlanWithSchedule,
+  listUpcomingPayments
+};
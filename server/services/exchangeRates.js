@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const ExchangeRate = require('../models/ExchangeRate');
+const ErrorResponse = require('../utils/ErrorResponse');
+const { startOfDay } = require('./priceFeed');
+const { splitCsv, parseDate } = require('./statementImport/csvParser');
+
+// Local exchange-rate file with historical rates. CSV with
+// base,quote,date,rate columns (date as YYYY-MM-DD) or a JSON array of
+// { base, quote, date, rate } objects.
+const RATE_FILE = process.env.EXCHANGE_RATE_FILE || path.join(__dirname, '..', 'data', 'exchange-rates.csv');
+
+// Pairs with no direct rate are converted through this currency
+const REFERENCE_CURRENCY = (process.env.EXCHANGE_RATE_REFERENCE || 'USD').toUpperCase();
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+const normalizeCurrency = (value, label = 'Currency') => {
+  const code = String(value || '').trim().toUpperCase();
+  if (!CURRENCY_PATTERN.test(code)) {
+    throw new ErrorResponse(`${label} must be a three-letter ISO code`, 400);
+  }
+  return code;
+};
+
+const validEntry = (entry) => CURRENCY_PATTERN.test(entry.base) && CURRENCY_PATTERN.test(entry.quote) &&
+  entry.base !== entry.quote && entry.date && Number.isFinite(entry.rate) && entry.rate > 0;
+
+// Parse rate file contents into { base, quote, date, rate } entries
+const parseRates = (content, format) => {
+  const entries = [];
+  const errors = [];
+  const message = 'Expected base, quote (three-letter codes), date (YYYY-MM-DD) and a positive rate';
+
+  let items;
+  if (format === 'json') {
+    try {
+      items = JSON.parse(content);
+    } catch (error) {
+      throw new ErrorResponse(`Rate file is not valid JSON: ${error.message}`, 400);
+    }
+    if (!Array.isArray(items)) {
+      throw new ErrorResponse('Rate file must contain an array of rates', 400);
+    }
+  } else {
+    const rows = splitCsv(content);
+    const header = (rows.shift() || []).map(column => column.trim().toLowerCase());
+    const columns = ['base', 'quote', 'date', 'rate'].map(name => header.indexOf(name));
+    if (columns.some(index => index === -1)) {
+      throw new ErrorResponse('Rate file needs base, quote, date and rate columns', 400);
+    }
+    items = rows
+      .filter(row => row.some(field => field.trim() !== ''))
+      .map(row => ({ base: row[columns[0]], quote: row[columns[1]], date: row[columns[2]], rate: row[columns[3]] }));
+  }
+
+  items.forEach((item, index) => {
+    const entry = {
+      base: String(item.base || '').trim().toUpperCase(),
+      quote: String(item.quote || '').trim().toUpperCase(),
+      date: parseDate(String(item.date || ''), 'YYYY-MM-DD'),
+      rate: Number(item.rate)
+    };
+    if (validEntry(entry)) {
+      entries.push(entry);
+    } else {
+      errors.push({ line: format === 'json' ? index + 1 : index + 2, message });
+    }
+  });
+
+  return { entries, errors };
+};
+
+// Upsert rates. Without a userId they are shared rates from the file.
+const saveRates = async (entries, source, userId = null) => {
+  if (entries.length === 0) return { upserted: 0, modified: 0 };
+
+  const result = await ExchangeRate.bulkWrite(entries.map(entry => ({
+    updateOne: {
+      filter: { base: entry.base, quote: entry.quote, date: startOfDay(entry.date), userId },
+      update: { $set: { rate: entry.rate, source } },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  return { upserted: result.upsertedCount, modified: result.modifiedCount };
+};
+
+let lastLoadedMtime = null;
+
+// Load the local rate file if it changed since the last load
+const loadRateFile = async (filePath = RATE_FILE, { force = false } = {}) => {
+  let stats;
+  try {
+    stats = await fs.promises.stat(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return { skipped: true, reason: 'missing', file: filePath };
+    throw error;
+  }
+  if (!force && lastLoadedMtime && stats.mtimeMs === lastLoadedMtime) {
+    return { skipped: true, reason: 'unchanged', file: filePath };
+  }
+
+  const content = await fs.promises.readFile(filePath, 'utf8');
+  const format = path.extname(filePath).toLowerCase() === '.json' ? 'json' : 'csv';
+  const { entries, errors } = parseRates(content, format);
+  const saved = await saveRates(entries, 'file');
+  lastLoadedMtime = stats.mtimeMs;
+
+  return { skipped: false, file: filePath, loaded: entries.length, ...saved, errors };
+};
+
+// Latest rate for a pair on or before a date, looked up in either
+// direction. On the same day a user's own entry wins over the shared rate.
+const findDirectRate = async (from, to, date, userId) => {
+  const [latest] = await ExchangeRate.find({
+    $or: [{ base: from, quote: to }, { base: to, quote: from }],
+    date: { $lte: date },
+    userId: { $in: [null, userId] }
+  }).sort({ date: -1, userId: -1 }).limit(1);
+
+  if (!latest) return null;
+  return {
+    rate: latest.base === from ? latest.rate : 1 / latest.rate,
+    date: latest.date,
+    source: latest.source
+  };
+};
+
+// Rate to convert `from` into `to` on a date: { rate, date, via }
+const getRate = async (from, to, date = new Date(), userId = null) => {
+  const base = normalizeCurrency(from);
+  const quote = normalizeCurrency(to);
+  if (base === quote) return { rate: 1, date: null, via: null };
+
+  const direct = await findDirectRate(base, quote, date, userId);
+  if (direct) return { ...direct, via: null };
+
+  if (base !== REFERENCE_CURRENCY && quote !== REFERENCE_CURRENCY) {
+    const [first, second] = await Promise.all([
+      findDirectRate(base, REFERENCE_CURRENCY, date, userId),
+      findDirectRate(REFERENCE_CURRENCY, quote, date, userId)
+    ]);
+    if (first && second) {
+      return {
+        rate: first.rate * second.rate,
+        // The older of the two legs is the rate's effective date
+        date: first.date < second.date ? first.date : second.date,
+        via: REFERENCE_CURRENCY
+      };
+    }
+  }
+
+  throw new ErrorResponse(
+    `No exchange rate from ${base} to ${quote} on or before ${startOfDay(date).toISOString().slice(0, 10)}`,
+    400
+  );
+};
+
+// Convert an amount, rounded to cents: { amount, rate, rateDate }
+const convert = async (amount, from, to, date = new Date(), userId = null) => {
+  const { rate, date: rateDate } = await getRate(from, to, date, userId);
+  return {
+    amount: Math.round(amount * rate * 100) / 100,
+    rate,
+    rateDate
+  };
+};
+
+module.exports = {
+  RATE_FILE,
+  REFERENCE_CURRENCY,
+  normalizeCurrency,
+  parseRates,
+  saveRates,
+  loadRateFile,
+  getRate,
+  convert
+};
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Field-level encryption for sensitive values stored in MongoDB.
+//
+// Master keys come from a local key file and/or the environment:
+// - ENCRYPTION_KEY_FILE (default server/storage/keys/field-encryption.json):
+//   { "currentKeyId": "2026-10", "keys": { "2026-10": "<base64 secret>", ... } }
+// - ENCRYPTION_MASTER_KEY with ENCRYPTION_KEY_ID (default "env"), which then
+//   becomes the current key. Older env keys can be listed for decryption in
+//   ENCRYPTION_PREVIOUS_KEYS as "id:secret,id:secret".
+// Each master key is stretched with HKDF into the AES-256-GCM key actually
+// used. To rotate, add a new key, make it current and let the
+// encryptionKeyRotation job re-encrypt documents still on an older key.
+const KEY_FILE = process.env.ENCRYPTION_KEY_FILE ||
+  path.join(__dirname, '..', 'storage', 'keys', 'field-encryption.json');
+
+const FORMAT_VERSION = 'v1';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const HKDF_SALT = Buffer.from('1wealthblend-field-encryption');
+
+let keyring = null;
+
+const deriveKey = (secret, keyId) => Buffer.from(
+  crypto.hkdfSync('sha256', Buffer.from(secret), HKDF_SALT, Buffer.from(keyId), 32)
+);
+
+const readKeyFile = (filePath) => {
+  if (!fs.existsSync(filePath)) return null;
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!data.keys || !data.keys[data.currentKeyId]) {
+    throw new Error(`Key file ${filePath} needs a keys object containing currentKeyId`);
+  }
+  return data;
+};
+
+// Outside production a missing key file is created so development works out
+// of the box. Production must be given keys explicitly.
+const createKeyFile = (filePath) => {
+  const keyId = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const data = { currentKeyId: keyId, keys: { [keyId]: crypto.randomBytes(32).toString('base64') } };
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2), { mode: 0o600 });
+  console.warn(`⚠️  Created a new field encryption key file at ${filePath}. Back it up; data cannot be read without it.`);
+  return data;
+};
+
+const loadKeyring = () => {
+  const secrets = {};
+  let currentKeyId = null;
+
+  let file = readKeyFile(KEY_FILE);
+  if (!file && !process.env.ENCRYPTION_MASTER_KEY) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('Field encryption is not configured: set ENCRYPTION_MASTER_KEY or ENCRYPTION_KEY_FILE');
+    }
+    file = createKeyFile(KEY_FILE);
+  }
+  if (file) {
+    Object.assign(secrets, file.keys);
+    currentKeyId = file.currentKeyId;
+  }
+
+  for (const entry of (process.env.ENCRYPTION_PREVIOUS_KEYS || '').split(',').filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    secrets[entry.slice(0, separator).trim()] = entry.slice(separator + 1).trim();
+  }
+  if (process.env.ENCRYPTION_MASTER_KEY) {
+    currentKeyId = process.env.ENCRYPTION_KEY_ID || 'env';
+    secrets[currentKeyId] = process.env.ENCRYPTION_MASTER_KEY;
+  }
+
+  const keys = new Map();
+  for (const [keyId, secret] of Object.entries(secrets)) {
+    if (!KEY_ID_PATTERN.test(keyId)) {
+      throw new Error(`Encryption key id "${keyId}" may only contain letters, digits, - and _`);
+    }
+    keys.set(keyId, deriveKey(secret, keyId));
+  }
+
+  return { currentKeyId, keys };
+};
+
+const getKeyring = () => {
+  if (!keyring) keyring = loadKeyring();
+  return keyring;
+};
+
+// Forget the cached keys so a changed key file or environment is picked up
+const reloadKeys = () => {
+  keyring = null;
+  return getKeyring();
+};
+
+const getCurrentKeyId = () => getKeyring().currentKeyId;
+
+// Values are JSON-encoded so numbers, dates and objects survive the round trip
+const encrypt = (value) => {
+  const { currentKeyId, keys } = getKeyring();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', keys.get(currentKeyId), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return [FORMAT_VERSION, currentKeyId, iv, cipher.getAuthTag(), data]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64url') : part))
+    .join('.');
+};
+
+const decrypt = (payload) => {
+  const [version, keyId, iv, tag, data] = String(payload).split('.');
+  if (version !== FORMAT_VERSION || !data) {
+    throw new Error('Unrecognized encrypted value');
+  }
+  const key = getKeyring().keys.get(keyId);
+  if (!key) {
+    throw new Error(`Encryption key "${keyId}" is not available`);
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  const text = Buffer.concat([decipher.update(Buffer.from(data, 'base64url')), decipher.final()]).toString('utf8');
+  return JSON.parse(text);
+};
+
+const maskString = (value, visible = 4) => {
+  const text = String(value);
+  return text.length <= visible ? '•'.repeat(text.length) : `${'•'.repeat(4)}${text.slice(-visible)}`;
+};
+
+const maskEmail = (email) => {
+  const [local, domain] = String(email).split('@');
+  return domain ? `${local.charAt(0)}***@${domain}` : maskString(email);
+};
+
+// How encrypted values appear in API responses unless they are revealed
+const MASKS = {
+  // Only the last four characters, e.g. ••••1234
+  last4: (value) => maskString(value),
+  // Phone reduced to its last four digits and email to its first letter and domain
+  contact: (value) => ({
+    phone: value && value.phone ? maskString(value.phone) : undefined,
+    email: value && value.email ? maskEmail(value.email) : undefined
+  }),
+  redact: () => null
+};
+
+// Re-encrypt every document of the given models still on an older key.
+// Documents saved before encryption was turned on have no key id and are
+// encrypted for the first time. Models must use the encryptedFields plugin.
+const runKeyRotation = async (models) => {
+  const { currentKeyId } = reloadKeys();
+  const summary = { keyId: currentKeyId, reencrypted: 0, skipped: 0, failed: 0 };
+
+  for (const Model of models) {
+    const cursor = Model.find({ encryptionKeyId: { $ne: currentKeyId } }).cursor();
+    for await (const doc of cursor) {
+      try {
+        const result = await Model.reencrypt(doc);
+        if (result.modifiedCount > 0) {
+          summary.reencrypted++;
+        } else {
+          summary.skipped++;
+        }
+      } catch (error) {
+        summary.failed++;
+        console.error(`Re-encrypting ${Model.modelName} ${doc._id} failed:`, error.message);
+      }
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  KEY_FILE,
+  MASKS,
+  encrypt,
+  decrypt,
+  getCurrentKeyId,
+  reloadKeys,
+  runKeyRotation
+};
@@ -0,0 +1,197 @@
+const Budget = require('../models/Budget');
+const { notify } = require('./notifications');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AVERAGE_MONTH_DAYS = 30.4375;
+
+// Budget categories whose transactions count towards a goal. Money moved
+// into one of these budgets is recorded as an expense against it, so
+// expenses are contributions and income entries are withdrawals.
+const FUNDING_CATEGORIES = ['savings', 'investments', 'emergency_fund'];
+
+// How many recent months the contribution rate is averaged over
+const LOOKBACK_MONTHS = Number(process.env.GOAL_LOOKBACK_MONTHS) || 6;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const monthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+const monthsBetween = (from, to) => (to - from) / (AVERAGE_MONTH_DAYS * DAY_MS);
+
+const addMonths = (date, months) => new Date(date.getTime() + months * AVERAGE_MONTH_DAYS * DAY_MS);
+
+// The funding source a budget falls under: a source naming the budget
+// directly wins over one that only names its category
+const matchSource = (sources, budget) => {
+  return sources.find(s => s.budgetId && s.budgetId.equals(budget._id)) ||
+    sources.find(s => !s.budgetId && s.category === budget.category);
+};
+
+// Contributions to a goal from its linked budgets, oldest first
+const collectContributions = async (goal) => {
+  const sources = goal.fundingSources || [];
+  if (sources.length === 0) return [];
+
+  const budgets = await Budget.find({
+    userId: goal.userId,
+    $or: [
+      { _id: { $in: sources.filter(s => s.budgetId).map(s => s.budgetId) } },
+      { category: { $in: sources.filter(s => !s.budgetId).map(s => s.category) } }
+    ]
+  }).select('name category transactions');
+
+  const contributions = [];
+  for (const budget of budgets) {
+    const source = matchSource(sources, budget);
+    if (!source) continue;
+    const share = (source.allocationPercent ?? 100) / 100;
+
+    for (const transaction of budget.transactions) {
+      if (transaction.date < goal.startDate) continue;
+      const sign = transaction.type === 'income' ? -1 : 1;
+      contributions.push({
+        budgetId: budget._id,
+        transactionId: transaction._id,
+        date: transaction.date,
+        description: transaction.description,
+        amount: round(sign * transaction.amount * share)
+      });
+    }
+  }
+
+  return contributions.sort((a, b) => a.date - b.date);
+};
+
+// Net contributions per calendar month
+const summarizeByMonth = (contributions) => {
+  const months = new Map();
+  for (const contribution of contributions) {
+    const key = monthKey(contribution.date);
+    months.set(key, round((months.get(key) || 0) + contribution.amount));
+  }
+  return [...months.entries()].map(([month, amount]) => ({ month, amount }));
+};
+
+// Project when a goal will be reached at its recent contribution rate and
+// what it would take to reach it by the target date
+const projectGoal = (goal, contributions, now = new Date()) => {
+  const contributed = contributions.reduce((total, c) => total + c.amount, 0);
+  const currentAmount = round((goal.startingAmount || 0) + contributed);
+  const remaining = round(Math.max(0, goal.targetAmount - currentAmount));
+
+  // Average over the lookback window, or since the goal started if that is shorter
+  const monthsActive = Math.max(1, monthsBetween(goal.startDate, now));
+  const lookback = Math.min(LOOKBACK_MONTHS, monthsActive);
+  const windowStart = addMonths(now, -lookback);
+  const recent = contributions
+    .filter(c => c.date >= windowStart && c.date <= now)
+    .reduce((total, c) => total + c.amount, 0);
+  const averageMonthlyContribution = round(recent / lookback);
+
+  const monthsRemaining = monthsBetween(now, goal.targetDate);
+  const requiredMonthlyContribution = remaining === 0
+    ? 0
+    : round(monthsRemaining >= 1 ? remaining / monthsRemaining : remaining);
+
+  let projectedCompletionDate = null;
+  if (remaining === 0) {
+    const last = contributions[contributions.length - 1];
+    projectedCompletionDate = last ? last.date : now;
+  } else if (averageMonthlyContribution > 0) {
+    projectedCompletionDate = addMonths(now, remaining / averageMonthlyContribution);
+  }
+
+  const reasons = [];
+  if (remaining > 0) {
+    if (goal.targetDate < now) {
+      reasons.push('past_target_date');
+    } else if (averageMonthlyContribution <= 0) {
+      reasons.push('no_recent_contributions');
+    } else if (projectedCompletionDate > goal.targetDate) {
+      reasons.push('projected_after_target_date');
+    }
+  }
+
+  return {
+    currentAmount,
+    remainingAmount: remaining,
+    percentComplete: goal.targetAmount > 0
+      ? Math.min(100, round((currentAmount / goal.targetAmount) * 100))
+      : 100,
+    averageMonthlyContribution,
+    requiredMonthlyContribution,
+    monthlyShortfall: round(Math.max(0, requiredMonthlyContribution - averageMonthlyContribution)),
+    projectedCompletionDate,
+    monthsRemaining: round(Math.max(0, monthsRemaining)),
+    onTrack: reasons.length === 0,
+    offTrackReasons: reasons,
+    calculatedAt: now
+  };
+};
+
+const REASON_TEXT = {
+  past_target_date: 'its target date has passed',
+  no_recent_contributions: 'there have been no contributions recently',
+  projected_after_target_date: 'it will not be reached by the target date at the current rate'
+};
+
+// Build the notification payload for a goal that has fallen off track
+const buildGoalAlert = (goal) => {
+  const { projection } = goal;
+  const reasons = projection.offTrackReasons.map(reason => REASON_TEXT[reason]).join(' and ');
+
+  return {
+    userId: goal.userId,
+    type: 'goal_alert',
+    level: 'warning',
+    title: `Goal "${goal.name}" is off track`,
+    message: `Your goal is off track because ${reasons}. ` +
+      `Saved so far: $${projection.currentAmount.toFixed(2)} of $${goal.targetAmount.toFixed(2)}. ` +
+      `Contribute $${projection.requiredMonthlyContribution.toFixed(2)} a month to reach it on time.`,
+    data: {
+      goalId: goal._id,
+      offTrackReasons: projection.offTrackReasons,
+      currentAmount: projection.currentAmount,
+      targetAmount: goal.targetAmount,
+      requiredMonthlyContribution: projection.requiredMonthlyContribution,
+      averageMonthlyContribution: projection.averageMonthlyContribution
+    }
+  };
+};
+
+// Recalculate every active goal and alert on the ones that just went off track
+const runGoalProgressSweep = async (Goal) => {
+  const summary = { checked: 0, offTrack: 0, alerted: 0, failed: 0 };
+  const cursor = Goal.find({ status: 'active' }).cursor();
+
+  for await (const goal of cursor) {
+    summary.checked++;
+    try {
+      const wasOnTrack = goal.projection.onTrack !== false;
+      await goal.refreshProjection();
+      await goal.save();
+
+      if (!goal.projection.onTrack) {
+        summary.offTrack++;
+        if (wasOnTrack) {
+          await notify(buildGoalAlert(goal));
+          summary.alerted++;
+        }
+      }
+    } catch (error) {
+      summary.failed++;
+      console.error(`Progress check for goal ${goal._id} failed:`, error.message);
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  FUNDING_CATEGORIES,
+  collectContributions,
+  summarizeByMonth,
+  projectGoal,
+  buildGoalAlert,
+  runGoalProgressSweep
+};
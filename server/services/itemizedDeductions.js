@@ -0,0 +1,164 @@
+const Budget = require('../models/Budget');
+const TaxRecord = require('../models/TaxRecord');
+const ErrorResponse = require('../utils/ErrorResponse');
+const { itemizedDeductionTypes } = require('../config/taxTables');
+const { amendRecord } = require('./taxHistory');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Budget categories whose untagged spending may hide deductible expenses,
+// and the worksheet lines it would belong on. Education spending is left
+// out: it is not an itemized deduction.
+const CATEGORY_HINTS = {
+  healthcare: ['medicalExpenses'],
+  housing: ['mortgageInterest', 'realEstateTax'],
+  gifts_donations: ['charitableCash', 'charitableNoncash']
+};
+
+// Expenses in the user's budgets for a tax year: totals per worksheet line
+// from tagged transactions, and untagged spending in categories that
+// usually hold deductible expenses, so it can be tagged
+const summarizeBudgetSpending = async (userId, taxYear) => {
+  const start = new Date(taxYear, 0, 1);
+  const end = new Date(taxYear + 1, 0, 1);
+  const budgets = await Budget.find({ userId, 'transactions.date': { $gte: start, $lt: end } });
+
+  const tagged = Object.fromEntries(itemizedDeductionTypes.map(type => [type, { amount: 0, transactions: 0 }]));
+  const untagged = {};
+  const warnings = [];
+
+  for (const budget of budgets) {
+    // Returns are in dollars; other currencies would need converting first
+    if ((budget.currency || 'USD') !== 'USD') {
+      warnings.push(`Budget "${budget.name}" is in ${budget.currency} and was left out`);
+      continue;
+    }
+
+    for (const transaction of budget.transactions) {
+      if (transaction.type === 'income' || transaction.date < start || transaction.date >= end) continue;
+
+      if (transaction.taxDeduction) {
+        tagged[transaction.taxDeduction].amount = round(tagged[transaction.taxDeduction].amount + transaction.amount);
+        tagged[transaction.taxDeduction].transactions++;
+        continue;
+      }
+
+      const category = transaction.category || budget.category;
+      if (!CATEGORY_HINTS[category]) continue;
+      untagged[category] = untagged[category] || { category, amount: 0, transactions: 0, suggestedLines: CATEGORY_HINTS[category] };
+      untagged[category].amount = round(untagged[category].amount + transaction.amount);
+      untagged[category].transactions++;
+    }
+  }
+
+  return { taxYear, tagged, untagged: Object.values(untagged), warnings };
+};
+
+// Budget spending with the amounts left out, keeping what can be tagged
+const maskSpending = (spending) => ({
+  ...spending,
+  tagged: Object.fromEntries(Object.entries(spending.tagged)
+    .map(([type, entry]) => [type, { ...entry, amount: null }])),
+  untagged: spending.untagged.map(entry => ({ ...entry, amount: null }))
+});
+
+// The worksheet of a return with its calculated lines, the standard
+// deduction it is weighed against and the budget spending behind it.
+// Worksheet lines and income are encrypted fields, so they and the
+// figures built from them are left out unless reveal is set.
+const getWorksheet = async (record, { reveal = false } = {}) => {
+  const result = record.calculateTax();
+  const worksheet = record.itemizedWorksheet || {};
+  const shown = (value) => (reveal ? value : null);
+  const spending = await summarizeBudgetSpending(record.userId, record.taxYear);
+
+  return {
+    recordId: record._id,
+    revision: record.revision,
+    taxYear: record.taxYear,
+    worksheet: {
+      ...Object.fromEntries(itemizedDeductionTypes.map(type => [type, typeof worksheet[type] === 'number' ? shown(worksheet[type]) : null])),
+      prefilledAt: worksheet.prefilledAt || null
+    },
+    adjustedGrossIncome: shown(result.grossIncome),
+    lines: shown(result.itemized),
+    itemizedDeductions: result.itemizedDeductions,
+    standardDeduction: result.standardDeduction,
+    method: result.deductionMethod,
+    totalDeductions: result.totalDeductions,
+    budgetSpending: reveal ? spending : maskSpending(spending),
+    masked: !reveal
+  };
+};
+
+const validateValues = (values) => {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new ErrorResponse('values must be an object of worksheet lines', 400);
+  }
+  for (const [type, value] of Object.entries(values)) {
+    if (!itemizedDeductionTypes.includes(type)) {
+      throw new ErrorResponse(`Unknown worksheet line: ${type}. Lines are: ${itemizedDeductionTypes.join(', ')}`, 400);
+    }
+    if (value !== null && !(typeof value === 'number' && value >= 0)) {
+      throw new ErrorResponse(`${type} must be a non-negative number, or null to clear it`, 400);
+    }
+  }
+};
+
+// Fill in worksheet lines, from tagged budget transactions (prefill) and
+// from values given by hand, which win over prefilled ones. Drafts are
+// updated in place; anything filed gets an amendment. Returns the
+// revision holding the worksheet.
+const updateWorksheet = async (accessFilter, recordId, { prefill = false, values = {} } = {}) => {
+  validateValues(values);
+
+  const record = await TaxRecord.findOne({ _id: recordId, ...accessFilter });
+  if (!record) {
+    throw new ErrorResponse('Tax record not found', 404);
+  }
+  if (!record.isCurrent) {
+    throw new ErrorResponse('Only the current revision of a return can be changed', 400);
+  }
+
+  const lines = {};
+  if (prefill) {
+    const spending = await summarizeBudgetSpending(record.userId, record.taxYear);
+    for (const type of itemizedDeductionTypes) {
+      if (spending.tagged[type].transactions > 0) lines[type] = spending.tagged[type].amount;
+    }
+  }
+  Object.assign(lines, values);
+  if (Object.keys(lines).length === 0) {
+    throw new ErrorResponse(prefill ? 'No tagged budget transactions found for this tax year' : 'No worksheet lines to update', 400);
+  }
+
+  // With every line cleared the return goes back to the standard deduction
+  const current = record.itemizedWorksheet || {};
+  const cleared = itemizedDeductionTypes.every(type => typeof (type in lines ? lines[type] : current[type]) !== 'number');
+
+  if (record.status === 'draft') {
+    for (const [type, value] of Object.entries(lines)) {
+      record.set(`itemizedWorksheet.${type}`, value);
+    }
+    if (prefill) record.set('itemizedWorksheet.prefilledAt', new Date());
+    if (cleared) record.set('deductions.itemizedDeductions', 0);
+    await record.save();
+    return record;
+  }
+
+  const changes = { itemizedWorksheet: lines };
+  if (cleared) changes.deductions = { itemizedDeductions: 0 };
+  const amended = await amendRecord(accessFilter, recordId, changes, 'Itemized deductions updated');
+  if (prefill) {
+    amended.set('itemizedWorksheet.prefilledAt', new Date());
+    await amended.save();
+  }
+  return amended;
+};
+
+module.exports = {
+  CATEGORY_HINTS,
+  summarizeBudgetSpending,
+  getWorksheet,
+  updateWorksheet
+};
@@ -0,0 +1,284 @@
+const Budget = require('../models/Budget');
+const EstatePlan = require('../models/EstatePlan');
+const InvestmentAccount = require('../models/InvestmentAccount');
+const Liability = require('../models/Liability');
+const NetWorthSnapshot = require('../models/NetWorthSnapshot');
+const TaxRecord = require('../models/TaxRecord');
+const ErrorResponse = require('../utils/ErrorResponse');
+const { valuePortfolio } = require('./portfolioValuation');
+const { startOfDay } = require('./priceFeed');
+const { convert } = require('./exchangeRates');
+
+const SAVINGS_CATEGORIES = ['savings', 'emergency_fund'];
+// Tax returns still owing money; processed returns are assumed settled
+const OPEN_TAX_STATUSES = ['draft', 'filed', 'amended'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Newest estate plan per owner, preferring plans past the draft stage
+const pickEstatePlans = (plans) => {
+  const byOwner = new Map();
+  for (const plan of plans) {
+    const key = String(plan.userId);
+    const current = byOwner.get(key);
+    const better = !current ||
+      (current.status === 'draft' && plan.status !== 'draft') ||
+      ((current.status === 'draft') === (plan.status === 'draft') && plan.updatedAt > current.updatedAt);
+    if (better) byOwner.set(key, plan);
+  }
+  return [...byOwner.values()];
+};
+
+// Money set aside in savings budgets: what went in less what came out,
+// converted into dollars like every other figure. Currencies without a
+// rate are left out and listed.
+const budgetSavings = async (budgets, userId, now) => {
+  const byCurrency = budgets.reduce((totals, budget) => {
+    const currency = budget.currency || 'USD';
+    const saved = budget.transactions.reduce((sum, t) => sum + (t.type === 'income' ? -t.amount : t.amount), 0);
+    totals[currency] = (totals[currency] || 0) + saved;
+    return totals;
+  }, {});
+
+  let total = 0;
+  const unconverted = [];
+  for (const [currency, amount] of Object.entries(byCurrency)) {
+    try {
+      total += (await convert(amount, currency, 'USD', now, userId)).amount;
+    } catch (error) {
+      if (!(error instanceof ErrorResponse)) throw error;
+      unconverted.push(currency);
+    }
+  }
+  return { total, unconverted };
+};
+
+const groupByType = (items) => {
+  const totals = items.reduce((groups, item) => {
+    groups[item.type] = (groups[item.type] || 0) + item.value;
+    return groups;
+  }, {});
+  return Object.entries(totals)
+    .map(([type, value]) => ({ type, value: round(value) }))
+    .sort((a, b) => b.value - a.value);
+};
+
+// Every asset and liability the caller can see. recordFilter selects the
+// budgets, estate plans, tax records and liabilities to include, so the
+// same code serves a personal and a household view.
+const calculateNetWorth = async (userId, recordFilter = { userId }, now = new Date()) => {
+  const [accounts, plans, budgets, taxRecords, liabilities] = await Promise.all([
+    InvestmentAccount.find({ userId, isActive: true }),
+    EstatePlan.find(recordFilter).select('userId planName status assets updatedAt'),
+    Budget.find({ ...recordFilter, category: { $in: SAVINGS_CATEGORIES } }).select('name category currency transactions'),
+    TaxRecord.find({ ...recordFilter, isCurrent: true, status: { $in: OPEN_TAX_STATUSES }, refundOrOwed: { $lt: 0 } })
+      .select('taxYear status refundOrOwed'),
+    Liability.find({ ...recordFilter, isActive: true })
+  ]);
+
+  const assets = [];
+  const portfolio = await valuePortfolio(accounts, now);
+  portfolio.accounts.forEach((valued, index) => {
+    assets.push({
+      source: 'investment_account',
+      sourceId: valued.accountId,
+      name: valued.name,
+      type: accounts[index].estateAssetType,
+      value: valued.totalValue
+    });
+  });
+
+  for (const plan of pickEstatePlans(plans)) {
+    for (const asset of plan.assets) {
+      // Assets mirrored from an investment account are already counted
+      if (asset.investmentAccountId) continue;
+      assets.push({
+        source: 'estate_plan',
+        sourceId: asset._id,
+        estatePlanId: plan._id,
+        name: asset.description,
+        type: asset.type,
+        value: asset.estimatedValue
+      });
+    }
+  }
+
+  const savings = await budgetSavings(budgets, userId, now);
+  if (savings.total > 0) {
+    assets.push({ source: 'budget', name: 'Savings budgets', type: 'cash_savings', value: round(savings.total) });
+  }
+
+  const debts = liabilities.map(liability => ({
+    source: 'liability',
+    sourceId: liability._id,
+    name: liability.name,
+    type: liability.liabilityType,
+    value: liability.currentBalance
+  }));
+  for (const record of taxRecords) {
+    debts.push({
+      source: 'tax_record',
+      sourceId: record._id,
+      name: `${record.taxYear} tax balance due`,
+      type: 'tax',
+      value: round(-record.refundOrOwed)
+    });
+  }
+
+  const totalAssets = round(assets.reduce((total, item) => total + item.value, 0));
+  const totalLiabilities = round(debts.reduce((total, item) => total + item.value, 0));
+
+  return {
+    asOf: now,
+    totalAssets,
+    totalLiabilities,
+    netWorth: round(totalAssets - totalLiabilities),
+    assetsByType: groupByType(assets),
+    liabilitiesByType: groupByType(debts),
+    assets,
+    liabilities: debts,
+    unpricedSymbols: portfolio.unpricedSymbols,
+    unconvertedCurrencies: savings.unconverted
+  };
+};
+
+// Store today's personal net worth
+const takeSnapshot = async (userId, now = new Date()) => {
+  const summary = await calculateNetWorth(userId, { userId }, now);
+
+  return NetWorthSnapshot.findOneAndUpdate(
+    { userId, date: startOfDay(now) },
+    {
+      $set: {
+        totalAssets: summary.totalAssets,
+        totalLiabilities: summary.totalLiabilities,
+        netWorth: summary.netWorth,
+        assetsByType: summary.assetsByType,
+        liabilitiesByType: summary.liabilitiesByType
+      }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+const periodKey = (date, interval) => {
+  if (interval === 'monthly') return `${date.getFullYear()}-${date.getMonth()}`;
+  if (interval === 'weekly') return String(Math.floor(startOfDay(date).getTime() / (7 * 24 * 60 * 60 * 1000)));
+  return String(startOfDay(date).getTime());
+};
+
+// Snapshots between two dates, keeping the last one of each day, week or month
+const getTimeSeries = async (userId, { from, to, interval = 'daily' }) => {
+  if (!['daily', 'weekly', 'monthly'].includes(interval)) {
+    throw new ErrorResponse('Interval must be daily, weekly or monthly', 400);
+  }
+
+  const snapshots = await NetWorthSnapshot.find({ userId, date: { $gte: from, $lte: to } }).sort({ date: 1 });
+  const latest = new Map();
+  for (const snapshot of snapshots) {
+    latest.set(periodKey(snapshot.date, interval), snapshot);
+  }
+
+  // Every type that appears anywhere, so chart series line up
+  const assetTypes = [...new Set(snapshots.flatMap(s => s.assetsByType.map(b => b.type)))];
+  const liabilityTypes = [...new Set(snapshots.flatMap(s => s.liabilitiesByType.map(b => b.type)))];
+  const spread = (breakdown, types) => types.reduce((values, type) => {
+    const entry = breakdown.find(b => b.type === type);
+    return { ...values, [type]: entry ? entry.value : 0 };
+  }, {});
+
+  return {
+    interval,
+    assetTypes,
+    liabilityTypes,
+    points: [...latest.values()].map(snapshot => ({
+      date: snapshot.date,
+      totalAssets: snapshot.totalAssets,
+      totalLiabilities: snapshot.totalLiabilities,
+      netWorth: snapshot.netWorth,
+      assets: spread(snapshot.assetsByType, assetTypes),
+      liabilities: spread(snapshot.liabilitiesByType, liabilityTypes)
+    }))
+  };
+};
+
+const INVESTMENT_TYPES = ['investment', 'retirement_account'];
+
+// Month-over-month change in net worth, attributed to each asset and
+// liability type. Investment changes are split into new money and market
+// movement using the accounts' recorded deposits and withdrawals.
+const monthOverMonth = async (userId, year, month) => {
+  const monthEnd = new Date(year, month, 0, 23, 59, 59);
+  const previousEnd = new Date(year, month - 1, 0, 23, 59, 59);
+
+  const [current, previous] = await Promise.all([
+    NetWorthSnapshot.findOne({ userId, date: { $lte: monthEnd, $gt: previousEnd } }).sort({ date: -1 }),
+    NetWorthSnapshot.findOne({ userId, date: { $lte: previousEnd } }).sort({ date: -1 })
+  ]);
+  if (!current || !previous) {
+    throw new ErrorResponse('Not enough snapshots to compare this month with the previous one', 404);
+  }
+
+  const accounts = await InvestmentAccount.find({ userId }).select('cashFlows');
+  const contributions = accounts.reduce((total, account) => total + account.cashFlows
+    .filter(flow => flow.date > previous.date && flow.date <= current.date)
+    .reduce((sum, flow) => sum + flow.amount, 0), 0);
+
+  const changes = (before, after) => {
+    const types = [...new Set([...before, ...after].map(b => b.type))];
+    return types.map(type => {
+      const from = (before.find(b => b.type === type) || { value: 0 }).value;
+      const to = (after.find(b => b.type === type) || { value: 0 }).value;
+      return { type, from, to, change: round(to - from) };
+    }).filter(row => row.change !== 0).sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+  };
+
+  const assetChanges = changes(previous.assetsByType, current.assetsByType);
+  const liabilityChanges = changes(previous.liabilitiesByType, current.liabilitiesByType);
+  const investmentChange = assetChanges
+    .filter(row => INVESTMENT_TYPES.includes(row.type))
+    .reduce((total, row) => total + row.change, 0);
+
+  const netWorthChange = round(current.netWorth - previous.netWorth);
+
+  return {
+    month: `${year}-${String(month).padStart(2, '0')}`,
+    from: { date: previous.date, netWorth: previous.netWorth },
+    to: { date: current.date, netWorth: current.netWorth },
+    netWorthChange,
+    percentChange: previous.netWorth !== 0 ? round((netWorthChange / Math.abs(previous.netWorth)) * 100) : null,
+    assetChanges,
+    liabilityChanges,
+    investments: {
+      change: round(investmentChange),
+      contributions: round(contributions),
+      marketChange: round(investmentChange - contributions)
+    }
+  };
+};
+
+// Daily snapshot for every user
+const runNetWorthSnapshots = async (User, now = new Date()) => {
+  const summary = { users: 0, failed: 0 };
+  const cursor = User.find().select('_id').cursor();
+
+  for await (const user of cursor) {
+    try {
+      await takeSnapshot(user._id, now);
+      summary.users++;
+    } catch (error) {
+      summary.failed++;
+      console.error(`Net worth snapshot for user ${user._id} failed:`, error.message);
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  calculateNetWorth,
+  takeSnapshot,
+  getTimeSeries,
+  monthOverMonth,
+  runNetWorthSnapshots
+};
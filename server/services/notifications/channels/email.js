@@ -0,0 +1,42 @@
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+// SMTP settings come from the environment. The defaults point at a local
+// mail catcher (MailHog/Mailpit listen on port 1025) for development.
+const getTransporter = () => {
+  if (!transporter) {
+    const auth = process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined;
+
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: Number(process.env.SMTP_PORT) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth
+    });
+  }
+  return transporter;
+};
+
+const send = async (payload, preference) => {
+  const to = preference.channels.email.address;
+
+  const info = await getTransporter().sendMail({
+    from: process.env.SMTP_FROM || '1WealthBlend <alerts@1wealthblend.com>',
+    to,
+    subject: payload.title,
+    text: payload.message
+  });
+
+  return {
+    destination: to,
+    response: info.messageId
+  };
+};
+
+module.exports = {
+  name: 'email',
+  send
+};
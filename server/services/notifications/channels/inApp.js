@@ -0,0 +1,24 @@
+const Notification = require('../../../models/Notification');
+
+// Store the notification in the user's inbox at /api/notifications
+const send = async (payload) => {
+  const notification = await Notification.create({
+    userId: payload.userId,
+    type: payload.type,
+    level: payload.level,
+    title: payload.title,
+    message: payload.message,
+    budgetId: payload.budgetId,
+    data: payload.data
+  });
+
+  return {
+    destination: 'inbox',
+    notificationId: notification._id
+  };
+};
+
+module.exports = {
+  name: 'inApp',
+  send
+};
@@ -0,0 +1,25 @@
+const inApp = require('./inApp');
+const email = require('./email');
+const webhook = require('./webhook');
+
+// Delivery channels by name. Each adapter exposes
+// send(payload, preference) and resolves with { destination, response }.
+const channels = new Map([
+  [inApp.name, inApp],
+  [email.name, email],
+  [webhook.name, webhook]
+]);
+
+const registerChannel = (adapter) => {
+  if (!adapter || !adapter.name || typeof adapter.send !== 'function') {
+    throw new Error('A channel adapter needs a name and a send function');
+  }
+  channels.set(adapter.name, adapter);
+};
+
+const getChannel = (name) => channels.get(name);
+
+module.exports = {
+  registerChannel,
+  getChannel
+};
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const TIMEOUT_MS = 10000;
+
+// Addresses a webhook may not point at: loopback, private, link-local
+// (cloud metadata), shared, reserved and multicast ranges. Without this
+// users could make the server call internal services.
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+const isBlocked = ({ address, family }) => {
+  // IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return BLOCKED.check(mapped[1], 'ipv4');
+  return BLOCKED.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Resolve the webhook's host and make sure every address it resolves to is
+// public. The request then connects to the checked address, so a second
+// lookup cannot point it somewhere else.
+const resolvePublicAddress = async (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await dns.promises.lookup(host, { all: true });
+  if (addresses.length === 0 || addresses.some(isBlocked)) {
+    throw new Error('Webhook URL must point to a public address');
+  }
+  return addresses[0];
+};
+
+// POST the notification as JSON. When the user has set a secret, the body is
+// signed with HMAC-SHA256 so the receiver can verify it came from us.
+const send = async (payload, preference) => {
+  const { url, secret } = preference.channels.webhook;
+  const body = JSON.stringify({
+    event: payload.type,
+    level: payload.level,
+    title: payload.title,
+    message: payload.message,
+    budgetId: payload.budgetId,
+    data: payload.data,
+    sentAt: new Date().toISOString()
+  });
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(body),
+    'User-Agent': '1WealthBlend-Webhook/1.0'
+  };
+  if (secret) {
+    headers['X-WealthBlend-Signature'] = crypto
+      .createHmac('sha256', secret)
+      .update(body)
+      .digest('hex');
+  }
+
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+  const { address, family } = await resolvePublicAddress(target.hostname);
+  const lookup = (hostname, options, callback) => (options.all
+    ? callback(null, [{ address, family }])
+    : callback(null, address, family));
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(target, { method: 'POST', headers, timeout: TIMEOUT_MS, lookup }, (res) => {
+      res.resume();
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        resolve({ destination: url, response: `HTTP ${res.statusCode}` });
+      } else {
+        reject(new Error(`Webhook responded with HTTP ${res.statusCode}`));
+      }
+    });
+
+    req.on('timeout', () => req.destroy(new Error('Webhook request timed out')));
+    req.on('error', reject);
+    req.end(body);
+  });
+};
+
+module.exports = {
+  name: 'webhook',
+  send
+};
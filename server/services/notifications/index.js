@@ -0,0 +1,57 @@
+const NotificationPreference = require('../../models/NotificationPreference');
+const NotificationDelivery = require('../../models/NotificationDelivery');
+const { getChannel, registerChannel } = require('./channels');
+
+const LEVEL_ORDER = ['info', 'warning', 'critical', 'exceeded'];
+
+const meetsMinimumLevel = (level, minimumLevel) => {
+  return LEVEL_ORDER.indexOf(level) >= LEVEL_ORDER.indexOf(minimumLevel);
+};
+
+// Deliver a notification through every channel the user has enabled and
+// record each attempt in the delivery log. One failing channel never stops
+// the others from being tried.
+const notify = async (payload) => {
+  const preference = await NotificationPreference.forUser(payload.userId);
+
+  if (payload.level !== 'info' && !meetsMinimumLevel(payload.level, preference.minimumLevel)) {
+    return [];
+  }
+
+  const deliveries = [];
+  for (const channelName of preference.enabledChannels()) {
+    const channel = getChannel(channelName);
+    const entry = {
+      userId: payload.userId,
+      budgetId: payload.budgetId,
+      channel: channelName,
+      level: payload.level
+    };
+
+    if (!channel) {
+      entry.status = 'failed';
+      entry.error = `Unknown channel "${channelName}"`;
+    } else {
+      try {
+        const result = await channel.send(payload, preference);
+        entry.status = 'sent';
+        entry.destination = result.destination;
+        entry.response = result.response;
+        entry.notificationId = result.notificationId;
+      } catch (error) {
+        entry.status = 'failed';
+        entry.error = error.message;
+      }
+    }
+
+    deliveries.push(await NotificationDelivery.create(entry));
+  }
+
+  return deliveries;
+};
+
+module.exports = {
+  notify,
+  registerChannel,
+  meetsMinimumLevel
+};
@@ -0,0 +1,389 @@
+const Budget = require('../models/Budget');
+const Payout = require('../models/Payout');
+const InvestmentAccount = require('../models/InvestmentAccount');
+const AccountValuation = require('../models/AccountValuation');
+const ErrorResponse = require('../utils/ErrorResponse');
+const { budgetCoversDate, DAY_MS } = require('../utils/budgetPeriods');
+const { rmdStartAge, getDistributionPeriod, uniformLifetimeTable } = require('../config/rmdTables');
+const { TAX_TREATMENT } = require('./portfolioValuation');
+
+const FREQUENCY_MONTHS = { monthly: 1, quarterly: 3, semiannual: 6, annual: 12 };
+
+// Days after the expected date before an unpaid payout counts as missed
+const GRACE_DAYS = Number(process.env.PAYOUT_GRACE_DAYS) || 5;
+// How far from the expected date a receipt can land and still match it
+const MATCH_WINDOW_DAYS = 15;
+// Received amounts within this share of the expected amount count as paid in full
+const AMOUNT_TOLERANCE = 0.01;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const monthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+// Add months keeping the start date's day, clamped to the end of short months
+const addMonths = (date, months) => {
+  const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+  target.setDate(Math.min(date.getDate(), lastDay));
+  return target;
+};
+
+// Payment dates of a stream between two dates, inclusive
+const occurrences = (stream, from, to) => {
+  const end = stream.endDate && stream.endDate < to ? stream.endDate : to;
+  if (stream.frequency === 'one_time') {
+    return stream.startDate >= from && stream.startDate <= end ? [stream.startDate] : [];
+  }
+
+  const step = FREQUENCY_MONTHS[stream.frequency];
+  const dates = [];
+  for (let n = 0; ; n++) {
+    const date = addMonths(stream.startDate, n * step);
+    if (date > end) break;
+    if (date >= from) dates.push(date);
+  }
+  return dates;
+};
+
+const ageAtEndOfYear = (birthDate, year) => year - new Date(birthDate).getFullYear();
+
+// Required minimum distribution for a year from the prior year-end balance
+const calculateRmd = ({ balance, birthDate, year }) => {
+  const birthYear = new Date(birthDate).getFullYear();
+  const age = ageAtEndOfYear(birthDate, year);
+  const startAge = rmdStartAge(birthYear);
+  const distributionPeriod = age >= startAge ? getDistributionPeriod(age) : null;
+  const required = distributionPeriod !== null;
+
+  return {
+    year,
+    age,
+    startAge,
+    required,
+    priorYearEndBalance: round(balance),
+    distributionPeriod,
+    amount: required ? round(balance / distributionPeriod) : 0,
+    // The first RMD may wait until April 1st of the following year
+    deadline: required
+      ? (age === startAge ? new Date(year + 1, 3, 1) : new Date(year, 11, 31))
+      : null,
+    tableVersion: uniformLifetimeTable.version
+  };
+};
+
+// Account balance for an RMD year: the last valuation on or before the
+// prior December 31st, the stream's own figure, or for future years the
+// latest valuation as an estimate
+const findRmdBalance = async (stream, year) => {
+  const yearEnd = new Date(year - 1, 11, 31, 23, 59, 59);
+  const valuation = await AccountValuation.findOne({
+    accountId: stream.accountId,
+    date: { $lte: yearEnd }
+  }).sort({ date: -1 });
+
+  if (valuation && yearEnd - valuation.date < 31 * DAY_MS) {
+    return { balance: valuation.totalValue, estimated: false };
+  }
+  if (stream.rmd.priorYearEndBalance !== undefined && stream.rmd.priorYearEndBalance !== null) {
+    return { balance: stream.rmd.priorYearEndBalance, estimated: false };
+  }
+
+  const latest = await AccountValuation.findOne({ accountId: stream.accountId }).sort({ date: -1 });
+  if (!latest) {
+    throw new ErrorResponse('No balance available for the RMD. Enter the prior year-end balance or value the account first', 400);
+  }
+  return { balance: latest.totalValue, estimated: true };
+};
+
+// RMD for a payout stream's account in a given year
+const rmdForStream = async (stream, year) => {
+  const account = await InvestmentAccount.findOne({ _id: stream.accountId, userId: stream.userId });
+  if (!account) {
+    throw new ErrorResponse('Retirement account for the RMD not found', 404);
+  }
+  if (TAX_TREATMENT[account.accountType] !== 'tax_deferred') {
+    throw new ErrorResponse('RMDs only apply to tax-deferred retirement accounts', 400);
+  }
+
+  const { balance, estimated } = await findRmdBalance(stream, year);
+  return {
+    accountId: account._id,
+    ...calculateRmd({ balance, birthDate: stream.rmd.ownerBirthDate, year }),
+    estimated
+  };
+};
+
+// Expected amount of each payment in the given years, keyed by year
+const amountsByYear = async (stream, years) => {
+  const amounts = new Map();
+  for (const year of years) {
+    if (stream.streamType === 'rmd') {
+      const rmd = await rmdForStream(stream, year);
+      const payments = occurrences(stream, new Date(year, 0, 1), new Date(year, 11, 31)).length || 1;
+      amounts.set(year, round(rmd.amount / payments));
+    } else {
+      amounts.set(year, stream.amount);
+    }
+  }
+  return amounts;
+};
+
+// Expected amount on a date, with cost-of-living increases on each anniversary
+const expectedAmountOn = (stream, date, amounts) => {
+  const base = amounts.get(date.getFullYear()) || 0;
+  if (stream.streamType === 'rmd' || !stream.annualIncreasePercent) return base;
+
+  let years = date.getFullYear() - stream.startDate.getFullYear();
+  if (addMonths(stream.startDate, years * 12) > date) years--;
+  return round(base * (1 + stream.annualIncreasePercent / 100) ** Math.max(0, years));
+};
+
+// Stream payments between two dates with their expected amounts
+const projectPayments = async (stream, from, to) => {
+  const dates = occurrences(stream, from, to);
+  const years = [...new Set(dates.map(date => date.getFullYear()))];
+  const amounts = await amountsByYear(stream, years);
+  return dates.map(date => ({ date, amount: expectedAmountOn(stream, date, amounts) }));
+};
+
+// Create the expected payouts of a stream up to a date. Payouts that
+// already exist are left alone.
+const ensureExpectedPayouts = async (stream, until, now = new Date()) => {
+  if (!stream.isActive) return 0;
+
+  const from = new Date(Math.max(stream.startDate.getTime(), now.getTime() - 90 * DAY_MS));
+  const payments = await projectPayments(stream, from, until);
+  if (payments.length === 0) return 0;
+
+  const result = await Payout.bulkWrite(payments.map(payment => ({
+    updateOne: {
+      filter: { streamId: stream._id, expectedDate: payment.date },
+      update: {
+        $setOnInsert: {
+          userId: stream.userId,
+          expectedAmount: payment.amount,
+          status: 'expected'
+        }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  return result.upsertedCount;
+};
+
+// Drop future expected payouts so they are rebuilt after a stream changes
+const resetExpectedPayouts = (stream, now = new Date()) => {
+  return Payout.deleteMany({ streamId: stream._id, status: 'expected', expectedDate: { $gte: now } });
+};
+
+// Post a received payout as income into the budget covering its date
+const postToBudget = async (stream, payout) => {
+  if (!stream.budgetCategory) return null;
+
+  const budgets = await Budget.find({
+    userId: stream.userId,
+    category: stream.budgetCategory,
+    year: payout.receivedDate.getFullYear()
+  });
+  const budget = budgets.find(b => budgetCoversDate(b, payout.receivedDate));
+  if (!budget) return null;
+
+  await budget.addTransaction({
+    description: `${stream.name} payout`,
+    amount: payout.receivedAmount,
+    date: payout.receivedDate,
+    type: 'income',
+    category: budget.category,
+    notes: payout.notes,
+    payoutId: payout._id
+  });
+  return { budgetId: budget._id, transactionId: budget.transactions[budget.transactions.length - 1]._id };
+};
+
+// Mark an expected payout as received and post it to the budget
+const receivePayout = async (stream, payout, { amount, date, notes }) => {
+  if (['received', 'partial'].includes(payout.status)) {
+    throw new ErrorResponse('Payout has already been received', 409);
+  }
+  const receivedAmount = Number(amount === undefined ? payout.expectedAmount : amount);
+  if (!Number.isFinite(receivedAmount) || receivedAmount <= 0) {
+    throw new ErrorResponse('Received amount must be greater than zero', 400);
+  }
+
+  payout.receivedAmount = round(receivedAmount);
+  payout.receivedDate = date ? new Date(date) : new Date();
+  if (Number.isNaN(payout.receivedDate.getTime())) {
+    throw new ErrorResponse('Received date must be a valid date', 400);
+  }
+  if (notes !== undefined) payout.notes = notes;
+  payout.status = receivedAmount >= payout.expectedAmount * (1 - AMOUNT_TOLERANCE) ? 'received' : 'partial';
+
+  const posted = await postToBudget(stream, payout);
+  if (posted) {
+    payout.budgetId = posted.budgetId;
+    payout.transactionId = posted.transactionId;
+  }
+  await payout.save();
+
+  return { payout, postedToBudget: Boolean(posted) };
+};
+
+// Record money that arrived for a stream, matching it to the closest open
+// expected payout or adding an unscheduled one
+const recordReceipt = async (stream, { amount, date, notes }) => {
+  const receivedDate = date ? new Date(date) : new Date();
+  const window = MATCH_WINDOW_DAYS * DAY_MS;
+  const candidates = await Payout.find({
+    streamId: stream._id,
+    status: { $in: ['expected', 'missed'] },
+    expectedDate: { $gte: new Date(receivedDate - window), $lte: new Date(receivedDate.getTime() + window) }
+  });
+
+  let payout = candidates.sort((a, b) => Math.abs(a.expectedDate - receivedDate) - Math.abs(b.expectedDate - receivedDate))[0];
+  if (!payout) {
+    payout = new Payout({
+      userId: stream.userId,
+      streamId: stream._id,
+      expectedDate: receivedDate,
+      expectedAmount: 0
+    });
+  }
+
+  return receivePayout(stream, payout, { amount, date: receivedDate, notes });
+};
+
+// Flag expected payouts that are past their grace period
+const markMissedPayouts = async (now = new Date()) => {
+  const result = await Payout.updateMany(
+    { status: 'expected', expectedDate: { $lt: new Date(now - GRACE_DAYS * DAY_MS) } },
+    { $set: { status: 'missed' } }
+  );
+  return result.modifiedCount;
+};
+
+// Expected against received payouts per stream over a date range
+const reconcilePayouts = async (userId, streams, { from, to }) => {
+  const payouts = await Payout.find({
+    userId,
+    expectedDate: { $gte: from, $lte: to }
+  }).sort({ expectedDate: 1 });
+
+  const rows = streams.map(stream => {
+    const own = payouts.filter(p => p.streamId.equals(stream._id));
+    const expected = own.reduce((total, p) => total + p.expectedAmount, 0);
+    const received = own.reduce((total, p) => total + (p.receivedAmount || 0), 0);
+    const counts = own.reduce((totals, p) => ({ ...totals, [p.status]: (totals[p.status] || 0) + 1 }), {});
+
+    return {
+      streamId: stream._id,
+      name: stream.name,
+      streamType: stream.streamType,
+      expected: round(expected),
+      received: round(received),
+      variance: round(received - expected),
+      counts
+    };
+  }).filter(row => row.expected !== 0 || row.received !== 0);
+
+  return {
+    from,
+    to,
+    expected: round(rows.reduce((total, row) => total + row.expected, 0)),
+    received: round(rows.reduce((total, row) => total + row.received, 0)),
+    variance: round(rows.reduce((total, row) => total + row.variance, 0)),
+    streams: rows,
+    missed: payouts.filter(p => p.status === 'missed'),
+    partial: payouts.filter(p => p.status === 'partial')
+  };
+};
+
+// Expected income month by month for the coming months
+const buildIncomeCalendar = async (streams, months = 12, now = new Date()) => {
+  const from = new Date(now.getFullYear(), now.getMonth(), 1);
+  const to = new Date(now.getFullYear(), now.getMonth() + months, 0, 23, 59, 59);
+
+  const calendar = new Map();
+  for (let i = 0; i < months; i++) {
+    const key = monthKey(new Date(from.getFullYear(), from.getMonth() + i, 1));
+    calendar.set(key, { month: key, total: 0, taxable: 0, payouts: [] });
+  }
+
+  const byType = {};
+  const warnings = [];
+  for (const stream of streams) {
+    let payments;
+    try {
+      payments = await projectPayments(stream, from, to);
+    } catch (error) {
+      warnings.push({ streamId: stream._id, name: stream.name, message: error.message });
+      continue;
+    }
+
+    for (const payment of payments) {
+      const month = calendar.get(monthKey(payment.date));
+      month.payouts.push({
+        streamId: stream._id,
+        name: stream.name,
+        streamType: stream.streamType,
+        date: payment.date,
+        amount: payment.amount,
+        taxable: stream.taxable
+      });
+      month.total += payment.amount;
+      if (stream.taxable) month.taxable += payment.amount;
+      byType[stream.streamType] = (byType[stream.streamType] || 0) + payment.amount;
+    }
+  }
+
+  const monthsList = [...calendar.values()].map(month => ({
+    ...month,
+    total: round(month.total),
+    taxable: round(month.taxable),
+    payouts: month.payouts.sort((a, b) => a.date - b.date)
+  }));
+
+  return {
+    from,
+    to,
+    total: round(monthsList.reduce((total, month) => total + month.total, 0)),
+    byStreamType: Object.entries(byType).map(([streamType, amount]) => ({ streamType, amount: round(amount) })),
+    months: monthsList,
+    warnings
+  };
+};
+
+// Daily run: keep a year of expected payouts on the books and flag missed ones
+const runPayoutSchedule = async (PayoutStream, now = new Date()) => {
+  const summary = { streams: 0, created: 0, missed: 0, failed: 0 };
+  const until = new Date(now.getFullYear() + 1, now.getMonth(), now.getDate());
+  const cursor = PayoutStream.find({ isActive: true }).cursor();
+
+  for await (const stream of cursor) {
+    summary.streams++;
+    try {
+      summary.created += await ensureExpectedPayouts(stream, until, now);
+    } catch (error) {
+      summary.failed++;
+      console.error(`Scheduling payouts for stream ${stream._id} failed:`, error.message);
+    }
+  }
+  summary.missed = await markMissedPayouts(now);
+
+  return summary;
+};
+
+module.exports = {
+  occurrences,
+  calculateRmd,
+  rmdForStream,
+  projectPayments,
+  ensureExpectedPayouts,
+  resetExpectedPayouts,
+  receivePayout,
+  recordReceipt,
+  markMissedPayouts,
+  reconcilePayouts,
+  buildIncomeCalendar,
+  runPayoutSchedule
+};
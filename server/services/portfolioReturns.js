@@ -0,0 +1,153 @@
+const AccountValuation = require('../models/AccountValuation');
+const ErrorResponse = require('../utils/ErrorResponse');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_DAYS = 365;
+
+const round = (value, places = 2) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+const annualize = (periodReturn, days) => {
+  if (days < YEAR_DAYS) return null;
+  return (1 + periodReturn) ** (YEAR_DAYS / days) - 1;
+};
+
+// Time-weighted return: each stretch between two valuations is measured
+// with the Modified Dietz method, then the stretches are chained so that
+// the size and timing of deposits do not affect the result.
+const timeWeightedReturn = (valuations, cashFlows) => {
+  let growth = 1;
+
+  for (let i = 1; i < valuations.length; i++) {
+    const start = valuations[i - 1];
+    const end = valuations[i];
+    const span = end.date - start.date;
+    const flows = cashFlows.filter(flow => flow.date > start.date && flow.date <= end.date);
+
+    const netFlow = flows.reduce((total, flow) => total + flow.amount, 0);
+    const weightedFlow = flows.reduce((total, flow) => total + flow.amount * ((end.date - flow.date) / span), 0);
+    const invested = start.totalValue + weightedFlow;
+    if (invested <= 0) continue;
+
+    growth *= 1 + (end.totalValue - start.totalValue - netFlow) / invested;
+  }
+
+  return growth - 1;
+};
+
+// Money-weighted return: the annual rate (XIRR) at which the starting value
+// and every deposit grow into the ending value and withdrawals. Unlike the
+// time-weighted return it rewards adding money before good periods.
+const moneyWeightedReturn = (valuations, cashFlows) => {
+  const first = valuations[0];
+  const last = valuations[valuations.length - 1];
+  const flows = [
+    { date: first.date, amount: -first.totalValue },
+    ...cashFlows
+      .filter(flow => flow.date > first.date && flow.date <= last.date)
+      .map(flow => ({ date: flow.date, amount: -flow.amount })),
+    { date: last.date, amount: last.totalValue }
+  ];
+
+  const npv = (rate) => flows.reduce((total, flow) => {
+    const years = (flow.date - first.date) / (YEAR_DAYS * DAY_MS);
+    return total + flow.amount / ((1 + rate) ** years);
+  }, 0);
+
+  // Bisection is slow but cannot diverge the way Newton's method can
+  let low = -0.9999;
+  let high = 10;
+  if (npv(low) * npv(high) > 0) return null;
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    if (npv(low) * npv(mid) <= 0) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+    if (high - low < 1e-9) break;
+  }
+
+  return (low + high) / 2;
+};
+
+// Add up per-account valuations on the days every account was valued
+const combineValuations = (valuations, accountCount) => {
+  const byDate = new Map();
+  for (const valuation of valuations) {
+    const key = valuation.date.getTime();
+    const entry = byDate.get(key) || { date: valuation.date, totalValue: 0, accounts: 0 };
+    entry.totalValue += valuation.totalValue;
+    entry.accounts++;
+    byDate.set(key, entry);
+  }
+
+  return [...byDate.values()]
+    .filter(entry => entry.accounts === accountCount)
+    .sort((a, b) => a.date - b.date);
+};
+
+// Time- and money-weighted returns for a set of accounts over a date range
+const getPerformance = async (accounts, { from, to } = {}) => {
+  if (accounts.length === 0) {
+    throw new ErrorResponse('No investment accounts to measure', 404);
+  }
+
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  const valuations = await AccountValuation.find({
+    accountId: { $in: accounts.map(account => account._id) },
+    ...(from || to ? { date: range } : {})
+  }).sort({ date: 1 });
+
+  const series = combineValuations(valuations, accounts.length);
+  if (series.length < 2) {
+    throw new ErrorResponse('At least two valuations are needed to measure performance. Valuations are recorded daily', 400);
+  }
+
+  const cashFlows = accounts
+    .flatMap(account => account.cashFlows.map(flow => ({ date: flow.date, amount: flow.amount })))
+    .sort((a, b) => a.date - b.date);
+
+  const start = series[0];
+  const end = series[series.length - 1];
+  const days = Math.round((end.date - start.date) / DAY_MS);
+  const netCashFlow = cashFlows
+    .filter(flow => flow.date > start.date && flow.date <= end.date)
+    .reduce((total, flow) => total + flow.amount, 0);
+
+  const twr = timeWeightedReturn(series, cashFlows);
+  const mwr = moneyWeightedReturn(series, cashFlows);
+  const annualTwr = annualize(twr, days);
+  const periodMwr = mwr === null ? null : (1 + mwr) ** (days / YEAR_DAYS) - 1;
+
+  return {
+    from: start.date,
+    to: end.date,
+    days,
+    startingValue: round(start.totalValue),
+    endingValue: round(end.totalValue),
+    netCashFlow: round(netCashFlow),
+    investmentGain: round(end.totalValue - start.totalValue - netCashFlow),
+    timeWeightedReturn: {
+      period: round(twr * 100),
+      annualized: annualTwr === null ? null : round(annualTwr * 100)
+    },
+    moneyWeightedReturn: {
+      period: periodMwr === null ? null : round(periodMwr * 100),
+      annualized: mwr === null || days < YEAR_DAYS ? null : round(mwr * 100)
+    },
+    valuations: series.length
+  };
+};
+
+module.exports = {
+  timeWeightedReturn,
+  moneyWeightedReturn,
+  combineValuations,
+  getPerformance
+};
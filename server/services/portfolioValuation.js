@@ -0,0 +1,245 @@
+const AccountValuation = require('../models/AccountValuation');
+const { getPrices, startOfDay, loadPriceFile } = require('./priceFeed');
+const { syncAccountToEstatePlan } = require('./estateAssetSync');
+
+const TAX_TREATMENT = {
+  brokerage: 'taxable',
+  ira: 'tax_deferred',
+  sep_ira: 'tax_deferred',
+  '401k': 'tax_deferred',
+  '403b': 'tax_deferred',
+  '457b': 'tax_deferred',
+  roth_ira: 'tax_free',
+  hsa: 'tax_free',
+  529: 'tax_free',
+  other: 'taxable'
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const emptyGain = () => ({ costBasis: 0, marketValue: 0, gain: 0 });
+
+const addGain = (bucket, costBasis, marketValue) => {
+  bucket.costBasis += costBasis;
+  bucket.marketValue += marketValue;
+  bucket.gain += marketValue - costBasis;
+};
+
+const roundGain = (bucket) => ({
+  costBasis: round(bucket.costBasis),
+  marketValue: round(bucket.marketValue),
+  gain: round(bucket.gain)
+});
+
+// Lots held for more than a year are long-term
+const isLongTerm = (acquiredAt, asOf) => {
+  const anniversary = new Date(acquiredAt);
+  anniversary.setFullYear(anniversary.getFullYear() + 1);
+  return asOf > anniversary;
+};
+
+// Market value and unrealized gains of one account. Holdings without a
+// price are valued at cost and listed in unpricedSymbols.
+const valueAccount = (account, prices, asOf = new Date()) => {
+  const shortTerm = emptyGain();
+  const longTerm = emptyGain();
+  const unpricedSymbols = [];
+
+  const holdings = account.holdings.map(holding => {
+    const price = prices.get(holding.symbol);
+    if (!price) unpricedSymbols.push(holding.symbol);
+
+    const holdingShort = emptyGain();
+    const holdingLong = emptyGain();
+    const lots = holding.lots
+      .filter(lot => lot.acquiredAt <= asOf)
+      .map(lot => {
+        const marketValue = price ? lot.quantity * price.close : lot.costBasis;
+        const term = isLongTerm(lot.acquiredAt, asOf) ? 'long' : 'short';
+        addGain(term === 'long' ? holdingLong : holdingShort, lot.costBasis, marketValue);
+
+        return {
+          lotId: lot._id,
+          quantity: lot.quantity,
+          acquiredAt: lot.acquiredAt,
+          costBasis: round(lot.costBasis),
+          costPerShare: lot.quantity > 0 ? round(lot.costBasis / lot.quantity) : 0,
+          marketValue: round(marketValue),
+          unrealizedGain: round(marketValue - lot.costBasis),
+          term
+        };
+      });
+
+    addGain(shortTerm, holdingShort.costBasis, holdingShort.marketValue);
+    addGain(longTerm, holdingLong.costBasis, holdingLong.marketValue);
+    const costBasis = holdingShort.costBasis + holdingLong.costBasis;
+    const marketValue = holdingShort.marketValue + holdingLong.marketValue;
+
+    return {
+      symbol: holding.symbol,
+      name: holding.name,
+      assetClass: holding.assetClass,
+      quantity: lots.reduce((total, lot) => total + lot.quantity, 0),
+      price: price ? price.close : null,
+      priceDate: price ? price.date : null,
+      costBasis: round(costBasis),
+      marketValue: round(marketValue),
+      unrealizedGain: round(marketValue - costBasis),
+      shortTerm: roundGain(holdingShort),
+      longTerm: roundGain(holdingLong),
+      lots
+    };
+  });
+
+  const marketValue = shortTerm.marketValue + longTerm.marketValue;
+  const costBasis = shortTerm.costBasis + longTerm.costBasis;
+
+  return {
+    accountId: account._id,
+    name: account.name,
+    institution: account.institution,
+    accountType: account.accountType,
+    taxTreatment: TAX_TREATMENT[account.accountType] || 'taxable',
+    cashBalance: round(account.cashBalance),
+    marketValue: round(marketValue),
+    totalValue: round(marketValue + account.cashBalance),
+    costBasis: round(costBasis),
+    unrealizedGain: round(marketValue - costBasis),
+    shortTerm: roundGain(shortTerm),
+    longTerm: roundGain(longTerm),
+    unpricedSymbols,
+    holdings
+  };
+};
+
+// Value several of one user's accounts with one price lookup
+const valuePortfolio = async (accounts, asOf = new Date()) => {
+  const symbols = accounts.flatMap(account => account.holdings.map(holding => holding.symbol));
+  const prices = await getPrices(symbols, asOf, accounts.length > 0 ? accounts[0].userId : null);
+  const valued = accounts.map(account => valueAccount(account, prices, asOf));
+
+  const shortTerm = emptyGain();
+  const longTerm = emptyGain();
+  for (const account of valued) {
+    addGain(shortTerm, account.shortTerm.costBasis, account.shortTerm.marketValue);
+    addGain(longTerm, account.longTerm.costBasis, account.longTerm.marketValue);
+  }
+  const sum = (field) => round(valued.reduce((total, account) => total + account[field], 0));
+
+  return {
+    asOf,
+    totalValue: sum('totalValue'),
+    marketValue: sum('marketValue'),
+    cashBalance: sum('cashBalance'),
+    costBasis: sum('costBasis'),
+    unrealizedGain: sum('unrealizedGain'),
+    shortTerm: roundGain(shortTerm),
+    longTerm: roundGain(longTerm),
+    unpricedSymbols: [...new Set(valued.flatMap(account => account.unpricedSymbols))],
+    accounts: valued
+  };
+};
+
+// Break a portfolio valuation down by asset class, tax treatment, account and symbol
+const buildAllocation = (portfolio) => {
+  const groups = { byAssetClass: {}, byTaxTreatment: {}, byAccount: {}, bySymbol: {} };
+  const add = (group, key, value, extra = {}) => {
+    groups[group][key] = groups[group][key] || { ...extra, value: 0 };
+    groups[group][key].value += value;
+  };
+
+  for (const account of portfolio.accounts) {
+    add('byAccount', String(account.accountId), account.totalValue, { name: account.name, accountType: account.accountType });
+    add('byTaxTreatment', account.taxTreatment, account.totalValue);
+    if (account.cashBalance !== 0) {
+      add('byAssetClass', 'cash', account.cashBalance);
+    }
+    for (const holding of account.holdings) {
+      add('byAssetClass', holding.assetClass, holding.marketValue);
+      add('bySymbol', holding.symbol, holding.marketValue, { name: holding.name, assetClass: holding.assetClass });
+    }
+  }
+
+  const total = portfolio.totalValue;
+  const toList = (group, keyName) => Object.entries(group)
+    .map(([key, entry]) => ({
+      [keyName]: key,
+      ...entry,
+      value: round(entry.value),
+      percent: total !== 0 ? round((entry.value / total) * 100) : 0
+    }))
+    .sort((a, b) => b.value - a.value);
+
+  return {
+    asOf: portfolio.asOf,
+    totalValue: total,
+    byAssetClass: toList(groups.byAssetClass, 'assetClass'),
+    byTaxTreatment: toList(groups.byTaxTreatment, 'taxTreatment'),
+    byAccount: toList(groups.byAccount, 'accountId'),
+    bySymbol: toList(groups.bySymbol, 'symbol')
+  };
+};
+
+// Store today's value of each account for performance history
+const snapshotAccounts = async (accounts, now = new Date()) => {
+  if (accounts.length === 0) return null;
+
+  const portfolio = await valuePortfolio(accounts, now);
+  const date = startOfDay(now);
+
+  await AccountValuation.bulkWrite(portfolio.accounts.map((valued, index) => ({
+    updateOne: {
+      filter: { accountId: valued.accountId, date },
+      update: {
+        $set: {
+          userId: accounts[index].userId,
+          marketValue: valued.marketValue,
+          cashBalance: valued.cashBalance,
+          totalValue: valued.totalValue,
+          costBasis: valued.costBasis,
+          unpricedSymbols: valued.unpricedSymbols
+        }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  return portfolio;
+};
+
+// Daily run: pick up the price file, record every active account's value
+// and push the new values into linked estate plans
+const runValuationSweep = async (InvestmentAccount, now = new Date()) => {
+  const summary = { prices: null, valued: 0, synced: 0, failed: 0 };
+  try {
+    summary.prices = await loadPriceFile();
+  } catch (error) {
+    console.error('Loading the price file failed:', error.message);
+  }
+
+  const cursor = InvestmentAccount.find({ isActive: true }).cursor();
+  for await (const account of cursor) {
+    try {
+      const portfolio = await snapshotAccounts([account], now);
+      summary.valued++;
+      if (account.estateSync.estatePlanId && await syncAccountToEstatePlan(account, portfolio.totalValue, now)) {
+        summary.synced++;
+      }
+    } catch (error) {
+      summary.failed++;
+      console.error(`Valuation of investment account ${account._id} failed:`, error.message);
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  TAX_TREATMENT,
+  isLongTerm,
+  valueAccount,
+  valuePortfolio,
+  buildAllocation,
+  snapshotAccounts,
+  runValuationSweep
+};
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const Price = require('../models/Price');
+const ErrorResponse = require('../utils/ErrorResponse');
+const { splitCsv, parseDate, parseAmount } = require('./statementImport/csvParser');
+
+// Local price file, refreshed by whatever drops end-of-day prices on disk.
+// CSV with symbol,date,close columns (date as YYYY-MM-DD) or a JSON array of
+// { symbol, date, close } objects.
+const PRICE_FILE = process.env.PRICE_FILE || path.join(__dirname, '..', 'data', 'prices.csv');
+
+const startOfDay = (value) => {
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+// Parse price file contents into { symbol, date, close } entries
+const parsePrices = (content, format) => {
+  const entries = [];
+  const errors = [];
+
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new ErrorResponse(`Price file is not valid JSON: ${error.message}`, 400);
+    }
+    if (!Array.isArray(data)) {
+      throw new ErrorResponse('Price file must contain an array of prices', 400);
+    }
+    data.forEach((item, index) => {
+      const date = parseDate(String(item.date || ''), 'YYYY-MM-DD');
+      const close = Number(item.close);
+      if (!item.symbol || !date || !Number.isFinite(close) || close < 0) {
+        errors.push({ line: index + 1, message: 'Expected symbol, date (YYYY-MM-DD) and close' });
+      } else {
+        entries.push({ symbol: String(item.symbol).toUpperCase(), date, close });
+      }
+    });
+    return { entries, errors };
+  }
+
+  const rows = splitCsv(content);
+  const header = (rows.shift() || []).map(column => column.trim().toLowerCase());
+  const columns = { symbol: header.indexOf('symbol'), date: header.indexOf('date'), close: header.indexOf('close') };
+  if (Object.values(columns).some(index => index === -1)) {
+    throw new ErrorResponse('Price file needs symbol, date and close columns', 400);
+  }
+
+  rows.forEach((row, index) => {
+    const symbol = (row[columns.symbol] || '').trim().toUpperCase();
+    const date = parseDate(row[columns.date], 'YYYY-MM-DD');
+    const close = parseAmount(row[columns.close]);
+    if (!symbol || !date || close === null || close < 0) {
+      errors.push({ line: index + 2, message: 'Expected symbol, date (YYYY-MM-DD) and close' });
+    } else {
+      entries.push({ symbol, date, close });
+    }
+  });
+
+  return { entries, errors };
+};
+
+// Upsert prices. Without a userId they are shared prices from the file.
+const savePrices = async (entries, source, userId = null) => {
+  if (entries.length === 0) return { upserted: 0, modified: 0 };
+
+  const result = await Price.bulkWrite(entries.map(entry => ({
+    updateOne: {
+      filter: { symbol: entry.symbol, date: startOfDay(entry.date), userId },
+      update: { $set: { close: entry.close, source } },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  return { upserted: result.upsertedCount, modified: result.modifiedCount };
+};
+
+let lastLoadedMtime = null;
+
+// Load the local price file if it changed since the last load
+const loadPriceFile = async (filePath = PRICE_FILE, { force = false } = {}) => {
+  let stats;
+  try {
+    stats = await fs.promises.stat(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return { skipped: true, reason: 'missing', file: filePath };
+    throw error;
+  }
+  if (!force && lastLoadedMtime && stats.mtimeMs === lastLoadedMtime) {
+    return { skipped: true, reason: 'unchanged', file: filePath };
+  }
+
+  const content = await fs.promises.readFile(filePath, 'utf8');
+  const format = path.extname(filePath).toLowerCase() === '.json' ? 'json' : 'csv';
+  const { entries, errors } = parsePrices(content, format);
+  const saved = await savePrices(entries, 'file');
+  lastLoadedMtime = stats.mtimeMs;
+
+  return { skipped: false, file: filePath, loaded: entries.length, ...saved, errors };
+};
+
+// Latest price on or before asOf for each symbol, as a Map of
+// symbol -> { close, date, source }. On the same day a user's own entry
+// wins over the shared price.
+const getPrices = async (symbols, asOf = new Date(), userId = null) => {
+  const unique = [...new Set(symbols.map(symbol => symbol.toUpperCase()))];
+  if (unique.length === 0) return new Map();
+
+  const latest = await Price.aggregate([
+    { $match: { symbol: { $in: unique }, date: { $lte: asOf }, userId: { $in: [null, userId] } } },
+    { $sort: { symbol: 1, date: -1, userId: -1 } },
+    {
+      $group: {
+        _id: '$symbol',
+        close: { $first: '$close' },
+        date: { $first: '$date' },
+        source: { $first: '$source' }
+      }
+    }
+  ]);
+
+  return new Map(latest.map(price => [price._id, { close: price.close, date: price.date, source: price.source }]));
+};
+
+module.exports = {
+  PRICE_FILE,
+  startOfDay,
+  parsePrices,
+  savePrices,
+  loadPriceFile,
+  getPrices
+};
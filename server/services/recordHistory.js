@@ -0,0 +1,134 @@
+const AuditEntry = require('../models/AuditEntry');
+const ErrorResponse = require('../utils/ErrorResponse');
+const { snapshot, hiddenPaths } = require('../models/plugins/auditTrail');
+const { decrypt } = require('./fieldEncryption');
+const { revert } = require('../utils/objectDiff');
+
+// History, point-in-time versions and restores for records that use the
+// auditTrail plugin. Earlier versions are rebuilt by undoing entries from
+// the record's current state, newest first; a deleted record starts from
+// nothing and its delete entry brings the last version back.
+
+// The live record the caller may access, or null for a deleted record the
+// caller owned. Anything else is reported as not found.
+const findSubject = async (Model, id, filter, userId) => {
+  const doc = await Model.findOne({ _id: id, ...filter });
+  if (doc) return doc;
+
+  if (!(await Model.exists({ _id: id }))) {
+    const last = await AuditEntry.findOne({ modelName: Model.modelName, documentId: id })
+      .sort({ createdAt: -1, _id: -1 });
+    if (last && String(last.ownerId) === String(userId)) return null;
+  }
+  throw new ErrorResponse('Record not found', 404);
+};
+
+// Changes to hidden paths in entries written before they were excluded
+const visibleChanges = (Model, changes) => {
+  const hidden = hiddenPaths(Model.schema);
+  return changes.filter(change => !hidden.some(path => change.path === path || change.path.startsWith(`${path}.`)));
+};
+
+// A record's entries, newest first. Encrypted values are left out unless
+// `reveal` is set.
+const getHistory = async (Model, id, { limit = 50, reveal = false } = {}) => {
+  const entries = await AuditEntry.find({ modelName: Model.modelName, documentId: id })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit)
+    .populate('actorId', 'name email');
+
+  return entries.map(entry => ({
+    ...entry.toObject(),
+    changes: visibleChanges(Model, entry.changes).map(change => {
+      if (!change.encrypted) return change.toObject();
+      return {
+        path: change.path,
+        before: reveal && change.before !== undefined ? decrypt(change.before) : null,
+        after: reveal && change.after !== undefined ? decrypt(change.after) : null,
+        encrypted: true,
+        masked: !reveal
+      };
+    })
+  }));
+};
+
+// Entries made after the cut-off: a point in time, or a specific entry
+const entriesAfter = (entries, { asOf, entryId }) => {
+  if (entryId) {
+    const index = entries.findIndex(entry => String(entry._id) === String(entryId));
+    if (index === -1) {
+      throw new ErrorResponse('Audit entry not found for this record', 404);
+    }
+    return entries.slice(index + 1);
+  }
+  return entries.filter(entry => entry.createdAt > asOf);
+};
+
+// The record as it was at the cut-off, as an unsaved document, or null if
+// it did not exist then
+const reconstruct = async (Model, id, current, cutoff) => {
+  const entries = await AuditEntry.forDocument(Model.modelName, id);
+  const undo = entriesAfter(entries, cutoff);
+  const kept = entries.slice(0, entries.length - undo.length);
+
+  let exists;
+  if (kept.length > 0) {
+    exists = kept[kept.length - 1].action !== 'delete';
+  } else if (undo.length > 0) {
+    // Records created before auditing started have no create entry
+    exists = undo[0].action !== 'create';
+  } else {
+    exists = Boolean(current);
+  }
+  if (!exists) return null;
+
+  const state = current ? snapshot(current) : {};
+  // Bookkeeping is recalculated when the record is saved
+  delete state.updatedAt;
+  delete state._encrypted;
+  delete state.encryptionKeyId;
+
+  for (const entry of [...undo].reverse()) {
+    revert(state, visibleChanges(Model, entry.changes).map(change => ({
+      path: change.path,
+      before: change.encrypted && change.before !== undefined ? decrypt(change.before) : change.before
+    })));
+  }
+  state._id = id;
+
+  return Model.hydrate(state);
+};
+
+// Save the record as it was at the cut-off, recreating it if it has been
+// deleted since. The restore is itself recorded in the history.
+const restoreVersion = async (Model, id, current, cutoff) => {
+  const version = await reconstruct(Model, id, current, cutoff);
+  if (!version) {
+    throw new ErrorResponse('The record did not exist at that point', 400);
+  }
+
+  // Hidden paths have no history; the stored values are kept as they are
+  const hidden = hiddenPaths(Model.schema);
+  const stored = current && hidden.length > 0
+    ? await Model.findById(id).select(hidden.map(path => `+${path}`).join(' '))
+    : null;
+
+  const doc = current || new Model({ _id: id });
+  doc.overwrite(snapshot(version));
+  if (stored) {
+    for (const path of hidden) {
+      if (stored.get(path) !== undefined) doc.set(path, stored.get(path));
+    }
+  }
+  doc.$locals.auditAction = 'restore';
+  await doc.save();
+
+  return doc;
+};
+
+module.exports = {
+  findSubject,
+  getHistory,
+  reconstruct,
+  restoreVersion
+};
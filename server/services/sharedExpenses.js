@@ -0,0 +1,279 @@
+const Budget = require('../models/Budget');
+const SharedExpense = require('../models/SharedExpense');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/ErrorResponse');
+const { convert, normalizeCurrency } = require('./exchangeRates');
+const { prepareTransaction } = require('./budgetTransactions');
+
+const SPLIT_METHODS = ['equal', 'exact', 'percent', 'shares'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Divide a total into parts proportional to weights, to the cent, with the
+// leftover cents going to the parts that lost the most to rounding
+const allocate = (total, weights) => {
+  const totalCents = Math.round(total * 100);
+  const weightTotal = weights.reduce((sum, weight) => sum + weight, 0);
+  const raw = weights.map(weight => totalCents * weight / weightTotal);
+  const cents = raw.map(Math.floor);
+
+  let leftover = totalCents - cents.reduce((sum, value) => sum + value, 0);
+  const order = raw
+    .map((value, index) => ({ index, remainder: value - cents[index] }))
+    .sort((a, b) => b.remainder - a.remainder);
+  for (let i = 0; leftover > 0; i = (i + 1) % order.length, leftover--) {
+    cents[order[i].index] += 1;
+  }
+
+  return cents.map(value => value / 100);
+};
+
+const requireMember = (household, userId, label = 'User') => {
+  if (!household.roleOf(userId)) {
+    throw new ErrorResponse(`${label} is not a member of this household`, 400);
+  }
+};
+
+// Work out who owes what of an expense. Participants default to every
+// member, split equally.
+const buildShares = (household, amount, { splitMethod = 'equal', participants }) => {
+  if (!SPLIT_METHODS.includes(splitMethod)) {
+    throw new ErrorResponse(`Split method must be one of: ${SPLIT_METHODS.join(', ')}`, 400);
+  }
+  const people = Array.isArray(participants) && participants.length > 0
+    ? participants
+    : household.members.map(member => ({ userId: member.userId }));
+
+  const ids = people.map(person => String(person.userId));
+  if (new Set(ids).size !== ids.length) {
+    throw new ErrorResponse('Each member can only have one share', 400);
+  }
+  people.forEach(person => requireMember(household, person.userId, 'Participant'));
+
+  let amounts;
+  switch (splitMethod) {
+    case 'exact':
+      amounts = people.map(person => round(Number(person.amount)));
+      if (amounts.some(value => !(value >= 0))) {
+        throw new ErrorResponse('Every share needs an amount', 400);
+      }
+      if (Math.abs(amounts.reduce((sum, value) => sum + value, 0) - amount) > 0.005) {
+        throw new ErrorResponse(`Shares must add up to the amount of ${amount}`, 400);
+      }
+      break;
+    case 'percent': {
+      const percents = people.map(person => Number(person.percent));
+      if (percents.some(value => !(value >= 0)) || Math.abs(percents.reduce((sum, value) => sum + value, 0) - 100) > 0.001) {
+        throw new ErrorResponse('Share percentages must add up to 100', 400);
+      }
+      amounts = allocate(amount, percents);
+      break;
+    }
+    case 'shares': {
+      const weights = people.map(person => Number(person.shares));
+      if (weights.some(value => !(value >= 0)) || weights.every(value => value === 0)) {
+        throw new ErrorResponse('Every participant needs a number of shares', 400);
+      }
+      amounts = allocate(amount, weights);
+      break;
+    }
+    case 'equal':
+    default:
+      amounts = allocate(amount, people.map(() => 1));
+  }
+
+  return people.map((person, index) => ({ userId: person.userId, amount: amounts[index] }));
+};
+
+// Fill in the household-currency amounts on a new expense
+const convertForHousehold = async (household, expense, userId) => {
+  const converted = await convert(expense.amount, expense.currency, household.currency || 'USD', expense.date, userId);
+  expense.householdAmount = converted.amount;
+  expense.exchangeRate = converted.rate;
+
+  const shareAmounts = expense.shares.map(share => share.amount);
+  const householdShares = shareAmounts.some(value => value > 0)
+    ? allocate(converted.amount, shareAmounts)
+    : shareAmounts;
+  expense.shares.forEach((share, index) => {
+    share.householdAmount = householdShares[index];
+  });
+};
+
+// Record an expense paid for several members. If the caller paid and names
+// one of their budgets, their own share is posted to it as a transaction.
+const recordExpense = async (household, data, userId) => {
+  const amount = round(Number(data.amount));
+  if (!(amount > 0)) {
+    throw new ErrorResponse('Amount must be greater than zero', 400);
+  }
+  const paidBy = data.paidBy || userId;
+  requireMember(household, paidBy, 'Payer');
+
+  const expense = new SharedExpense({
+    householdId: household._id,
+    type: 'expense',
+    description: data.description,
+    date: data.date || new Date(),
+    paidBy,
+    createdBy: userId,
+    currency: normalizeCurrency(data.currency || household.currency || 'USD'),
+    amount,
+    splitMethod: data.splitMethod,
+    shares: buildShares(household, amount, data),
+    notes: data.notes
+  });
+  await convertForHousehold(household, expense, userId);
+  await expense.validate();
+
+  if (data.budgetId) {
+    if (String(paidBy) !== String(userId)) {
+      throw new ErrorResponse('Only the payer can post their share to a budget', 400);
+    }
+    const ownShare = expense.shares.find(share => String(share.userId) === String(userId));
+    if (!ownShare || ownShare.amount === 0) {
+      throw new ErrorResponse('You have no share of this expense to post', 400);
+    }
+    const budget = await Budget.findOne({ _id: data.budgetId, userId });
+    if (!budget) {
+      throw new ErrorResponse('Budget not found', 404);
+    }
+
+    const transaction = await prepareTransaction(budget, {
+      description: expense.description,
+      amount: ownShare.amount,
+      currency: expense.currency,
+      date: expense.date,
+      category: data.category,
+      notes: `Your share of a household expense (${expense.amount} ${expense.currency})`
+    }, userId);
+    transaction.sharedExpenseId = expense._id;
+    await budget.addTransaction(transaction);
+
+    expense.budgetId = budget._id;
+    expense.transactionId = budget.transactions[budget.transactions.length - 1]._id;
+  }
+
+  return expense.save();
+};
+
+// Record one member paying another back
+const recordSettlement = async (household, data, userId) => {
+  const amount = round(Number(data.amount));
+  if (!(amount > 0)) {
+    throw new ErrorResponse('Amount must be greater than zero', 400);
+  }
+  const from = data.from || userId;
+  requireMember(household, from, 'Payer');
+  requireMember(household, data.to, 'Recipient');
+  if (String(from) === String(data.to)) {
+    throw new ErrorResponse('A member cannot settle up with themselves', 400);
+  }
+
+  const settlement = new SharedExpense({
+    householdId: household._id,
+    type: 'settlement',
+    description: data.description || 'Settlement',
+    date: data.date || new Date(),
+    paidBy: from,
+    createdBy: userId,
+    currency: normalizeCurrency(data.currency || household.currency || 'USD'),
+    amount,
+    splitMethod: 'exact',
+    shares: [{ userId: data.to, amount }],
+    notes: data.notes
+  });
+  await convertForHousehold(household, settlement, userId);
+
+  return settlement.save();
+};
+
+// Delete an expense or settlement, taking back the budget transaction it posted
+const deleteSharedExpense = async (expense) => {
+  if (expense.budgetId && expense.transactionId) {
+    const budget = await Budget.findById(expense.budgetId);
+    if (budget) {
+      budget.transactions = budget.transactions.filter(t => !t._id.equals(expense.transactionId));
+      await budget.save();
+    }
+  }
+  await expense.deleteOne();
+};
+
+// Pay debts off with as few payments as possible: the largest debtor pays
+// the largest creditor until everyone is square
+const simplifyDebts = (balances) => {
+  const creditors = balances.filter(b => b.net > 0.005).map(b => ({ ...b, left: b.net }));
+  const debtors = balances.filter(b => b.net < -0.005).map(b => ({ ...b, left: -b.net }));
+  const payments = [];
+
+  while (creditors.length > 0 && debtors.length > 0) {
+    creditors.sort((a, b) => b.left - a.left);
+    debtors.sort((a, b) => b.left - a.left);
+    const creditor = creditors[0];
+    const debtor = debtors[0];
+    const amount = Math.min(creditor.left, debtor.left);
+
+    payments.push({ from: debtor.userId, to: creditor.userId, amount: round(amount) });
+    creditor.left -= amount;
+    debtor.left -= amount;
+    if (creditor.left < 0.005) creditors.shift();
+    if (debtor.left < 0.005) debtors.shift();
+  }
+
+  return payments;
+};
+
+// Running balances in the household's currency. A positive net means the
+// member is owed money; negative means they owe it.
+const calculateBalances = async (household) => {
+  const expenses = await SharedExpense.find({ householdId: household._id });
+  const totals = new Map(household.members.map(member => [String(member.userId), { paid: 0, share: 0 }]));
+  const entry = (id) => {
+    const key = String(id);
+    if (!totals.has(key)) totals.set(key, { paid: 0, share: 0 });
+    return totals.get(key);
+  };
+
+  for (const expense of expenses) {
+    entry(expense.paidBy).paid += expense.householdAmount;
+    for (const share of expense.shares) {
+      entry(share.userId).share += share.householdAmount;
+    }
+  }
+
+  const users = await User.find({ _id: { $in: [...totals.keys()] } }).select('name email');
+  const balances = [...totals.entries()].map(([userId, { paid, share }]) => {
+    const user = users.find(u => String(u._id) === userId);
+    return {
+      userId,
+      name: user ? user.name : null,
+      isMember: Boolean(household.roleOf(userId)),
+      paid: round(paid),
+      share: round(share),
+      net: round(paid - share)
+    };
+  });
+
+  const names = new Map(balances.map(balance => [balance.userId, balance.name]));
+  return {
+    currency: household.currency || 'USD',
+    balances,
+    settleUp: simplifyDebts(balances).map(payment => ({
+      ...payment,
+      fromName: names.get(payment.from),
+      toName: names.get(payment.to)
+    }))
+  };
+};
+
+module.exports = {
+  SPLIT_METHODS,
+  allocate,
+  buildShares,
+  recordExpense,
+  recordSettlement,
+  deleteSharedExpense,
+  simplifyDebts,
+  calculateBalances
+};
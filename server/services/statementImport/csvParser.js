@@ -0,0 +1,176 @@
+const ErrorResponse = require('../../utils/ErrorResponse');
+
+// Parser for bank CSV exports, driven by a saved ImportProfile
+
+// Split CSV text into rows of fields, honouring quoted fields and "" escapes
+const splitCsv = (content, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+const parseDate = (value, format) => {
+  const text = (value || '').trim();
+  let year;
+  let month;
+  let day;
+
+  if (format === 'YYYY-MM-DD') {
+    const match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (!match) return null;
+    [, year, month, day] = match;
+  } else {
+    const match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/);
+    if (!match) return null;
+    if (format === 'DD/MM/YYYY') {
+      [, day, month, year] = match;
+    } else {
+      [, month, day, year] = match;
+    }
+    if (year.length === 2) {
+      year = `20${year}`;
+    }
+  }
+
+  const date = new Date(Number(year), Number(month) - 1, Number(day));
+  return Number.isNaN(date.getTime()) || date.getMonth() !== Number(month) - 1 ? null : date;
+};
+
+// Parse "$1,234.56", "-12.00" or "(12.00)" into a signed number. Text
+// without digits, and amounts whose separators do not read as thousands
+// commas and one decimal point (such as "1.234,56"), give null.
+const parseAmount = (value) => {
+  const text = (value || '').trim();
+  if (text === '') return null;
+
+  const digits = text.replace(/[^0-9.,]/g, '');
+  if (!/^(\d{1,3}(,\d{3})+|\d*)(\.\d*)?$/.test(digits) || !/\d/.test(digits)) return null;
+
+  const negative = /^\(.*\)$/.test(text) || text.includes('-');
+  const number = Number(digits.replace(/,/g, ''));
+  if (Number.isNaN(number)) return null;
+  return negative ? -number : number;
+};
+
+const parseCsv = (content, profile) => {
+  const rows = splitCsv(content, profile.delimiter || ',').slice(profile.skipRows || 0);
+  if (rows.length === 0) return [];
+
+  const columns = profile.columns;
+  let header = null;
+  if (profile.hasHeader) {
+    header = rows.shift().map(name => name.trim().toLowerCase());
+  }
+
+  // Resolve a mapped column to its index in each row
+  const resolve = (column) => {
+    if (column === undefined || column === null || column === '') return -1;
+    if (header) {
+      return header.indexOf(String(column).trim().toLowerCase());
+    }
+    return Number(column);
+  };
+
+  const index = {
+    date: resolve(columns.date),
+    description: resolve(columns.description),
+    amount: resolve(columns.amount),
+    debit: resolve(columns.debit),
+    credit: resolve(columns.credit),
+    reference: resolve(columns.reference)
+  };
+
+  const missing = ['date', 'description'].filter(name => index[name] < 0);
+  if (index.amount < 0 && (index.debit < 0 || index.credit < 0)) {
+    missing.push('amount');
+  }
+  if (missing.length > 0) {
+    throw new ErrorResponse(`CSV is missing mapped column(s): ${missing.join(', ')}`, 400);
+  }
+
+  const headerOffset = (profile.skipRows || 0) + (header ? 1 : 0);
+
+  return rows.map((fields, i) => {
+    const row = {
+      line: headerOffset + i + 1,
+      description: (fields[index.description] || '').trim(),
+      date: parseDate(fields[index.date], profile.dateFormat)
+    };
+
+    let signed = null;
+    if (index.amount >= 0) {
+      signed = parseAmount(fields[index.amount]);
+      if (signed !== null && profile.amountSign === 'positive_is_expense') {
+        signed = -signed;
+      }
+    } else {
+      const debit = parseAmount(fields[index.debit]);
+      const credit = parseAmount(fields[index.credit]);
+      if (debit) {
+        signed = -Math.abs(debit);
+      } else if (credit) {
+        signed = Math.abs(credit);
+      }
+    }
+
+    if (index.reference >= 0 && fields[index.reference]) {
+      row.externalId = fields[index.reference].trim();
+    }
+
+    if (signed === null) {
+      row.error = 'Missing or invalid amount';
+    } else if (!row.date) {
+      row.error = 'Missing or invalid date';
+    } else if (!row.description) {
+      row.error = 'Missing description';
+    }
+
+    row.amount = Math.abs(signed || 0);
+    row.type = signed < 0 ? 'expense' : 'income';
+    return row;
+  });
+};
+
+module.exports = {
+  splitCsv,
+  parseDate,
+  parseAmount,
+  parseCsv
+};
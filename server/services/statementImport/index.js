@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const Budget = require('../../models/Budget');
+const CategoryRule = require('../../models/CategoryRule');
+const ImportBatch = require('../../models/ImportBatch');
+const ImportProfile = require('../../models/ImportProfile');
+const ErrorResponse = require('../../utils/ErrorResponse');
+const { budgetCoversDate } = require('../../utils/budgetPeriods');
+const { parseOfx } = require('./ofxParser');
+const { parseCsv } = require('./csvParser');
+
+const toDayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const normalizeDescription = (description) => {
+  return (description || '').toLowerCase().replace(/\s+/g, ' ').trim();
+};
+
+// Work out the statement format from the explicit format or the file name
+const detectFormat = (format, filename = '') => {
+  const value = (format || filename.split('.').pop() || '').toLowerCase();
+  if (['ofx', 'qfx', 'csv'].includes(value)) return value;
+  throw new ErrorResponse('Unsupported statement format. Upload an OFX, QFX or CSV file', 400);
+};
+
+// Stable id for rows the bank did not give one, so re-importing the same
+// file is recognised as a duplicate
+const fingerprint = (row) => {
+  const key = [toDayKey(row.date), row.amount.toFixed(2), row.type, normalizeDescription(row.description)].join('|');
+  return `fp:${crypto.createHash('sha1').update(key).digest('hex')}`;
+};
+
+const isDuplicate = (row, transaction) => {
+  if (row.externalId && transaction.externalId) {
+    return row.externalId === transaction.externalId;
+  }
+  return toDayKey(row.date) === toDayKey(transaction.date) &&
+    Math.round(row.amount * 100) === Math.round(transaction.amount * 100) &&
+    row.type === (transaction.type || 'expense') &&
+    normalizeDescription(row.description) === normalizeDescription(transaction.description);
+};
+
+// First matching rule wins; rules are ordered by priority, then age
+const categorize = (row, rules) => {
+  return rules.find(rule => rule.matches(row)) || null;
+};
+
+// Pick the budget a row belongs in: an active budget of the row's category
+// whose period covers the row's date, falling back to the chosen default
+const findTargetBudget = (row, budgets, defaultBudget) => {
+  if (row.category) {
+    const candidates = budgets.filter(budget => (
+      budget.category === row.category && budgetCoversDate(budget, row.date)
+    ));
+    const match = candidates.find(budget => budget.status === 'active') || candidates[0];
+    if (match) return match;
+  }
+  return defaultBudget && !row.category ? defaultBudget : null;
+};
+
+// Fill in category, target budget and duplicate flags for parsed rows
+const classifyRows = (rows, { rules, budgets, defaultBudget }) => {
+  const budgetsById = new Map(budgets.map(budget => [String(budget._id), budget]));
+
+  return rows.map(row => {
+    if (row.error) {
+      return { ...row, skip: true };
+    }
+
+    const classified = { ...row };
+    if (!classified.externalId) {
+      classified.externalId = fingerprint(classified);
+    }
+
+    if (!classified.category) {
+      const rule = categorize(classified, rules);
+      if (rule) {
+        classified.category = rule.category;
+        classified.ruleId = rule._id;
+      }
+    }
+
+    const budget = classified.budgetId
+      ? budgetsById.get(String(classified.budgetId))
+      : findTargetBudget(classified, budgets, defaultBudget);
+
+    if (budget) {
+      classified.budgetId = budget._id;
+      classified.category = classified.category || budget.category;
+      classified.duplicate = budget.transactions.some(transaction => isDuplicate(classified, transaction));
+    } else {
+      classified.budgetId = undefined;
+      classified.duplicate = false;
+    }
+
+    return classified;
+  });
+};
+
+const summarize = (rows) => ({
+  total: rows.length,
+  imported: rows.filter(row => !row.skip && !row.duplicate && row.budgetId).length,
+  duplicates: rows.filter(row => row.duplicate).length,
+  unassigned: rows.filter(row => !row.skip && !row.budgetId).length,
+  skipped: rows.filter(row => row.skip).length
+});
+
+// Load every budget a statement could post into
+const loadBudgets = (userId, rows) => {
+  const years = [...new Set(rows.filter(row => row.date).map(row => row.date.getFullYear()))];
+  return Budget.find({ userId, year: { $in: years } });
+};
+
+const loadRules = (userId) => {
+  return CategoryRule.find({ userId, enabled: true }).sort({ priority: -1, createdAt: 1 });
+};
+
+// Parse a statement and store the classified rows as a preview batch.
+// Nothing is written to any budget until the batch is committed.
+const createPreview = async (userId, { content, filename, format, profileId, budgetId }) => {
+  const statementFormat = detectFormat(format, filename);
+
+  let profile = null;
+  let rows;
+  if (statementFormat === 'csv') {
+    if (!profileId) {
+      throw new ErrorResponse('A column-mapping profile is required for CSV imports', 400);
+    }
+    profile = await ImportProfile.findOne({ _id: profileId, userId });
+    if (!profile) {
+      throw new ErrorResponse('Import profile not found', 404);
+    }
+    rows = parseCsv(content, profile);
+  } else {
+    rows = parseOfx(content);
+  }
+
+  if (rows.length === 0) {
+    throw new ErrorResponse('No transactions found in statement', 400);
+  }
+
+  let defaultBudget = null;
+  if (budgetId) {
+    defaultBudget = await Budget.findOne({ _id: budgetId, userId });
+    if (!defaultBudget) {
+      throw new ErrorResponse('Budget not found', 404);
+    }
+  }
+
+  const [rules, budgets] = await Promise.all([loadRules(userId), loadBudgets(userId, rows)]);
+  if (defaultBudget && !budgets.some(budget => budget._id.equals(defaultBudget._id))) {
+    budgets.push(defaultBudget);
+  }
+
+  const classified = classifyRows(rows, { rules, budgets, defaultBudget });
+
+  return ImportBatch.create({
+    userId,
+    filename,
+    format: statementFormat,
+    profileId: profile ? profile._id : undefined,
+    defaultBudgetId: defaultBudget ? defaultBudget._id : undefined,
+    rows: classified,
+    summary: summarize(classified)
+  });
+};
+
+// Apply per-row edits from the review screen, then post every row that is
+// assigned, not skipped and still not a duplicate into its budget
+const postRows = async (userId, batch, overrides) => {
+  const rows = batch.rows.map(row => row.toObject());
+  for (const override of overrides) {
+    const row = rows[override.index];
+    if (!row) continue;
+    if (override.skip !== undefined) row.skip = Boolean(override.skip);
+    if (override.category !== undefined) {
+      row.category = override.category;
+      row.budgetId = undefined;
+    }
+    if (override.budgetId !== undefined) row.budgetId = override.budgetId || undefined;
+  }
+
+  // Re-classify against the budgets as they are now, so a second import of
+  // the same statement since the preview is still caught
+  const explicitIds = rows.filter(row => row.budgetId).map(row => row.budgetId);
+  const [rules, budgets, explicitBudgets] = await Promise.all([
+    loadRules(userId),
+    loadBudgets(userId, rows),
+    Budget.find({ _id: { $in: explicitIds }, userId })
+  ]);
+  for (const budget of explicitBudgets) {
+    if (!budgets.some(b => b._id.equals(budget._id))) budgets.push(budget);
+  }
+  const defaultBudget = batch.defaultBudgetId
+    ? budgets.find(budget => budget._id.equals(batch.defaultBudgetId))
+    : null;
+
+  const classified = classifyRows(rows, { rules, budgets, defaultBudget });
+
+  const byBudget = new Map();
+  for (const row of classified) {
+    if (row.skip || row.duplicate || !row.budgetId) continue;
+    const key = String(row.budgetId);
+    if (!byBudget.has(key)) byBudget.set(key, []);
+    byBudget.get(key).push({
+      description: row.description.slice(0, 200),
+      amount: row.amount,
+      date: row.date,
+      type: row.type,
+      category: row.category,
+      externalId: row.externalId,
+      importBatchId: batch._id
+    });
+  }
+
+  for (const [budgetId, transactions] of byBudget) {
+    const budget = budgets.find(b => String(b._id) === budgetId);
+    await budget.addTransactions(transactions);
+  }
+
+  batch.rows = classified;
+  batch.summary = summarize(classified);
+};
+
+// Commit a preview. The batch is claimed first so two commits of the same
+// preview cannot both post it, and only marked committed once its rows are
+// posted.
+const commitBatch = async (userId, batchId, overrides = []) => {
+  const batch = await ImportBatch.findOneAndUpdate(
+    { _id: batchId, userId, status: 'preview' },
+    { $set: { status: 'committing' } },
+    { new: true }
+  );
+  if (!batch) {
+    throw new ErrorResponse('Import preview not found or already committed', 404);
+  }
+
+  try {
+    await postRows(userId, batch, overrides);
+  } catch (error) {
+    // Back to a preview that can be committed again; rows that were posted
+    // before the failure are caught as duplicates then
+    await ImportBatch.updateOne({ _id: batch._id, status: 'committing' }, { $set: { status: 'preview' } });
+    throw error;
+  }
+
+  batch.status = 'committed';
+  batch.committedAt = new Date();
+  await batch.save();
+
+  return batch;
+};
+
+module.exports = {
+  detectFormat,
+  fingerprint,
+  isDuplicate,
+  categorize,
+  classifyRows,
+  createPreview,
+  commitBatch
+};
@@ -0,0 +1,66 @@
+const ErrorResponse = require('../../utils/ErrorResponse');
+
+// Parser for OFX/QFX statements. Handles both the SGML flavour (OFX 1.x,
+// where leaf tags are not closed) and the XML flavour (OFX 2.x).
+
+// Read a leaf value such as <TRNAMT>-12.50 from inside a block
+const readTag = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeEntities(match[1].trim()) : undefined;
+};
+
+const decodeEntities = (value) => {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+};
+
+// OFX dates look like 20240115, 20240115120000 or 20240115120000.000[-5:EST]
+const parseOfxDate = (value) => {
+  const match = value && value.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!match) return null;
+  const [, year, month, day] = match;
+  return new Date(Number(year), Number(month) - 1, Number(day));
+};
+
+const parseOfx = (content) => {
+  if (!/<OFX>/i.test(content)) {
+    throw new ErrorResponse('File does not look like an OFX/QFX statement', 400);
+  }
+
+  const blocks = content.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+  return blocks.map((block, index) => {
+    const rawAmount = readTag(block, 'TRNAMT');
+    const amount = Number(rawAmount);
+    const date = parseOfxDate(readTag(block, 'DTPOSTED'));
+    const name = readTag(block, 'NAME');
+    const memo = readTag(block, 'MEMO');
+
+    const row = {
+      line: index + 1,
+      description: [name, memo].filter(Boolean).join(' - ') || readTag(block, 'TRNTYPE') || 'Transaction',
+      amount: Math.abs(amount),
+      date,
+      type: amount < 0 ? 'expense' : 'income',
+      externalId: readTag(block, 'FITID')
+    };
+
+    // Number('') is 0, so an empty <TRNAMT> counts as missing
+    if (rawAmount === undefined || rawAmount === '' || Number.isNaN(amount)) {
+      row.error = 'Missing or invalid amount';
+    } else if (!date) {
+      row.error = 'Missing or invalid posting date';
+    }
+
+    return row;
+  });
+};
+
+module.exports = {
+  parseOfx,
+  parseOfxDate
+};
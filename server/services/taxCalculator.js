@@ -0,0 +1,194 @@
+const {
+  capitalLossLimit,
+  itemizedDeductionTypes,
+  getTaxTable,
+  resolveFilingStatus
+} = require('../config/taxTables');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Apply a progressive bracket schedule to an amount of income
+const applyBrackets = (amount, brackets) => {
+  let tax = 0;
+  let lower = 0;
+
+  for (const bracket of brackets) {
+    if (amount <= lower) break;
+    const upper = bracket.upTo === null ? amount : Math.min(amount, bracket.upTo);
+    tax += (upper - lower) * bracket.rate;
+    lower = bracket.upTo === null ? amount : bracket.upTo;
+  }
+
+  return tax;
+};
+
+// Rate of the bracket that the last dollar of income falls into
+const findMarginalRate = (amount, brackets) => {
+  const bracket = brackets.find(b => b.upTo === null || amount <= b.upTo);
+  return bracket ? bracket.rate : 0;
+};
+
+// Preferential income is stacked on top of ordinary income, so each
+// capital gains band is filled starting where ordinary income ends
+const applyCapitalGainsBands = (ordinaryIncome, preferentialIncome, bands) => {
+  let tax = 0;
+  let lower = ordinaryIncome;
+  const top = ordinaryIncome + preferentialIncome;
+
+  for (const band of bands) {
+    if (lower >= top) break;
+    if (band.upTo !== null && lower >= band.upTo) continue;
+    const upper = band.upTo === null ? top : Math.min(top, band.upTo);
+    tax += (upper - lower) * band.rate;
+    lower = upper;
+  }
+
+  return tax;
+};
+
+const hasWorksheet = (worksheet) => Boolean(worksheet) &&
+  itemizedDeductionTypes.some(type => typeof worksheet[type] === 'number');
+
+// Work through the itemized deduction worksheet (Schedule A) with the
+// year's limits. Charitable limits assume gifts to public charities;
+// contributions over the limit carry over to later years.
+const calculateItemized = (worksheet, agi, table, status) => {
+  const limits = table.itemized;
+  const amount = (type) => Math.max(0, worksheet[type] || 0);
+  const byStatus = (values) => (values[status] !== undefined ? values[status] : values.default);
+  const base = Math.max(0, agi);
+
+  const medicalFloor = base * limits.medicalFloor;
+  const medical = {
+    expenses: amount('medicalExpenses'),
+    floor: round(medicalFloor),
+    deductible: round(Math.max(0, amount('medicalExpenses') - medicalFloor))
+  };
+
+  let saltCap = byStatus(limits.saltCap);
+  if (limits.saltPhaseDown) {
+    const { threshold, rate, minimumCap } = limits.saltPhaseDown;
+    const reduction = Math.max(0, base - byStatus(threshold)) * rate;
+    saltCap = Math.max(byStatus(minimumCap), saltCap - reduction);
+  }
+  const saltPaid = amount('stateLocalIncomeTax') + amount('realEstateTax') + amount('personalPropertyTax');
+  const salt = {
+    paid: round(saltPaid),
+    cap: round(saltCap),
+    deductible: round(Math.min(saltPaid, saltCap))
+  };
+
+  const mortgageInterest = {
+    deductible: round(amount('mortgageInterest'))
+  };
+
+  // Cash gifts are applied first; non-cash gifts have the lower limit and
+  // only use what cash gifts leave of the overall one
+  const cashLimit = base * limits.charitableLimits.cash;
+  const cashAllowed = Math.min(amount('charitableCash'), cashLimit);
+  const noncashAllowed = Math.min(amount('charitableNoncash'), base * limits.charitableLimits.noncash, cashLimit - cashAllowed);
+  const charitable = {
+    cash: amount('charitableCash'),
+    noncash: amount('charitableNoncash'),
+    limit: round(cashLimit),
+    deductible: round(cashAllowed + noncashAllowed),
+    carryover: round(amount('charitableCash') + amount('charitableNoncash') - cashAllowed - noncashAllowed)
+  };
+
+  return {
+    medical,
+    salt,
+    mortgageInterest,
+    charitable,
+    total: round(medical.deductible + salt.deductible + mortgageInterest.deductible + charitable.deductible)
+  };
+};
+
+// Calculate federal income tax for a TaxRecord-shaped object
+const calculateTax = (record) => {
+  const table = getTaxTable(record.taxYear);
+  const status = resolveFilingStatus(record.filingStatus);
+  const brackets = table.brackets[status];
+  const bands = table.capitalGains[status];
+
+  if (!brackets || !bands) {
+    throw new Error(`No tax brackets for filing status "${record.filingStatus}" in ${table.year}`);
+  }
+
+  const income = record.income || {};
+  const wages = income.wages || 0;
+  const dividends = income.dividends || 0;
+  const capitalGains = income.capitalGains || 0;
+  const businessIncome = income.businessIncome || 0;
+  const otherIncome = income.otherIncome || 0;
+
+  // Net capital losses only offset ordinary income up to the annual limit
+  const lossLimit = capitalLossLimit[status] || capitalLossLimit.default;
+  const allowedCapitalGains = capitalGains < 0
+    ? Math.max(capitalGains, -lossLimit)
+    : capitalGains;
+
+  const grossIncome = wages + dividends + allowedCapitalGains + businessIncome + otherIncome;
+
+  // Take whichever deduction is larger. A worksheet, when there is one,
+  // decides the itemized total; gross income stands in for AGI.
+  const standardDeduction = table.standardDeduction[status];
+  const itemized = hasWorksheet(record.itemizedWorksheet)
+    ? calculateItemized(record.itemizedWorksheet, grossIncome, table, status)
+    : null;
+  const itemizedDeductions = itemized
+    ? itemized.total
+    : (record.deductions && record.deductions.itemizedDeductions) || 0;
+  const deductionMethod = itemizedDeductions > standardDeduction ? 'itemized' : 'standard';
+  const totalDeductions = Math.max(standardDeduction, itemizedDeductions);
+
+  const taxableIncome = Math.max(0, grossIncome - totalDeductions);
+
+  // Only long-term gains and qualified dividends get the preferential
+  // rates. Without a breakdown every gain and dividend is treated as
+  // qualifying; with one, whatever it does not cover is taxed as ordinary.
+  const investmentIncome = record.investmentIncome || {};
+  const hasGainBreakdown = typeof investmentIncome.longTermGain === 'number' ||
+    typeof investmentIncome.shortTermGain === 'number';
+  const preferentialGains = hasGainBreakdown
+    ? Math.max(0, Math.min(investmentIncome.longTermGain || 0, allowedCapitalGains))
+    : Math.max(0, capitalGains);
+  const qualifiedDividends = typeof investmentIncome.qualifiedDividends === 'number'
+    ? Math.min(Math.max(0, investmentIncome.qualifiedDividends), Math.max(0, dividends))
+    : Math.max(0, dividends);
+  const preferentialIncome = Math.min(taxableIncome, preferentialGains + qualifiedDividends);
+  const ordinaryIncome = taxableIncome - preferentialIncome;
+
+  const ordinaryTax = applyBrackets(ordinaryIncome, brackets);
+  const preferentialTax = applyCapitalGainsBands(ordinaryIncome, preferentialIncome, bands);
+  const taxOwed = round(ordinaryTax + preferentialTax);
+
+  return {
+    taxYear: record.taxYear,
+    tableYear: table.year,
+    tableVersion: table.version,
+    filingStatus: record.filingStatus,
+    grossIncome: round(grossIncome),
+    standardDeduction,
+    itemizedDeductions,
+    itemized,
+    deductionMethod,
+    totalDeductions,
+    taxableIncome: round(taxableIncome),
+    ordinaryIncome: round(ordinaryIncome),
+    preferentialIncome: round(preferentialIncome),
+    ordinaryTax: round(ordinaryTax),
+    preferentialTax: round(preferentialTax),
+    taxOwed,
+    marginalRate: round(findMarginalRate(ordinaryIncome, brackets) * 100),
+    effectiveRate: grossIncome > 0 ? round((taxOwed / grossIncome) * 100) : 0
+  };
+};
+
+module.exports = {
+  applyBrackets,
+  applyCapitalGainsBands,
+  findMarginalRate,
+  calculateItemized,
+  calculateTax
+};
@@ -0,0 +1,25 @@
+const { splitCsv } = require('../statementImport/csvParser');
+const { readForm } = require('./forms');
+
+// Parser for tax forms exported as CSV: a header row, then one form per
+// row. Columns are boxes ("Box 1", "1a", ...) or form details (Form Type,
+// Tax Year, Payer Name, Payer TIN, Account Number, Corrected).
+const parseCsv = (content, defaults) => {
+  const rows = splitCsv(content);
+  if (rows.length < 2) {
+    throw new Error('CSV needs a header row and at least one form');
+  }
+
+  const header = rows.shift().map(name => name.trim());
+  return rows.map((fields, i) => {
+    try {
+      return readForm(header.map((name, index) => [name, fields[index]]), defaults);
+    } catch (error) {
+      throw new Error(`Row ${i + 2}: ${error.message}`);
+    }
+  });
+};
+
+module.exports = {
+  parseCsv
+};
@@ -0,0 +1,178 @@
+const { parseAmount } = require('../statementImport/csvParser');
+
+// Box layouts of the supported tax forms and where each box goes on a
+// TaxRecord. Boxes without a field are kept for reference only. Interest
+// has no bucket of its own on the return, so it counts as other income.
+// Boxes that also feed the investment income breakdown (long-term gains,
+// qualified dividends) list every field they go to.
+
+const FORMS = {
+  'W-2': {
+    '1': { label: 'Wages, tips, other compensation', field: 'income.wages' },
+    '2': { label: 'Federal income tax withheld', field: 'taxPaid' },
+    '3': { label: 'Social security wages' },
+    '4': { label: 'Social security tax withheld' },
+    '5': { label: 'Medicare wages and tips' },
+    '6': { label: 'Medicare tax withheld' },
+    '16': { label: 'State wages, tips, etc.' },
+    '17': { label: 'State income tax' }
+  },
+  '1099-INT': {
+    '1': { label: 'Interest income', field: 'income.otherIncome' },
+    '3': { label: 'Interest on U.S. Savings Bonds and Treasury obligations', field: 'income.otherIncome' },
+    '4': { label: 'Federal income tax withheld', field: 'taxPaid' },
+    '8': { label: 'Tax-exempt interest' }
+  },
+  '1099-DIV': {
+    '1a': { label: 'Total ordinary dividends', field: 'income.dividends' },
+    '1b': { label: 'Qualified dividends', field: 'investmentIncome.qualifiedDividends' },
+    // Capital gain distributions are always long-term
+    '2a': { label: 'Total capital gain distributions', fields: ['income.capitalGains', 'investmentIncome.longTermGain'] },
+    '3': { label: 'Nondividend distributions' },
+    '4': { label: 'Federal income tax withheld', field: 'taxPaid' }
+  },
+  // Gains are worked out from proceeds, basis and disallowed wash sales.
+  // Short- and long-term sales are reported separately (box 2), one form
+  // per term.
+  '1099-B': {
+    '1d': { label: 'Proceeds' },
+    '1e': { label: 'Cost or other basis' },
+    '1g': { label: 'Wash sale loss disallowed' },
+    '4': { label: 'Federal income tax withheld', field: 'taxPaid' }
+  }
+};
+
+const FORM_TYPES = Object.keys(FORMS);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// 'w2', 'W-2', '1099int' and 'Form 1099-INT' all name a form
+const normalizeFormType = (value) => {
+  const key = String(value || '').toUpperCase().replace(/^FORM/, '').replace(/[^0-9A-Z]/g, '');
+  return FORM_TYPES.find(type => type.replace('-', '') === key) || null;
+};
+
+// 'Box 1a', 'box_1a' and '1A' all name box 1a; anything else is not a box
+const normalizeBox = (value) => {
+  const match = String(value || '').toLowerCase().replace(/[^0-9a-z]/g, '').match(/^(?:box)?(\d{1,2}[a-z]?)$/);
+  return match ? match[1] : null;
+};
+
+// Field names, once normalized, that describe the form rather than a box
+const META_FIELDS = {
+  formtype: 'formType',
+  form: 'formType',
+  taxyear: 'taxYear',
+  year: 'taxYear',
+  payer: 'payerName',
+  payername: 'payerName',
+  employer: 'payerName',
+  payertin: 'payerTin',
+  tin: 'payerTin',
+  ein: 'payerTin',
+  accountnumber: 'accountNumber',
+  account: 'accountNumber',
+  corrected: 'corrected',
+  term: 'term',
+  typeofgainorloss: 'term'
+};
+
+// 'short', 'Short-term' and 'ST' all name a term
+const normalizeTerm = (value) => {
+  const text = String(value || '').trim().toLowerCase();
+  if (/^s(hort)?/.test(text)) return 'short';
+  if (/^l(ong)?/.test(text)) return 'long';
+  return null;
+};
+
+// Build a form from the name/value pairs read out of an upload. defaults
+// holds the upload's formType and taxYear, used when the file leaves them
+// out, and an optional fieldMap renaming the file's fields to boxes or
+// metadata (e.g. { "f1_01": "1", "Employer": "payerName" }). Fields that
+// are neither are returned in ignored.
+const readForm = (pairs, defaults = {}) => {
+  const fieldMap = defaults.fieldMap || {};
+  const meta = {};
+  const values = [];
+
+  for (const [name, value] of pairs) {
+    if (value === undefined || value === null || String(value).trim() === '') continue;
+    const mapped = fieldMap[name] !== undefined ? String(fieldMap[name]) : String(name);
+    const metaField = META_FIELDS[mapped.toLowerCase().replace(/[^0-9a-z]/g, '')];
+    if (metaField) {
+      meta[metaField] = String(value).trim();
+    } else {
+      values.push([name, mapped, value]);
+    }
+  }
+
+  const formType = normalizeFormType(meta.formType || defaults.formType);
+  if (!formType) {
+    throw new Error(`Unknown or missing form type${meta.formType ? ` "${meta.formType}"` : ''}. Supported forms: ${FORM_TYPES.join(', ')}`);
+  }
+  const taxYear = parseInt(meta.taxYear || defaults.taxYear, 10);
+  const term = normalizeTerm(meta.term || defaults.term);
+  if (formType === '1099-B' && !term) {
+    throw new Error('1099-B needs a term (short or long) for its sales');
+  }
+
+  const boxes = {};
+  const ignored = [];
+  for (const [name, mapped, value] of values) {
+    const box = normalizeBox(mapped);
+    if (!box || !FORMS[formType][box]) {
+      ignored.push(name);
+      continue;
+    }
+    const amount = typeof value === 'number' ? value : parseAmount(String(value));
+    if (amount === null || !Number.isFinite(amount)) {
+      throw new Error(`${formType} box ${box} is not an amount: ${value}`);
+    }
+    boxes[box] = amount;
+  }
+
+  return {
+    formType,
+    taxYear: Number.isNaN(taxYear) ? undefined : taxYear,
+    payer: { name: meta.payerName, tin: meta.payerTin },
+    accountNumber: meta.accountNumber,
+    term: formType === '1099-B' ? term : undefined,
+    corrected: /^(true|yes|y|1|x)$/i.test(meta.corrected || ''),
+    boxes,
+    ignored
+  };
+};
+
+// One line item per field a box goes to, or one without a field for boxes
+// kept for reference
+const lineItemsFor = (box, label, amount, fields) => (fields.length > 0 ? fields : [undefined])
+  .map(field => ({ box, label, amount: round(amount), field }));
+
+// Turn a parsed form's boxes into line items, with 1099-B gains added
+const buildLineItems = (form) => {
+  const layout = FORMS[form.formType];
+  const items = Object.entries(form.boxes).flatMap(([box, amount]) => {
+    const { label, field, fields } = layout[box];
+    return lineItemsFor(box, label, amount, fields || (field ? [field] : []));
+  });
+
+  if (form.formType === '1099-B' && form.boxes['1d'] !== undefined) {
+    const gain = form.boxes['1d'] - (form.boxes['1e'] || 0) + (form.boxes['1g'] || 0);
+    items.push(...lineItemsFor('gain', `Net ${form.term}-term gain or loss (1d - 1e + 1g)`, gain, [
+      'income.capitalGains',
+      form.term === 'short' ? 'investmentIncome.shortTermGain' : 'investmentIncome.longTermGain'
+    ]));
+  }
+
+  return items;
+};
+
+module.exports = {
+  FORMS,
+  FORM_TYPES,
+  normalizeFormType,
+  normalizeBox,
+  normalizeTerm,
+  readForm,
+  buildLineItems
+};
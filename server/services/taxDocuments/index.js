@@ -0,0 +1,343 @@
+const crypto = require('crypto');
+const TaxRecord = require('../../models/TaxRecord');
+const TaxDocument = require('../../models/TaxDocument');
+const ErrorResponse = require('../../utils/ErrorResponse');
+const { amendRecord } = require('../taxHistory');
+const { buildLineItems } = require('./forms');
+const { parseCsv } = require('./csvParser');
+const { parseJson } = require('./jsonParser');
+const { parseTxf } = require('./txfParser');
+const { parsePdfForm } = require('./pdfFormParser');
+
+// Fields of a return that tax forms feed
+const TARGET_FIELDS = TaxDocument.schema.path('lineItems').schema.path('field').enumValues;
+
+const PARSERS = {
+  csv: parseCsv,
+  json: parseJson,
+  txf: parseTxf,
+  pdf: parsePdfForm
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Work out the file format from the explicit format or the file name
+const detectFormat = (format, filename = '') => {
+  const value = (format || filename.split('.').pop() || '').toLowerCase();
+  if (PARSERS[value]) return value;
+  throw new ErrorResponse('Unsupported tax form format. Upload a CSV, TXF, JSON or fillable PDF file', 400);
+};
+
+// Forms with the same key are the same form from the same payer: a second
+// upload with the same amounts is a duplicate, one with other amounts a
+// conflict (or, when marked corrected, a replacement)
+const formKey = (form) => [
+  form.formType,
+  form.term || '',
+  form.taxYear,
+  (form.payer.tin || '').replace(/\D/g, '') || (form.payer.name || '').trim().toLowerCase(),
+  (form.accountNumber || '').replace(/\s/g, '')
+].join('|');
+
+// Hashes include the owner, so equal forms of different users do not match
+const formHash = (userId, form) => hash([
+  userId,
+  formKey(form),
+  ...Object.keys(form.boxes).sort().map(box => `${box}=${round(form.boxes[box]).toFixed(2)}`)
+].join('|'));
+
+// Brokers report a 1099-B's sales one by one; the sales in a file are added
+// up per account and term
+const combineSales = (forms) => {
+  const combined = new Map();
+  return forms.reduce((result, form) => {
+    if (form.formType !== '1099-B') {
+      result.push(form);
+      return result;
+    }
+    const key = formKey(form);
+    const existing = combined.get(key);
+    if (!existing) {
+      combined.set(key, form);
+      result.push(form);
+      return result;
+    }
+    for (const [box, amount] of Object.entries(form.boxes)) {
+      existing.boxes[box] = (existing.boxes[box] || 0) + amount;
+    }
+    existing.ignored.push(...form.ignored);
+    return result;
+  }, []);
+};
+
+const parseForms = (content, format, defaults) => {
+  try {
+    const text = format === 'pdf' ? content : content.toString('utf8');
+    return combineSales(PARSERS[format](text, defaults));
+  } catch (error) {
+    if (error instanceof ErrorResponse) throw error;
+    throw new ErrorResponse(`Could not read tax form: ${error.message}`, 400);
+  }
+};
+
+// Totals per field of the return across the given documents
+const sumFields = (documents, sign = 1) => documents.reduce((totals, document) => {
+  for (const [field, amount] of Object.entries(document.fieldTotals())) {
+    totals[field] = round((totals[field] || 0) + sign * amount);
+  }
+  return totals;
+}, {});
+
+const addTotals = (...totals) => totals.reduce((result, entry) => {
+  for (const [field, amount] of Object.entries(entry)) {
+    result[field] = round((result[field] || 0) + amount);
+  }
+  return result;
+}, {});
+
+// Add the deltas to a return: drafts are updated in place, anything filed
+// gets an amendment. Returns the revision that now holds the figures.
+const applyDeltas = async (accessFilter, record, deltas, reason) => {
+  const fields = Object.keys(deltas).filter(field => deltas[field] !== 0);
+  if (fields.length === 0) return record;
+
+  if (record.status === 'draft') {
+    for (const field of fields) {
+      record.set(field, round((record.get(field) || 0) + deltas[field]));
+    }
+    await record.save();
+    return record;
+  }
+
+  const changes = {};
+  for (const field of fields) {
+    const [head, tail] = field.split('.');
+    const value = round((record.get(field) || 0) + deltas[field]);
+    if (tail) {
+      changes[head] = { ...changes[head], [tail]: value };
+    } else {
+      changes[head] = value;
+    }
+  }
+  return amendRecord(accessFilter, record._id, changes, reason);
+};
+
+const findCurrentRecord = async (accessFilter, recordId) => {
+  const record = await TaxRecord.findOne({ _id: recordId, ...accessFilter });
+  if (!record) {
+    throw new ErrorResponse('Tax record not found', 404);
+  }
+  if (!record.isCurrent) {
+    throw new ErrorResponse('Tax forms can only be added to or removed from the current revision of a return', 400);
+  }
+  return record;
+};
+
+const findDocument = async (record, documentId) => {
+  const document = await TaxDocument.findOne({ _id: documentId, taxRecordId: record.originalRecordId || record._id });
+  if (!document) {
+    throw new ErrorResponse('Tax form not found', 404);
+  }
+  return document;
+};
+
+// Read the forms in an uploaded file and add their figures to a return.
+// Each form is checked against the forms already on the return and earlier
+// ones in the same file: repeats are kept as duplicates and differing
+// copies of the same form as conflicts, neither touching the return until
+// applied by hand. A form marked corrected replaces the one it corrects.
+const ingestDocuments = async (accessFilter, recordId, upload) => {
+  const record = await findCurrentRecord(accessFilter, recordId);
+  const format = detectFormat(upload.format, upload.filename);
+  const forms = parseForms(upload.content, format, {
+    formType: upload.formType,
+    taxYear: upload.taxYear || record.taxYear,
+    term: upload.term,
+    fieldMap: upload.fieldMap
+  });
+  if (forms.length === 0) {
+    throw new ErrorResponse('No tax forms found in file', 400);
+  }
+
+  const warnings = [];
+  for (const form of forms) {
+    if (form.taxYear !== record.taxYear) {
+      throw new ErrorResponse(`A ${form.formType} in the file is for ${form.taxYear}, but the return is for ${record.taxYear}`, 400);
+    }
+    if (Object.keys(form.boxes).length === 0) {
+      throw new ErrorResponse(`A ${form.formType} in the file has no amounts in any box`, 400);
+    }
+    if (form.ignored.length > 0) {
+      warnings.push(`${form.formType}${form.payer.name ? ` from ${form.payer.name}` : ''}: ignored ${form.ignored.join(', ')}`);
+    }
+  }
+
+  const fileHash = hash(upload.content);
+  const existing = await TaxDocument.find({ taxRecordId: record.originalRecordId || record._id, status: { $ne: 'superseded' } });
+  const compared = existing.map(document => ({ document, key: formKey(document), hash: document.formHash }));
+  const created = [];
+  const superseded = [];
+
+  for (const form of forms) {
+    const document = new TaxDocument({
+      userId: record.userId,
+      taxRecordId: record.originalRecordId || record._id,
+      taxYear: form.taxYear,
+      formType: form.formType,
+      sourceFormat: format,
+      filename: upload.filename,
+      fileHash,
+      formHash: formHash(record.userId, form),
+      payer: form.payer,
+      accountNumber: form.accountNumber,
+      term: form.term,
+      corrected: form.corrected,
+      lineItems: buildLineItems(form)
+    });
+
+    const key = formKey(form);
+    const duplicate = compared.find(entry => entry.hash === document.formHash);
+    const sameForm = compared.find(entry => entry.key === key && entry.document.status === 'applied');
+    if (duplicate) {
+      document.status = 'duplicate';
+      document.flags.push({
+        type: 'duplicate',
+        documentId: duplicate.document._id,
+        message: `Same ${form.formType} with the same amounts as an earlier upload`
+      });
+    } else if (sameForm && form.corrected) {
+      sameForm.document.status = 'superseded';
+      sameForm.document.supersededBy = document._id;
+      // A form corrected later in the same file never reached the return
+      if (!created.includes(sameForm.document)) superseded.push(sameForm.document);
+      compared.splice(compared.indexOf(sameForm), 1);
+    } else if (sameForm) {
+      document.status = 'conflict';
+      document.flags.push({
+        type: 'conflict',
+        documentId: sameForm.document._id,
+        message: `Another ${form.formType} from the same payer and account has different amounts. Apply it to replace or add to the other one`
+      });
+    }
+
+    compared.push({ document, key, hash: document.formHash });
+    created.push(document);
+  }
+
+  const toApply = created.filter(document => document.status === 'applied');
+  // Figures from the trade ledger stay on the return next to the forms'
+  if (record.investmentIncome && record.investmentIncome.source === 'trade_ledger' &&
+    toApply.some(document => ['1099-B', '1099-DIV'].includes(document.formType))) {
+    warnings.push('The return already has capital gains and dividends from the trade ledger. ' +
+      'If these forms are for accounts in the ledger, their figures are counted twice; delete the forms again');
+  }
+  const updated = await applyDeltas(
+    accessFilter,
+    record,
+    addTotals(sumFields(toApply), sumFields(superseded, -1)),
+    `Figures from ${toApply.length} uploaded tax form(s)`
+  );
+
+  const appliedAt = new Date();
+  for (const document of [...toApply, ...superseded]) {
+    document.appliedToRecordId = updated._id;
+    if (document.status === 'applied') document.appliedAt = appliedAt;
+  }
+  for (const document of [...superseded, ...created]) {
+    await document.save();
+  }
+
+  return { taxRecord: updated, documents: created, superseded, warnings };
+};
+
+// Apply a form that was held back as a duplicate or conflict. With
+// replace, the form it was flagged against is taken off the return first.
+const applyDocument = async (accessFilter, recordId, documentId, { replace = false } = {}) => {
+  const record = await findCurrentRecord(accessFilter, recordId);
+  const document = await findDocument(record, documentId);
+  if (!['duplicate', 'conflict'].includes(document.status)) {
+    throw new ErrorResponse(`Only duplicate or conflicting forms can be applied; this one is ${document.status}`, 400);
+  }
+
+  const superseded = [];
+  if (replace) {
+    const flaggedIds = document.flags.map(flag => flag.documentId);
+    const others = await TaxDocument.find({ _id: { $in: flaggedIds }, status: 'applied' });
+    for (const other of others) {
+      other.status = 'superseded';
+      other.supersededBy = document._id;
+      superseded.push(other);
+    }
+  }
+
+  const updated = await applyDeltas(
+    accessFilter,
+    record,
+    addTotals(sumFields([document]), sumFields(superseded, -1)),
+    `Figures from ${document.formType}${replace ? ' replacing an earlier form' : ''}`
+  );
+
+  document.status = 'applied';
+  document.appliedAt = new Date();
+  for (const entry of [document, ...superseded]) {
+    entry.appliedToRecordId = updated._id;
+    await entry.save();
+  }
+
+  return { taxRecord: updated, document, superseded };
+};
+
+// Delete a form, taking its figures off the return if they were applied.
+// Forms it superseded stay superseded; re-upload them to bring them back.
+const removeDocument = async (accessFilter, recordId, documentId) => {
+  const record = await findCurrentRecord(accessFilter, recordId);
+  const document = await findDocument(record, documentId);
+
+  const updated = document.status === 'applied'
+    ? await applyDeltas(accessFilter, record, sumFields([document], -1), `Removed ${document.formType} figures`)
+    : record;
+  await document.deleteOne();
+
+  return updated;
+};
+
+// Where each form-fed figure on a return came from: the applied forms'
+// line items, and whatever was entered by hand on top of them. Amounts
+// are encrypted fields, so they are left out unless reveal is set.
+const getSources = (record, documents, { reveal = false } = {}) => {
+  const shown = (amount) => (reveal ? amount : null);
+  const applied = documents.filter(document => document.status === 'applied');
+  return TARGET_FIELDS.map(field => {
+    const sources = applied.flatMap(document => document.lineItems
+      .filter(item => item.field === field)
+      .map(item => ({
+        documentId: document._id,
+        formType: document.formType,
+        payer: document.payer.name,
+        box: item.box,
+        label: item.label,
+        amount: item.amount
+      })));
+    const value = record.get(field) || 0;
+    const fromForms = round(sources.reduce((total, source) => total + source.amount, 0));
+    return {
+      field,
+      value: shown(value),
+      fromForms: shown(fromForms),
+      enteredByHand: shown(round(value - fromForms)),
+      sources: sources.map(source => ({ ...source, amount: shown(source.amount) }))
+    };
+  });
+};
+
+
+module.exports = {
+  detectFormat,
+  formKey,
+  ingestDocuments,
+  applyDocument,
+  removeDocument,
+  getSources
+};
@@ -0,0 +1,43 @@
+const { readForm } = require('./forms');
+
+// Parser for tax forms as JSON: one form, an array of forms or
+// { forms: [...] }. A form's amounts may sit at the top level or under
+// boxes, and the payer under payer: { name, tin }.
+//
+//   { "formType": "1099-DIV", "taxYear": 2024, "payer": { "name": "Broker" },
+//     "boxes": { "1a": 1200.5, "2a": 300 } }
+const parseJson = (content, defaults) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`File is not valid JSON: ${error.message}`);
+  }
+
+  const forms = Array.isArray(parsed) ? parsed : (parsed && parsed.forms) || [parsed];
+  if (!Array.isArray(forms)) {
+    throw new Error('forms must be an array');
+  }
+
+  return forms.map((form, index) => {
+    if (!form || typeof form !== 'object') {
+      throw new Error(`Form ${index + 1} is not an object`);
+    }
+    const { boxes = {}, payer = {}, ...fields } = form;
+    const pairs = [
+      ...Object.entries(fields),
+      ['payerName', payer.name],
+      ['payerTin', payer.tin],
+      ...Object.entries(boxes).map(([box, amount]) => [`box${box}`, amount])
+    ];
+    try {
+      return readForm(pairs, defaults);
+    } catch (error) {
+      throw new Error(`Form ${index + 1}: ${error.message}`);
+    }
+  });
+};
+
+module.exports = {
+  parseJson
+};
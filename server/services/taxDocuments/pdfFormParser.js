@@ -0,0 +1,149 @@
+const zlib = require('zlib');
+const { readForm } = require('./forms');
+
+// Parser for fillable PDF forms. Reads the values of the AcroForm fields
+// only; scanned or flattened PDFs have none and are rejected. Fields named
+// after boxes ("Box 1", "box_2a") are picked up by name; other layouts,
+// such as the IRS's own "f1_01" fields, need a fieldMap with the upload.
+
+// Read a literal string starting at the "(" at start, honouring nested
+// parentheses and escapes
+const readLiteral = (text, start) => {
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+  let depth = 0;
+  let value = '';
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\\') {
+      const next = text[i + 1];
+      const octal = text.slice(i + 1, i + 4).match(/^[0-7]{1,3}/);
+      if (octal) {
+        value += String.fromCharCode(parseInt(octal[0], 8));
+        i += octal[0].length;
+      } else {
+        if (next !== '\r' && next !== '\n') value += escapes[next] || next;
+        i++;
+      }
+    } else if (char === '(') {
+      if (depth > 0) value += char;
+      depth++;
+    } else if (char === ')') {
+      depth--;
+      if (depth === 0) return value;
+      value += char;
+    } else {
+      value += char;
+    }
+  }
+  return value;
+};
+
+// PDF text strings are PDFDocEncoding or, with a byte order mark, UTF-16BE
+const decodeText = (bytes) => {
+  if (bytes.startsWith('þÿ')) {
+    const buffer = Buffer.from(bytes.slice(2), 'latin1');
+    let text = '';
+    for (let i = 0; i + 1 < buffer.length; i += 2) {
+      text += String.fromCharCode(buffer.readUInt16BE(i));
+    }
+    return text;
+  }
+  return bytes;
+};
+
+// The string, name or number following key in an object's dictionary
+const readValue = (body, key) => {
+  const match = body.match(new RegExp(`/${key}\\s*(\\(|<(?!<)|/[^\\s/<>\\[\\]()]*|-?[\\d.]+)`));
+  if (!match) return undefined;
+  const token = match[1];
+  if (token === '(') return decodeText(readLiteral(body, match.index + match[0].length - 1));
+  if (token === '<') {
+    const hex = body.slice(match.index + match[0].length).match(/^([0-9A-Fa-f\s]*)>/);
+    return hex ? decodeText(Buffer.from(hex[1].replace(/\s/g, ''), 'hex').toString('latin1')) : undefined;
+  }
+  if (token.startsWith('/')) return token.slice(1);
+  return token;
+};
+
+const inflate = (dictionary, data) => {
+  if (!/\/FlateDecode/.test(dictionary)) return data;
+  try {
+    return zlib.inflateSync(Buffer.from(data, 'latin1')).toString('latin1');
+  } catch (error) {
+    return '';
+  }
+};
+
+// Every object in the file by number, including those packed into object
+// streams
+const readObjects = (text) => {
+  const objects = new Map();
+  const pattern = /(\d+)\s+\d+\s+obj\b([\s\S]*?)\bendobj/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    const [, number, body] = match;
+    const stream = body.match(/^([\s\S]*?)\bstream\r?\n([\s\S]*?)\r?\n?endstream/);
+    if (!stream) {
+      objects.set(Number(number), body);
+      continue;
+    }
+
+    const [, dictionary, data] = stream;
+    objects.set(Number(number), dictionary);
+    if (/\/Type\s*\/ObjStm/.test(dictionary)) {
+      const content = inflate(dictionary, data);
+      const count = Number((dictionary.match(/\/N\s+(\d+)/) || [])[1]);
+      const first = Number((dictionary.match(/\/First\s+(\d+)/) || [])[1]);
+      const offsets = content.slice(0, first).trim().split(/\s+/).map(Number);
+      for (let i = 0; i < count; i++) {
+        const start = first + offsets[i * 2 + 1];
+        const end = i + 1 < count ? first + offsets[i * 2 + 3] : content.length;
+        objects.set(offsets[i * 2], content.slice(start, end));
+      }
+    }
+  }
+  return objects;
+};
+
+// Fully qualified name of a field, following its parents
+const fieldName = (objects, body, seen = new Set()) => {
+  const name = readValue(body, 'T');
+  const parent = body.match(/\/Parent\s+(\d+)\s+\d+\s+R/);
+  if (!parent || seen.has(parent[1]) || !objects.has(Number(parent[1]))) return name;
+  seen.add(parent[1]);
+  const parentName = fieldName(objects, objects.get(Number(parent[1])), seen);
+  return parentName ? `${parentName}.${name}` : name;
+};
+
+const parsePdfForm = (content, defaults) => {
+  const text = content.toString('latin1');
+  if (!text.startsWith('%PDF-')) {
+    throw new Error('File is not a PDF');
+  }
+
+  const objects = readObjects(text);
+  const pairs = [];
+  const fieldMap = {};
+  const userMap = defaults.fieldMap || {};
+  for (const body of objects.values()) {
+    if (!/\/T\s*[(<]/.test(body)) continue;
+    const value = readValue(body, 'V');
+    if (value === undefined) continue;
+
+    const name = fieldName(objects, body);
+    // "topmostSubform[0].CopyB[0].Box1[0]" is matched on "Box1"
+    const shortName = name.split('.').pop().replace(/\[\d+\]$/, '');
+    fieldMap[name] = userMap[name] !== undefined ? userMap[name] : (userMap[shortName] !== undefined ? userMap[shortName] : shortName);
+    pairs.push([name, value === 'Off' ? '' : value]);
+  }
+
+  if (pairs.length === 0) {
+    throw new Error('PDF has no filled-in form fields. Scanned or flattened forms cannot be read; upload the CSV, TXF or JSON export instead');
+  }
+
+  return [readForm(pairs, { ...defaults, fieldMap })];
+};
+
+module.exports = {
+  parsePdfForm
+};
@@ -0,0 +1,106 @@
+const { readForm } = require('./forms');
+
+// Parser for TXF (Tax Exchange Format, V042) files as exported by brokers
+// and payroll providers. Records are separated by "^" lines; each line
+// starts with a one-letter code: N reference number, P payer or security,
+// D date, $ amount.
+
+// TXF reference numbers and the form box each one fills
+const REFERENCES = {
+  460: { formType: 'W-2', box: '1' },
+  461: { formType: 'W-2', box: '2' },
+  287: { formType: '1099-INT', box: '1' },
+  286: { formType: '1099-DIV', box: '1a' },
+  488: { formType: '1099-DIV', box: '2a' }
+};
+
+// Short- and long-term sales. Amounts are cost, proceeds and, when
+// present, the disallowed wash sale loss.
+const SALE_REFERENCES = { 321: 'short', 323: 'long' };
+
+const readRecord = (lines) => lines.reduce((record, line) => {
+  const code = line[0];
+  const value = line.slice(1).trim();
+  if (code === 'N') record.reference = parseInt(value, 10);
+  if (code === 'P') record.description = value;
+  if (code === 'D') record.dates.push(value);
+  if (code === '$') record.amounts.push(Number(value.replace(/[^0-9.-]/g, '')));
+  return record;
+}, { dates: [], amounts: [] });
+
+// Year of an MM/DD/YYYY date
+const yearOf = (date) => {
+  const match = (date || '').match(/(\d{4})$/);
+  return match ? Number(match[1]) : undefined;
+};
+
+const parseTxf = (content, defaults) => {
+  const lines = content.split(/\r?\n/).map(line => line.trimEnd());
+  if (!/^V0\d\d/.test(lines[0] || '')) {
+    throw new Error('File does not look like a TXF export');
+  }
+
+  // Split into records, dropping the header before the first "^"
+  const records = [];
+  let current = null;
+  for (const line of lines) {
+    if (line === '^') {
+      if (current) records.push(readRecord(current));
+      current = [];
+    } else if (current && line) {
+      current.push(line);
+    }
+  }
+
+  // Amounts for the same form and payer are added together
+  const forms = new Map();
+  const add = (formType, payerName, taxYear, box, amount, term) => {
+    const key = [formType, term || '', payerName || '', taxYear || ''].join('|');
+    if (!forms.has(key)) forms.set(key, { formType, term, payerName, taxYear, boxes: {} });
+    const boxes = forms.get(key).boxes;
+    boxes[box] = (boxes[box] || 0) + amount;
+  };
+
+  const unknown = new Set();
+  for (const record of records) {
+    if (Number.isNaN(record.reference) || record.reference === undefined) continue;
+    if (record.amounts.some(amount => Number.isNaN(amount))) {
+      throw new Error(`TXF record ${record.reference} has an invalid amount`);
+    }
+
+    const term = SALE_REFERENCES[record.reference];
+    if (term) {
+      const [cost = 0, proceeds = 0, washSale = 0] = record.amounts;
+      const taxYear = yearOf(record.dates[record.dates.length - 1]);
+      add('1099-B', undefined, taxYear, '1d', proceeds, term);
+      add('1099-B', undefined, taxYear, '1e', cost, term);
+      if (washSale) add('1099-B', undefined, taxYear, '1g', Math.abs(washSale), term);
+    } else if (REFERENCES[record.reference]) {
+      const { formType, box } = REFERENCES[record.reference];
+      // Withholding is exported as a payment, so the sign is dropped
+      add(formType, record.description, undefined, box, Math.abs(record.amounts[0] || 0));
+    } else {
+      unknown.add(record.reference);
+    }
+  }
+
+  if (forms.size === 0) {
+    throw new Error(`No supported TXF records found${unknown.size ? ` (unsupported reference numbers: ${[...unknown].join(', ')})` : ''}`);
+  }
+
+  return [...forms.values()].map((form, index) => {
+    const parsed = readForm([
+      ['formType', form.formType],
+      ['taxYear', form.taxYear],
+      ['term', form.term],
+      ['payerName', form.payerName],
+      ...Object.entries(form.boxes).map(([box, amount]) => [`box${box}`, amount])
+    ], { ...defaults, fieldMap: {} });
+    parsed.ignored = index === 0 ? [...unknown].map(reference => `TXF reference ${reference}`) : [];
+    return parsed;
+  });
+};
+
+module.exports = {
+  parseTxf
+};
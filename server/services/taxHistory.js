@@ -0,0 +1,250 @@
+const TaxRecord = require('../models/TaxRecord');
+const { itemizedDeductionTypes } = require('../config/taxTables');
+const ErrorResponse = require('../utils/ErrorResponse');
+
+// Lines of the itemized deduction worksheet
+const WORKSHEET_FIELDS = itemizedDeductionTypes.map(type => `itemizedWorksheet.${type}`);
+
+// Fields compared between revisions of a return
+const TRACKED_FIELDS = [
+  'filingStatus',
+  'income.wages',
+  'income.dividends',
+  'income.capitalGains',
+  'income.businessIncome',
+  'income.otherIncome',
+  'deductions.standardDeduction',
+  'deductions.itemizedDeductions',
+  'deductions.totalDeductions',
+  'deductions.method',
+  ...WORKSHEET_FIELDS,
+  'investmentIncome.shortTermGain',
+  'investmentIncome.longTermGain',
+  'investmentIncome.qualifiedDividends',
+  'taxableIncome',
+  'taxOwed',
+  'taxPaid',
+  'refundOrOwed',
+  'marginalRate',
+  'effectiveRate',
+  'filingDate',
+  'notes'
+];
+
+// Fields a user may change when filing an amendment; the rest are
+// calculated. deductions.itemizedDeductions only sticks on returns without
+// a worksheet; otherwise the worksheet lines decide it.
+const AMENDABLE_FIELDS = [
+  'filingStatus',
+  'income.wages',
+  'income.dividends',
+  'income.capitalGains',
+  'income.businessIncome',
+  'income.otherIncome',
+  'deductions.itemizedDeductions',
+  ...WORKSHEET_FIELDS,
+  'investmentIncome.shortTermGain',
+  'investmentIncome.longTermGain',
+  'investmentIncome.qualifiedDividends',
+  'taxPaid',
+  'filingDate',
+  'notes'
+];
+
+const normalize = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  return value === undefined ? null : value;
+};
+
+// Field-level differences between two revisions of a return
+const diffRecords = (before, after) => {
+  return TRACKED_FIELDS.reduce((changes, field) => {
+    const from = normalize(before.get(field));
+    const to = normalize(after.get(field));
+    if (from !== to) {
+      changes.push({ field, before: from, after: to });
+    }
+    return changes;
+  }, []);
+};
+
+// Copy the latest revision of a return, apply the amended values and link
+// it back to the original. The previous revision stays untouched apart from
+// no longer being current. accessFilter limits which records the caller
+// may amend (see middleware/recordAccess).
+const amendRecord = async (accessFilter, recordId, changes = {}, reason) => {
+  const record = await TaxRecord.findOne({ _id: recordId, ...accessFilter });
+  if (!record) {
+    throw new ErrorResponse('Tax record not found', 404);
+  }
+  if (!record.isCurrent) {
+    throw new ErrorResponse('Only the current revision of a return can be amended', 400);
+  }
+  if (record.status === 'draft') {
+    throw new ErrorResponse('Draft returns can be edited directly and do not need an amendment', 400);
+  }
+
+  const originalId = record.originalRecordId || record._id;
+  const original = record.originalRecordId
+    ? await TaxRecord.findById(originalId)
+    : record;
+
+  const data = record.toObject({ depopulate: true });
+  ['_id', 'id', 'createdAt', 'updatedAt', '__v', 'diff', 'totalIncome'].forEach(key => delete data[key]);
+
+  const amended = new TaxRecord({
+    ...data,
+    status: 'amended',
+    originalRecordId: originalId,
+    previousRevisionId: record._id,
+    revision: record.revision + 1,
+    amendmentReason: reason,
+    isCurrent: true
+  });
+
+  for (const field of AMENDABLE_FIELDS) {
+    const value = field.split('.').reduce((obj, key) => (obj === undefined || obj === null ? undefined : obj[key]), changes);
+    if (value !== undefined) {
+      amended.set(field, value);
+    }
+  }
+
+  // Run the calculations first so calculated fields appear in the diff
+  await amended.validate();
+  amended.applyCalculations();
+  amended.diff = diffRecords(original, amended);
+  if (diffRecords(record, amended).length === 0) {
+    throw new ErrorResponse('Amendment does not change anything on the return', 400);
+  }
+
+  await amended.save();
+  record.isCurrent = false;
+  record.supersededBy = amended._id;
+  await record.save();
+
+  return amended;
+};
+
+// Every revision of a return, oldest first
+const getRevisions = async (accessFilter, recordId) => {
+  const record = await TaxRecord.findOne({ _id: recordId, ...accessFilter });
+  if (!record) {
+    throw new ErrorResponse('Tax record not found', 404);
+  }
+
+  const originalId = record.originalRecordId || record._id;
+  return TaxRecord.find({
+    userId: record.userId,
+    $or: [{ _id: originalId }, { originalRecordId: originalId }]
+  }).sort({ revision: 1 });
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const delta = (current, previous) => ({
+  amount: round(current - previous),
+  percent: previous !== 0 ? round(((current - previous) / Math.abs(previous)) * 100) : null
+});
+
+// Income figures are encrypted fields; without reveal they and their
+// deltas are left out, like in the record's own responses
+const COMPARED_INCOME_FIELDS = ['wages', 'dividends', 'capitalGains', 'businessIncome', 'otherIncome'];
+
+const maskIncome = (row) => {
+  if (row.missing) return row;
+  const masked = {
+    ...row,
+    income: Object.fromEntries(Object.keys(row.income).map(field => [field, null])),
+    incomeMasked: true
+  };
+  if (row.changeFromPreviousYear) {
+    masked.changeFromPreviousYear = { ...row.changeFromPreviousYear };
+    for (const field of [...COMPARED_INCOME_FIELDS, 'totalIncome']) {
+      masked.changeFromPreviousYear[field] = null;
+    }
+  }
+  return masked;
+};
+
+// Line up the current revision of several tax years with year-over-year
+// deltas. Income figures are only included with reveal.
+const compareYears = async (userId, years, { reveal = false } = {}) => {
+  const records = await TaxRecord.find({
+    userId,
+    taxYear: { $in: years },
+    isCurrent: true
+  });
+
+  const byYear = new Map();
+  for (const record of records) {
+    // If more than one current return exists for a year, prefer the latest
+    const existing = byYear.get(record.taxYear);
+    if (!existing || record.updatedAt > existing.updatedAt) {
+      byYear.set(record.taxYear, record);
+    }
+  }
+
+  const sortedYears = [...years].sort((a, b) => a - b);
+  const rows = sortedYears.map(year => {
+    const record = byYear.get(year);
+    if (!record) return { taxYear: year, missing: true };
+
+    return {
+      taxYear: year,
+      recordId: record._id,
+      revision: record.revision,
+      status: record.status,
+      filingStatus: record.filingStatus,
+      income: {
+        wages: record.income.wages,
+        dividends: record.income.dividends,
+        capitalGains: record.income.capitalGains,
+        businessIncome: record.income.businessIncome,
+        otherIncome: record.income.otherIncome,
+        total: record.totalIncome
+      },
+      deductions: {
+        method: record.deductions.method,
+        total: record.deductions.totalDeductions
+      },
+      taxableIncome: record.taxableIncome,
+      taxOwed: record.taxOwed,
+      effectiveRate: record.effectiveRate,
+      refundOrOwed: record.refundOrOwed
+    };
+  });
+
+  // Deltas against the previous year that has a return
+  let previous = null;
+  for (const row of rows) {
+    if (row.missing) continue;
+    if (previous) {
+      row.changeFromPreviousYear = {
+        comparedTo: previous.taxYear,
+        wages: delta(row.income.wages, previous.income.wages),
+        dividends: delta(row.income.dividends, previous.income.dividends),
+        capitalGains: delta(row.income.capitalGains, previous.income.capitalGains),
+        businessIncome: delta(row.income.businessIncome, previous.income.businessIncome),
+        otherIncome: delta(row.income.otherIncome, previous.income.otherIncome),
+        totalIncome: delta(row.income.total, previous.income.total),
+        totalDeductions: delta(row.deductions.total, previous.deductions.total),
+        taxableIncome: delta(row.taxableIncome, previous.taxableIncome),
+        taxOwed: delta(row.taxOwed, previous.taxOwed),
+        effectiveRate: { points: round(row.effectiveRate - previous.effectiveRate) },
+        refundOrOwed: delta(row.refundOrOwed, previous.refundOrOwed)
+      };
+    }
+    previous = row;
+  }
+
+  return reveal ? rows : rows.map(maskIncome);
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  AMENDABLE_FIELDS,
+  diffRecords,
+  amendRecord,
+  getRevisions,
+  compareYears
+};
@@ -0,0 +1,484 @@
+const InvestmentAccount = require('../models/InvestmentAccount');
+const Trade = require('../models/Trade');
+const TaxRecord = require('../models/TaxRecord');
+const TaxDocument = require('../models/TaxDocument');
+const ErrorResponse = require('../utils/ErrorResponse');
+const { isLongTerm, TAX_TREATMENT } = require('./portfolioValuation');
+const { amendRecord } = require('./taxHistory');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WASH_SALE_DAYS = 30;
+// Share quantities below this are rounding noise
+const EPSILON = 1e-9;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const findHoldingOrFail = (account, symbol) => {
+  const holding = account.findHolding(symbol);
+  if (!holding) {
+    throw new ErrorResponse(`No ${symbol} shares held in this account`, 400);
+  }
+  return holding;
+};
+
+// Find a lot by id across several accounts
+const locateLot = (accounts, lotId) => {
+  for (const account of accounts) {
+    for (const holding of account.holdings) {
+      const lot = holding.lots.id(lotId);
+      if (lot) return { account, holding, lot };
+    }
+  }
+  return null;
+};
+
+// Average cost: every lot of the holding carries the same cost per share
+const averageHolding = (holding) => {
+  const quantity = holding.lots.reduce((total, lot) => total + lot.quantity, 0);
+  const basis = holding.lots.reduce((total, lot) => total + lot.costBasis, 0);
+  const perShare = quantity > 0 ? basis / quantity : 0;
+  for (const lot of holding.lots) {
+    lot.costBasis = lot.quantity * perShare;
+  }
+};
+
+// Pick lots for a sale. Average cost sells in FIFO order so holding periods
+// still come from the oldest shares.
+const selectLots = (holding, trade) => {
+  const available = holding.lots.filter(lot => lot.acquiredAt <= trade.tradeDate && lot.quantity > EPSILON);
+
+  if (trade.costBasisMethod === 'specific_id') {
+    const selected = trade.lotSelections.map(selection => {
+      const lot = available.find(l => l._id.equals(selection.lotId));
+      if (!lot) {
+        throw new ErrorResponse(`Lot ${selection.lotId} is not available to sell`, 400);
+      }
+      if (selection.quantity > lot.quantity + EPSILON) {
+        throw new ErrorResponse(`Lot ${selection.lotId} only has ${lot.quantity} shares`, 400);
+      }
+      return { lot, quantity: Math.min(selection.quantity, lot.quantity) };
+    });
+    const total = selected.reduce((sum, s) => sum + s.quantity, 0);
+    if (Math.abs(total - trade.quantity) > EPSILON) {
+      throw new ErrorResponse('Selected lot quantities must add up to the quantity sold', 400);
+    }
+    return selected;
+  }
+
+  const ordered = [...available].sort((a, b) => (trade.costBasisMethod === 'lifo'
+    ? b.acquiredAt - a.acquiredAt
+    : a.acquiredAt - b.acquiredAt));
+
+  const selected = [];
+  let remaining = trade.quantity;
+  for (const lot of ordered) {
+    if (remaining <= EPSILON) break;
+    const quantity = Math.min(lot.quantity, remaining);
+    selected.push({ lot, quantity });
+    remaining -= quantity;
+  }
+  if (remaining > EPSILON) {
+    throw new ErrorResponse(`Not enough ${trade.symbol} shares to sell ${trade.quantity} on that date`, 400);
+  }
+  return selected;
+};
+
+const applyBuy = (account, trade) => {
+  const cost = trade.quantity * trade.price + trade.fees;
+  const lot = account.addLot({
+    symbol: trade.symbol,
+    quantity: trade.quantity,
+    costBasis: cost,
+    acquiredAt: trade.tradeDate
+  });
+  trade.lotId = lot._id;
+  account.cashBalance -= cost;
+};
+
+const applyReinvestment = (account, trade) => {
+  const lot = account.addLot({
+    symbol: trade.symbol,
+    quantity: trade.quantity,
+    costBasis: trade.amount,
+    acquiredAt: trade.tradeDate
+  });
+  trade.lotId = lot._id;
+};
+
+const applySplit = (account, trade) => {
+  const holding = findHoldingOrFail(account, trade.symbol);
+  for (const lot of holding.lots) {
+    if (lot.acquiredAt <= trade.tradeDate) {
+      lot.quantity *= trade.splitRatio;
+    }
+  }
+};
+
+const applySell = (account, trade) => {
+  const holding = findHoldingOrFail(account, trade.symbol);
+  if (trade.costBasisMethod === 'average_cost') {
+    averageHolding(holding);
+  }
+
+  const netProceeds = trade.quantity * trade.price - trade.fees;
+  const proceedsPerShare = netProceeds / trade.quantity;
+
+  trade.realized = selectLots(holding, trade).map(({ lot, quantity }) => {
+    const costBasis = lot.costBasis * (quantity / lot.quantity);
+    const proceeds = proceedsPerShare * quantity;
+    const row = {
+      lotId: lot._id,
+      acquiredAt: lot.acquiredAt,
+      quantity,
+      proceeds: round(proceeds),
+      costBasis: round(costBasis),
+      gain: round(proceeds - costBasis),
+      term: isLongTerm(lot.acquiredAt, trade.tradeDate) ? 'long' : 'short'
+    };
+
+    lot.quantity -= quantity;
+    lot.costBasis -= costBasis;
+    if (lot.quantity <= EPSILON) {
+      holding.lots.pull(lot._id);
+    }
+    return row;
+  });
+
+  account.cashBalance += netProceeds;
+};
+
+// Split a lot so that exactly `quantity` shares can be adjusted on their own
+const splitLot = (holding, lot, quantity) => {
+  if (lot.quantity - quantity <= EPSILON) return lot;
+
+  const restQuantity = lot.quantity - quantity;
+  const restBasis = lot.costBasis * (restQuantity / lot.quantity);
+  holding.lots.push({
+    quantity: restQuantity,
+    costBasis: restBasis,
+    acquiredAt: lot.acquiredAt,
+    notes: lot.notes
+  });
+  lot.quantity = quantity;
+  lot.costBasis -= restBasis;
+  return lot;
+};
+
+// Disallow part of a loss because replacement shares were bought within 30
+// days of the sale. The disallowed loss moves into the replacement shares'
+// basis and their holding period starts when the sold shares' did. When the
+// replacement shares are in an IRA or other tax-advantaged account the loss
+// is lost for good (Rev. Rul. 2008-5) and the lot is left as it is.
+const matchWashSale = (sale, row, purchase, located) => {
+  const unmatched = row.quantity - row.washSale.quantity;
+  const replaceable = purchase.quantity - purchase.washSaleQuantityUsed;
+  const quantity = Math.min(unmatched, replaceable, located.lot.quantity);
+  if (quantity <= EPSILON) return false;
+
+  const disallowed = -row.gain * (quantity / row.quantity);
+  if ((TAX_TREATMENT[located.account.accountType] || 'taxable') === 'taxable') {
+    const lot = splitLot(located.holding, located.lot, quantity);
+    lot.costBasis += disallowed;
+    lot.acquiredAt = new Date(lot.acquiredAt.getTime() - (sale.tradeDate - row.acquiredAt));
+  } else {
+    row.washSale.permanentlyDisallowed = round(row.washSale.permanentlyDisallowed + disallowed);
+  }
+
+  row.washSale.quantity += quantity;
+  row.washSale.disallowedLoss = round(row.washSale.disallowedLoss + disallowed);
+  row.washSale.replacementTradeIds.push(purchase._id);
+  purchase.washSaleQuantityUsed += quantity;
+  return true;
+};
+
+const washSaleWindow = (date) => ({
+  $gte: new Date(date.getTime() - WASH_SALE_DAYS * DAY_MS),
+  $lte: new Date(date.getTime() + WASH_SALE_DAYS * DAY_MS)
+});
+
+const isOpenLoss = (row) => row.gain < 0 && row.quantity - row.washSale.quantity > EPSILON;
+
+// Check a new sale against purchases already in the ledger
+const washSalesForSale = async (sale, accounts) => {
+  const changed = [];
+  if (!sale.realized.some(isOpenLoss)) return changed;
+
+  const soldLots = sale.realized.map(row => String(row.lotId));
+  const purchases = await Trade.find({
+    userId: sale.userId,
+    symbol: sale.symbol,
+    type: { $in: ['buy', 'reinvestment'] },
+    tradeDate: washSaleWindow(sale.tradeDate)
+  }).sort({ tradeDate: 1 });
+
+  for (const row of sale.realized.filter(isOpenLoss)) {
+    for (const purchase of purchases) {
+      if (!purchase.lotId || soldLots.includes(String(purchase.lotId))) continue;
+      const located = locateLot(accounts, purchase.lotId);
+      if (located && matchWashSale(sale, row, purchase, located) && !changed.includes(purchase)) {
+        changed.push(purchase);
+      }
+    }
+  }
+  return changed;
+};
+
+// Check a new purchase against losses already in the ledger
+const washSalesForPurchase = async (purchase, accounts) => {
+  const changed = [];
+  const sales = await Trade.find({
+    userId: purchase.userId,
+    symbol: purchase.symbol,
+    type: 'sell',
+    tradeDate: washSaleWindow(purchase.tradeDate),
+    'realized.gain': { $lt: 0 }
+  }).sort({ tradeDate: 1 });
+
+  for (const sale of sales) {
+    for (const row of sale.realized.filter(isOpenLoss)) {
+      const located = locateLot(accounts, purchase.lotId);
+      if (located && matchWashSale(sale, row, purchase, located) && !changed.includes(sale)) {
+        changed.push(sale);
+      }
+    }
+  }
+  return changed;
+};
+
+// Record a trade and apply it to the account's lots and cash
+const recordTrade = async (userId, data) => {
+  const account = await InvestmentAccount.findOne({ _id: data.accountId, userId });
+  if (!account) {
+    throw new ErrorResponse('Investment account not found', 404);
+  }
+
+  const trade = new Trade({ ...data, userId });
+  await trade.validate();
+
+  switch (trade.type) {
+    case 'buy':
+      applyBuy(account, trade);
+      break;
+    case 'reinvestment':
+      applyReinvestment(account, trade);
+      break;
+    case 'dividend':
+      account.cashBalance += trade.amount;
+      break;
+    case 'split':
+      applySplit(account, trade);
+      break;
+    case 'sell':
+      applySell(account, trade);
+      break;
+  }
+
+  // Wash sales look at every account the user holds the symbol in, IRAs included
+  let changedTrades = [];
+  let accounts = [account];
+  if (['buy', 'reinvestment', 'sell'].includes(trade.type)) {
+    const others = await InvestmentAccount.find({
+      userId,
+      _id: { $ne: account._id },
+      'holdings.symbol': trade.symbol
+    });
+    accounts = [account, ...others];
+    changedTrades = trade.type === 'sell'
+      ? await washSalesForSale(trade, accounts)
+      : await washSalesForPurchase(trade, accounts);
+  }
+
+  for (const changed of accounts) {
+    if (changed === account || changed.isModified()) {
+      await changed.save();
+    }
+  }
+  await trade.save();
+  for (const changed of changedTrades) {
+    await changed.save();
+  }
+
+  return trade;
+};
+
+const yearRange = (taxYear) => ({
+  $gte: new Date(taxYear, 0, 1),
+  $lt: new Date(taxYear + 1, 0, 1)
+});
+
+const totalsFor = (rows) => ({
+  proceeds: round(rows.reduce((total, row) => total + row.proceeds, 0)),
+  costBasis: round(rows.reduce((total, row) => total + row.costBasis, 0)),
+  adjustments: round(rows.reduce((total, row) => total + row.adjustmentAmount, 0)),
+  gain: round(rows.reduce((total, row) => total + row.gain, 0))
+});
+
+// Form 8949-style report of realized gains plus dividend totals for a tax
+// year. Only taxable accounts are included.
+const buildRealizedReport = async (userId, taxYear) => {
+  const accounts = await InvestmentAccount.find({ userId }).select('name accountType');
+  const taxable = accounts.filter(account => (TAX_TREATMENT[account.accountType] || 'taxable') === 'taxable');
+  const taxableIds = taxable.map(account => account._id);
+
+  const trades = await Trade.find({
+    userId,
+    accountId: { $in: taxableIds },
+    type: { $in: ['sell', 'dividend', 'reinvestment'] },
+    tradeDate: yearRange(taxYear)
+  }).sort({ tradeDate: 1 });
+
+  const rows = [];
+  let totalDividends = 0;
+  let qualifiedDividends = 0;
+  for (const trade of trades) {
+    if (trade.type !== 'sell') {
+      totalDividends += trade.amount;
+      if (trade.qualifiedDividend) qualifiedDividends += trade.amount;
+      continue;
+    }
+
+    for (const lot of trade.realized) {
+      const adjustment = lot.washSale.disallowedLoss || 0;
+      rows.push({
+        tradeId: trade._id,
+        accountId: trade.accountId,
+        description: `${round(lot.quantity)} sh ${trade.symbol}`,
+        dateAcquired: lot.acquiredAt,
+        dateSold: trade.tradeDate,
+        proceeds: lot.proceeds,
+        costBasis: lot.costBasis,
+        adjustmentCode: adjustment > 0 ? 'W' : '',
+        adjustmentAmount: round(adjustment),
+        gain: round(lot.gain + adjustment),
+        term: lot.term,
+        box: lot.term === 'short'
+          ? (trade.basisReported ? 'A' : 'B')
+          : (trade.basisReported ? 'D' : 'E')
+      });
+    }
+  }
+
+  const shortTerm = rows.filter(row => row.term === 'short');
+  const longTerm = rows.filter(row => row.term === 'long');
+  const shortTotals = totalsFor(shortTerm);
+  const longTotals = totalsFor(longTerm);
+
+  return {
+    taxYear,
+    accountsIncluded: taxable.map(account => ({ accountId: account._id, name: account.name })),
+    accountsExcluded: accounts.length - taxable.length,
+    shortTerm: { rows: shortTerm, totals: shortTotals },
+    longTerm: { rows: longTerm, totals: longTotals },
+    dividends: {
+      total: round(totalDividends),
+      qualified: round(qualifiedDividends),
+      ordinaryNonQualified: round(totalDividends - qualifiedDividends)
+    },
+    summary: {
+      netShortTermGain: shortTotals.gain,
+      netLongTermGain: longTotals.gain,
+      netCapitalGain: round(shortTotals.gain + longTotals.gain),
+      washSaleAdjustments: round(shortTotals.adjustments + longTotals.adjustments),
+      totalDividends: round(totalDividends)
+    }
+  };
+};
+
+// Where each figure of a realized report goes on a tax return
+const LEDGER_FIELDS = {
+  capitalGains: 'income.capitalGains',
+  dividends: 'income.dividends',
+  shortTermGain: 'investmentIncome.shortTermGain',
+  longTermGain: 'investmentIncome.longTermGain',
+  qualifiedDividends: 'investmentIncome.qualifiedDividends'
+};
+
+// What an earlier report added to a return. Returns filled in before the
+// figures were kept separately got the report's figures and nothing else.
+const previousLedgerFigures = (record) => {
+  const investmentIncome = record.investmentIncome || {};
+  const stored = investmentIncome.tradeLedger || {};
+  if (Object.keys(LEDGER_FIELDS).some(key => typeof stored[key] === 'number')) return stored;
+  if (investmentIncome.source !== 'trade_ledger') return {};
+  return {
+    capitalGains: round((investmentIncome.shortTermGain || 0) + (investmentIncome.longTermGain || 0)),
+    dividends: investmentIncome.totalDividends,
+    shortTermGain: investmentIncome.shortTermGain,
+    longTermGain: investmentIncome.longTermGain,
+    qualifiedDividends: investmentIncome.qualifiedDividends
+  };
+};
+
+// Brokerage forms on a return cover the same trades as the ledger when
+// they are for accounts tracked in it, so the user is warned to remove one
+const overlapWarnings = async (record) => {
+  const forms = await TaxDocument.countDocuments({
+    taxRecordId: record.originalRecordId || record._id,
+    status: 'applied',
+    formType: { $in: ['1099-B', '1099-DIV'] }
+  });
+  if (forms === 0) return [];
+  return [`The return also has ${forms} uploaded 1099-B/1099-DIV form(s). ` +
+    'If they are for accounts in the trade ledger, their figures are counted twice; delete those forms from the return'];
+};
+
+// Add a realized report to a tax return, replacing what an earlier report
+// added; figures from uploaded tax forms or typed in by hand stay. Drafts
+// are updated in place; filed returns get an amendment. Returns the
+// revision holding the figures and any warnings.
+const applyReportToTaxRecord = async (accessFilter, recordId, report) => {
+  const record = await TaxRecord.findOne({ _id: recordId, ...accessFilter });
+  if (!record) {
+    throw new ErrorResponse('Tax record not found', 404);
+  }
+  if (record.taxYear !== report.taxYear) {
+    throw new ErrorResponse(`Tax record is for ${record.taxYear}, not ${report.taxYear}`, 400);
+  }
+
+  const figures = {
+    capitalGains: report.summary.netCapitalGain,
+    dividends: report.summary.totalDividends,
+    shortTermGain: report.summary.netShortTermGain,
+    longTermGain: report.summary.netLongTermGain,
+    qualifiedDividends: report.dividends.qualified
+  };
+  const previous = previousLedgerFigures(record);
+  const values = {};
+  for (const [key, path] of Object.entries(LEDGER_FIELDS)) {
+    values[path] = round((record.get(path) || 0) + figures[key] - (previous[key] || 0));
+  }
+  const details = {
+    'investmentIncome.source': 'trade_ledger',
+    'investmentIncome.importedAt': new Date(),
+    'investmentIncome.washSaleAdjustments': report.summary.washSaleAdjustments,
+    'investmentIncome.totalDividends': report.dividends.total,
+    'investmentIncome.tradeLedger': figures
+  };
+
+  if (record.status === 'draft') {
+    for (const [path, value] of Object.entries(values)) {
+      record.set(path, value);
+    }
+    record.set(details);
+    await record.save();
+    return { taxRecord: record, warnings: await overlapWarnings(record) };
+  }
+
+  const changes = {};
+  for (const [path, value] of Object.entries(values)) {
+    const [head, tail] = path.split('.');
+    changes[head] = { ...changes[head], [tail]: value };
+  }
+  const amended = await amendRecord(accessFilter, recordId, changes, 'Capital gains and dividends from the trade ledger');
+  amended.set(details);
+  await amended.save();
+  return { taxRecord: amended, warnings: await overlapWarnings(amended) };
+};
+
+module.exports = {
+  WASH_SALE_DAYS,
+  selectLots,
+  recordTrade,
+  buildRealizedReport,
+  applyReportToTaxRecord
+};
@@ -0,0 +1,43 @@
+const { formatDate, blank } = require('./helpers');
+
+// Stand-alone nomination of guardians for minor children
+const renderV1 = (plan, { principalName }) => {
+  const minors = (plan.guardianship && plan.guardianship.minorChildren) || [];
+
+  const blocks = [
+    { heading: 'Nomination' },
+    { paragraph: `I, ${principalName}, being the parent of the minor children named below, nominate the following persons to serve as guardian of each child should I die or become incapacitated while the child is a minor.` }
+  ];
+
+  if (minors.length === 0) {
+    blocks.push({ paragraph: 'No minor children are listed in this estate plan.' });
+  }
+
+  for (const child of minors) {
+    const guardian = child.guardian || {};
+    const alternate = child.alternateGuardian || {};
+    const contact = guardian.contactInfo || {};
+
+    blocks.push({ heading: `${blank(child.name)} (born ${formatDate(child.dateOfBirth)})` });
+    blocks.push({
+      list: [
+        `Guardian: ${blank(guardian.fullName)}${guardian.relationship ? ` (${guardian.relationship})` : ''}${contact.phone ? `, ${contact.phone}` : ''}`,
+        `Alternate guardian: ${blank(alternate.fullName)}${alternate.relationship ? ` (${alternate.relationship})` : ''}`
+      ]
+    });
+  }
+
+  blocks.push({ signature: `${principalName}, Parent` });
+  blocks.push({ signature: 'Notary Public' });
+
+  return { title: 'Nomination of Guardian for Minor Children', blocks };
+};
+
+module.exports = {
+  type: 'guardianship_nomination',
+  title: 'Nomination of Guardian for Minor Children',
+  currentVersion: '1.0',
+  versions: {
+    '1.0': renderV1
+  }
+};
@@ -0,0 +1,44 @@
+const { blank } = require('./helpers');
+
+// Advance healthcare directive with healthcare agent appointment
+const renderV1 = (plan, { principalName, healthcareAgent }) => {
+  const executor = plan.executor || {};
+  const agentName = healthcareAgent || executor.fullName;
+  const alternate = executor.alternateExecutor || {};
+
+  return {
+    title: 'Advance Healthcare Directive',
+    blocks: [
+      { heading: 'Part 1 - Healthcare Agent' },
+      { paragraph: `I, ${principalName}, designate ${blank(agentName)} as my agent to make healthcare decisions for me if I am unable to make them myself.` },
+      { paragraph: `If my agent is not willing, able or reasonably available, I designate ${blank(alternate.fullName)} as my alternate agent.` },
+      { heading: 'Part 2 - Instructions for Healthcare' },
+      { paragraph: 'If I have an incurable and irreversible condition that will result in my death within a relatively short time, or I become unconscious and, to a reasonable degree of medical certainty, will not regain consciousness, I direct that:' },
+      {
+        list: [
+          '[ ] I do not want my life to be prolonged by life-sustaining treatment.',
+          '[ ] I want my life to be prolonged as long as possible within accepted healthcare standards.'
+        ]
+      },
+      { heading: 'Part 3 - Organ Donation' },
+      {
+        list: [
+          '[ ] I give any needed organs, tissues or parts.',
+          '[ ] I do not wish to donate.'
+        ]
+      },
+      { signature: `${principalName}, Principal` },
+      { signature: 'Witness' },
+      { signature: 'Witness' }
+    ]
+  };
+};
+
+module.exports = {
+  type: 'healthcare_directive',
+  title: 'Advance Healthcare Directive',
+  currentVersion: '1.0',
+  versions: {
+    '1.0': renderV1
+  }
+};
@@ -0,0 +1,30 @@
+// Shared text helpers for estate document templates
+
+const formatDate = (date) => {
+  if (!date) return '__________';
+  return new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+};
+
+const formatCurrency = (amount) => {
+  return `$${Number(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+const formatAddress = (address) => {
+  if (!address) return '';
+  return [address.street, address.city, [address.state, address.zipCode].filter(Boolean).join(' ')]
+    .filter(Boolean)
+    .join(', ');
+};
+
+const humanize = (value) => (value || '').replace(/_/g, ' ');
+
+// Placeholder line for anything the plan does not have yet
+const blank = (value) => value || '______________________';
+
+module.exports = {
+  formatDate,
+  formatCurrency,
+  formatAddress,
+  humanize,
+  blank
+};
@@ -0,0 +1,41 @@
+const will = require('./will');
+const powerOfAttorney = require('./powerOfAttorney');
+const healthcareDirective = require('./healthcareDirective');
+const guardianshipNomination = require('./guardianshipNomination');
+
+// Templates by EstatePlan document type. Old versions stay registered so a
+// stored document can always be regenerated with the template it was made from.
+const templates = new Map(
+  [will, powerOfAttorney, healthcareDirective, guardianshipNomination].map(t => [t.type, t])
+);
+
+const getTemplate = (type, version) => {
+  const template = templates.get(type);
+  if (!template) return null;
+
+  const templateVersion = version || template.currentVersion;
+  // Only the template's own versions, not names inherited from Object
+  if (!Object.prototype.hasOwnProperty.call(template.versions, templateVersion)) return null;
+  const render = template.versions[templateVersion];
+
+  return {
+    type: template.type,
+    title: template.title,
+    version: templateVersion,
+    render
+  };
+};
+
+const listTemplates = () => {
+  return Array.from(templates.values()).map(t => ({
+    type: t.type,
+    title: t.title,
+    currentVersion: t.currentVersion,
+    versions: Object.keys(t.versions)
+  }));
+};
+
+module.exports = {
+  getTemplate,
+  listTemplates
+};
@@ -0,0 +1,42 @@
+const { formatAddress, blank } = require('./helpers');
+
+// Durable financial power of attorney. The executor is proposed as agent
+// and the alternate executor as successor agent.
+const renderV1 = (plan, { principalName }) => {
+  const agent = plan.executor || {};
+  const successor = agent.alternateExecutor || {};
+
+  return {
+    title: 'Durable Power of Attorney',
+    blocks: [
+      { heading: 'Designation of Agent' },
+      { paragraph: `I, ${principalName}, appoint ${blank(agent.fullName)}${agent.address ? `, of ${formatAddress(agent.address)}` : ''}, as my agent (attorney-in-fact) to act for me in any lawful way with respect to my property and financial affairs.` },
+      { heading: 'Successor Agent' },
+      { paragraph: `If my agent is unable or unwilling to serve, I appoint ${blank(successor.fullName)} as successor agent.` },
+      { heading: 'Powers Granted' },
+      {
+        list: [
+          'Real property transactions',
+          'Banking and other financial institution transactions',
+          'Investment, securities and retirement plan transactions',
+          'Insurance and annuity transactions',
+          'Tax matters',
+          'Claims, litigation and government benefits'
+        ]
+      },
+      { heading: 'Durability' },
+      { paragraph: 'This power of attorney is durable and shall not be affected by my subsequent disability or incapacity.' },
+      { signature: `${principalName}, Principal` },
+      { signature: 'Notary Public' }
+    ]
+  };
+};
+
+module.exports = {
+  type: 'power_of_attorney',
+  title: 'Durable Power of Attorney',
+  currentVersion: '1.0',
+  versions: {
+    '1.0': renderV1
+  }
+};
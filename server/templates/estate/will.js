@@ -0,0 +1,73 @@
+const { formatCurrency, formatAddress, humanize, blank } = require('./helpers');
+
+// Last will and testament
+const renderV1 = (plan, { principalName }) => {
+  const executor = plan.executor || {};
+  const alternate = executor.alternateExecutor || {};
+  const primaries = plan.beneficiaries.filter(b => !b.isContingent);
+  const contingents = plan.beneficiaries.filter(b => b.isContingent);
+  const designatedAssets = plan.assets.filter(asset => asset.beneficiaries && asset.beneficiaries.length > 0);
+  const minors = (plan.guardianship && plan.guardianship.minorChildren) || [];
+
+  const blocks = [
+    { heading: 'Article I - Declaration' },
+    { paragraph: `I, ${principalName}, being of sound mind, declare this to be my Last Will and Testament. I revoke all wills and codicils previously made by me.` },
+    { heading: 'Article II - Executor' },
+    { paragraph: `I appoint ${blank(executor.fullName)}${executor.relationship ? ` (${executor.relationship})` : ''}${executor.address ? `, of ${formatAddress(executor.address)}` : ''}, as Executor of this Will.` },
+    { paragraph: `If that person is unable or unwilling to serve, I appoint ${blank(alternate.fullName)} as alternate Executor.` },
+    { heading: 'Article III - Specific Gifts' }
+  ];
+
+  if (designatedAssets.length === 0) {
+    blocks.push({ paragraph: 'I make no specific gifts of property.' });
+  } else {
+    blocks.push({
+      list: designatedAssets.map(asset => {
+        const recipients = asset.beneficiaries
+          .filter(b => !b.contingent)
+          .map(b => `${b.name}${b.percentage !== undefined ? ` (${b.percentage}%)` : ''}`)
+          .join(', ');
+        return `My ${humanize(asset.type)} described as "${asset.description}" (estimated value ${formatCurrency(asset.estimatedValue)}) to ${recipients || 'my residuary beneficiaries'}.`;
+      })
+    });
+  }
+
+  blocks.push({ heading: 'Article IV - Residuary Estate' });
+  if (primaries.length === 0) {
+    blocks.push({ paragraph: 'I give the rest and residue of my estate to ______________________.' });
+  } else {
+    blocks.push({ paragraph: 'I give the rest and residue of my estate to the following beneficiaries in the shares shown:' });
+    blocks.push({ list: primaries.map(b => `${b.fullName}, my ${humanize(b.relationship)} - ${b.percentage || 0}%`) });
+  }
+
+  if (contingents.length > 0) {
+    blocks.push({ paragraph: 'If any of the above beneficiaries does not survive me, that share shall pass to the following contingent beneficiaries in the shares shown:' });
+    blocks.push({ list: contingents.map(b => `${b.fullName}, my ${humanize(b.relationship)} - ${b.percentage || 0}%`) });
+  }
+
+  if (minors.length > 0) {
+    blocks.push({ heading: 'Article V - Guardian of Minor Children' });
+    blocks.push({
+      list: minors.map(child => {
+        const guardian = child.guardian || {};
+        const alternateGuardian = child.alternateGuardian || {};
+        return `For ${blank(child.name)}, I nominate ${blank(guardian.fullName)} as guardian and ${blank(alternateGuardian.fullName)} as alternate guardian.`;
+      })
+    });
+  }
+
+  blocks.push({ signature: `${principalName}, Testator` });
+  blocks.push({ signature: 'Witness' });
+  blocks.push({ signature: 'Witness' });
+
+  return { title: 'Last Will and Testament', blocks };
+};
+
+module.exports = {
+  type: 'will',
+  title: 'Last Will and Testament',
+  currentVersion: '1.0',
+  versions: {
+    '1.0': renderV1
+  }
+};
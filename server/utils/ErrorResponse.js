@@ -0,0 +1,13 @@
+// Error with an HTTP status code, picked up by the global error handler
+class ErrorResponse extends Error {
+  constructor(message, statusCode = 500, details) {
+    super(message);
+    this.name = 'ErrorResponse';
+    this.statusCode = statusCode;
+    if (details) {
+      this.details = details;
+    }
+  }
+}
+
+module.exports = ErrorResponse;
@@ -0,0 +1,118 @@
+// Helpers for working with a budget's period fields (year/month/quarter/week)
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKS_PER_YEAR = 53;
+
+// Move a date forward by one recurrence frequency
+const advanceDate = (date, frequency) => {
+  const next = new Date(date);
+  switch (frequency) {
+    case 'weekly':
+      next.setDate(next.getDate() + 7);
+      break;
+    case 'quarterly':
+      next.setMonth(next.getMonth() + 3);
+      break;
+    case 'yearly':
+      next.setFullYear(next.getFullYear() + 1);
+      break;
+    case 'monthly':
+    default:
+      next.setMonth(next.getMonth() + 1);
+      break;
+  }
+  return next;
+};
+
+// Period fields of the period a date falls in. Weeks are counted from
+// January 1st, matching the Budget pre-save hook.
+const getPeriodFields = (period, date) => {
+  const d = new Date(date);
+  const year = d.getFullYear();
+
+  switch (period) {
+    case 'weekly': {
+      const start = new Date(year, 0, 1);
+      return { year, week: Math.floor((d - start) / (7 * DAY_MS)) + 1 };
+    }
+    case 'quarterly':
+      return { year, quarter: Math.ceil((d.getMonth() + 1) / 3) };
+    case 'yearly':
+      return { year };
+    case 'monthly':
+    default:
+      return { year, month: d.getMonth() + 1 };
+  }
+};
+
+// Work out the period fields of the period that follows a budget's current one
+const getNextPeriod = (budget) => {
+  const { period, year } = budget;
+
+  switch (period) {
+    case 'weekly': {
+      const week = (budget.week || 1) + 1;
+      return week > WEEKS_PER_YEAR
+        ? { year: year + 1, week: 1 }
+        : { year, week };
+    }
+    case 'quarterly': {
+      const quarter = (budget.quarter || 1) + 1;
+      return quarter > 4
+        ? { year: year + 1, quarter: 1 }
+        : { year, quarter };
+    }
+    case 'yearly':
+      return { year: year + 1 };
+    case 'monthly':
+    default: {
+      const month = (budget.month || 1) + 1;
+      return month > 12
+        ? { year: year + 1, month: 1 }
+        : { year, month };
+    }
+  }
+};
+
+// First day of a period
+const getPeriodStart = (period, fields) => {
+  switch (period) {
+    case 'weekly':
+      return new Date(new Date(fields.year, 0, 1).getTime() + (fields.week - 1) * 7 * DAY_MS);
+    case 'quarterly':
+      return new Date(fields.year, (fields.quarter - 1) * 3, 1);
+    case 'yearly':
+      return new Date(fields.year, 0, 1);
+    case 'monthly':
+    default:
+      return new Date(fields.year, fields.month - 1, 1);
+  }
+};
+
+// Whether a date falls inside the period a budget covers
+const budgetCoversDate = (budget, date) => {
+  const fields = getPeriodFields(budget.period, date);
+  if (fields.year !== budget.year) return false;
+
+  switch (budget.period) {
+    case 'weekly':
+      return fields.week === budget.week;
+    case 'quarterly':
+      return fields.quarter === budget.quarter;
+    case 'yearly':
+      return true;
+    case 'monthly':
+    default:
+      return fields.month === budget.month;
+  }
+};
+
+module.exports = {
+  DAY_MS,
+  WEEKS_PER_YEAR,
+  advanceDate,
+  getPeriodFields,
+  getNextPeriod,
+  getPeriodStart,
+  budgetCoversDate
+};
@@ -0,0 +1,96 @@
+// Field-level diffs between plain-object snapshots of a document.
+//
+// Snapshots are flattened to their leaf values under dotted paths, with
+// array items addressed by index (e.g. 'beneficiaries.1.percentage'), and a
+// diff lists every leaf whose value differs. Empty objects and arrays have no
+// leaves and are left out. Applying a diff's `before` values to the newer
+// snapshot gives back the older one.
+
+const isContainer = (value) => Array.isArray(value) ||
+  (value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype);
+
+// Leaf values of a snapshot keyed by dotted path
+const flatten = (value, prefix = '', leaves = {}) => {
+  if (!isContainer(value)) {
+    if (prefix && value !== undefined) leaves[prefix] = value;
+    return leaves;
+  }
+  for (const [key, child] of Object.entries(value)) {
+    flatten(child, prefix ? `${prefix}.${key}` : key, leaves);
+  }
+  return leaves;
+};
+
+// Dates and ObjectIds are compared by value
+const sameValue = (a, b) => {
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  if (a && b && a._bsontype && b._bsontype) return String(a) === String(b);
+  return a === b;
+};
+
+// Changed leaves between two snapshots as [{ path, before, after }]. Paths
+// in `exclude` are skipped along with everything beneath them.
+const diff = (before, after, { exclude = [] } = {}) => {
+  const oldLeaves = flatten(before || {});
+  const newLeaves = flatten(after || {});
+  const excluded = (path) => exclude.some(prefix => path === prefix || path.startsWith(`${prefix}.`));
+
+  return [...new Set([...Object.keys(oldLeaves), ...Object.keys(newLeaves)])]
+    .filter(path => !excluded(path) && !sameValue(oldLeaves[path], newLeaves[path]))
+    .map(path => ({ path, before: oldLeaves[path], after: newLeaves[path] }));
+};
+
+// Drop what removing leaves left behind: empty objects, and holes or empty
+// objects at the end of arrays. Only the end of an array can lose items,
+// since index-based diffs show removals there.
+const prune = (value) => {
+  if (Array.isArray(value)) {
+    value.forEach(prune);
+    while (value.length > 0) {
+      const last = value[value.length - 1];
+      if (last !== undefined && !(isContainer(last) && !Array.isArray(last) && Object.keys(last).length === 0)) break;
+      value.pop();
+    }
+  } else if (isContainer(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      prune(child);
+      if (child === undefined || (isContainer(child) && !Array.isArray(child) && Object.keys(child).length === 0)) {
+        delete value[key];
+      }
+    }
+  }
+  return value;
+};
+
+// Set or remove a dotted path, creating arrays for numeric segments
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let parent = target;
+  for (let i = 0; i < keys.length; i++) {
+    if (!isContainer(parent[keys[i]])) {
+      if (value === undefined) return;
+      parent[keys[i]] = /^\d+$/.test(keys[i + 1] || last) ? [] : {};
+    }
+    parent = parent[keys[i]];
+  }
+  if (value === undefined) {
+    delete parent[last];
+  } else {
+    parent[last] = value;
+  }
+};
+
+// Undo a diff on a snapshot, in place
+const revert = (snapshot, changes) => {
+  for (const change of changes) {
+    setPath(snapshot, change.path, change.before);
+  }
+  return prune(snapshot);
+};
+
+module.exports = {
+  flatten,
+  diff,
+  revert
+};
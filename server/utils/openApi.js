@@ -0,0 +1,283 @@
+// OpenAPI 3 document built from the code itself: component schemas come from
+// the Mongoose schemas and paths from the mounted Express routers, so the
+// spec served at /api/docs cannot drift from what the API accepts. The same
+// schemas drive request validation (middleware/validateRequest).
+
+const OBJECT_ID_PATTERN = '^[0-9a-fA-F]{24}$';
+
+// Paths the server manages itself and clients never send
+const isInternalPath = (path, schemaType) => {
+  return path === '_id' || path === '__v' || path === 'createdAt' || path === 'updatedAt' ||
+    path === 'encryptionKeyId' || path.startsWith('_') || path.includes('$') ||
+    schemaType.options.select === false;
+};
+
+const validatorOf = (schemaType, type) => (schemaType.validators || []).find(v => v.type === type);
+
+// OpenAPI schema for a single Mongoose path
+const schemaForType = (schemaType, options) => {
+  if (schemaType.$isMongooseDocumentArray || schemaType.$isSingleNested) {
+    const nested = schemaFor(schemaType.schema, options);
+    return schemaType.$isMongooseDocumentArray ? { type: 'array', items: nested } : nested;
+  }
+  if (schemaType.instance === 'Array') {
+    return { type: 'array', items: schemaType.caster ? schemaForType(schemaType.caster, options) : {} };
+  }
+
+  const result = {};
+  switch (schemaType.instance) {
+    case 'String': {
+      result.type = 'string';
+      const enumValidator = validatorOf(schemaType, 'enum');
+      if (enumValidator) result.enum = enumValidator.enumValues;
+      const maxLength = validatorOf(schemaType, 'maxlength');
+      if (maxLength) result.maxLength = maxLength.maxlength;
+      const minLength = validatorOf(schemaType, 'minlength');
+      if (minLength) result.minLength = minLength.minlength;
+      // Case is normalized before Mongoose matches, so only raw patterns apply
+      const match = validatorOf(schemaType, 'regexp');
+      if (match && !schemaType.options.uppercase && !schemaType.options.lowercase) {
+        result.pattern = match.regexp.source;
+      }
+      break;
+    }
+    case 'Number': {
+      result.type = 'number';
+      const min = validatorOf(schemaType, 'min');
+      if (min) result.minimum = min.min;
+      const max = validatorOf(schemaType, 'max');
+      if (max) result.maximum = max.max;
+      break;
+    }
+    case 'Date':
+      result.type = 'string';
+      result.format = 'date-time';
+      break;
+    case 'Boolean':
+      result.type = 'boolean';
+      break;
+    case 'ObjectId':
+    case 'ObjectID':
+      result.type = 'string';
+      result.pattern = OBJECT_ID_PATTERN;
+      break;
+    case 'Map':
+      result.type = 'object';
+      break;
+    default:
+      break;
+  }
+  return result;
+};
+
+// OpenAPI object schema for a Mongoose schema. Dotted paths become nested
+// objects. With { partial: true } nothing is required, for updates that send
+// only the fields they change.
+const schemaFor = (mongooseSchema, { partial = false } = {}) => {
+  const root = { type: 'object', properties: {} };
+
+  mongooseSchema.eachPath((path, schemaType) => {
+    if (isInternalPath(path, schemaType)) return;
+
+    const segments = path.split('.');
+    let parent = root;
+    for (const segment of segments.slice(0, -1)) {
+      parent.properties[segment] = parent.properties[segment] || { type: 'object', properties: {} };
+      parent = parent.properties[segment];
+    }
+
+    const name = segments[segments.length - 1];
+    parent.properties[name] = schemaForType(schemaType, { partial });
+    // Conditional requirements are left to the model
+    if (!partial && schemaType.isRequired && typeof schemaType.originalRequiredValue !== 'function') {
+      parent.required = [...(parent.required || []), name];
+    }
+  });
+
+  return root;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Check a value against a schema built by schemaFor. Returns a list of
+// { field, message }, empty when the value is valid. Values that Mongoose
+// would cast (numeric strings, date strings) are accepted.
+const validate = (schema, value, field = '') => {
+  const label = field || 'body';
+
+  if (schema.type === 'object') {
+    if (!isPlainObject(value)) {
+      return [{ field: label, message: `${label} must be an object` }];
+    }
+    const errors = [];
+    for (const name of schema.required || []) {
+      if (value[name] === undefined || value[name] === null || value[name] === '') {
+        errors.push({ field: field ? `${field}.${name}` : name, message: `${name} is required` });
+      }
+    }
+    for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[name] === undefined || value[name] === null) continue;
+      errors.push(...validate(propertySchema, value[name], field ? `${field}.${name}` : name));
+    }
+    return errors;
+  }
+
+  if (schema.type === 'array') {
+    if (!Array.isArray(value)) {
+      return [{ field: label, message: `${label} must be an array` }];
+    }
+    return value.flatMap((item, index) => validate(schema.items || {}, item, `${label}.${index}`));
+  }
+
+  if (schema.type === 'number') {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+      return [{ field: label, message: `${label} must be a number` }];
+    }
+    if (schema.minimum !== undefined && number < schema.minimum) {
+      return [{ field: label, message: `${label} must be at least ${schema.minimum}` }];
+    }
+    if (schema.maximum !== undefined && number > schema.maximum) {
+      return [{ field: label, message: `${label} must be at most ${schema.maximum}` }];
+    }
+    return [];
+  }
+
+  if (schema.type === 'boolean') {
+    if (typeof value !== 'boolean' && value !== 'true' && value !== 'false') {
+      return [{ field: label, message: `${label} must be true or false` }];
+    }
+    return [];
+  }
+
+  if (schema.type === 'string') {
+    if (schema.format === 'date-time') {
+      const date = new Date(value);
+      if (typeof value === 'boolean' || Number.isNaN(date.getTime())) {
+        return [{ field: label, message: `${label} must be a valid date` }];
+      }
+      return [];
+    }
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      return [{ field: label, message: `${label} must be a string` }];
+    }
+    const text = String(value);
+    if (schema.enum && !schema.enum.includes(text)) {
+      return [{ field: label, message: `${label} must be one of: ${schema.enum.join(', ')}` }];
+    }
+    if (schema.maxLength !== undefined && text.length > schema.maxLength) {
+      return [{ field: label, message: `${label} cannot exceed ${schema.maxLength} characters` }];
+    }
+    if (schema.minLength !== undefined && text.length < schema.minLength) {
+      return [{ field: label, message: `${label} must be at least ${schema.minLength} characters` }];
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(text)) {
+      return [{ field: label, message: schema.pattern === OBJECT_ID_PATTERN ? `${label} must be a valid id` : `${label} has an invalid format` }];
+    }
+  }
+
+  return [];
+};
+
+const ENVELOPE_SCHEMAS = {
+  SuccessResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: {}
+    }
+  },
+  ErrorResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: {
+        type: 'object',
+        properties: {
+          message: { type: 'string' },
+          fields: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { field: { type: 'string' }, message: { type: 'string' } }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+
+// Route definitions of an Express router: { path, methods, handlers }
+const listRoutes = (router) => router.stack
+  .filter(layer => layer.route && typeof layer.route.path === 'string')
+  .map(layer => ({
+    path: layer.route.path,
+    methods: Object.keys(layer.route.methods).filter(method => method !== '_all'),
+    handlers: layer.route.stack.map(routeLayer => routeLayer.handle)
+  }));
+
+// Build the document from { '/api/budget': budgetRouter, ... } and named
+// component schemas. Handlers created by validateBody describe their body.
+const buildSpec = ({ title, version, routers, schemas = {} }) => {
+  const spec = {
+    openapi: '3.0.3',
+    info: { title, version },
+    security: [{ bearerAuth: [] }],
+    paths: {},
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      schemas: { ...ENVELOPE_SCHEMAS, ...schemas }
+    }
+  };
+
+  for (const [basePath, router] of Object.entries(routers)) {
+    const tag = basePath.split('/').pop();
+
+    for (const route of listRoutes(router)) {
+      const parameters = [];
+      const routePath = route.path === '/' ? '' : route.path.replace(/:(\w+)\??/g, (match, name) => {
+        parameters.push({ name, in: 'path', required: true, schema: { type: 'string' } });
+        return `{${name}}`;
+      });
+      const fullPath = `${basePath}${routePath}`;
+      const body = route.handlers.map(handler => handler.openApi).find(Boolean);
+      if (body) {
+        spec.components.schemas[body.name] = body.schema;
+      }
+
+      spec.paths[fullPath] = spec.paths[fullPath] || {};
+      for (const method of route.methods) {
+        const operation = {
+          tags: [tag],
+          summary: `${method.toUpperCase()} ${fullPath}`,
+          responses: {
+            '2XX': { description: 'Success', content: jsonContent({ $ref: '#/components/schemas/SuccessResponse' }) },
+            default: { description: 'Error', content: jsonContent({ $ref: '#/components/schemas/ErrorResponse' }) }
+          }
+        };
+        if (parameters.length > 0) operation.parameters = parameters;
+        if (body) {
+          operation.requestBody = {
+            required: true,
+            content: jsonContent({ $ref: `#/components/schemas/${body.name}` })
+          };
+        }
+        spec.paths[fullPath][method] = operation;
+      }
+    }
+  }
+
+  return spec;
+};
+
+module.exports = {
+  schemaFor,
+  validate,
+  listRoutes,
+  buildSpec
+};
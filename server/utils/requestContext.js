@@ -0,0 +1,33 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Carries the current request (or background job) through async calls so
+// code with no access to `req`, such as model hooks, can tell who is acting.
+
+const storage = new AsyncLocalStorage();
+
+// Express middleware that makes the request available for its lifetime
+const bindRequestContext = (req, res, next) => storage.run({ req }, next);
+
+// Run a function outside a request, e.g. a background job
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+// The acting user and where the change came from
+const getRequestContext = () => {
+  const context = storage.getStore() || {};
+  const { req } = context;
+
+  if (!req) {
+    return { actorId: null, route: context.source || 'system' };
+  }
+  return {
+    actorId: req.user ? req.user._id : null,
+    // The matched route pattern rather than the URL, e.g. PUT /api/estate/:id
+    route: `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`
+  };
+};
+
+module.exports = {
+  bindRequestContext,
+  runWithContext,
+  getRequestContext
+};